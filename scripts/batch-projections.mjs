@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// batch-projections.mjs
+// Reruns the projection for every client in a CSV or JSON file and writes a
+// results file (CSV, or JSON when the output name ends in .json).
+//
+//   npm run batch -- clients.csv results.csv
+//
+// Input columns (or JSON keys) are the calculator's form fields plus an
+// optional `id`. Exits with 1 when any row fails validation or cannot be
+// projected, 2 when the files cannot be read or written.
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { register } from "node:module";
+
+register("./src-loader.mjs", import.meta.url);
+const { formatBatchCsv, parseClientCsv, runBatch } = await import(
+  "../src/batchProjection.js"
+);
+
+const [inputPath, outputPath] = process.argv.slice(2);
+if (!inputPath || !outputPath) {
+  console.error(
+    "Usage: npm run batch -- <clients.csv|json> <results.csv|json>"
+  );
+  process.exit(2);
+}
+
+let records;
+try {
+  const text = await readFile(inputPath, "utf8");
+  records =
+    extname(inputPath).toLowerCase() === ".json"
+      ? JSON.parse(text)
+      : parseClientCsv(text);
+} catch (error) {
+  console.error(`Could not read ${inputPath}: ${error.message}`);
+  process.exit(2);
+}
+if (!Array.isArray(records)) {
+  console.error(`${inputPath} should hold an array of client inputs.`);
+  process.exit(2);
+}
+
+const results = runBatch(records);
+try {
+  await writeFile(
+    outputPath,
+    extname(outputPath).toLowerCase() === ".json"
+      ? `${JSON.stringify(results, null, 2)}\n`
+      : `${formatBatchCsv(results)}\n`
+  );
+} catch (error) {
+  console.error(`Could not write ${outputPath}: ${error.message}`);
+  process.exit(2);
+}
+
+const failed = results.filter((result) => result.status !== "ok");
+console.log(
+  `Wrote ${results.length} result(s) to ${outputPath}; ` +
+    `${failed.length} could not be projected.`
+);
+failed.forEach((result) => {
+  console.error(
+    `  row ${result.row}${result.id ? ` (${result.id})` : ""}: ` +
+      result.errors.join(" ")
+  );
+});
+process.exit(failed.length > 0 ? 1 : 0);
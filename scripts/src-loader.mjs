@@ -0,0 +1,20 @@
+// src-loader.mjs
+// Node module hooks that let scripts import the app's source as it is
+// written for the bundler: ES modules in .js files with extensionless
+// relative imports.
+const SOURCE_DIR = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const relative = specifier.startsWith("./") || specifier.startsWith("../");
+  if (relative && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SOURCE_DIR) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -1,8 +1,18 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the retirement calculator', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const heading = screen.getByText(/RA Maximisation/i);
+  expect(heading).toBeInTheDocument();
+});
+
+test('hides the return inputs while an asset allocation is on', () => {
+  render(<App />);
+  expect(screen.getByLabelText('Pre-retirement return slider')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText(/Derive returns from an asset allocation/));
+  expect(screen.queryByLabelText('Pre-retirement return slider')).toBeNull();
+  expect(screen.queryByLabelText('Post-retirement return slider')).toBeNull();
+  expect(screen.getByText(/returns are not used/)).toBeInTheDocument();
 });
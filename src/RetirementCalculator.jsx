@@ -1,6 +1,8 @@
 // RetirementCalculator.jsx
 import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
 import {
+  BarChart,
+  Bar,
   LineChart,
   Line,
   XAxis,
@@ -11,24 +13,55 @@ import {
   ReferenceLine,
 } from "recharts";
 import { uiClasses } from "./uiTheme";
-import { useRetirementProjection } from "./useRetirementProjection";
-
-// --- formatting helpers (UI only) ---
-
-const formatCurrency = (value) => {
-  if (!isFinite(value)) return "-";
-  return (
-    "R " +
-    value
-      .toFixed(2)
-      .replace(/\B(?=(\d{3})+(?!\d))/g, " ")
-  );
-};
-
-const formatPercent = (value) => {
-  if (!isFinite(value)) return "-";
-  return (value * 100).toFixed(2) + "%";
-};
+import { ANNUITY_TYPES } from "./annuityRates";
+import { HISTORICAL_DATA_CAVEAT } from "./historicalReturns";
+import {
+  INCOME_STREAMS,
+  INCOME_STREAM_PARTS,
+  SASSA_OLDER_PERSONS_GRANT,
+  incomeStreamField,
+} from "./incomeStreams";
+import {
+  useBackgroundProjection,
+  useBackgroundSensitivity,
+  useScenarioProjections,
+} from "./useRetirementProjection";
+import { SENSITIVITY_INPUTS, sensitivityStepField } from "./sensitivity";
+import { toRealTerms } from "./retirementProjection";
+import {
+  CUSTOM_TAX_YEAR,
+  DEFAULT_TAX_YEAR,
+  taxYearOptions,
+} from "./taxTables";
+import {
+  MAX_COMMUTATION_PCT,
+  MC_MAX_SIMULATIONS,
+  buildFormModel,
+  defaultFormValues,
+} from "./calculatorForm";
+import { formatCurrency, formatPercent } from "./formatters";
+import {
+  ALLOCATION_POTS,
+  ASSET_CLASSES,
+  allocationField,
+  returnField,
+  volatilityField,
+} from "./assetAllocation";
+import {
+  CURRENT_SCENARIO_ID,
+  compareScenarios,
+  nextScenarioId,
+  overlayScenarioTrajectories,
+  scenarioComparisonColumns,
+  scenarioSeriesKey,
+} from "./scenarioComparison";
+import {
+  clearSavedState,
+  isPristine,
+  loadSavedState,
+  saveState,
+} from "./savedState";
+import { buildShareUrl, decodeShareHash } from "./shareLink";
 
 const {
   page: pageClasses,
@@ -50,183 +83,84 @@ const presets = {
   aggressive: { preReturn: "18", postReturn: "12", inflation: "5" },
 };
 
-const TFSA_MONTHLY_CAP = 3000;
-
-const defaultFormValues = {
-  currentAge: "30",
-  retireAge: "65",
-  lifeExpectancy: "100",
-  initialCapital: "0",
-  initialTfsaBalance: "0",
-  tfsaContribToDate: "0",
-  targetNetToday: "45000",
-  preReturn: "14",
-  postReturn: "10",
-  inflation: "5",
-  annualIncrease: "0",
-  includeTfsa: false,
-  grossIncome: "720000",
-  incomeGrowthMode: "INFLATION",
-  incomeGrowthRate: "0",
-  tfsaMonthly: "3000",
-  depleteOrder: "TFSA_FIRST",
-  taxMode: "SARS",
-  flatTaxRate: "25",
-  reinvestRaTaxSaving: true,
-  taxRealism: false,
+// Overlay colours for saved scenarios on the capital chart (cycled).
+const scenarioColours = ["#ffe9a8", "#ff9fd0", "#9fd8ff", "#ffc58f", "#c8ff9f"];
+
+// Goal-seek: what each "solve for" option reports and how.
+const goalSeekOptions = {
+  CONTRIBUTION: { label: "Required monthly contribution" },
+  RETIRE_AGE: {
+    label: "Earliest retirement age",
+    format: (value) => `${value}`,
+    infeasible: "No retirement age before life expectancy meets the target",
+  },
+  TARGET_INCOME: {
+    label: "Affordable net income (today, per month)",
+    format: formatCurrency,
+    infeasible: "No net income can be sustained",
+  },
+  PRE_RETURN: {
+    label: "Required pre-retirement return",
+    format: formatPercent,
+    infeasible: "No pre-retirement return up to 50% p.a. meets the target",
+  },
+  INITIAL_CAPITAL: {
+    label: "Required initial capital",
+    format: formatCurrency,
+    infeasible: "No amount of initial capital meets the target",
+  },
+};
+
+// Drawdown orders, as named in outputs and exports.
+const depleteOrderLabels = {
+  TFSA_FIRST: "TFSA first",
+  RA_FIRST: "RA first",
+  BRACKET_FILL: "Bracket fill",
 };
 
-const useCalculatorForm = () => {
+const CUSTOM_TAX_TABLE_EXAMPLE = JSON.stringify(
+  {
+    baseYear: DEFAULT_TAX_YEAR,
+    label: "Budget proposal",
+    rebates: { primary: 17_820 },
+    tfsa: { annual: 46_000 },
+  },
+  null,
+  2
+);
+const useCalculatorForm = (initialValues = defaultFormValues) => {
+  // A share link in the URL wins over restored inputs. Its values are
+  // validated like typed input, so bad fields show their usual errors.
+  const [sharedLink] = useState(() =>
+    decodeShareHash(window.location.hash)
+  );
+  const startValues =
+    sharedLink && sharedLink.values
+      ? { ...defaultFormValues, ...sharedLink.values }
+      : initialValues;
   const [values, dispatch] = useReducer((state, action) => {
     switch (action.type) {
       case "update":
         return { ...state, [action.field]: action.value };
       case "merge":
         return { ...state, ...action.values };
+      case "replace":
+        return { ...defaultFormValues, ...action.values };
       case "reset":
         return { ...defaultFormValues };
       default:
         return state;
     }
-  }, defaultFormValues);
-
-  const [errors, setErrors] = useState({});
-
-  const numericValues = useMemo(() => {
-    const toNumber = (value) => {
-      if (typeof value === "number") return value;
-      if (typeof value === "string") {
-        const cleaned = value.replace(/,/g, "").trim();
-        if (cleaned === "") return NaN;
-        return Number(cleaned);
-      }
-      return NaN;
-    };
+  }, startValues);
 
-    return {
-      currentAge: toNumber(values.currentAge),
-      retireAge: toNumber(values.retireAge),
-      lifeExpectancy: toNumber(values.lifeExpectancy),
-      initialCapital: toNumber(values.initialCapital),
-      initialTfsaBalance: toNumber(values.initialTfsaBalance),
-      tfsaContribToDate: toNumber(values.tfsaContribToDate),
-      targetNetToday: toNumber(values.targetNetToday),
-      preReturn: toNumber(values.preReturn),
-      postReturn: toNumber(values.postReturn),
-      inflation: toNumber(values.inflation),
-      annualIncrease: toNumber(values.annualIncrease),
-      grossIncome: toNumber(values.grossIncome),
-      incomeGrowthRate: toNumber(values.incomeGrowthRate),
-      tfsaMonthly: toNumber(values.tfsaMonthly),
-      flatTaxRate: toNumber(values.flatTaxRate),
-    };
-  }, [values]);
-
-  const sanitizedNumbers = useMemo(() => {
-    const nonNegative = (value) =>
-      Number.isFinite(value) && value >= 0 ? value : 0;
-
-    const cappedNonNegative = (value, cap) =>
-      Math.min(nonNegative(value), cap);
-
-    const positive = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
-
-    const tfsaEnabled = values.includeTfsa ?? true;
-
-    return {
-      currentAge: nonNegative(numericValues.currentAge),
-      retireAge: nonNegative(numericValues.retireAge),
-      lifeExpectancy: positive(numericValues.lifeExpectancy),
-      initialCapital: nonNegative(numericValues.initialCapital),
-      initialTfsaBalance: tfsaEnabled
-        ? nonNegative(numericValues.initialTfsaBalance)
-        : 0,
-      tfsaContribToDate: tfsaEnabled
-        ? nonNegative(numericValues.tfsaContribToDate)
-        : 0,
-      targetNetToday: nonNegative(numericValues.targetNetToday),
-      preReturn: nonNegative(numericValues.preReturn),
-      postReturn: nonNegative(numericValues.postReturn),
-      inflation: nonNegative(numericValues.inflation),
-      annualIncrease: nonNegative(numericValues.annualIncrease),
-      grossIncome: nonNegative(numericValues.grossIncome),
-      incomeGrowthRate: nonNegative(numericValues.incomeGrowthRate),
-      tfsaMonthly: tfsaEnabled
-        ? cappedNonNegative(numericValues.tfsaMonthly, TFSA_MONTHLY_CAP)
-        : 0,
-      flatTaxRate: nonNegative(numericValues.flatTaxRate),
-    };
-  }, [numericValues, values.includeTfsa]);
+  const model = useMemo(() => buildFormModel(values), [values]);
 
+  // Drop the hash once read, so later edits are not undone by a reload.
   useEffect(() => {
-    const nextErrors = {};
-
-    const validateNumber = (field, label, { min = 0, allowZero = true } = {}) => {
-      const value = numericValues[field];
-      if (!Number.isFinite(value)) {
-        nextErrors[field] = `${label} must be a valid number.`;
-        return false;
-      }
-      const minimum = allowZero ? min : Math.max(min, Number.EPSILON);
-      if (value < minimum) {
-        nextErrors[field] =
-          minimum === 0
-            ? `${label} cannot be negative.`
-            : `${label} must be at least ${minimum}.`;
-        return false;
-      }
-      return true;
-    };
-
-    const currentValid = validateNumber("currentAge", "Current age");
-    const retireValid = validateNumber("retireAge", "Retirement age");
-    const lifeValid = validateNumber("lifeExpectancy", "Life expectancy", {
-      min: 1,
-      allowZero: false,
-    });
-
-    validateNumber("initialCapital", "Initial capital");
-    if (values.includeTfsa) {
-      validateNumber("initialTfsaBalance", "Existing TFSA balance");
-      validateNumber("tfsaContribToDate", "TFSA contributions to date");
-    }
-    validateNumber("targetNetToday", "Target net income");
-    validateNumber("preReturn", "Pre-retirement return");
-    validateNumber("postReturn", "Post-retirement return");
-    validateNumber("inflation", "Inflation");
-    validateNumber("annualIncrease", "Annual contribution increase");
-    validateNumber("grossIncome", "Gross income");
-    if (values.incomeGrowthMode === "CUSTOM") {
-      validateNumber("incomeGrowthRate", "Income growth rate");
-    }
-    if (values.includeTfsa) {
-      const tfsaValid = validateNumber("tfsaMonthly", "TFSA contribution");
-      if (tfsaValid && numericValues.tfsaMonthly > TFSA_MONTHLY_CAP) {
-        nextErrors.tfsaMonthly =
-          "TFSA contribution is capped at R3,000 per month (R36,000 p.a.).";
-      }
-    }
-    validateNumber("flatTaxRate", "Flat tax rate");
-
-    if (currentValid && retireValid && numericValues.currentAge >= numericValues.retireAge) {
-      nextErrors.currentAge = "Current age must be less than retirement age.";
-      nextErrors.retireAge =
-        "Retirement age must be greater than current age.";
-    }
-
-    if (
-      retireValid &&
-      lifeValid &&
-      numericValues.retireAge >= numericValues.lifeExpectancy
-    ) {
-      nextErrors.retireAge =
-        nextErrors.retireAge || "Retirement age must be less than life expectancy.";
-      nextErrors.lifeExpectancy =
-        "Life expectancy must be greater than retirement age.";
-    }
-
-    setErrors(nextErrors);
-  }, [numericValues, values.includeTfsa, values.incomeGrowthMode]);
+    if (!sharedLink) return;
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, "", `${pathname}${search}`);
+  }, [sharedLink]);
 
   const handleNumberChange = (field) => (e) =>
     dispatch({ type: "update", field, value: e.target.value });
@@ -237,12 +171,17 @@ const useCalculatorForm = () => {
 
   const reset = () => dispatch({ type: "reset" });
   const applyPreset = (preset) => dispatch({ type: "merge", values: preset });
+  const load = (saved) => dispatch({ type: "replace", values: saved });
 
   return {
     values,
-    numericValues,
-    sanitizedNumbers,
-    errors,
+    numericValues: model.numericValues,
+    sanitizedNumbers: model.sanitizedNumbers,
+    errors: model.errors,
+    warnings: model.warnings,
+    taxTable: model.taxTable,
+    projectionParams: model.projectionParams,
+    sensitivityOptions: model.sensitivityOptions,
     handlers: {
       number: handleNumberChange,
       select: handleSelectChange,
@@ -250,18 +189,29 @@ const useCalculatorForm = () => {
     },
     reset,
     applyPreset,
+    load,
+    sharedLink,
   };
 };
 
 const RetirementCalculator = () => {
+  // Read once on mount; restores the form and scenarios from the last visit.
+  const [savedState] = useState(loadSavedState);
+
   const {
     values,
     sanitizedNumbers,
     errors,
+    warnings,
+    taxTable,
+    projectionParams,
+    sensitivityOptions,
     handlers,
     reset,
     applyPreset,
-  } = useCalculatorForm();
+    load,
+    sharedLink,
+  } = useCalculatorForm(savedState ? savedState.values : undefined);
 
   const {
     currentAge,
@@ -271,57 +221,331 @@ const RetirementCalculator = () => {
     initialTfsaBalance,
     tfsaContribToDate,
     targetNetToday,
+    householdMode,
+    raFunding,
+    survivorIncomePct,
     preReturn,
     postReturn,
     inflation,
     annualIncrease,
     includeTfsa,
+    realTerms,
     grossIncome,
     incomeGrowthMode,
     incomeGrowthRate,
     tfsaMonthly,
     depleteOrder,
+    bracketCeiling,
+    optimiseBracketCeiling,
     taxMode,
     flatTaxRate,
     reinvestRaTaxSaving,
     taxRealism,
+    returnMode,
+    returnVolatility,
+    mcSimulations,
+    mcSeed,
+    targetSuccessRate,
+    glidePath,
+    glidePathYears,
+    glidePathCurve,
+    glideEndVolatility,
+    historicalBacktest,
+    backtestEquityPct,
+    backtestBondPct,
+    livingAnnuityLimits,
+    laSurplusTarget,
+    decumulationFrequency,
+    lumpSumPct,
+    priorLumpSums,
+    lumpSumDestination,
+    buyAnnuity,
+    annuityPurchasePct,
+    annuityType,
+    annuityRatesText,
+    sassaGrant,
+    twoPot,
+    twoPotSeedCapital,
+    savingsWithdrawalAnnual,
+    discInterestYield,
+    discDividendYield,
+    fundTer,
+    adviceFee,
+    platformFeeBand1,
+    platformFeeRate1,
+    platformFeeBand2,
+    platformFeeRate2,
+    platformFeeRate3,
+    useAssetAllocation,
+    taxYear,
+    customTaxTableJson,
+    medicalSchemeMonthly,
+    medicalDependants,
+    medicalOutOfPocket,
+    solveFor,
+    fixedMonthlyContribution,
   } = values;
 
   const [showAdvancedTax, setShowAdvancedTax] = useState(false);
 
   const [exportFormat, setExportFormat] = useState("pdf");
+  const [linkCopied, setLinkCopied] = useState(false);
   const capitalChartRef = useRef(null);
 
   // bottom section: 3 tabs: "CAPITAL", "PRE", "POST"
   const [activeProjectionTab, setActiveProjectionTab] =
     useState("CAPITAL");
 
-  // --- calculations via hook (all maths lives in useRetirementProjection) ---
-
-  const outputs = useRetirementProjection({
-    currentAge: sanitizedNumbers.currentAge,
-    retireAge: sanitizedNumbers.retireAge,
-    lifeExpectancy: sanitizedNumbers.lifeExpectancy,
-    initialCapital: sanitizedNumbers.initialCapital,
-    initialTfsaBalance: sanitizedNumbers.initialTfsaBalance,
-    tfsaContribToDate: sanitizedNumbers.tfsaContribToDate,
-    targetNetToday: sanitizedNumbers.targetNetToday,
-    preReturn: sanitizedNumbers.preReturn,
-    postReturn: sanitizedNumbers.postReturn,
-    inflation: sanitizedNumbers.inflation,
-    annualIncrease: sanitizedNumbers.annualIncrease,
-    tfsaMonthly: sanitizedNumbers.tfsaMonthly,
-    grossIncome: sanitizedNumbers.grossIncome,
-    incomeGrowthMode,
-    incomeGrowthRate: sanitizedNumbers.incomeGrowthRate,
-    depleteOrder,
-    taxMode,
-    flatTaxRate: sanitizedNumbers.flatTaxRate,
-    reinvestRaTaxSaving,
-    taxRealism,
-  });
+  // --- calculations via hook (all maths lives in retirementProjection) ---
+
+  // Projected in a Web Worker; the last result stays on screen while newer
+  // inputs are being projected.
+  const { outputs: projectedOutputs, pending: projectionPending } =
+    useBackgroundProjection(projectionParams);
+  // Everything below shows amounts on the chosen basis.
+  const outputs = useMemo(
+    () => (realTerms ? toRealTerms(projectedOutputs) : projectedOutputs),
+    [realTerms, projectedOutputs]
+  );
+  const basisLabel = realTerms ? "today's money" : "nominal";
+  const amountsShownLabel = realTerms
+    ? "In today's money (deflated by inflation)"
+    : "Nominal (future rands)";
+
+  // Sensitivity analysis reruns the plan dozens of times, so it only runs
+  // while its tab is open.
+  const sensitivityRequest = useMemo(
+    () =>
+      activeProjectionTab === "SENSITIVITY"
+        ? { params: projectionParams, ...sensitivityOptions }
+        : null,
+    [activeProjectionTab, projectionParams, sensitivityOptions]
+  );
+  const { outputs: sensitivity, pending: sensitivityPending } =
+    useBackgroundSensitivity(sensitivityRequest);
+
+  // --- saved scenarios: full form snapshots, each projected independently ---
+
+  const [scenarios, setScenarios] = useState(
+    savedState ? savedState.scenarios : []
+  );
+  const [scenarioName, setScenarioName] = useState("");
+  const [baselineId, setBaselineId] = useState(CURRENT_SCENARIO_ID);
+
+  const scenarioInputs = useMemo(
+    () =>
+      scenarios.map((scenario) => ({
+        id: scenario.id,
+        params: buildFormModel(scenario.values).projectionParams,
+      })),
+    [scenarios]
+  );
+  // Projected in the worker like the plan; a scenario joins the comparison
+  // once its projection is in.
+  const { outputs: projectedScenarios, pending: scenariosPending } =
+    useScenarioProjections(scenarioInputs);
+  const scenarioOutputs = useMemo(
+    () =>
+      new Map(
+        (projectedScenarios || []).map(({ id, outputs: projected }) => [
+          id,
+          realTerms ? toRealTerms(projected) : projected,
+        ])
+      ),
+    [realTerms, projectedScenarios]
+  );
+  const savedScenarioEntries = scenarios
+    .filter((scenario) => scenarioOutputs.has(scenario.id))
+    .map((scenario) => ({
+      id: scenario.id,
+      name: scenario.name,
+      outputs: scenarioOutputs.get(scenario.id),
+    }));
+  const comparisonRows = compareScenarios(
+    [
+      { id: CURRENT_SCENARIO_ID, name: "Current inputs", outputs },
+      ...savedScenarioEntries,
+    ],
+    baselineId
+  );
+  const chartData = overlayScenarioTrajectories(
+    outputs.capitalTrajectory,
+    savedScenarioEntries
+  );
+
+  const saveScenario = () => {
+    const id = nextScenarioId(scenarios);
+    const name = scenarioName.trim() || `Scenario ${scenarios.length + 1}`;
+    setScenarios([...scenarios, { id, name, values }]);
+    setScenarioName("");
+  };
+  const deleteScenario = (id) => {
+    setScenarios(scenarios.filter((scenario) => scenario.id !== id));
+    if (baselineId === id) setBaselineId(CURRENT_SCENARIO_ID);
+  };
+
+  // Persist on every change; an untouched calculator leaves nothing behind.
+  useEffect(() => {
+    const state = { values, scenarios };
+    if (isPristine(state)) {
+      clearSavedState();
+    } else {
+      saveState(state);
+    }
+  }, [values, scenarios]);
+
+  const clearSavedData = () => {
+    clearSavedState();
+    reset();
+    setScenarios([]);
+    setBaselineId(CURRENT_SCENARIO_ID);
+  };
 
   const numericLifeExpectancy = outputs.lifeExpectancyNumeric;
+  const lumpSumDestinationLabel = {
+    TFSA: "TFSA (excess to discretionary)",
+    DISCRETIONARY: "Discretionary investment",
+    DEBT: "Debt repayment",
+  }[lumpSumDestination];
+  const platformFeeLabel = [
+    `${formatPercent(sanitizedNumbers.platformFeeRate1 / 100)} to ${formatCurrency(
+      sanitizedNumbers.platformFeeBand1
+    )}`,
+    `${formatPercent(sanitizedNumbers.platformFeeRate2 / 100)} to ${formatCurrency(
+      sanitizedNumbers.platformFeeBand2
+    )}`,
+    `${formatPercent(sanitizedNumbers.platformFeeRate3 / 100)} above`,
+  ].join(", ");
+  // A household is always projected annually (see the form error).
+  const monthlyDecumulation =
+    decumulationFrequency === "MONTHLY" && !householdMode;
+  const annuity = outputs.annuity;
+  const medicalShown =
+    taxMode === "SARS" &&
+    (sanitizedNumbers.medicalSchemeMonthly > 0 ||
+      sanitizedNumbers.medicalOutOfPocket > 0);
+  const otherIncomeShown = (outputs.postTimeline || []).some(
+    (row) => row.otherIncome > 0 || row.grantIncome > 0
+  );
+  const incomeStreamsLabel =
+    INCOME_STREAMS.filter(
+      (stream) => sanitizedNumbers[incomeStreamField(stream.key, "Monthly")] > 0
+    )
+      .map(
+        (stream) =>
+          `${stream.label} ${formatCurrency(
+            sanitizedNumbers[incomeStreamField(stream.key, "Monthly")]
+          )} p.m. (ages ${
+            sanitizedNumbers[incomeStreamField(stream.key, "StartAge")]
+          }–${sanitizedNumbers[incomeStreamField(stream.key, "EndAge")]})`
+      )
+      .join("; ") || "None";
+  const annuityPurchaseLabel = annuity
+    ? `${formatPercent(
+        sanitizedNumbers.annuityPurchasePct / 100
+      )} of RA, ${ANNUITY_TYPES[annuity.type].label.toLowerCase()}`
+    : "None";
+  const annuityOutputRows = annuity
+    ? [
+        {
+          label: "Guaranteed annuity purchase price",
+          value: formatCurrency(annuity.purchasePrice),
+        },
+        {
+          label: "Guaranteed annuity net income per month (today)",
+          value: formatCurrency(annuity.monthlyNetToday),
+        },
+        {
+          label: "Guaranteed annuity share of target income",
+          value: formatPercent(annuity.targetShare),
+        },
+      ]
+    : [];
+  const exhaustionLabel = outputs.exhaustionMonth
+    ? `${outputs.exhaustionAge} (month ${outputs.exhaustionMonth})`
+    : `${outputs.exhaustionAge}`;
+  const shortfallLabel =
+    outputs.shortfallAge === null ? "Never" : `${outputs.shortfallAge}`;
+  const monteCarlo = outputs.monteCarlo;
+  const backtest = outputs.backtest;
+  // Explains the start years whose retirement runs past the data.
+  const backtestPartialNote =
+    !backtest || backtest.partialWindows === 0
+      ? null
+      : backtest.fullWindows === 0
+        ? `No start year has all ${backtest.yearsNeeded} retirement years inside ${backtest.dataFirstYear}–${backtest.dataLastYear}, so every start year replays history to ${backtest.dataLastYear} and the entered post-retirement return after that.`
+        : `Start years after ${backtest.lastYear} run past ${backtest.dataLastYear}: they are charted with the entered post-retirement return for the later years but left out of the success rate.`;
+  // e.g. "Bracket fill to R237,100"
+  const depleteOrderLabel = (order, ceiling) =>
+    order === "BRACKET_FILL" && ceiling !== null
+      ? `${depleteOrderLabels[order]} to ${formatCurrency(ceiling)}`
+      : depleteOrderLabels[order];
+  const strategyRows = outputs.strategyComparison.map((row) => ({
+    ...row,
+    strategy: `${depleteOrderLabel(row.depleteOrder, row.bracketCeiling)}${
+      row.depleteOrder === depleteOrder ? " (selected)" : ""
+    }`,
+  }));
+  // e.g. "45% local equity, 25% offshore equity – 12.13% p.a."
+  const allocationLabel = (pot) =>
+    `${ASSET_CLASSES.filter(
+      (asset) => sanitizedNumbers[allocationField(pot, asset.key)] > 0
+    )
+      .map(
+        (asset) =>
+          `${sanitizedNumbers[allocationField(pot, asset.key)]}% ${asset.label.toLowerCase()}`
+      )
+      .join(", ")} – ${formatPercent(
+      outputs.allocation[pot].return / 100
+    )} p.a.`;
+
+  const household = outputs.household;
+  const raSplitLabel = household
+    ? `${formatCurrency(household.memberRaMonthly)} / ${formatCurrency(
+        household.partnerRaMonthly
+      )}`
+    : "";
+  const survivorLabel = household
+    ? `${household.survivor === "MEMBER" ? "You" : "Your partner"} on ${formatPercent(
+        household.survivorIncomeShare
+      )} of the income target`
+    : "";
+
+  // The entered returns are not used under an asset allocation.
+  const returnInputLabel = (entered) =>
+    useAssetAllocation
+      ? "Not used (blended from the asset allocation)"
+      : formatPercent(Number(entered) / 100);
+  const glidePathLabel =
+    useAssetAllocation && glidePath !== "NONE"
+      ? "None (not used with an asset allocation)"
+      : glidePath === "LINEAR"
+        ? `Linear over ${sanitizedNumbers.glidePathYears} years`
+        : glidePath === "CUSTOM"
+          ? `Custom (${glidePathCurve})`
+          : "None";
+
+  const backtestAllocationLabel = backtest
+    ? [backtest.weights.equity, backtest.weights.bonds, backtest.weights.cash]
+        .map(formatPercent)
+        .join(" / ")
+    : "";
+  const backtestLabel = (run) =>
+    `${run.startYear}: ${
+      run.success
+        ? `lasts to ${numericLifeExpectancy}, ${formatCurrency(run.endCapital)} left`
+        : run.shortfallAge !== null
+          ? `income short from ${run.shortfallAge}`
+          : `runs out at ${run.exhaustionAge}`
+    }`;
+  const savingsWithdrawalImpact = outputs.savingsWithdrawalImpact;
+  const goalSeek = outputs.goalSeek;
+  const goalSeekOption = goalSeekOptions[solveFor];
+  const goalSeekResult = goalSeek
+    ? goalSeek.feasible
+      ? goalSeekOption.format(goalSeek.value)
+      : "Not achievable"
+    : null;
 
   // Summary rows for tables
   const preTotals = (outputs.preTimeline || []).reduce(
@@ -329,13 +553,23 @@ const RetirementCalculator = () => {
       totalContribution: acc.totalContribution + row.totalContribution,
       raContribution: acc.raContribution + row.raContribution,
       tfsaContribution: acc.tfsaContribution + row.tfsaContribution,
+      discContribution: acc.discContribution + row.discContribution,
+      discIncomeTax: acc.discIncomeTax + row.discIncomeTax,
+      feesPaid: acc.feesPaid + row.feesPaid,
       raTaxSaving: acc.raTaxSaving + row.raTaxSaving,
+      medicalCredit: acc.medicalCredit + (row.medicalCredit || 0),
+      savingsWithdrawal: acc.savingsWithdrawal + row.savingsWithdrawal,
     }),
     {
       totalContribution: 0,
       raContribution: 0,
       tfsaContribution: 0,
+      discContribution: 0,
+      discIncomeTax: 0,
+      feesPaid: 0,
       raTaxSaving: 0,
+      medicalCredit: 0,
+      savingsWithdrawal: 0,
     }
   );
 
@@ -345,14 +579,47 @@ const RetirementCalculator = () => {
       netDelivered: acc.netDelivered + row.netDelivered,
       grossWithdrawal: acc.grossWithdrawal + row.grossWithdrawal,
       taxPaid: acc.taxPaid + row.taxPaid,
+      medicalCredit: acc.medicalCredit + (row.medicalCredit || 0),
+      annuityIncome: acc.annuityIncome + (row.annuityIncome || 0),
+      otherIncome: acc.otherIncome + (row.otherIncome || 0),
+      grantIncome: acc.grantIncome + (row.grantIncome || 0),
+      taxReconciliation:
+        acc.taxReconciliation + (row.taxReconciliation || 0),
+      capShortfall: acc.capShortfall + row.capShortfall,
+      discWithdrawal: acc.discWithdrawal + row.discWithdrawal,
+      cgtPaid: acc.cgtPaid + row.cgtPaid,
+      discIncomeTax: acc.discIncomeTax + row.discIncomeTax,
+      feesPaid: acc.feesPaid + row.feesPaid,
     }),
     {
       netRequired: 0,
       netDelivered: 0,
       grossWithdrawal: 0,
       taxPaid: 0,
+      medicalCredit: 0,
+      annuityIncome: 0,
+      otherIncome: 0,
+      grantIncome: 0,
+      taxReconciliation: 0,
+      capShortfall: 0,
+      discWithdrawal: 0,
+      cgtPaid: 0,
+      discIncomeTax: 0,
+      feesPaid: 0,
     }
   );
+  const otherIncomeOutputRows = otherIncomeShown
+    ? [
+        {
+          label: "Total other income over the plan",
+          value: formatCurrency(postTotals.otherIncome),
+        },
+        {
+          label: "Total SASSA grant over the plan",
+          value: formatCurrency(postTotals.grantIncome),
+        },
+      ]
+    : [];
 
   const hasExportData =
     (outputs.preTimeline || []).length > 0 ||
@@ -364,30 +631,140 @@ const RetirementCalculator = () => {
     { key: "total", label: "Total capital", formatter: formatCurrency },
     { key: "ra", label: "RA / taxable", formatter: formatCurrency },
     { key: "tfsa", label: "TFSA", formatter: formatCurrency },
+    { key: "disc", label: "Discretionary", formatter: formatCurrency },
+    ...(monteCarlo
+      ? [
+          { key: "p10", label: "P10 capital", formatter: formatCurrency },
+          { key: "p50", label: "P50 capital", formatter: formatCurrency },
+          { key: "p90", label: "P90 capital", formatter: formatCurrency },
+        ]
+      : []),
   ];
 
   const preExportColumns = [
     { key: "age", label: "Age" },
+    { key: "returnRate", label: "Return", formatter: formatPercent },
     { key: "totalContribution", label: "Total contribution", formatter: formatCurrency },
     { key: "raContribution", label: "RA contribution", formatter: formatCurrency },
     { key: "tfsaContribution", label: "TFSA contribution", formatter: formatCurrency },
+    { key: "discContribution", label: "Discretionary contribution", formatter: formatCurrency },
     { key: "raStart", label: "RA start", formatter: formatCurrency },
     { key: "tfsaStart", label: "TFSA start", formatter: formatCurrency },
+    { key: "discStart", label: "Discretionary start", formatter: formatCurrency },
     { key: "raEnd", label: "RA end", formatter: formatCurrency },
     { key: "tfsaEnd", label: "TFSA end", formatter: formatCurrency },
+    { key: "discEnd", label: "Discretionary end", formatter: formatCurrency },
+    { key: "discIncomeTax", label: "Tax on discretionary income", formatter: formatCurrency },
+    { key: "feesPaid", label: "Fees paid", formatter: formatCurrency },
     { key: "raTaxSaving", label: "RA tax saving", formatter: formatCurrency },
+    ...(medicalShown
+      ? [
+          {
+            key: "medicalCredit",
+            label: "Medical tax credits",
+            formatter: formatCurrency,
+          },
+        ]
+      : []),
+    { key: "vestedEnd", label: "Vested component end", formatter: formatCurrency },
+    { key: "savingsEnd", label: "Savings component end", formatter: formatCurrency },
+    { key: "retirementEnd", label: "Retirement component end", formatter: formatCurrency },
+    { key: "savingsWithdrawal", label: "Savings-pot withdrawal", formatter: formatCurrency },
+    { key: "savingsWithdrawalTax", label: "Tax on savings-pot withdrawal", formatter: formatCurrency },
   ];
 
   const postExportColumns = [
     { key: "age", label: "Age" },
+    ...(household
+      ? [
+          { key: "partnerAge", label: "Partner age" },
+          { key: "membersAlive", label: "Members alive" },
+        ]
+      : []),
     { key: "netRequired", label: "Net required", formatter: formatCurrency },
     { key: "netDelivered", label: "Net delivered", formatter: formatCurrency },
     { key: "grossWithdrawal", label: "Gross withdrawal", formatter: formatCurrency },
     { key: "taxPaid", label: "Tax paid", formatter: formatCurrency },
+    ...(monthlyDecumulation
+      ? [
+          { key: "payeWithheld", label: "PAYE withheld", formatter: formatCurrency },
+          {
+            key: "taxReconciliation",
+            label: "Tax due on assessment",
+            formatter: formatCurrency,
+          },
+          {
+            key: "unpaidTax",
+            label: "Tax taken from income",
+            formatter: formatCurrency,
+          },
+        ]
+      : []),
+    ...(medicalShown
+      ? [
+          {
+            key: "medicalCredit",
+            label: "Medical tax credits",
+            formatter: formatCurrency,
+          },
+        ]
+      : []),
+    ...(annuity
+      ? [
+          {
+            key: "annuityIncome",
+            label: "Guaranteed annuity income",
+            formatter: formatCurrency,
+          },
+        ]
+      : []),
+    ...(otherIncomeShown
+      ? [
+          { key: "otherIncome", label: "Other income", formatter: formatCurrency },
+          { key: "grantIncome", label: "SASSA grant", formatter: formatCurrency },
+        ]
+      : []),
+    { key: "raDrawdownRate", label: "RA drawdown %", formatter: formatPercent },
+    { key: "capShortfall", label: "Cap shortfall", formatter: formatCurrency },
+    { key: "surplusReinvested", label: "Surplus reinvested", formatter: formatCurrency },
+    { key: "discWithdrawal", label: "Discretionary sold", formatter: formatCurrency },
+    { key: "cgtPaid", label: "CGT paid", formatter: formatCurrency },
+    { key: "discIncomeTax", label: "Tax on discretionary income", formatter: formatCurrency },
+    { key: "feesPaid", label: "Fees paid", formatter: formatCurrency },
     { key: "raStart", label: "RA start", formatter: formatCurrency },
     { key: "tfsaStart", label: "TFSA start", formatter: formatCurrency },
+    { key: "discStart", label: "Discretionary start", formatter: formatCurrency },
     { key: "raEnd", label: "RA end", formatter: formatCurrency },
     { key: "tfsaEnd", label: "TFSA end", formatter: formatCurrency },
+    { key: "discEnd", label: "Discretionary end", formatter: formatCurrency },
+  ];
+
+  const backtestColumns = [
+    { key: "startYear", label: "Retirement start year" },
+    {
+      key: "success",
+      label: "Lasts to life expectancy",
+      formatter: (value) => (value ? "Yes" : "No"),
+    },
+    { key: "exhaustionAge", label: "Exhaustion age" },
+    { key: "historicalYears", label: "Years of history" },
+    {
+      key: "capitalAtRetirement",
+      label: "Capital at retirement",
+      formatter: formatCurrency,
+    },
+    { key: "endCapital", label: "Capital at end", formatter: formatCurrency },
+  ];
+
+  const strategyColumns = [
+    { key: "strategy", label: "Drawdown order" },
+    { key: "lifetimeTax", label: "Lifetime tax", formatter: formatCurrency },
+    {
+      key: "exhaustionAge",
+      label: "Money runs out at",
+      formatter: (age) => (age >= numericLifeExpectancy ? "Never" : `${age}`),
+    },
+    { key: "endCapital", label: "Capital at end", formatter: formatCurrency },
   ];
 
   const buildExportSections = () => {
@@ -421,13 +798,14 @@ const RetirementCalculator = () => {
       },
       {
         label: "Pre-retirement return",
-        value: formatPercent(Number(preReturn) / 100),
+        value: returnInputLabel(preReturn),
       },
       {
         label: "Post-retirement return",
-        value: formatPercent(Number(postReturn) / 100),
+        value: returnInputLabel(postReturn),
       },
       { label: "Inflation", value: formatPercent(Number(inflation) / 100) },
+      { label: "Amounts shown", value: amountsShownLabel },
       {
         label: "Annual contribution increase",
         value: formatPercent(Number(annualIncrease) / 100),
@@ -452,12 +830,33 @@ const RetirementCalculator = () => {
       },
       {
         label: "Depletion order",
-        value: depleteOrder === "TFSA_FIRST" ? "TFSA first" : "RA first",
+        value: depleteOrderLabel(depleteOrder, outputs.bracketCeiling),
       },
+      ...(depleteOrder === "BRACKET_FILL"
+        ? [
+            {
+              label: "Bracket-fill ceiling",
+              value: optimiseBracketCeiling
+                ? "Chosen to minimise lifetime tax"
+                : formatCurrency(Number(bracketCeiling || 0)),
+            },
+          ]
+        : []),
       {
         label: "Tax mode",
         value: taxMode === "SARS" ? "SARS brackets" : "Flat rate",
       },
+      { label: "Tax year tables", value: outputs.taxTableLabel },
+      {
+        label: "Medical scheme fees / dependants",
+        value: `${formatCurrency(
+          sanitizedNumbers.medicalSchemeMonthly
+        )} p.m. / ${sanitizedNumbers.medicalDependants}`,
+      },
+      {
+        label: "Out-of-pocket medical costs (p.a.)",
+        value: formatCurrency(sanitizedNumbers.medicalOutOfPocket),
+      },
       {
         label: "Flat tax rate",
         value: formatPercent(Number(flatTaxRate) / 100),
@@ -470,13 +869,165 @@ const RetirementCalculator = () => {
         label: "Tax realism",
         value: taxRealism ? "Yes" : "No",
       },
+      {
+        label: "Living annuity limits (2.5%–17.5%)",
+        value: livingAnnuityLimits ? "Yes" : "No",
+      },
+      {
+        label: "Decumulation step",
+        value: monthlyDecumulation
+          ? "Monthly (PAYE with annual reconciliation)"
+          : "Annual",
+      },
+      {
+        label: "Forced minimum reinvested into",
+        value: laSurplusTarget === "TFSA" ? "TFSA" : "Discretionary",
+      },
+      {
+        label: "Two-pot system",
+        value: twoPot ? "Yes" : "No",
+      },
+      {
+        label: "Apply two-pot seed capital",
+        value: twoPot && twoPotSeedCapital ? "Yes" : "No",
+      },
+      {
+        label: "Annual savings-pot withdrawal",
+        value: twoPot
+          ? formatCurrency(Number(savingsWithdrawalAnnual || 0))
+          : "N/A (two-pot disabled)",
+      },
+      {
+        label: "Discretionary interest yield",
+        value: formatPercent(Number(discInterestYield) / 100),
+      },
+      {
+        label: "Discretionary dividend yield",
+        value: formatPercent(Number(discDividendYield) / 100),
+      },
+      { label: "Fund TER", value: formatPercent(Number(fundTer) / 100) },
+      { label: "Advice fee", value: formatPercent(Number(adviceFee) / 100) },
+      {
+        label: "Platform fee (tiered)",
+        value: platformFeeLabel,
+      },
+      {
+        label: "Lump sum commuted at retirement",
+        value: formatPercent(Number(lumpSumPct) / 100),
+      },
+      {
+        label: "Prior retirement lump sums",
+        value: formatCurrency(Number(priorLumpSums || 0)),
+      },
+      {
+        label: "Lump sum net cash used for",
+        value: lumpSumDestinationLabel,
+      },
+      { label: "Guaranteed annuity", value: annuityPurchaseLabel },
+      { label: "Other income streams", value: incomeStreamsLabel },
+      {
+        label: "SASSA older persons grant",
+        value: sassaGrant ? "Claimed (means-tested)" : "Not claimed",
+      },
+      {
+        label: "Return model",
+        value: returnMode === "STOCHASTIC" ? "Monte Carlo" : "Deterministic",
+      },
+      {
+        label: "Glide path",
+        value: glidePathLabel,
+      },
+      ...(householdMode
+        ? [
+            {
+              label: "Partner age / life expectancy",
+              value: `${values.partnerCurrentAge} / ${values.partnerLifeExpectancy}`,
+            },
+            {
+              label: "Partner gross income",
+              value: formatCurrency(sanitizedNumbers.partnerGrossIncome),
+            },
+            {
+              label: "Partner RA capital",
+              value: formatCurrency(sanitizedNumbers.partnerInitialCapital),
+            },
+            {
+              label: "Partner TFSA balance / contribution",
+              value: `${formatCurrency(
+                sanitizedNumbers.partnerInitialTfsaBalance
+              )} / ${formatCurrency(sanitizedNumbers.partnerTfsaMonthly)} pm`,
+            },
+            {
+              label: "Household RA funding",
+              value:
+                raFunding === "MEMBER"
+                  ? "My RA"
+                  : raFunding === "PARTNER"
+                    ? "Partner's RA"
+                    : "Higher marginal rate first",
+            },
+            {
+              label: "Survivor income target",
+              value: formatPercent(Number(survivorIncomePct) / 100),
+            },
+          ]
+        : []),
+      ...(outputs.allocation
+        ? [
+            ...ALLOCATION_POTS.map((pot) => ({
+              label: `${pot.label} allocation`,
+              value: allocationLabel(pot.key),
+            })),
+            {
+              label: "Regulation 28 (RA)",
+              value: warnings.raAllocation || "Compliant",
+            },
+          ]
+        : []),
+      {
+        label: "Solve for",
+        value: goalSeekOption.label,
+      },
+      ...(goalSeek
+        ? [
+            {
+              label: "Fixed monthly contribution",
+              value: formatCurrency(goalSeek.fixedContribution),
+            },
+          ]
+        : []),
+      ...(historicalBacktest
+        ? [
+            {
+              label: "Back-test allocation (equity / bonds / cash)",
+              value: backtestAllocationLabel,
+            },
+          ]
+        : []),
+      ...(returnMode === "STOCHASTIC"
+        ? [
+            {
+              label: "Return volatility",
+              value: formatPercent(Number(returnVolatility) / 100),
+            },
+            { label: "Simulations", value: Number(mcSimulations) },
+            { label: "Random seed", value: Number(mcSeed) },
+            {
+              label: "Target success probability",
+              value: formatPercent(Number(targetSuccessRate) / 100),
+            },
+          ]
+        : []),
     ];
 
     const outputRows = [
       {
-        label: "Required monthly contribution",
+        label: goalSeek
+          ? "Monthly contribution (fixed)"
+          : "Required monthly contribution",
         value: formatCurrency(outputs.requiredMonthlyContribution),
       },
+      ...(goalSeek ? [{ label: goalSeekOption.label, value: goalSeekResult }] : []),
       {
         label: "Target net in year 1 (future, per month)",
         value: formatCurrency(outputs.targetNetMonthlyAtRet),
@@ -493,13 +1044,97 @@ const RetirementCalculator = () => {
         label: "Projected capital – TFSA",
         value: formatCurrency(outputs.tfsaCapitalAtRet),
       },
+      {
+        label: "Projected capital – discretionary",
+        value: formatCurrency(outputs.discretionaryCapitalAtRet),
+      },
+      {
+        label: "Discretionary base cost at retirement",
+        value: formatCurrency(outputs.discretionaryBaseCostAtRet),
+      },
       {
         label: "Present value of required capital",
         value: formatCurrency(outputs.presentValueRequiredCapital),
       },
+      ...(household
+        ? [
+            {
+              label: "Your capital at retirement",
+              value: formatCurrency(household.memberCapitalAtRet),
+            },
+            {
+              label: "Partner's capital at retirement",
+              value: formatCurrency(household.partnerCapitalAtRet),
+            },
+            {
+              label: "RA contributions (you / partner, per month)",
+              value: raSplitLabel,
+            },
+            {
+              label: `Survivor from your age ${household.firstDeathAge}`,
+              value: survivorLabel,
+            },
+          ]
+        : []),
+      ...(twoPot
+        ? [
+            {
+              label: "Vested component at retirement",
+              value: formatCurrency(outputs.vestedCapitalAtRet),
+            },
+            {
+              label: "Savings component at retirement",
+              value: formatCurrency(outputs.savingsCapitalAtRet),
+            },
+            {
+              label: "Retirement component at retirement",
+              value: formatCurrency(outputs.retirementCapitalAtRet),
+            },
+          ]
+        : []),
+      ...(savingsWithdrawalImpact
+        ? [
+            {
+              label: "Savings-pot withdrawals (total / tax)",
+              value: `${formatCurrency(
+                savingsWithdrawalImpact.totalWithdrawn
+              )} / ${formatCurrency(savingsWithdrawalImpact.totalTax)}`,
+            },
+            {
+              label: "Capital at retirement lost to withdrawals",
+              value: formatCurrency(savingsWithdrawalImpact.capitalReduction),
+            },
+            {
+              label: "Extra monthly contribution due to withdrawals",
+              value: formatCurrency(
+                savingsWithdrawalImpact.contributionIncrease
+              ),
+            },
+          ]
+        : []),
+      {
+        label: "Retirement lump sum – gross",
+        value: formatCurrency(outputs.lumpSumGross),
+      },
+      {
+        label: "Retirement lump sum – tax",
+        value: formatCurrency(outputs.lumpSumTax),
+      },
+      {
+        label: "Retirement lump sum – net to TFSA",
+        value: formatCurrency(outputs.lumpSumToTfsa),
+      },
+      {
+        label: "Retirement lump sum – net to discretionary",
+        value: formatCurrency(outputs.lumpSumToDiscretionary),
+      },
+      {
+        label: "Retirement lump sum – net to debt repayment",
+        value: formatCurrency(outputs.lumpSumToDebt),
+      },
       {
         label: "Capital exhaustion age",
-        value: outputs.exhaustionAge,
+        value: exhaustionLabel,
       },
       {
         label: "Year-1 drawdown % of capital",
@@ -509,6 +1144,13 @@ const RetirementCalculator = () => {
         label: "Effective tax rate on year-1 drawdown",
         value: formatPercent(outputs.year1EffectiveTaxRate),
       },
+      ...annuityOutputRows,
+      ...otherIncomeOutputRows,
+      {
+        label: "Years with drawdown capped at 17.5%",
+        value: outputs.drawdownCapYears,
+      },
+      { label: "Income short of target from age", value: shortfallLabel },
       {
         label: "Total contributions until retirement",
         value: formatCurrency(outputs.totalContributionsAtRetirement),
@@ -517,6 +1159,18 @@ const RetirementCalculator = () => {
         label: "Total RA tax saving until retirement",
         value: formatCurrency(outputs.totalTaxSavingsAtRetirement),
       },
+      {
+        label: "Total CGT on discretionary withdrawals",
+        value: formatCurrency(outputs.totalCgtPaid),
+      },
+      {
+        label: "Total tax on discretionary income",
+        value: formatCurrency(outputs.totalDiscIncomeTax),
+      },
+      {
+        label: "Total fees paid over the plan",
+        value: formatCurrency(outputs.totalFeesPaid),
+      },
       {
         label: "Effective tax rate now",
         value: formatPercent(outputs.effectiveTaxRateNow),
@@ -529,6 +1183,41 @@ const RetirementCalculator = () => {
         label: "RA tax saving on contribution",
         value: formatCurrency(outputs.taxSaving),
       },
+      ...(monteCarlo
+        ? [
+            {
+              label: "Probability of success",
+              value: formatPercent(monteCarlo.successProbability),
+            },
+            {
+              label: "Capital at retirement – P10",
+              value: formatCurrency(monteCarlo.capitalAtRetirement.p10),
+            },
+            {
+              label: "Capital at retirement – P50",
+              value: formatCurrency(monteCarlo.capitalAtRetirement.p50),
+            },
+            {
+              label: "Capital at retirement – P90",
+              value: formatCurrency(monteCarlo.capitalAtRetirement.p90),
+            },
+          ]
+        : []),
+      ...(backtest
+        ? [
+            {
+              label: `Historical success rate (${backtest.windows} start years)`,
+              value: formatPercent(backtest.successRate),
+            },
+            { label: "Worst historical start", value: backtestLabel(backtest.worst) },
+            { label: "Median historical start", value: backtestLabel(backtest.median) },
+            { label: "Best historical start", value: backtestLabel(backtest.best) },
+            { label: "Back-test data", value: HISTORICAL_DATA_CAVEAT },
+          ]
+        : []),
+      ...(backtestPartialNote
+        ? [{ label: "Back-test coverage", value: backtestPartialNote }]
+        : []),
     ];
 
     const capitalRows = (outputs.capitalTrajectory || []).map((row) => ({
@@ -536,32 +1225,74 @@ const RetirementCalculator = () => {
       total: row.total,
       ra: row.ra,
       tfsa: row.tfsa,
+      disc: row.disc,
+      p10: row.p10,
+      p50: row.p50,
+      p90: row.p90,
     }));
 
     const preRows = (outputs.preTimeline || []).map((row) => ({
       age: row.age,
+      returnRate: row.returnRate,
       totalContribution: row.totalContribution,
       raContribution: row.raContribution,
       tfsaContribution: row.tfsaContribution,
+      discContribution: row.discContribution,
       raStart: row.raStart,
       tfsaStart: row.tfsaStart,
+      discStart: row.discStart,
       raEnd: row.raEnd,
       tfsaEnd: row.tfsaEnd,
+      discEnd: row.discEnd,
+      discIncomeTax: row.discIncomeTax,
+      feesPaid: row.feesPaid,
       raTaxSaving: row.raTaxSaving,
+      medicalCredit: row.medicalCredit,
+      vestedEnd: row.vestedEnd,
+      savingsEnd: row.savingsEnd,
+      retirementEnd: row.retirementEnd,
+      savingsWithdrawal: row.savingsWithdrawal,
+      savingsWithdrawalTax: row.savingsWithdrawalTax,
     }));
 
     const postRows = (outputs.postTimeline || []).map((row) => ({
       age: row.age,
+      partnerAge: row.partnerAge,
+      membersAlive: row.membersAlive,
       netRequired: row.netRequired,
       netDelivered: row.netDelivered,
       grossWithdrawal: row.grossWithdrawal,
       taxPaid: row.taxPaid,
+      payeWithheld: row.payeWithheld,
+      taxReconciliation: row.taxReconciliation,
+      unpaidTax: row.unpaidTax,
+      medicalCredit: row.medicalCredit,
+      annuityIncome: row.annuityIncome,
+      otherIncome: row.otherIncome,
+      grantIncome: row.grantIncome,
+      raDrawdownRate: row.raDrawdownRate,
+      capShortfall: row.capShortfall,
+      surplusReinvested: row.surplusReinvested,
+      discWithdrawal: row.discWithdrawal,
+      cgtPaid: row.cgtPaid,
+      discIncomeTax: row.discIncomeTax,
+      feesPaid: row.feesPaid,
       raStart: row.raStart,
       tfsaStart: row.tfsaStart,
+      discStart: row.discStart,
       raEnd: row.raEnd,
       tfsaEnd: row.tfsaEnd,
+      discEnd: row.discEnd,
     }));
 
+    // e.g. "Net required (today's money)"
+    const withBasis = (columns) =>
+      columns.map((col) =>
+        col.formatter === formatCurrency
+          ? { ...col, label: `${col.label} (${basisLabel})` }
+          : col
+      );
+
     return [
       {
         title: "Inputs",
@@ -575,17 +1306,51 @@ const RetirementCalculator = () => {
         title: "Key outputs",
         columns: [
           { key: "label", label: "Metric" },
-          { key: "value", label: "Value" },
+          { key: "value", label: `Value (${basisLabel})` },
         ],
         rows: outputRows,
       },
       {
         title: "Capital trajectory",
-        columns: capitalChartColumns,
+        columns: withBasis(capitalChartColumns),
         rows: capitalRows,
       },
-      { title: "Pre-retirement timeline", columns: preExportColumns, rows: preRows },
-      { title: "Post-retirement timeline", columns: postExportColumns, rows: postRows },
+      {
+        title: "Pre-retirement timeline",
+        columns: withBasis(preExportColumns),
+        rows: preRows,
+      },
+      {
+        title: "Post-retirement timeline",
+        columns: withBasis(postExportColumns),
+        rows: postRows,
+      },
+      ...(scenarios.length > 0
+        ? [
+            {
+              title: "Scenario comparison",
+              columns: withBasis(scenarioComparisonColumns),
+              rows: comparisonRows.map((row) => ({
+                ...row,
+                name: row.isBaseline ? `${row.name} (baseline)` : row.name,
+              })),
+            },
+          ]
+        : []),
+      {
+        title: "Drawdown strategies",
+        columns: withBasis(strategyColumns),
+        rows: strategyRows,
+      },
+      ...(backtest
+        ? [
+            {
+              title: "Historical back-test",
+              columns: withBasis(backtestColumns),
+              rows: backtest.runs,
+            },
+          ]
+        : []),
     ];
   };
 
@@ -665,6 +1430,15 @@ const RetirementCalculator = () => {
     const sections = buildExportSections();
     const preSection = sections[3];
     const postSection = sections[4];
+    const comparisonSection = sections.find(
+      (section) => section.title === "Scenario comparison"
+    );
+    const backtestSection = sections.find(
+      (section) => section.title === "Historical back-test"
+    );
+    const strategySection = sections.find(
+      (section) => section.title === "Drawdown strategies"
+    );
 
     const groupedInputs = [
       {
@@ -709,13 +1483,14 @@ const RetirementCalculator = () => {
           },
           {
             label: "Pre-retirement return",
-            value: formatPercent(Number(sanitizedNumbers.preReturn) / 100),
+            value: returnInputLabel(sanitizedNumbers.preReturn),
           },
           {
             label: "Post-retirement return",
-            value: formatPercent(Number(sanitizedNumbers.postReturn) / 100),
+            value: returnInputLabel(sanitizedNumbers.postReturn),
           },
           { label: "Inflation", value: formatPercent(Number(sanitizedNumbers.inflation) / 100) },
+          { label: "Amounts shown", value: amountsShownLabel },
         ],
       },
       {
@@ -734,17 +1509,97 @@ const RetirementCalculator = () => {
           },
           {
             label: "Depletion order",
-            value: values.depleteOrder === "TFSA_FIRST" ? "TFSA first" : "RA first",
+            value: depleteOrderLabel(values.depleteOrder, outputs.bracketCeiling),
+          },
+          { label: "Guaranteed annuity", value: annuityPurchaseLabel },
+          { label: "Other income streams", value: incomeStreamsLabel },
+          {
+            label: "SASSA older persons grant",
+            value: values.sassaGrant ? "Claimed (means-tested)" : "Not claimed",
+          },
+          {
+            label: "Discretionary yield (interest / dividends)",
+            value: `${formatPercent(
+              sanitizedNumbers.discInterestYield / 100
+            )} / ${formatPercent(sanitizedNumbers.discDividendYield / 100)}`,
+          },
+          {
+            label: "Fees (TER / advice)",
+            value: `${formatPercent(
+              sanitizedNumbers.fundTer / 100
+            )} / ${formatPercent(sanitizedNumbers.adviceFee / 100)}`,
           },
+          { label: "Platform fee (tiered)", value: platformFeeLabel },
         ],
       },
       {
         title: "Tax & drawdown settings",
         rows: [
           { label: "Tax mode", value: values.taxMode === "SARS" ? "SARS brackets" : "Flat rate" },
+          { label: "Tax year tables", value: outputs.taxTableLabel },
+          {
+            label: "Medical scheme fees / dependants",
+            value: `${formatCurrency(
+              sanitizedNumbers.medicalSchemeMonthly
+            )} p.m. / ${sanitizedNumbers.medicalDependants}`,
+          },
+          {
+            label: "Out-of-pocket medical costs (p.a.)",
+            value: formatCurrency(sanitizedNumbers.medicalOutOfPocket),
+          },
           { label: "Flat tax rate", value: formatPercent(Number(sanitizedNumbers.flatTaxRate) / 100) },
           { label: "Reinvest RA tax saving", value: reinvestRaTaxSaving ? "Yes" : "No" },
           { label: "Tax realism", value: taxRealism ? "Yes" : "No" },
+          {
+            label: "Two-pot system",
+            value: twoPot
+              ? `Yes${twoPotSeedCapital ? " (seed capital applied)" : ""}`
+              : "No",
+          },
+          {
+            label: "Savings-pot withdrawal p.a.",
+            value: twoPot
+              ? formatCurrency(sanitizedNumbers.savingsWithdrawalAnnual)
+              : "Two-pot disabled",
+          },
+          {
+            label: "Lump sum at retirement",
+            value:
+              sanitizedNumbers.lumpSumPct > 0
+                ? `${formatPercent(sanitizedNumbers.lumpSumPct / 100)} to ${lumpSumDestinationLabel}`
+                : "None",
+          },
+          {
+            label: "Prior lump sums",
+            value: formatCurrency(sanitizedNumbers.priorLumpSums),
+          },
+          {
+            label: "Living annuity limits",
+            value: livingAnnuityLimits
+              ? `2.5%–17.5%, surplus to ${
+                  laSurplusTarget === "TFSA" ? "TFSA" : "discretionary"
+                }`
+              : "Not applied",
+          },
+          {
+            label: "Decumulation step",
+            value: monthlyDecumulation ? "Monthly" : "Annual",
+          },
+          {
+            label: "Return model",
+            value:
+              values.returnMode === "STOCHASTIC"
+                ? `Monte Carlo (${sanitizedNumbers.mcSimulations} paths, ${formatPercent(
+                    sanitizedNumbers.returnVolatility / 100
+                  )} volatility)`
+                : "Deterministic",
+          },
+          ...(outputs.allocation
+            ? ALLOCATION_POTS.map((pot) => ({
+                label: `${pot.label} allocation`,
+                value: allocationLabel(pot.key),
+              }))
+            : []),
         ],
       },
     ];
@@ -809,9 +1664,12 @@ const RetirementCalculator = () => {
 
     const nowActions = [
       {
-        label: "Required monthly contribution",
+        label: goalSeek
+          ? "Monthly contribution (fixed)"
+          : "Required monthly contribution",
         value: formatCurrency(outputs.requiredMonthlyContribution),
       },
+      ...(goalSeek ? [{ label: goalSeekOption.label, value: goalSeekResult }] : []),
       { label: "Max RA contribution p.a.", value: formatCurrency(outputs.maxRaContrib) },
       { label: "RA tax saving on contribution", value: formatCurrency(outputs.taxSaving) },
       { label: "Effective tax rate now", value: formatPercent(outputs.effectiveTaxRateNow) },
@@ -825,6 +1683,30 @@ const RetirementCalculator = () => {
       { label: "Total capital", value: formatCurrency(outputs.totalCapitalAtRet) },
       { label: "Taxable capital", value: formatCurrency(outputs.taxableCapitalAtRet) },
       { label: "TFSA capital", value: formatCurrency(outputs.tfsaCapitalAtRet) },
+      {
+        label: "Discretionary capital",
+        value: formatCurrency(outputs.discretionaryCapitalAtRet),
+      },
+      ...(twoPot
+        ? [
+            { label: "Vested component", value: formatCurrency(outputs.vestedCapitalAtRet) },
+            { label: "Savings component", value: formatCurrency(outputs.savingsCapitalAtRet) },
+            {
+              label: "Retirement component",
+              value: formatCurrency(outputs.retirementCapitalAtRet),
+            },
+          ]
+        : []),
+      ...(outputs.lumpSumGross > 0
+        ? [
+            { label: "Lump sum (gross)", value: formatCurrency(outputs.lumpSumGross) },
+            { label: "Lump sum tax", value: formatCurrency(outputs.lumpSumTax) },
+            {
+              label: `Net lump sum – ${lumpSumDestinationLabel}`,
+              value: formatCurrency(outputs.lumpSumNet),
+            },
+          ]
+        : []),
     ];
 
     const capitalMeta = [
@@ -840,7 +1722,49 @@ const RetirementCalculator = () => {
         label: "Effective tax rate on year-1 drawdown",
         value: formatPercent(outputs.year1EffectiveTaxRate),
       },
-      { label: "Capital exhaustion age", value: outputs.exhaustionAge },
+      ...annuityOutputRows,
+      ...otherIncomeOutputRows,
+      { label: "Capital exhaustion age", value: exhaustionLabel },
+      {
+        label: "Years with drawdown capped at 17.5%",
+        value: outputs.drawdownCapYears,
+      },
+      { label: "Income short of target from age", value: shortfallLabel },
+      {
+        label: "Total fees paid over the plan",
+        value: formatCurrency(outputs.totalFeesPaid),
+      },
+      ...(backtest
+        ? [
+            {
+              label: `Historical success rate (${backtest.windows} start years, ${backtest.firstYear}–${backtest.lastYear})`,
+              value: formatPercent(backtest.successRate),
+            },
+            { label: "Worst historical start", value: backtestLabel(backtest.worst) },
+            { label: "Back-test data", value: HISTORICAL_DATA_CAVEAT },
+          ]
+        : []),
+      ...(backtestPartialNote
+        ? [{ label: "Back-test coverage", value: backtestPartialNote }]
+        : []),
+      ...(monteCarlo
+        ? [
+            {
+              label: "Probability of success",
+              value: formatPercent(monteCarlo.successProbability),
+            },
+            {
+              label: "Capital at retirement P10 / P50 / P90",
+              value: [
+                monteCarlo.capitalAtRetirement.p10,
+                monteCarlo.capitalAtRetirement.p50,
+                monteCarlo.capitalAtRetirement.p90,
+              ]
+                .map(formatCurrency)
+                .join(" / "),
+            },
+          ]
+        : []),
     ];
 
     const taxBenefit = [
@@ -852,6 +1776,21 @@ const RetirementCalculator = () => {
         label: "Total contributions until retirement",
         value: formatCurrency(outputs.totalContributionsAtRetirement),
       },
+      ...(savingsWithdrawalImpact
+        ? [
+            {
+              label: "Savings-pot withdrawals (after tax)",
+              value: formatCurrency(
+                savingsWithdrawalImpact.totalWithdrawn -
+                  savingsWithdrawalImpact.totalTax
+              ),
+            },
+            {
+              label: "Extra monthly contribution due to withdrawals",
+              value: formatCurrency(savingsWithdrawalImpact.contributionIncrease),
+            },
+          ]
+        : []),
     ];
 
     const chartBlock = chartDataUrl
@@ -953,6 +1892,13 @@ const RetirementCalculator = () => {
             <section class="page">
               ${renderTableSection(postSection)}
             </section>
+            ${[strategySection, comparisonSection, backtestSection]
+              .filter(Boolean)
+              .map(
+                (section) =>
+                  `<section class="page">${renderTableSection(section)}</section>`
+              )
+              .join("")}
           </div>
         </body>
       </html>
@@ -1016,7 +1962,7 @@ const RetirementCalculator = () => {
     return (
       <ResponsiveContainer width="100%" height="100%">
         <LineChart
-          data={outputs.capitalTrajectory}
+          data={chartData}
           margin={{
             top: 20,
             right: 24,
@@ -1040,7 +1986,7 @@ const RetirementCalculator = () => {
             tick={{ fill: "#ffffff" }}
             tickFormatter={(v) => `R ${(v / 1_000_000).toFixed(1)}m`}
             label={{
-              value: "Capital (R millions)",
+              value: `Capital (R millions, ${basisLabel})`,
               angle: -90,
               position: "insideLeft",
               fill: "#ffffff",
@@ -1109,67 +2055,314 @@ const RetirementCalculator = () => {
             strokeWidth={2}
             strokeDasharray="5 5"
           />
+          <Line
+            type="monotone"
+            dataKey="disc"
+            name="Discretionary"
+            dot={false}
+            stroke="#d8c4ff"
+            strokeWidth={2}
+            strokeDasharray="1 3"
+          />
+          {monteCarlo && (
+            <Line
+              type="monotone"
+              dataKey="p90"
+              name="P90 capital"
+              dot={false}
+              stroke="#9ad0b0"
+              strokeWidth={1}
+              strokeDasharray="2 4"
+            />
+          )}
+          {monteCarlo && (
+            <Line
+              type="monotone"
+              dataKey="p50"
+              name="P50 capital"
+              dot={false}
+              stroke="#ffe9a8"
+              strokeWidth={1.5}
+            />
+          )}
+          {monteCarlo && (
+            <Line
+              type="monotone"
+              dataKey="p10"
+              name="P10 capital"
+              dot={false}
+              stroke="#ffb3b3"
+              strokeWidth={1}
+              strokeDasharray="2 4"
+            />
+          )}
+          {savedScenarioEntries.map((scenario, i) => (
+            <Line
+              key={scenario.id}
+              type="monotone"
+              dataKey={scenarioSeriesKey(scenario.id)}
+              name={scenario.name}
+              dot={false}
+              stroke={scenarioColours[i % scenarioColours.length]}
+              strokeWidth={1.5}
+              strokeDasharray="6 3"
+            />
+          ))}
         </LineChart>
       </ResponsiveContainer>
     );
   };
 
-  const handleExport = (format) => {
-    if (!hasExportData) return;
-    if (format === "pdf") {
-      exportPdf();
-    } else if (format === "csv") {
-      exportCsv();
-    } else if (format === "excel") {
-      exportExcel();
+  const copyShareLink = async () => {
+    const url = buildShareUrl(values);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      // Clipboard access can be refused; let the user copy it by hand.
+      window.prompt("Copy this link", url);
     }
   };
 
-  return (
-    <div className={pageClasses}>
-      <div className="mx-auto max-w-6xl space-y-6">
-        <header className="flex flex-col gap-3 border-b border-[#003c32] pb-4">
-          <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
-            <div className="flex flex-col gap-1">
-              <h1 className={headerTitleClasses}>
-                Revo Capital - RA Maximisation
-              </h1>
-              <p className="text-xs font-semibold text-[#003c32]">
-                Export projections to share PDF, CSV, or Excel snapshots.
-              </p>
-            </div>
-            <div className="flex flex-col items-start gap-2 sm:flex-row sm:items-center sm:gap-3">
-              <div className="flex items-center gap-2">
-                <label className="text-xs font-semibold text-[#003c32]">
-                  Export as
-                </label>
-                <select
-                  value={exportFormat}
-                  onChange={(e) => setExportFormat(e.target.value)}
-                  className="rounded-full border border-[#003c32] bg-white px-3 py-2 text-xs font-semibold text-[#003c32] shadow-sm outline-none focus:ring-2 focus:ring-[#9ad0b0]"
-                >
-                  <option value="pdf">PDF</option>
-                  <option value="csv">CSV</option>
-                  <option value="excel">Excel</option>
-                </select>
-                <button
-                  type="button"
-                  onClick={() => handleExport(exportFormat)}
-                  disabled={!hasExportData}
-                  className="rounded-full bg-[#003c32] px-4 py-2 text-xs font-semibold text-white shadow-sm transition-colors hover:bg-[#005043] disabled:cursor-not-allowed disabled:bg-[#6a837c]"
-                >
-                  Export
-                </button>
-              </div>
-              <button
-                type="button"
+  const renderBacktestChart = () => {
+    const highlighted = [
+      { run: backtest.worst, label: "Worst", stroke: "#ffb3b3" },
+      { run: backtest.median, label: "Median", stroke: "#ffe9a8" },
+      { run: backtest.best, label: "Best", stroke: "#9ad0b0" },
+    ];
+    const highlightedYears = highlighted.map(({ run }) => run.startYear);
+    return (
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart
+          data={backtest.paths}
+          margin={{ top: 20, right: 24, left: 60, bottom: 24 }}
+        >
+          <XAxis
+            dataKey="age"
+            stroke="#ffffff"
+            tick={{ fill: "#ffffff" }}
+          />
+          <YAxis
+            stroke="#ffffff"
+            tick={{ fill: "#ffffff" }}
+            tickFormatter={(v) => `R ${(v / 1_000_000).toFixed(1)}m`}
+            label={{
+              value: `Capital (R millions, ${basisLabel})`,
+              angle: -90,
+              position: "insideLeft",
+              fill: "#ffffff",
+              dx: -30,
+            }}
+          />
+          <Tooltip
+            formatter={(value) => formatCurrency(value)}
+            labelFormatter={(label) => `Age ${label}`}
+            contentStyle={{
+              backgroundColor: "#003c32",
+              border: "1px solid #bedcbe",
+              color: "#ffffff",
+            }}
+          />
+          <Legend wrapperStyle={{ color: "#ffffff" }} />
+          <ReferenceLine
+            x={outputs.retirementAgeNumeric}
+            stroke="#ffffff"
+            strokeDasharray="4 2"
+          />
+          {backtest.runs
+            .filter((run) => !highlightedYears.includes(run.startYear))
+            .map((run) => (
+              <Line
+                key={run.startYear}
+                type="monotone"
+                dataKey={`y${run.startYear}`}
+                dot={false}
+                stroke="#6a837c"
+                strokeWidth={1}
+                strokeOpacity={0.5}
+                isAnimationActive={false}
+                legendType="none"
+                tooltipType="none"
+              />
+            ))}
+          {highlighted.map(({ run, label, stroke }) => (
+            <Line
+              key={label}
+              type="monotone"
+              dataKey={`y${run.startYear}`}
+              name={`${label} (${run.startYear})`}
+              dot={false}
+              stroke={stroke}
+              strokeWidth={2}
+              isAnimationActive={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    );
+  };
+
+  const sensitivityUnit = (unit) => (unit === "pp" ? "pp" : "yrs");
+  // e.g. "+1 pp" or "−2 yrs"
+  const formatSensitivityStep = (offset, unit) => {
+    if (offset === 0) return "As entered";
+    const sign = offset > 0 ? "+" : "−";
+    return `${sign}${Math.abs(offset)} ${sensitivityUnit(unit)}`;
+  };
+
+  const renderSensitivityChart = () => {
+    const chartData = sensitivity.tornado.map((bar) => ({
+      label: `${bar.label} (±${bar.step} ${sensitivityUnit(bar.unit)})`,
+      lowChange: bar.lowChange,
+      highChange: bar.highChange,
+    }));
+    return (
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart
+          data={chartData}
+          layout="vertical"
+          stackOffset="sign"
+          margin={{ top: 20, right: 24, left: 24, bottom: 24 }}
+        >
+          <XAxis
+            type="number"
+            stroke="#ffffff"
+            tick={{ fill: "#ffffff" }}
+            tickFormatter={(v) => `R ${(v / 1_000).toFixed(1)}k`}
+            label={{
+              value: "Change in required monthly contribution",
+              position: "insideBottom",
+              offset: -10,
+              fill: "#ffffff",
+            }}
+          />
+          <YAxis
+            type="category"
+            dataKey="label"
+            width={200}
+            stroke="#ffffff"
+            tick={{ fill: "#ffffff", fontSize: 11 }}
+          />
+          <Tooltip
+            formatter={(value) => formatCurrency(value)}
+            contentStyle={{
+              backgroundColor: "#003c32",
+              border: "1px solid #bedcbe",
+              color: "#ffffff",
+            }}
+          />
+          <Legend
+            verticalAlign="top"
+            wrapperStyle={{
+              color: "#ffffff",
+            }}
+          />
+          <ReferenceLine x={0} stroke="#ffffff" />
+          <Bar
+            dataKey="lowChange"
+            name="Input down a step"
+            stackId="swing"
+            fill="#9ad0b0"
+            isAnimationActive={false}
+          />
+          <Bar
+            dataKey="highChange"
+            name="Input up a step"
+            stackId="swing"
+            fill="#ffb3b3"
+            isAnimationActive={false}
+          />
+        </BarChart>
+      </ResponsiveContainer>
+    );
+  };
+
+  const handleExport = (format) => {
+    if (!hasExportData) return;
+    if (format === "pdf") {
+      exportPdf();
+    } else if (format === "csv") {
+      exportCsv();
+    } else if (format === "excel") {
+      exportExcel();
+    }
+  };
+
+  return (
+    <div className={pageClasses}>
+      <div className="mx-auto max-w-6xl space-y-6">
+        <header className="flex flex-col gap-3 border-b border-[#003c32] pb-4">
+          <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+            <div className="flex flex-col gap-1">
+              <h1 className={headerTitleClasses}>
+                Revo Capital - RA Maximisation
+              </h1>
+              <p className="text-xs font-semibold text-[#003c32]">
+                Export projections to share PDF, CSV, or Excel snapshots.
+              </p>
+            </div>
+            <div className="flex flex-col items-start gap-2 sm:flex-row sm:items-center sm:gap-3">
+              <div className="flex items-center gap-2">
+                <label className="text-xs font-semibold text-[#003c32]">
+                  Export as
+                </label>
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="rounded-full border border-[#003c32] bg-white px-3 py-2 text-xs font-semibold text-[#003c32] shadow-sm outline-none focus:ring-2 focus:ring-[#9ad0b0]"
+                >
+                  <option value="pdf">PDF</option>
+                  <option value="csv">CSV</option>
+                  <option value="excel">Excel</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={() => handleExport(exportFormat)}
+                  disabled={!hasExportData}
+                  className="rounded-full bg-[#003c32] px-4 py-2 text-xs font-semibold text-white shadow-sm transition-colors hover:bg-[#005043] disabled:cursor-not-allowed disabled:bg-[#6a837c]"
+                >
+                  Export
+                </button>
+                <button
+                  type="button"
+                  onClick={copyShareLink}
+                  className="rounded-full border border-[#003c32] bg-white px-4 py-2 text-xs font-semibold text-[#003c32] shadow-sm transition-colors hover:bg-[#e0f0e5]"
+                >
+                  {linkCopied ? "Link copied" : "Copy link"}
+                </button>
+              </div>
+              <button
+                type="button"
                 onClick={reset}
                 className="text-xs font-semibold text-[#003c32] underline"
               >
                 Reset to defaults
               </button>
+              <button
+                type="button"
+                onClick={clearSavedData}
+                title="Forget the inputs and scenarios saved in this browser"
+                className="text-xs font-semibold text-[#003c32] underline"
+              >
+                Clear saved data
+              </button>
             </div>
           </div>
+          {sharedLink && (
+            <p
+              className={`text-xs font-semibold ${
+                sharedLink.error || Object.keys(errors).length > 0
+                  ? "text-[#c0392b]"
+                  : "text-[#003c32]"
+              }`}
+            >
+              {sharedLink.error ||
+                (Object.keys(errors).length > 0
+                  ? "Inputs loaded from a shared link. Some need attention – see the highlighted fields."
+                  : "Inputs loaded from a shared link.")}
+            </p>
+          )}
           <label
             className="inline-flex items-center gap-2 text-sm font-semibold text-[#003c32]"
           >
@@ -1192,6 +2385,15 @@ const RetirementCalculator = () => {
             />
             <span>Tax Free Savings Utilisation</span>
           </label>
+          <label className="inline-flex items-center gap-2 text-sm font-semibold text-[#003c32]">
+            <input
+              type="checkbox"
+              className="h-4 w-4 rounded border-[#003c32] text-[#003c32] focus:ring-[#003c32]"
+              checked={realTerms}
+              onChange={handlers.checkbox("realTerms")}
+            />
+            <span>Show amounts in today's money</span>
+          </label>
         </header>
 
         <div className="grid gap-6 md:grid-cols-2">
@@ -1360,7 +2562,8 @@ const RetirementCalculator = () => {
                         </p>
                       )}
                       <p className="text-[11px] text-[#bedcbe]">
-                        Max R3,000 per month (R36,000 p.a.)
+                        Max {formatCurrency(taxTable.tfsa.annual / 12)} per
+                        month ({formatCurrency(taxTable.tfsa.annual)} p.a.)
                       </p>
                     </label>
                   </div>
@@ -1401,6 +2604,101 @@ const RetirementCalculator = () => {
                 )}
               </label>
 
+              <p className="col-span-2 mt-2 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                Household
+              </p>
+              <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
+                <span
+                  className={`${labelTextClasses} flex items-center gap-2 font-normal`}
+                >
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                    checked={householdMode}
+                    onChange={handlers.checkbox("householdMode")}
+                  />
+                  Plan as a couple with a partner
+                </span>
+              </label>
+              {householdMode && (
+                <>
+                  {[
+                    ["partnerCurrentAge", "Partner current age", "years"],
+                    ["partnerLifeExpectancy", "Partner life expectancy", "years"],
+                    ["partnerGrossIncome", "Partner gross income", "R / year"],
+                    ["partnerInitialCapital", "Partner RA capital", "R"],
+                    ...(includeTfsa
+                      ? [
+                          [
+                            "partnerTfsaContribToDate",
+                            "Partner TFSA contributions to date",
+                            "R",
+                          ],
+                          [
+                            "partnerInitialTfsaBalance",
+                            "Partner TFSA balance",
+                            "R",
+                          ],
+                          [
+                            "partnerTfsaMonthly",
+                            "Partner TFSA contribution",
+                            "R / month",
+                          ],
+                        ]
+                      : []),
+                    ["survivorIncomePct", "Survivor's income target", "%"],
+                  ].map(([field, label, unit]) => (
+                    <label
+                      key={field}
+                      className="flex flex-col gap-1"
+                      htmlFor={field}
+                    >
+                      <span className={labelTextClasses}>{label}</span>
+                      <div className="flex items-center gap-2">
+                        <input
+                          id={field}
+                          className={`${inputClasses} flex-1`}
+                          value={values[field]}
+                          onChange={handlers.number(field)}
+                          type="number"
+                          min={0}
+                        />
+                        <span className="text-xs text-[#bedcbe]">{unit}</span>
+                      </div>
+                      {errors[field] && (
+                        <p className="text-[11px] text-[#ffb3b3]">
+                          {errors[field]}
+                        </p>
+                      )}
+                    </label>
+                  ))}
+                  <label className="col-span-2 flex flex-col gap-1">
+                    <span className={labelTextClasses}>
+                      Household RA contributions go to
+                    </span>
+                    <select
+                      className={inputClasses}
+                      value={raFunding}
+                      onChange={handlers.select("raFunding")}
+                    >
+                      <option value="OPTIMISE">
+                        Higher marginal rate first (optimised)
+                      </option>
+                      <option value="MEMBER">My RA</option>
+                      <option value="PARTNER">My partner&apos;s RA</option>
+                    </select>
+                  </label>
+                  <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                    The monthly contribution and net income target are for the
+                    household. Both partners retire in the same year and are
+                    taxed separately, each with their own rebates. When the
+                    first partner dies the survivor inherits their RA and
+                    investments and the income target drops to the survivor
+                    share. Household drawdowns are simulated annually.
+                  </p>
+                </>
+              )}
+
               {/* Scenario preset */}
               <label className="col-span-2 flex flex-col gap-1">
                 <span className={labelTextClasses}>
@@ -1424,19 +2722,113 @@ const RetirementCalculator = () => {
                 </select>
               </label>
 
+              {useAssetAllocation ? (
+                <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                  Pre- and post-retirement returns are not used while the
+                  asset allocation below is on: each pot earns the return
+                  blended from its allocation before and after retirement
+                  {outputs.allocation && (
+                    <>
+                      {" "}
+                      (RA {formatPercent(outputs.allocation.ra.return / 100)},
+                      TFSA{" "}
+                      {formatPercent(outputs.allocation.tfsa.return / 100)},
+                      discretionary{" "}
+                      {formatPercent(outputs.allocation.disc.return / 100)}{" "}
+                      p.a.)
+                    </>
+                  )}
+                  . Presets only change inflation.
+                </p>
+              ) : (
+                <>
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="pre-return"
+                >
+                  <span className={labelTextClasses}>
+                    Pre-retirement return
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <input
+                      id="pre-return"
+                      className={`${inputClasses} flex-1`}
+                      value={preReturn}
+                      onChange={handlers.number("preReturn")}
+                      type="number"
+                      step="0.1"
+                      min={0}
+                    />
+                    <span className="text-xs text-[#bedcbe]">
+                      % p.a.
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={0}
+                    max={25}
+                    step={0.1}
+                    value={preReturn}
+                    onChange={handlers.number("preReturn")}
+                    className="mt-1 w-full accent-[#9ad0b0]"
+                    aria-label="Pre-retirement return slider"
+                  />
+                  {errors.preReturn && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.preReturn}
+                    </p>
+                  )}
+                </label>
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="post-return"
+                >
+                  <span className={labelTextClasses}>
+                    Post-retirement return
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <input
+                      id="post-return"
+                      className={`${inputClasses} flex-1`}
+                      value={postReturn}
+                      onChange={handlers.number("postReturn")}
+                      type="number"
+                      step="0.1"
+                      min={0}
+                    />
+                    <span className="text-xs text-[#bedcbe]">
+                      % p.a.
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={0}
+                    max={25}
+                    step={0.1}
+                    value={postReturn}
+                    onChange={handlers.number("postReturn")}
+                    className="mt-1 w-full accent-[#9ad0b0]"
+                    aria-label="Post-retirement return slider"
+                  />
+                  {errors.postReturn && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.postReturn}
+                    </p>
+                  )}
+                </label>
+                </>
+              )}
               <label
                 className="flex flex-col gap-1"
-                htmlFor="pre-return"
+                htmlFor="inflation"
               >
-                <span className={labelTextClasses}>
-                  Pre-retirement return
-                </span>
+                <span className={labelTextClasses}>Inflation</span>
                 <div className="flex items-center gap-2">
                   <input
-                    id="pre-return"
+                    id="inflation"
                     className={`${inputClasses} flex-1`}
-                    value={preReturn}
-                    onChange={handlers.number("preReturn")}
+                    value={inflation}
+                    onChange={handlers.number("inflation")}
                     type="number"
                     step="0.1"
                     min={0}
@@ -1448,32 +2840,32 @@ const RetirementCalculator = () => {
                 <input
                   type="range"
                   min={0}
-                  max={25}
+                  max={15}
                   step={0.1}
-                  value={preReturn}
-                  onChange={handlers.number("preReturn")}
+                  value={inflation}
+                  onChange={handlers.number("inflation")}
                   className="mt-1 w-full accent-[#9ad0b0]"
-                  aria-label="Pre-retirement return slider"
+                  aria-label="Inflation slider"
                 />
-                {errors.preReturn && (
+                {errors.inflation && (
                   <p className="text-[11px] text-[#ffb3b3]">
-                    {errors.preReturn}
+                    {errors.inflation}
                   </p>
                 )}
               </label>
               <label
                 className="flex flex-col gap-1"
-                htmlFor="post-return"
+                htmlFor="annual-inc"
               >
                 <span className={labelTextClasses}>
-                  Post-retirement return
+                  Annual contribution increase
                 </span>
                 <div className="flex items-center gap-2">
                   <input
-                    id="post-return"
+                    id="annual-inc"
                     className={`${inputClasses} flex-1`}
-                    value={postReturn}
-                    onChange={handlers.number("postReturn")}
+                    value={annualIncrease}
+                    onChange={handlers.number("annualIncrease")}
                     type="number"
                     step="0.1"
                     min={0}
@@ -1485,91 +2877,483 @@ const RetirementCalculator = () => {
                 <input
                   type="range"
                   min={0}
-                  max={25}
+                  max={20}
                   step={0.1}
-                  value={postReturn}
-                  onChange={handlers.number("postReturn")}
+                  value={annualIncrease}
+                  onChange={handlers.number("annualIncrease")}
                   className="mt-1 w-full accent-[#9ad0b0]"
-                  aria-label="Post-retirement return slider"
+                  aria-label="Annual contribution increase slider"
                 />
-                {errors.postReturn && (
+                {errors.annualIncrease && (
                   <p className="text-[11px] text-[#ffb3b3]">
-                    {errors.postReturn}
+                    {errors.annualIncrease}
                   </p>
                 )}
               </label>
-              <label
-                className="flex flex-col gap-1"
-                htmlFor="inflation"
-              >
-                <span className={labelTextClasses}>Inflation</span>
-                <div className="flex items-center gap-2">
+
+              <p className="col-span-2 mt-2 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                Asset allocation
+              </p>
+              <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
+                <span
+                  className={`${labelTextClasses} flex items-center gap-2 font-normal`}
+                >
                   <input
-                    id="inflation"
-                    className={`${inputClasses} flex-1`}
-                    value={inflation}
-                    onChange={handlers.number("inflation")}
-                    type="number"
-                    step="0.1"
-                    min={0}
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                    checked={useAssetAllocation}
+                    onChange={handlers.checkbox("useAssetAllocation")}
                   />
-                  <span className="text-xs text-[#bedcbe]">
-                    % p.a.
-                  </span>
+                  Derive returns from an asset allocation per pot
+                </span>
+              </label>
+              {useAssetAllocation && (
+                <div className="col-span-2 overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-[#bedcbe]">
+                        <th className="py-1 pr-2 font-semibold">
+                          Asset class
+                        </th>
+                        <th className="px-1 py-1 font-semibold">Return %</th>
+                        <th className="px-1 py-1 font-semibold">
+                          Volatility %
+                        </th>
+                        {ALLOCATION_POTS.map((pot) => (
+                          <th key={pot.key} className="px-1 py-1 font-semibold">
+                            {pot.label} %
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ASSET_CLASSES.map((asset) => (
+                        <tr key={asset.key}>
+                          <td className="py-1 pr-2 text-white">
+                            {asset.label}
+                          </td>
+                          {[
+                            returnField(asset.key),
+                            volatilityField(asset.key),
+                            ...ALLOCATION_POTS.map((pot) =>
+                              allocationField(pot.key, asset.key)
+                            ),
+                          ].map((field) => (
+                            <td key={field} className="px-1 py-1">
+                              <input
+                                aria-label={field}
+                                className={`${inputClasses} w-full min-w-[4rem] ${
+                                  errors[field] ? "border-[#ffb3b3]" : ""
+                                }`}
+                                value={values[field]}
+                                onChange={handlers.number(field)}
+                                type="number"
+                                step="0.1"
+                                min={0}
+                              />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                      {outputs.allocation && (
+                        <tr className="text-[#9ad0b0]">
+                          <td className="py-1 pr-2" colSpan={3}>
+                            Blended return (volatility)
+                          </td>
+                          {ALLOCATION_POTS.map((pot) => (
+                            <td key={pot.key} className="px-1 py-1">
+                              {formatPercent(
+                                outputs.allocation[pot.key].return / 100
+                              )}{" "}
+                              (
+                              {formatPercent(
+                                outputs.allocation[pot.key].volatility / 100
+                              )}
+                              )
+                            </td>
+                          ))}
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                  {[
+                    ...ASSET_CLASSES.flatMap((asset) => [
+                      returnField(asset.key),
+                      volatilityField(asset.key),
+                      ...ALLOCATION_POTS.map((pot) =>
+                        allocationField(pot.key, asset.key)
+                      ),
+                    ]),
+                    ...ALLOCATION_POTS.map((pot) => `${pot.key}Allocation`),
+                  ]
+                    .filter((field) => errors[field])
+                    .map((field) => (
+                      <p key={field} className="text-[11px] text-[#ffb3b3]">
+                        {errors[field]}
+                      </p>
+                    ))}
+                  {warnings.raAllocation && (
+                    <p className="text-[11px] text-[#ffe9a8]">
+                      {warnings.raAllocation}
+                    </p>
+                  )}
+                  <p className="mt-1 text-[11px] text-[#9ad0b0]">
+                    Each pot grows at its own blended return. Regulation 28
+                    limits (45% offshore, 75% equity, 25% property) are
+                    checked on the RA only. Asset classes are treated as
+                    fully correlated for the blended volatility.
+                  </p>
                 </div>
-                <input
-                  type="range"
-                  min={0}
-                  max={15}
-                  step={0.1}
-                  value={inflation}
-                  onChange={handlers.number("inflation")}
-                  className="mt-1 w-full accent-[#9ad0b0]"
-                  aria-label="Inflation slider"
-                />
-                {errors.inflation && (
+              )}
+
+              <p className="col-span-2 mt-2 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                Return model
+              </p>
+              <label className="col-span-2 flex flex-col gap-1">
+                <span className={labelTextClasses}>
+                  How returns are projected
+                </span>
+                <select
+                  className={inputClasses}
+                  value={returnMode}
+                  onChange={handlers.select("returnMode")}
+                >
+                  <option value="DETERMINISTIC">
+                    Deterministic (constant returns)
+                  </option>
+                  <option value="STOCHASTIC">
+                    Monte Carlo (random annual returns)
+                  </option>
+                </select>
+              </label>
+              <label className="col-span-2 flex flex-col gap-1">
+                <span className={labelTextClasses}>
+                  Glide path before retirement
+                </span>
+                <select
+                  className={inputClasses}
+                  value={glidePath}
+                  onChange={handlers.select("glidePath")}
+                >
+                  <option value="NONE">
+                    None (switch returns at retirement)
+                  </option>
+                  <option value="LINEAR">Linear de-risking</option>
+                  <option value="CUSTOM">Custom curve</option>
+                </select>
+                {errors.glidePath && (
                   <p className="text-[11px] text-[#ffb3b3]">
-                    {errors.inflation}
+                    {errors.glidePath}
                   </p>
                 )}
               </label>
-              <label
-                className="flex flex-col gap-1"
-                htmlFor="annual-inc"
-              >
-                <span className={labelTextClasses}>
-                  Annual contribution increase
+              {glidePath === "LINEAR" && (
+                <label className="flex flex-col gap-1" htmlFor="glide-years">
+                  <span className={labelTextClasses}>Glide over the last</span>
+                  <div className="flex items-center gap-2">
+                    <input
+                      id="glide-years"
+                      className={`${inputClasses} flex-1`}
+                      value={glidePathYears}
+                      onChange={handlers.number("glidePathYears")}
+                      type="number"
+                      min={1}
+                    />
+                    <span className="text-xs text-[#bedcbe]">years</span>
+                  </div>
+                  {errors.glidePathYears && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.glidePathYears}
+                    </p>
+                  )}
+                </label>
+              )}
+              {glidePath === "CUSTOM" && (
+                <label className="flex flex-col gap-1" htmlFor="glide-curve">
+                  <span className={labelTextClasses}>
+                    De-risked by each year end
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <input
+                      id="glide-curve"
+                      className={`${inputClasses} flex-1`}
+                      value={glidePathCurve}
+                      onChange={handlers.select("glidePathCurve")}
+                      type="text"
+                    />
+                    <span className="text-xs text-[#bedcbe]">%</span>
+                  </div>
+                  {errors.glidePathCurve && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.glidePathCurve}
+                    </p>
+                  )}
+                </label>
+              )}
+              {glidePath !== "NONE" && returnMode === "STOCHASTIC" && (
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="glide-end-volatility"
+                >
+                  <span className={labelTextClasses}>
+                    Volatility at retirement
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <input
+                      id="glide-end-volatility"
+                      className={`${inputClasses} flex-1`}
+                      value={glideEndVolatility}
+                      onChange={handlers.number("glideEndVolatility")}
+                      type="number"
+                      step="0.1"
+                      min={0}
+                    />
+                    <span className="text-xs text-[#bedcbe]">% p.a.</span>
+                  </div>
+                  {errors.glideEndVolatility && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.glideEndVolatility}
+                    </p>
+                  )}
+                </label>
+              )}
+              {glidePath !== "NONE" && (
+                <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                  The pre-retirement return steps down to the post-retirement
+                  return over the final years before retirement
+                  {returnMode === "STOCHASTIC"
+                    ? ", and the volatility to the volatility at retirement, which then applies throughout retirement"
+                    : ""}
+                  . A custom curve lists how far each year has moved, ending
+                  in the year before retirement (e.g. 25, 50, 100).
+                </p>
+              )}
+              {returnMode === "STOCHASTIC" && (
+                <>
+                  {outputs.allocation ? (
+                    <p className="text-[11px] text-[#9ad0b0]">
+                      Return volatility follows the RA allocation:{" "}
+                      {formatPercent(outputs.allocation.ra.volatility / 100)}{" "}
+                      p.a.
+                    </p>
+                  ) : (
+                    <label
+                      className="flex flex-col gap-1"
+                      htmlFor="return-volatility"
+                    >
+                      <span className={labelTextClasses}>
+                        Return volatility
+                      </span>
+                      <div className="flex items-center gap-2">
+                        <input
+                          id="return-volatility"
+                          className={`${inputClasses} flex-1`}
+                          value={returnVolatility}
+                          onChange={handlers.number("returnVolatility")}
+                          type="number"
+                          step="0.1"
+                          min={0}
+                        />
+                        <span className="text-xs text-[#bedcbe]">
+                          % p.a.
+                        </span>
+                      </div>
+                      {errors.returnVolatility && (
+                        <p className="text-[11px] text-[#ffb3b3]">
+                          {errors.returnVolatility}
+                        </p>
+                      )}
+                    </label>
+                  )}
+                  <label
+                    className="flex flex-col gap-1"
+                    htmlFor="target-success"
+                  >
+                    <span className={labelTextClasses}>
+                      Target probability of success
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <input
+                        id="target-success"
+                        className={`${inputClasses} flex-1`}
+                        value={targetSuccessRate}
+                        onChange={handlers.number("targetSuccessRate")}
+                        type="number"
+                        min={0}
+                        max={100}
+                      />
+                      <span className="text-xs text-[#bedcbe]">%</span>
+                    </div>
+                    {errors.targetSuccessRate && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.targetSuccessRate}
+                      </p>
+                    )}
+                  </label>
+                  <label
+                    className="flex flex-col gap-1"
+                    htmlFor="mc-simulations"
+                  >
+                    <span className={labelTextClasses}>
+                      Simulated return paths
+                    </span>
+                    <input
+                      id="mc-simulations"
+                      className={inputClasses}
+                      value={mcSimulations}
+                      onChange={handlers.number("mcSimulations")}
+                      type="number"
+                      min={1}
+                      max={MC_MAX_SIMULATIONS}
+                    />
+                    {errors.mcSimulations && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.mcSimulations}
+                      </p>
+                    )}
+                  </label>
+                  <label
+                    className="flex flex-col gap-1"
+                    htmlFor="mc-seed"
+                  >
+                    <span className={labelTextClasses}>Random seed</span>
+                    <input
+                      id="mc-seed"
+                      className={inputClasses}
+                      value={mcSeed}
+                      onChange={handlers.number("mcSeed")}
+                      type="number"
+                      min={0}
+                    />
+                    {errors.mcSeed && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.mcSeed}
+                      </p>
+                    )}
+                  </label>
+                  <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                    Pre- and post-retirement returns above are used as the
+                    mean; the same seed always reproduces the same paths.
+                  </p>
+                </>
+              )}
+              <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
+                <span
+                  className={`${labelTextClasses} flex items-center gap-2 font-normal`}
+                >
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                    checked={historicalBacktest}
+                    onChange={handlers.checkbox("historicalBacktest")}
+                  />
+                  Back-test against South African market history
                 </span>
-                <div className="flex items-center gap-2">
+              </label>
+              {historicalBacktest && (
+                <>
+                  <label
+                    className="flex flex-col gap-1"
+                    htmlFor="backtest-equity"
+                  >
+                    <span className={labelTextClasses}>Equity (JSE)</span>
+                    <div className="flex items-center gap-2">
+                      <input
+                        id="backtest-equity"
+                        className={`${inputClasses} flex-1`}
+                        value={backtestEquityPct}
+                        onChange={handlers.number("backtestEquityPct")}
+                        type="number"
+                        min={0}
+                        max={100}
+                      />
+                      <span className="text-xs text-[#bedcbe]">%</span>
+                    </div>
+                    {errors.backtestEquityPct && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.backtestEquityPct}
+                      </p>
+                    )}
+                  </label>
+                  <label
+                    className="flex flex-col gap-1"
+                    htmlFor="backtest-bonds"
+                  >
+                    <span className={labelTextClasses}>SA bonds</span>
+                    <div className="flex items-center gap-2">
+                      <input
+                        id="backtest-bonds"
+                        className={`${inputClasses} flex-1`}
+                        value={backtestBondPct}
+                        onChange={handlers.number("backtestBondPct")}
+                        type="number"
+                        min={0}
+                        max={100}
+                      />
+                      <span className="text-xs text-[#bedcbe]">%</span>
+                    </div>
+                    {errors.backtestBondPct && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.backtestBondPct}
+                      </p>
+                    )}
+                  </label>
+                  <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                    The rest is in cash. Saving follows the returns entered
+                    above; each year from 1970 to 2024 is then replayed as
+                    the first year of retirement using real (after-CPI)
+                    returns, with the entered post-retirement return once
+                    the data runs out. Figures are approximate.
+                  </p>
+                </>
+              )}
+
+              <p className="col-span-2 mt-2 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                Goal seek
+              </p>
+              <label className="flex flex-col gap-1">
+                <span className={labelTextClasses}>Solve for</span>
+                <select
+                  className={inputClasses}
+                  value={solveFor}
+                  onChange={handlers.select("solveFor")}
+                >
+                  <option value="CONTRIBUTION">Monthly contribution</option>
+                  <option value="RETIRE_AGE">Retirement age</option>
+                  <option value="TARGET_INCOME">Target net income</option>
+                  <option value="PRE_RETURN">Pre-retirement return</option>
+                  <option value="INITIAL_CAPITAL">Initial capital</option>
+                </select>
+              </label>
+              {solveFor !== "CONTRIBUTION" && (
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="fixed-contribution"
+                >
+                  <span className={labelTextClasses}>
+                    Fixed monthly contribution
+                  </span>
                   <input
-                    id="annual-inc"
-                    className={`${inputClasses} flex-1`}
-                    value={annualIncrease}
-                    onChange={handlers.number("annualIncrease")}
+                    id="fixed-contribution"
+                    className={inputClasses}
+                    value={fixedMonthlyContribution}
+                    onChange={handlers.number("fixedMonthlyContribution")}
                     type="number"
-                    step="0.1"
                     min={0}
                   />
-                  <span className="text-xs text-[#bedcbe]">
-                    % p.a.
-                  </span>
-                </div>
-                <input
-                  type="range"
-                  min={0}
-                  max={20}
-                  step={0.1}
-                  value={annualIncrease}
-                  onChange={handlers.number("annualIncrease")}
-                  className="mt-1 w-full accent-[#9ad0b0]"
-                  aria-label="Annual contribution increase slider"
-                />
-                {errors.annualIncrease && (
-                  <p className="text-[11px] text-[#ffb3b3]">
-                    {errors.annualIncrease}
-                  </p>
-                )}
-              </label>
+                  {errors.fixedMonthlyContribution && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.fixedMonthlyContribution}
+                    </p>
+                  )}
+                </label>
+              )}
+              {solveFor !== "CONTRIBUTION" && (
+                <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                  The input being solved for is replaced by the solution in
+                  every output below; its entered value is ignored.
+                </p>
+              )}
             </div>
 
             <h2
@@ -1621,45 +3405,601 @@ const RetirementCalculator = () => {
                   </option>
                 </select>
               </label>
-              {incomeGrowthMode === "CUSTOM" && (
-                <label
-                  className="flex flex-col gap-1"
-                  htmlFor="income-growth"
-                >
-                  <span className={labelTextClasses}>
-                    Stipulated income growth p.a.
-                  </span>
-                  <div className="flex items-center gap-2">
-                  <input
-                    id="income-growth"
-                    className={`${inputClasses} flex-1`}
-                    value={incomeGrowthRate}
-                    onChange={handlers.number("incomeGrowthRate")}
-                    type="number"
-                    step="0.1"
-                    min={0}
-                    />
-                    <span className="text-xs text-[#bedcbe]">
-                      % p.a.
-                    </span>
-                  </div>
-                  <input
-                    type="range"
-                    min={0}
-                    max={20}
-                    step={0.1}
-                    value={incomeGrowthRate}
-                    onChange={handlers.number("incomeGrowthRate")}
-                    className="mt-1 w-full accent-[#9ad0b0]"
-                    aria-label="Stipulated income growth slider"
-                  />
-                  {errors.incomeGrowthRate && (
-                    <p className="text-[11px] text-[#ffb3b3]">
-                      {errors.incomeGrowthRate}
-                    </p>
-                  )}
-                </label>
-              )}
+              {incomeGrowthMode === "CUSTOM" && (
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="income-growth"
+                >
+                  <span className={labelTextClasses}>
+                    Stipulated income growth p.a.
+                  </span>
+                  <div className="flex items-center gap-2">
+                  <input
+                    id="income-growth"
+                    className={`${inputClasses} flex-1`}
+                    value={incomeGrowthRate}
+                    onChange={handlers.number("incomeGrowthRate")}
+                    type="number"
+                    step="0.1"
+                    min={0}
+                    />
+                    <span className="text-xs text-[#bedcbe]">
+                      % p.a.
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={0}
+                    max={20}
+                    step={0.1}
+                    value={incomeGrowthRate}
+                    onChange={handlers.number("incomeGrowthRate")}
+                    className="mt-1 w-full accent-[#9ad0b0]"
+                    aria-label="Stipulated income growth slider"
+                  />
+                  {errors.incomeGrowthRate && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.incomeGrowthRate}
+                    </p>
+                  )}
+                </label>
+              )}
+            </div>
+
+            <h2
+              className={`${sectionTitleClasses} mt-4`}
+            >
+              Two-pot retirement system
+            </h2>
+            <div className="grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+              <label className="col-span-2 inline-flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                  checked={twoPot}
+                  onChange={handlers.checkbox("twoPot")}
+                />
+                <span className={labelTextClasses}>
+                  Split new RA contributions into savings (⅓) and
+                  retirement (⅔) components
+                </span>
+              </label>
+              {twoPot ? (
+                <>
+                  <label className="col-span-2 inline-flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                      checked={twoPotSeedCapital}
+                      onChange={handlers.checkbox("twoPotSeedCapital")}
+                    />
+                    <span className={labelTextClasses}>
+                      Apply seed capital transfer (10% of vested, max
+                      R30,000) to the initial capital
+                    </span>
+                  </label>
+                  <label
+                    className="col-span-2 flex flex-col gap-1"
+                    htmlFor="savings-withdrawal"
+                  >
+                    <span className={labelTextClasses}>
+                      Annual savings-pot withdrawal
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <input
+                        id="savings-withdrawal"
+                        className={`${inputClasses} flex-1`}
+                        value={savingsWithdrawalAnnual}
+                        onChange={handlers.number("savingsWithdrawalAnnual")}
+                        type="number"
+                        min={0}
+                      />
+                      <span className="text-xs text-[#bedcbe]">R p.a.</span>
+                    </div>
+                    {errors.savingsWithdrawalAnnual && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.savingsWithdrawalAnnual}
+                      </p>
+                    )}
+                    <p className="text-[11px] text-[#bedcbe]">
+                      Taxed at your marginal rate; minimum R2,000. Initial
+                      capital is treated as the vested component.
+                    </p>
+                  </label>
+                </>
+              ) : (
+                <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                  The RA is modelled as a single pot.
+                </p>
+              )}
+            </div>
+
+            <h2
+              className={`${sectionTitleClasses} mt-4`}
+            >
+              Lump sum at retirement
+            </h2>
+            <div className="grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="lump-sum-pct"
+              >
+                <span className={labelTextClasses}>
+                  Commute as cash (% of RA)
+                </span>
+                <div className="flex items-center gap-2">
+                  <input
+                    id="lump-sum-pct"
+                    className={`${inputClasses} flex-1`}
+                    value={lumpSumPct}
+                    onChange={handlers.number("lumpSumPct")}
+                    type="number"
+                    step="0.1"
+                    min={0}
+                    max={MAX_COMMUTATION_PCT}
+                  />
+                  <span className="text-xs text-[#bedcbe]">%</span>
+                </div>
+                {errors.lumpSumPct && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.lumpSumPct}
+                  </p>
+                )}
+                <p className="text-[11px] text-[#bedcbe]">
+                  Max one third, taxed on the retirement lump sum table
+                </p>
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="prior-lump-sums"
+              >
+                <span className={labelTextClasses}>
+                  Prior lump sums already received
+                </span>
+                <input
+                  id="prior-lump-sums"
+                  className={inputClasses}
+                  value={priorLumpSums}
+                  onChange={handlers.number("priorLumpSums")}
+                  type="number"
+                  min={0}
+                />
+                {errors.priorLumpSums && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.priorLumpSums}
+                  </p>
+                )}
+              </label>
+              <label className="col-span-2 flex flex-col gap-1">
+                <span className={labelTextClasses}>
+                  Use the net cash for
+                </span>
+                <select
+                  className={inputClasses}
+                  value={lumpSumDestination}
+                  onChange={handlers.select("lumpSumDestination")}
+                >
+                  <option value="TFSA">
+                    TFSA (excess to discretionary)
+                  </option>
+                  <option value="DISCRETIONARY">
+                    Discretionary investment
+                  </option>
+                  <option value="DEBT">Debt repayment</option>
+                </select>
+              </label>
+            </div>
+
+            <h2
+              className={`${sectionTitleClasses} mt-4`}
+            >
+              Guaranteed annuity
+            </h2>
+            <div className="grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+              <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
+                <span
+                  className={`${labelTextClasses} flex items-center gap-2 font-normal`}
+                >
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                    checked={buyAnnuity}
+                    onChange={handlers.checkbox("buyAnnuity")}
+                  />
+                  Buy a guaranteed life annuity at retirement
+                </span>
+              </label>
+              {buyAnnuity && (
+                <>
+                  <label
+                    className="flex flex-col gap-1"
+                    htmlFor="annuity-purchase-pct"
+                  >
+                    <span className={labelTextClasses}>
+                      Share of RA used (%)
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <input
+                        id="annuity-purchase-pct"
+                        className={`${inputClasses} flex-1`}
+                        value={annuityPurchasePct}
+                        onChange={handlers.number("annuityPurchasePct")}
+                        type="number"
+                        step="1"
+                        min={0}
+                        max={100}
+                      />
+                      <span className="text-xs text-[#bedcbe]">%</span>
+                    </div>
+                    {errors.annuityPurchasePct && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.annuityPurchasePct}
+                      </p>
+                    )}
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className={labelTextClasses}>Annuity type</span>
+                    <select
+                      className={inputClasses}
+                      value={annuityType}
+                      onChange={handlers.select("annuityType")}
+                    >
+                      {Object.entries(ANNUITY_TYPES).map(([type, info]) => (
+                        <option key={type} value={type}>
+                          {info.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label
+                    className="col-span-2 flex flex-col gap-1"
+                    htmlFor="annuity-rates"
+                  >
+                    <span className={labelTextClasses}>
+                      Annuity rates by age (level %, inflation-linked %)
+                    </span>
+                    <textarea
+                      id="annuity-rates"
+                      className={`${inputClasses} font-mono text-xs`}
+                      rows={6}
+                      value={annuityRatesText}
+                      onChange={handlers.select("annuityRatesText")}
+                    />
+                    {errors.annuityRatesText && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.annuityRatesText}
+                      </p>
+                    )}
+                    <p className="text-[11px] text-[#bedcbe]">
+                      First-year income as a percentage of the price, by
+                      age at purchase. Ages in between are interpolated.
+                    </p>
+                  </label>
+                  <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                    The annuity is bought after any cash lump sum. Its
+                    income is taxed with the living annuity drawdown and
+                    paid first; the living annuity and TFSA make up the
+                    rest of the target. In a household each partner buys
+                    a single-life annuity that stops at their death.
+                  </p>
+                </>
+              )}
+            </div>
+
+            <h2
+              className={`${sectionTitleClasses} mt-4`}
+            >
+              Other income in retirement
+            </h2>
+            <div className="grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+              <div className="col-span-2 overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-[#bedcbe]">
+                      <th className="py-1 pr-2 font-semibold">Stream</th>
+                      <th className="px-1 py-1 font-semibold">
+                        R / month (today)
+                      </th>
+                      <th className="px-1 py-1 font-semibold">From age</th>
+                      <th className="px-1 py-1 font-semibold">To age</th>
+                      <th className="px-1 py-1 font-semibold">
+                        Escalation %
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {INCOME_STREAMS.map((stream) => (
+                      <tr key={stream.key}>
+                        <td className="py-1 pr-2 text-white">
+                          {stream.label}
+                        </td>
+                        {INCOME_STREAM_PARTS.map((part) => {
+                          const field = incomeStreamField(stream.key, part);
+                          return (
+                            <td key={field} className="px-1 py-1">
+                              <input
+                                aria-label={field}
+                                className={`${inputClasses} w-full min-w-[4rem] ${
+                                  errors[field] ? "border-[#ffb3b3]" : ""
+                                }`}
+                                value={values[field]}
+                                onChange={handlers.number(field)}
+                                type="number"
+                                step={part === "Escalation" ? "0.1" : "1"}
+                                min={0}
+                              />
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {INCOME_STREAMS.flatMap((stream) =>
+                  INCOME_STREAM_PARTS.map((part) =>
+                    incomeStreamField(stream.key, part)
+                  )
+                )
+                  .filter((field) => errors[field])
+                  .map((field) => (
+                    <p key={field} className="text-[11px] text-[#ffb3b3]">
+                      {errors[field]}
+                    </p>
+                  ))}
+                <p className="mt-1 text-[11px] text-[#bedcbe]">
+                  Paid from the first age until the second. Pensions,
+                  rent and wages are taxed with the drawdown; pensions
+                  and wages stop at death, rent passes to a surviving
+                  partner. Ages are the first member&apos;s.
+                </p>
+              </div>
+              <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
+                <span
+                  className={`${labelTextClasses} flex items-center gap-2 font-normal`}
+                >
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                    checked={sassaGrant}
+                    onChange={handlers.checkbox("sassaGrant")}
+                  />
+                  Claim the SASSA older persons grant where the means test
+                  allows
+                </span>
+                <p className="text-[11px] text-[#9ad0b0]">
+                  {formatCurrency(SASSA_OLDER_PERSONS_GRANT.monthly)} a
+                  month from age {SASSA_OLDER_PERSONS_GRANT.minAge}, tax
+                  free and rising with inflation. It shrinks as private
+                  income (last year&apos;s drawdown included) rises and
+                  falls away once the TFSA and discretionary pot exceed
+                  the asset limit.
+                </p>
+              </label>
+            </div>
+
+            <h2
+              className={`${sectionTitleClasses} mt-4`}
+            >
+              Discretionary investments
+            </h2>
+            <div className="grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="disc-interest-yield"
+              >
+                <span className={labelTextClasses}>
+                  Interest yield (% p.a.)
+                </span>
+                <input
+                  id="disc-interest-yield"
+                  className={inputClasses}
+                  value={discInterestYield}
+                  onChange={handlers.number("discInterestYield")}
+                  type="number"
+                  step="0.1"
+                  min={0}
+                />
+                {errors.discInterestYield && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.discInterestYield}
+                  </p>
+                )}
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="disc-dividend-yield"
+              >
+                <span className={labelTextClasses}>
+                  Dividend yield (% p.a.)
+                </span>
+                <input
+                  id="disc-dividend-yield"
+                  className={inputClasses}
+                  value={discDividendYield}
+                  onChange={handlers.number("discDividendYield")}
+                  type="number"
+                  step="0.1"
+                  min={0}
+                />
+                {errors.discDividendYield && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.discDividendYield}
+                  </p>
+                )}
+              </label>
+              <p className="col-span-2 text-[11px] text-[#bedcbe]">
+                Receives contributions above the RA deduction cap and TFSA
+                limits. Interest above the annual exemption is taxed at your
+                marginal rate, dividends at 20%, and withdrawals attract CGT
+                (40% inclusion after the R40,000 annual exclusion).
+              </p>
+            </div>
+
+            <h2
+              className={`${sectionTitleClasses} mt-4`}
+            >
+              Fees
+            </h2>
+            <div className="grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="fund-ter"
+              >
+                <span className={labelTextClasses}>
+                  Fund TER (% p.a.)
+                </span>
+                <input
+                  id="fund-ter"
+                  className={inputClasses}
+                  value={fundTer}
+                  onChange={handlers.number("fundTer")}
+                  type="number"
+                  step="0.05"
+                  min={0}
+                />
+                {errors.fundTer && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.fundTer}
+                  </p>
+                )}
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="advice-fee"
+              >
+                <span className={labelTextClasses}>
+                  Ongoing advice fee (% p.a.)
+                </span>
+                <input
+                  id="advice-fee"
+                  className={inputClasses}
+                  value={adviceFee}
+                  onChange={handlers.number("adviceFee")}
+                  type="number"
+                  step="0.05"
+                  min={0}
+                />
+                {errors.adviceFee && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.adviceFee}
+                  </p>
+                )}
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="platform-fee-rate-1"
+              >
+                <span className={labelTextClasses}>
+                  Platform fee – first band (% p.a.)
+                </span>
+                <input
+                  id="platform-fee-rate-1"
+                  className={inputClasses}
+                  value={platformFeeRate1}
+                  onChange={handlers.number("platformFeeRate1")}
+                  type="number"
+                  step="0.05"
+                  min={0}
+                />
+                {errors.platformFeeRate1 && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.platformFeeRate1}
+                  </p>
+                )}
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="platform-fee-band-1"
+              >
+                <span className={labelTextClasses}>
+                  First band up to (R)
+                </span>
+                <input
+                  id="platform-fee-band-1"
+                  className={inputClasses}
+                  value={platformFeeBand1}
+                  onChange={handlers.number("platformFeeBand1")}
+                  type="number"
+                  step="10000"
+                  min={0}
+                />
+                {errors.platformFeeBand1 && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.platformFeeBand1}
+                  </p>
+                )}
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="platform-fee-rate-2"
+              >
+                <span className={labelTextClasses}>
+                  Platform fee – second band (% p.a.)
+                </span>
+                <input
+                  id="platform-fee-rate-2"
+                  className={inputClasses}
+                  value={platformFeeRate2}
+                  onChange={handlers.number("platformFeeRate2")}
+                  type="number"
+                  step="0.05"
+                  min={0}
+                />
+                {errors.platformFeeRate2 && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.platformFeeRate2}
+                  </p>
+                )}
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="platform-fee-band-2"
+              >
+                <span className={labelTextClasses}>
+                  Second band up to (R)
+                </span>
+                <input
+                  id="platform-fee-band-2"
+                  className={inputClasses}
+                  value={platformFeeBand2}
+                  onChange={handlers.number("platformFeeBand2")}
+                  type="number"
+                  step="10000"
+                  min={0}
+                />
+                {errors.platformFeeBand2 && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.platformFeeBand2}
+                  </p>
+                )}
+              </label>
+              <label
+                className="flex flex-col gap-1"
+                htmlFor="platform-fee-rate-3"
+              >
+                <span className={labelTextClasses}>
+                  Platform fee – above second band (% p.a.)
+                </span>
+                <input
+                  id="platform-fee-rate-3"
+                  className={inputClasses}
+                  value={platformFeeRate3}
+                  onChange={handlers.number("platformFeeRate3")}
+                  type="number"
+                  step="0.05"
+                  min={0}
+                />
+                {errors.platformFeeRate3 && (
+                  <p className="text-[11px] text-[#ffb3b3]">
+                    {errors.platformFeeRate3}
+                  </p>
+                )}
+              </label>
+              <p className="col-span-2 text-[11px] text-[#bedcbe]">
+                Charged on every pot and deducted from its balance. The
+                platform fee slides on the combined balance: each band&apos;s
+                rate applies only to the rand amount inside it.
+              </p>
             </div>
 
             <h2
@@ -1682,6 +4022,52 @@ const RetirementCalculator = () => {
             </button>
             {showAdvancedTax && (
               <div className="mt-2 grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+                <label className="col-span-2 flex flex-col gap-1">
+                  <span className={labelTextClasses}>
+                    Tax year tables
+                  </span>
+                  <select
+                    className={inputClasses}
+                    value={taxYear}
+                    onChange={handlers.select("taxYear")}
+                  >
+                    {taxYearOptions.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                    <option value={CUSTOM_TAX_YEAR}>Custom (JSON)</option>
+                  </select>
+                </label>
+                {taxYear === CUSTOM_TAX_YEAR && (
+                  <label
+                    className="col-span-2 flex flex-col gap-1"
+                    htmlFor="custom-tax-table"
+                  >
+                    <span className={labelTextClasses}>
+                      Custom tax table (JSON)
+                    </span>
+                    <textarea
+                      id="custom-tax-table"
+                      className={`${inputClasses} font-mono text-xs`}
+                      rows={6}
+                      value={customTaxTableJson}
+                      onChange={handlers.select("customTaxTableJson")}
+                      placeholder={CUSTOM_TAX_TABLE_EXAMPLE}
+                    />
+                    {errors.customTaxTableJson && (
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        {errors.customTaxTableJson}
+                      </p>
+                    )}
+                    <p className="text-[11px] text-[#bedcbe]">
+                      Sections left out (brackets, rebates, thresholds,
+                      medicalCredits, raDeduction, tfsa, lumpSum) are
+                      taken from baseYear.
+                      Leave the top bracket limit null.
+                    </p>
+                  </label>
+                )}
                 <label className="flex flex-col gap-1">
                   <span className={labelTextClasses}>
                     Tax on drawdowns
@@ -1734,6 +4120,76 @@ const RetirementCalculator = () => {
                     )}
                   </label>
                 )}
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="medical-scheme-monthly"
+                >
+                  <span className={labelTextClasses}>
+                    Medical scheme fees (R / month)
+                  </span>
+                  <input
+                    id="medical-scheme-monthly"
+                    className={inputClasses}
+                    value={medicalSchemeMonthly}
+                    onChange={handlers.number("medicalSchemeMonthly")}
+                    type="number"
+                    min={0}
+                  />
+                  {errors.medicalSchemeMonthly && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.medicalSchemeMonthly}
+                    </p>
+                  )}
+                </label>
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="medical-dependants"
+                >
+                  <span className={labelTextClasses}>
+                    Dependants on the scheme
+                  </span>
+                  <input
+                    id="medical-dependants"
+                    className={inputClasses}
+                    value={medicalDependants}
+                    onChange={handlers.number("medicalDependants")}
+                    type="number"
+                    step="1"
+                    min={0}
+                  />
+                  {errors.medicalDependants && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.medicalDependants}
+                    </p>
+                  )}
+                </label>
+                <label
+                  className="col-span-2 flex flex-col gap-1"
+                  htmlFor="medical-out-of-pocket"
+                >
+                  <span className={labelTextClasses}>
+                    Out-of-pocket medical costs (R p.a.)
+                  </span>
+                  <input
+                    id="medical-out-of-pocket"
+                    className={inputClasses}
+                    value={medicalOutOfPocket}
+                    onChange={handlers.number("medicalOutOfPocket")}
+                    type="number"
+                    min={0}
+                  />
+                  {errors.medicalOutOfPocket && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.medicalOutOfPocket}
+                    </p>
+                  )}
+                  <p className="text-[11px] text-[#bedcbe]">
+                    Today&apos;s money, rising with inflation. Earns the
+                    medical scheme fees credit and the additional medical
+                    expenses credit (more generous from 65) on SARS
+                    tables; a partner counts as a dependant.
+                  </p>
+                </label>
                 <label className="col-span-2 flex flex-col gap-1">
                   <span className={labelTextClasses}>
                     Deplete first
@@ -1749,8 +4205,62 @@ const RetirementCalculator = () => {
                     <option value="RA_FIRST">
                       Taxable RA first
                     </option>
+                    <option value="BRACKET_FILL">
+                      Bracket fill (RA to a ceiling, then TFSA)
+                    </option>
                   </select>
                 </label>
+                {depleteOrder === "BRACKET_FILL" && (
+                  <>
+                    <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
+                      <span
+                        className={`${labelTextClasses} flex items-center gap-2 font-normal`}
+                      >
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                          checked={optimiseBracketCeiling}
+                          onChange={handlers.checkbox(
+                            "optimiseBracketCeiling"
+                          )}
+                        />
+                        Choose the ceiling that minimises lifetime tax
+                      </span>
+                    </label>
+                    {optimiseBracketCeiling ? (
+                      <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                        Tries the 65+ tax threshold and each bracket
+                        limit; using{" "}
+                        {formatCurrency(outputs.bracketCeiling)} p.a.
+                      </p>
+                    ) : (
+                      <label className="col-span-2 flex flex-col gap-1">
+                        <span className={labelTextClasses}>
+                          Taxable income ceiling (R p.a.)
+                        </span>
+                        <input
+                          className={inputClasses}
+                          value={bracketCeiling}
+                          onChange={handlers.number("bracketCeiling")}
+                          type="number"
+                          min={0}
+                        />
+                        {errors.bracketCeiling && (
+                          <p className="text-[11px] text-[#ffb3b3]">
+                            {errors.bracketCeiling}
+                          </p>
+                        )}
+                      </label>
+                    )}
+                    <p className="col-span-2 text-[11px] text-[#9ad0b0]">
+                      The RA pays out up to the ceiling each year, the
+                      TFSA and discretionary pot make up the rest, and
+                      the RA covers any gap once they run out. The
+                      ceiling is in this tax year&apos;s rands and moves
+                      with the brackets under tax realism.
+                    </p>
+                  </>
+                )}
                 <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
                   <span
                     className={`${labelTextClasses} flex items-center gap-2 font-normal`}
@@ -1770,31 +4280,127 @@ const RetirementCalculator = () => {
                     inflation input.
                   </p>
                 </label>
+                <label className="col-span-2 inline-flex flex-col gap-1 text-sm">
+                  <span
+                    className={`${labelTextClasses} flex items-center gap-2 font-normal`}
+                  >
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 rounded border-[#bedcbe] text-[#bedcbe] focus:ring-[#bedcbe]"
+                      checked={livingAnnuityLimits}
+                      onChange={handlers.checkbox("livingAnnuityLimits")}
+                    />
+                    Apply living annuity drawdown limits (2.5%–17.5%)
+                  </span>
+                  <p className="text-[11px] text-[#9ad0b0]">
+                    The RA pays out between 2.5% and 17.5% of its
+                    start-of-year balance once retired.
+                  </p>
+                </label>
+                <label className="col-span-2 flex flex-col gap-1">
+                  <span className={labelTextClasses}>
+                    Decumulation step
+                  </span>
+                  <select
+                    className={inputClasses}
+                    value={decumulationFrequency}
+                    onChange={handlers.select("decumulationFrequency")}
+                  >
+                    <option value="ANNUAL">
+                      Annual (withdraw at the start of each year)
+                    </option>
+                    <option value="MONTHLY">
+                      Monthly (PAYE, annual tax reconciliation)
+                    </option>
+                  </select>
+                  {errors.decumulationFrequency && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.decumulationFrequency}
+                    </p>
+                  )}
+                  <p className="text-[11px] text-[#9ad0b0]">
+                    Monthly pays income and compounds growth month by month,
+                    withholds PAYE on the annuity and settles the difference
+                    (and any CGT) at each tax year end.
+                  </p>
+                </label>
+                {livingAnnuityLimits && (
+                  <label className="col-span-2 flex flex-col gap-1">
+                    <span className={labelTextClasses}>
+                      Reinvest forced minimum drawdowns into
+                    </span>
+                    <select
+                      className={inputClasses}
+                      value={laSurplusTarget}
+                      onChange={handlers.select("laSurplusTarget")}
+                    >
+                      <option value="TFSA">
+                        TFSA (up to annual &amp; lifetime limits)
+                      </option>
+                      <option value="DISCRETIONARY">
+                        Discretionary investment
+                      </option>
+                    </select>
+                  </label>
+                )}
               </div>
             )}
           </section>
 
           {/* RIGHT CARD: Outputs */}
-          <section className={cardClasses}>
-            <h2 className={sectionTitleClasses}>Key outputs</h2>
+          <section className={cardClasses} aria-busy={projectionPending}>
+            <div className="flex items-baseline justify-between gap-2">
+              <h2 className={sectionTitleClasses}>Key outputs</h2>
+              {projectionPending && (
+                <span
+                  role="status"
+                  className="animate-pulse text-[11px] font-semibold text-[#9ad0b0]"
+                >
+                  Updating…
+                </span>
+              )}
+            </div>
+            {realTerms && (
+              <p className="text-[11px] text-[#9ad0b0]">
+                Amounts are in today's money: each is deflated by{" "}
+                {formatPercent(outputs.inflationRate)} inflation a
+                year from now until it falls.
+              </p>
+            )}
 
             {/* Hero metric */}
             <div className="mb-4 rounded-2xl border border-[#bedcbe] bg-[#002820] p-4">
               <div className={keyMetricLabelClasses}>
-                Required monthly contribution
+                {goalSeekOption.label}
               </div>
               <div
                 className={`${keyMetricValueClasses} text-2xl`}
               >
-                {formatCurrency(
-                  outputs.requiredMonthlyContribution
-                )}
+                {goalSeek
+                  ? goalSeekResult
+                  : formatCurrency(
+                      outputs.requiredMonthlyContribution
+                    )}
               </div>
-              <p className="mt-1 text-[11px] text-[#9ad0b0]">
-                Contribution needed (including TFSA) to
-                sustain the target net income for the full
-                horizon.
-              </p>
+              {goalSeek && !goalSeek.feasible ? (
+                <p className="mt-1 text-[11px] text-[#ffb3b3]">
+                  {goalSeekOption.infeasible} with a contribution of{" "}
+                  {formatCurrency(goalSeek.fixedContribution)} per month.
+                  The outputs below use the inputs as entered.
+                </p>
+              ) : (
+                <p className="mt-1 text-[11px] text-[#9ad0b0]">
+                  {goalSeek
+                    ? `With a fixed contribution of ${formatCurrency(
+                        goalSeek.fixedContribution
+                      )} per month (including TFSA).`
+                    : monteCarlo
+                      ? `Contribution needed (including TFSA) for a ${formatPercent(
+                          monteCarlo.targetSuccessRate
+                        )} probability of sustaining the target net income for the full horizon.`
+                      : "Contribution needed (including TFSA) to sustain the target net income for the full horizon."}
+                </p>
+              )}
             </div>
 
             {/* Capital / drawdown / tax groups */}
@@ -1847,6 +4453,50 @@ const RetirementCalculator = () => {
                       )}
                     </div>
                   </div>
+                  {outputs.discretionaryCapitalAtRet > 0 && (
+                    <div className="space-y-1 sm:col-span-2">
+                      <div className={keyMetricLabelClasses}>
+                        Projected capital – discretionary (base cost)
+                      </div>
+                      <div className="text-sm font-bold text-white">
+                        {formatCurrency(outputs.discretionaryCapitalAtRet)} (
+                        {formatCurrency(outputs.discretionaryBaseCostAtRet)})
+                      </div>
+                      <div className="text-[11px] text-[#bedcbe]">
+                        Lifetime CGT {formatCurrency(outputs.totalCgtPaid)};
+                        tax on income{" "}
+                        {formatCurrency(outputs.totalDiscIncomeTax)}
+                      </div>
+                    </div>
+                  )}
+                  <div className="space-y-1 sm:col-span-2">
+                    <div className={keyMetricLabelClasses}>
+                      Total fees over the plan
+                    </div>
+                    <div className="text-sm font-bold text-white">
+                      {formatCurrency(outputs.totalFeesPaid)}
+                    </div>
+                    <div className="text-[11px] text-[#bedcbe]">
+                      {formatCurrency(preTotals.feesPaid)} before retirement;{" "}
+                      {formatCurrency(postTotals.feesPaid)} after
+                    </div>
+                  </div>
+                  {twoPot && (
+                    <div className="space-y-1 sm:col-span-2">
+                      <div className={keyMetricLabelClasses}>
+                        RA components (vested / savings / retirement)
+                      </div>
+                      <div className="text-sm font-bold text-white">
+                        {[
+                          outputs.vestedCapitalAtRet,
+                          outputs.savingsCapitalAtRet,
+                          outputs.retirementCapitalAtRet,
+                        ]
+                          .map(formatCurrency)
+                          .join(" / ")}
+                      </div>
+                    </div>
+                  )}
 
                   <div className="space-y-1">
                     <div className={keyMetricLabelClasses}>
@@ -1859,6 +4509,21 @@ const RetirementCalculator = () => {
                       )}
                     </div>
                   </div>
+                  {outputs.lumpSumGross > 0 && (
+                    <div className="space-y-1">
+                      <div className={keyMetricLabelClasses}>
+                        Lump sum at retirement (gross / tax)
+                      </div>
+                      <div className={keyMetricValueClasses}>
+                        {formatCurrency(outputs.lumpSumGross)}
+                      </div>
+                      <p className="text-[11px] text-[#9ad0b0]">
+                        {formatCurrency(outputs.lumpSumTax)} tax;
+                        {` ${formatCurrency(outputs.lumpSumNet)}`} net to
+                        {` ${lumpSumDestinationLabel.toLowerCase()}`}.
+                      </p>
+                    </div>
+                  )}
                   <div className="space-y-1">
                     <div className={keyMetricLabelClasses}>
                       Capital exhaustion age
@@ -1870,7 +4535,7 @@ const RetirementCalculator = () => {
                           : "text-white"
                       }`}
                     >
-                      {outputs.exhaustionAge}
+                      {exhaustionLabel}
                     </div>
                     {outputs.exhaustionAge <
                       numericLifeExpectancy && (
@@ -1885,6 +4550,155 @@ const RetirementCalculator = () => {
 
             <hr className="border-[#bedcbe]/30" />
 
+              {monteCarlo && (
+                <>
+                  <div className="rounded-xl bg-[#002820] p-3">
+                    <p className="mb-1 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                      Monte Carlo ({monteCarlo.simulations} paths)
+                    </p>
+                    <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Probability of success
+                        </div>
+                        <div
+                          className={`${keyMetricValueClasses} ${
+                            monteCarlo.successProbability <
+                            monteCarlo.targetSuccessRate
+                              ? "text-[#ffb3b3]"
+                              : "text-white"
+                          }`}
+                        >
+                          {formatPercent(monteCarlo.successProbability)}
+                        </div>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Capital at retirement – P10
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(monteCarlo.capitalAtRetirement.p10)}
+                        </div>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Capital at retirement – P50
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(monteCarlo.capitalAtRetirement.p50)}
+                        </div>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Capital at retirement – P90
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(monteCarlo.capitalAtRetirement.p90)}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+
+                  <hr className="border-[#bedcbe]/30" />
+                </>
+              )}
+
+              {household && (
+                <>
+                  <div className="rounded-xl bg-[#002820] p-3">
+                    <p className="mb-1 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                      Household
+                    </p>
+                    <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Your capital at retirement
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(household.memberCapitalAtRet)}
+                        </div>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Partner&apos;s capital (partner aged{" "}
+                          {household.partnerAgeAtRet})
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(household.partnerCapitalAtRet)}
+                        </div>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          RA contributions (you / partner, per month)
+                        </div>
+                        <div className="text-sm font-bold text-white">
+                          {raSplitLabel}
+                        </div>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Survivor from your age {household.firstDeathAge}
+                        </div>
+                        <div className="text-sm font-bold text-white">
+                          {survivorLabel}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+
+                  <hr className="border-[#bedcbe]/30" />
+                </>
+              )}
+
+              {backtest && (
+                <>
+                  <div className="rounded-xl bg-[#002820] p-3">
+                    <p className="mb-1 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                      Historical back-test ({backtest.firstYear}–
+                      {backtest.lastYear})
+                    </p>
+                    <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Success rate ({backtest.windows} start years)
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatPercent(backtest.successRate)}
+                        </div>
+                      </div>
+                      {[
+                        ["Worst", backtest.worst],
+                        ["Median", backtest.median],
+                        ["Best", backtest.best],
+                      ].map(([label, run]) => (
+                        <div key={label} className="space-y-1">
+                          <div className={keyMetricLabelClasses}>
+                            {label} start year
+                          </div>
+                          <div
+                            className={`text-sm font-bold ${
+                              run.success ? "text-white" : "text-[#ffb3b3]"
+                            }`}
+                          >
+                            {backtestLabel(run)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    {backtestPartialNote && (
+                      <p className="mt-2 text-[11px] text-[#bedcbe]">
+                        {backtestPartialNote}
+                      </p>
+                    )}
+                    <p className="mt-2 text-[11px] text-[#ffe9a8]">
+                      {HISTORICAL_DATA_CAVEAT}
+                    </p>
+                  </div>
+
+                  <hr className="border-[#bedcbe]/30" />
+                </>
+              )}
+
               <div className="rounded-xl bg-[#002820] p-3">
                 <p className="mb-1 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
                   Drawdown
@@ -1911,9 +4725,134 @@ const RetirementCalculator = () => {
                       )}
                     </div>
                   </div>
+                  {outputs.drawdownCapYears > 0 && (
+                    <div className="space-y-1 sm:col-span-2">
+                      <div className={keyMetricLabelClasses}>
+                        Years with drawdown capped at 17.5%
+                      </div>
+                      <div
+                        className={`${keyMetricValueClasses} text-[#ffb3b3]`}
+                      >
+                        {outputs.drawdownCapYears}
+                      </div>
+                      <p className="text-[11px] text-[#ffb3b3]">
+                        The living annuity cap first limits income at age
+                        {` ${outputs.firstDrawdownCapAge}`}; other pots
+                        cover the shortfall where they can.
+                        {outputs.shortfallAge !== null &&
+                          ` Income falls short of the target from age ${outputs.shortfallAge} while capital remains invested.`}
+                      </p>
+                    </div>
+                  )}
+                  <div className="space-y-1 sm:col-span-2">
+                    <div className={keyMetricLabelClasses}>
+                      Drawdown orders compared
+                    </div>
+                    <table className="w-full border-collapse text-[11px]">
+                      <thead>
+                        <tr>
+                          {strategyColumns.map((col) => (
+                            <th
+                              key={col.key}
+                              className={`${tableHeaderCellClasses} ${
+                                col.key === "strategy"
+                                  ? "text-left"
+                                  : "text-right"
+                              }`}
+                            >
+                              {col.label}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {strategyRows.map((row) => (
+                          <tr
+                            key={row.depleteOrder}
+                            className={
+                              row.depleteOrder === depleteOrder
+                                ? "font-semibold text-white"
+                                : "text-[#9ad0b0]"
+                            }
+                          >
+                            {strategyColumns.map((col) => (
+                              <td
+                                key={col.key}
+                                className={`px-2 py-1 ${
+                                  col.key === "strategy"
+                                    ? "text-left"
+                                    : "text-right"
+                                }`}
+                              >
+                                {formatExportValue(col, row[col.key])}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-[11px] text-[#9ad0b0]">
+                      Each order is run on the expected returns with the
+                      same contribution.
+                    </p>
+                  </div>
                 </div>
               </div>
 
+              {annuity && (
+                <>
+                  <hr className="border-[#bedcbe]/30" />
+
+                  <div className="rounded-xl bg-[#002820] p-3">
+                    <p className="mb-1 text-sm font-semibold uppercase tracking-wide text-[#9ad0b0]">
+                      Income floor
+                    </p>
+                    <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          {ANNUITY_TYPES[annuity.type].label} annuity
+                          bought at retirement
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(annuity.purchasePrice)}
+                        </div>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Guaranteed net income per month (today&apos;s
+                          money)
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(annuity.monthlyNetToday)}
+                        </div>
+                        <p className="text-[11px] text-[#9ad0b0]">
+                          {formatCurrency(annuity.monthlyNetAtRet)} at
+                          retirement,{" "}
+                          {formatPercent(annuity.targetShare)} of the
+                          target income
+                        </p>
+                      </div>
+                      {annuity.type === "LEVEL" && (
+                        <div className="space-y-1 sm:col-span-2">
+                          <div className={keyMetricLabelClasses}>
+                            Real value of the level income at{" "}
+                            {numericLifeExpectancy}
+                          </div>
+                          <div className={keyMetricValueClasses}>
+                            {formatCurrency(annuity.monthlyNetTodayAtEnd)}
+                          </div>
+                          <p className="text-[11px] text-[#9ad0b0]">
+                            A level annuity never increases, so inflation
+                            erodes it; the living annuity has to make up
+                            the difference.
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </>
+              )}
+
               <hr className="border-[#bedcbe]/30" />
 
               <div className="rounded-xl bg-[#002820] p-3">
@@ -1941,6 +4880,43 @@ const RetirementCalculator = () => {
                       )}
                     </div>
                   </div>
+                  {savingsWithdrawalImpact && (
+                    <>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Savings-pot withdrawals (tax)
+                        </div>
+                        <div className={keyMetricValueClasses}>
+                          {formatCurrency(
+                            savingsWithdrawalImpact.totalWithdrawn
+                          )}
+                        </div>
+                        <p className="text-[11px] text-[#9ad0b0]">
+                          {formatCurrency(savingsWithdrawalImpact.totalTax)}
+                          {" "}lost to tax
+                        </p>
+                      </div>
+                      <div className="space-y-1">
+                        <div className={keyMetricLabelClasses}>
+                          Cost of withdrawals
+                        </div>
+                        <div
+                          className={`${keyMetricValueClasses} text-[#ffb3b3]`}
+                        >
+                          {formatCurrency(
+                            savingsWithdrawalImpact.contributionIncrease
+                          )}
+                          {" "}/ month
+                        </div>
+                        <p className="text-[11px] text-[#ffb3b3]">
+                          {formatCurrency(
+                            savingsWithdrawalImpact.capitalReduction
+                          )}
+                          {" "}less capital at retirement
+                        </p>
+                      </div>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
@@ -2007,6 +4983,47 @@ const RetirementCalculator = () => {
             >
               Post-retirement
             </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={activeProjectionTab === "SCENARIOS"}
+              className={`${tabButtonBaseClasses} ${
+                activeProjectionTab === "SCENARIOS"
+                  ? "bg-[#bedcbe] text-[#003c32]"
+                  : "text-white"
+              }`}
+              onClick={() => setActiveProjectionTab("SCENARIOS")}
+            >
+              Scenarios
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={activeProjectionTab === "SENSITIVITY"}
+              className={`${tabButtonBaseClasses} ${
+                activeProjectionTab === "SENSITIVITY"
+                  ? "bg-[#bedcbe] text-[#003c32]"
+                  : "text-white"
+              }`}
+              onClick={() => setActiveProjectionTab("SENSITIVITY")}
+            >
+              Sensitivity
+            </button>
+            {backtest && (
+              <button
+                type="button"
+                role="tab"
+                aria-selected={activeProjectionTab === "BACKTEST"}
+                className={`${tabButtonBaseClasses} ${
+                  activeProjectionTab === "BACKTEST"
+                    ? "bg-[#bedcbe] text-[#003c32]"
+                    : "text-white"
+                }`}
+                onClick={() => setActiveProjectionTab("BACKTEST")}
+              >
+                Back-test
+              </button>
+            )}
           </div>
 
           {/* TAB 1: Capital trajectory */}
@@ -2018,7 +5035,7 @@ const RetirementCalculator = () => {
             {outputs.exhaustionAge < numericLifeExpectancy && (
               <p className="mb-1 text-xs text-[#ffb3b3]">
                 Capital is projected to be depleted around age
-                {` ${outputs.exhaustionAge}.`} Drawdown and/or
+                {` ${exhaustionLabel}.`} Drawdown and/or
                 assumptions may need adjustment.
               </p>
             )}
@@ -2048,6 +5065,11 @@ const RetirementCalculator = () => {
                       >
                         Age
                       </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Return
+                      </th>
                       <th
                         className={`${tableHeaderCellClasses} text-right`}
                       >
@@ -2063,6 +5085,11 @@ const RetirementCalculator = () => {
                       >
                         TFSA contrib
                       </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Disc. contrib
+                      </th>
                       <th
                         className={`${tableHeaderCellClasses} text-right`}
                       >
@@ -2083,11 +5110,47 @@ const RetirementCalculator = () => {
                       >
                         TFSA end
                       </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Disc. end
+                      </th>
                       <th
                         className={`${tableHeaderCellClasses} text-right`}
                       >
                         RA tax saving
                       </th>
+                      {medicalShown && (
+                        <th
+                          className={`${tableHeaderCellClasses} text-right`}
+                        >
+                          Medical credits
+                        </th>
+                      )}
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Disc. tax
+                      </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Fees
+                      </th>
+                      {twoPot && (
+                        <th
+                          className={`${tableHeaderCellClasses} text-right`}
+                        >
+                          Savings pot end
+                        </th>
+                      )}
+                      {twoPot && (
+                        <th
+                          className={`${tableHeaderCellClasses} text-right`}
+                        >
+                          Savings w/d
+                        </th>
+                      )}
                     </tr>
                   </thead>
                   <tbody>
@@ -2106,6 +5169,9 @@ const RetirementCalculator = () => {
                             <td className="px-2 py-1 text-left">
                               {row.age}
                             </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatPercent(row.returnRate)}
+                            </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(
                                 row.totalContribution
@@ -2121,6 +5187,9 @@ const RetirementCalculator = () => {
                                 row.tfsaContribution
                               )}
                             </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.discContribution)}
+                            </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(row.raStart)}
                             </td>
@@ -2135,11 +5204,35 @@ const RetirementCalculator = () => {
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(row.tfsaEnd)}
                             </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.discEnd)}
+                            </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(
                                 row.raTaxSaving
                               )}
                             </td>
+                            {medicalShown && (
+                              <td className="px-2 py-1 text-right">
+                                {formatCurrency(row.medicalCredit)}
+                              </td>
+                            )}
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.discIncomeTax)}
+                            </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.feesPaid)}
+                            </td>
+                            {twoPot && (
+                              <td className="px-2 py-1 text-right">
+                                {formatCurrency(row.savingsEnd)}
+                              </td>
+                            )}
+                            {twoPot && (
+                              <td className="px-2 py-1 text-right">
+                                {formatCurrency(row.savingsWithdrawal)}
+                              </td>
+                            )}
                           </tr>
                         );
                       }
@@ -2153,6 +5246,9 @@ const RetirementCalculator = () => {
                       <td className="px-2 py-1 text-left">
                         Total
                         </td>
+                        <td className="px-2 py-1 text-right">
+                          –
+                        </td>
                         <td className="px-2 py-1 text-right">
                           {formatCurrency(
                             preTotals.totalContribution
@@ -2168,6 +5264,12 @@ const RetirementCalculator = () => {
                             preTotals.tfsaContribution
                           )}
                         </td>
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(preTotals.discContribution)}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          –
+                        </td>
                         <td className="px-2 py-1 text-right">
                           –
                         </td>
@@ -2185,6 +5287,29 @@ const RetirementCalculator = () => {
                             preTotals.raTaxSaving
                           )}
                         </td>
+                        {medicalShown && (
+                          <td className="px-2 py-1 text-right">
+                            {formatCurrency(preTotals.medicalCredit)}
+                          </td>
+                        )}
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(preTotals.discIncomeTax)}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(preTotals.feesPaid)}
+                        </td>
+                        {twoPot && (
+                          <td className="px-2 py-1 text-right">
+                            –
+                          </td>
+                        )}
+                        {twoPot && (
+                          <td className="px-2 py-1 text-right">
+                            {formatCurrency(
+                              preTotals.savingsWithdrawal
+                            )}
+                          </td>
+                        )}
                       </tr>
                     )}
                   </tbody>
@@ -2212,7 +5337,7 @@ const RetirementCalculator = () => {
                       <th
                         className={`${tableHeaderCellClasses} text-left`}
                       >
-                        Age
+                        {household ? "Ages (you / partner)" : "Age"}
                       </th>
                       <th
                         className={`${tableHeaderCellClasses} text-right`}
@@ -2234,6 +5359,71 @@ const RetirementCalculator = () => {
                       >
                         Tax
                       </th>
+                      {monthlyDecumulation && (
+                        <th
+                          className={`${tableHeaderCellClasses} text-right`}
+                        >
+                          Due on assessment
+                        </th>
+                      )}
+                      {medicalShown && (
+                        <th
+                          className={`${tableHeaderCellClasses} text-right`}
+                        >
+                          Medical credits
+                        </th>
+                      )}
+                      {annuity && (
+                        <th
+                          className={`${tableHeaderCellClasses} text-right`}
+                        >
+                          Annuity income
+                        </th>
+                      )}
+                      {otherIncomeShown && (
+                        <>
+                          <th
+                            className={`${tableHeaderCellClasses} text-right`}
+                          >
+                            Other income
+                          </th>
+                          <th
+                            className={`${tableHeaderCellClasses} text-right`}
+                          >
+                            SASSA grant
+                          </th>
+                        </>
+                      )}
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        RA drawdown %
+                      </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Cap shortfall
+                      </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Disc. sold
+                      </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        CGT
+                      </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Disc. income tax
+                      </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Fees
+                      </th>
                       <th
                         className={`${tableHeaderCellClasses} text-right`}
                       >
@@ -2244,6 +5434,11 @@ const RetirementCalculator = () => {
                       >
                         TFSA start
                       </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Disc. start
+                      </th>
                       <th
                         className={`${tableHeaderCellClasses} text-right`}
                       >
@@ -2254,6 +5449,11 @@ const RetirementCalculator = () => {
                       >
                         TFSA end
                       </th>
+                      <th
+                        className={`${tableHeaderCellClasses} text-right`}
+                      >
+                        Disc. end
+                      </th>
                     </tr>
                   </thead>
                   <tbody>
@@ -2271,6 +5471,7 @@ const RetirementCalculator = () => {
                           >
                             <td className="px-2 py-1 text-left">
                               {row.age}
+                              {household && ` / ${row.partnerAge}`}
                             </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(
@@ -2290,18 +5491,80 @@ const RetirementCalculator = () => {
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(row.taxPaid)}
                             </td>
+                            {monthlyDecumulation && (
+                              <td className="px-2 py-1 text-right">
+                                {formatCurrency(row.taxReconciliation)}
+                              </td>
+                            )}
+                            {medicalShown && (
+                              <td className="px-2 py-1 text-right">
+                                {formatCurrency(row.medicalCredit)}
+                              </td>
+                            )}
+                            {annuity && (
+                              <td className="px-2 py-1 text-right">
+                                {formatCurrency(row.annuityIncome)}
+                              </td>
+                            )}
+                            {otherIncomeShown && (
+                              <>
+                                <td className="px-2 py-1 text-right">
+                                  {formatCurrency(row.otherIncome)}
+                                </td>
+                                <td className="px-2 py-1 text-right">
+                                  {formatCurrency(row.grantIncome)}
+                                </td>
+                              </>
+                            )}
+                            <td className="px-2 py-1 text-right">
+                              {formatPercent(row.raDrawdownRate)}
+                            </td>
+                            <td
+                              className={`px-2 py-1 text-right ${
+                                row.drawdownCapped
+                                  ? "font-bold text-[#c0392b]"
+                                  : ""
+                              }`}
+                              title={
+                                row.drawdownCapped
+                                  ? "Living annuity 17.5% cap limited the RA drawdown"
+                                  : undefined
+                              }
+                            >
+                              {row.drawdownCapped
+                                ? formatCurrency(row.capShortfall)
+                                : "–"}
+                            </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.discWithdrawal)}
+                            </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.cgtPaid)}
+                            </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.discIncomeTax)}
+                            </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.feesPaid)}
+                            </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(row.raStart)}
                             </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(row.tfsaStart)}
                             </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.discStart)}
+                            </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(row.raEnd)}
                             </td>
                             <td className="px-2 py-1 text-right">
                               {formatCurrency(row.tfsaEnd)}
                             </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(row.discEnd)}
+                            </td>
                           </tr>
                         );
                       }
@@ -2335,6 +5598,57 @@ const RetirementCalculator = () => {
                             postTotals.taxPaid
                           )}
                         </td>
+                        {monthlyDecumulation && (
+                          <td className="px-2 py-1 text-right">
+                            {formatCurrency(postTotals.taxReconciliation)}
+                          </td>
+                        )}
+                        {medicalShown && (
+                          <td className="px-2 py-1 text-right">
+                            {formatCurrency(postTotals.medicalCredit)}
+                          </td>
+                        )}
+                        {annuity && (
+                          <td className="px-2 py-1 text-right">
+                            {formatCurrency(postTotals.annuityIncome)}
+                          </td>
+                        )}
+                        {otherIncomeShown && (
+                          <>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(postTotals.otherIncome)}
+                            </td>
+                            <td className="px-2 py-1 text-right">
+                              {formatCurrency(postTotals.grantIncome)}
+                            </td>
+                          </>
+                        )}
+                        <td className="px-2 py-1 text-right">
+                          –
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(
+                            postTotals.capShortfall
+                          )}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(postTotals.discWithdrawal)}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(postTotals.cgtPaid)}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(postTotals.discIncomeTax)}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          {formatCurrency(postTotals.feesPaid)}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          –
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          –
+                        </td>
                         <td className="px-2 py-1 text-right">
                           –
                         </td>
@@ -2354,6 +5668,361 @@ const RetirementCalculator = () => {
               </div>
             </>
           )}
+
+          {/* TAB 5: HISTORICAL BACK-TEST */}
+          {activeProjectionTab === "BACKTEST" && backtest && (
+            <>
+              <h3 className="mt-2 text-base font-semibold text-[#bedcbe]">
+                Capital by retirement start year
+              </h3>
+              <p className="text-[11px] text-[#bedcbe]">
+                One line per start year from {backtest.dataFirstYear} to{" "}
+                {backtest.dataLastYear}; the worst, median and best are
+                highlighted.
+              </p>
+              {backtestPartialNote && (
+                <p className="text-[11px] text-[#bedcbe]">
+                  {backtestPartialNote}
+                </p>
+              )}
+              <p className="text-[11px] text-[#ffe9a8]">
+                {HISTORICAL_DATA_CAVEAT}
+              </p>
+              <div className="mt-2 h-[260px] rounded-2xl border border-[#bedcbe] md:h-[360px]">
+                {renderBacktestChart()}
+              </div>
+            </>
+          )}
+
+          {/* TAB 4: SAVED SCENARIOS */}
+          {activeProjectionTab === "SCENARIOS" && (
+            <>
+              <h3 className="mt-2 text-base font-semibold text-[#bedcbe]">
+                Scenario comparison
+              </h3>
+              <p className="text-[11px] text-[#bedcbe]">
+                Save the current inputs as a named scenario, then change them
+                to compare. Saved scenarios are overlaid on the capital chart
+                and included in exports.
+              </p>
+              {scenariosPending && (
+                <p
+                  role="status"
+                  className="animate-pulse text-[11px] text-[#bedcbe]"
+                >
+                  Projecting saved scenarios…
+                </p>
+              )}
+              <div className="flex flex-col gap-3 text-sm sm:flex-row sm:items-end">
+                <label
+                  className="flex flex-1 flex-col gap-1"
+                  htmlFor="scenario-name"
+                >
+                  <span className={labelTextClasses}>Scenario name</span>
+                  <input
+                    id="scenario-name"
+                    className={inputClasses}
+                    placeholder={`Scenario ${scenarios.length + 1}`}
+                    value={scenarioName}
+                    onChange={(e) => setScenarioName(e.target.value)}
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={saveScenario}
+                  className="rounded-full bg-[#bedcbe] px-4 py-2 text-xs font-semibold text-[#003c32] shadow-sm"
+                >
+                  Save current inputs
+                </button>
+                <label
+                  className="flex flex-1 flex-col gap-1"
+                  htmlFor="scenario-baseline"
+                >
+                  <span className={labelTextClasses}>Baseline</span>
+                  <select
+                    id="scenario-baseline"
+                    className={inputClasses}
+                    value={baselineId}
+                    onChange={(e) => setBaselineId(e.target.value)}
+                  >
+                    <option value={CURRENT_SCENARIO_ID}>Current inputs</option>
+                    {scenarios.map((scenario) => (
+                      <option key={scenario.id} value={scenario.id}>
+                        {scenario.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <div className="mt-2 max-h-96 overflow-auto rounded-2xl border border-[#bedcbe]">
+                <table className="w-full border-collapse text-[11px]">
+                  <thead>
+                    <tr>
+                      {scenarioComparisonColumns.map((col) => (
+                        <th
+                          key={col.key}
+                          className={`${tableHeaderCellClasses} ${
+                            col.key === "name" ? "text-left" : "text-right"
+                          }`}
+                        >
+                          {col.label}
+                        </th>
+                      ))}
+                      <th className={tableHeaderCellClasses} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparisonRows.map((row, idx) => (
+                      <tr
+                        key={row.id}
+                        className={
+                          idx % 2 === 0
+                            ? "bg-white text-[#003c32]"
+                            : "bg-[#003c32] text-white"
+                        }
+                      >
+                        {scenarioComparisonColumns.map((col) => (
+                          <td
+                            key={col.key}
+                            className={`px-2 py-1 ${
+                              col.key === "name"
+                                ? "text-left font-semibold"
+                                : "text-right"
+                            }`}
+                          >
+                            {col.key === "name"
+                              ? `${row.name}${
+                                  row.isBaseline ? " (baseline)" : ""
+                                }`
+                              : row[col.key] === null
+                              ? "–"
+                              : col.formatter(row[col.key])}
+                          </td>
+                        ))}
+                        <td className="whitespace-nowrap px-2 py-1 text-right">
+                          {row.id !== CURRENT_SCENARIO_ID && (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  load(
+                                    scenarios.find(
+                                      (scenario) => scenario.id === row.id
+                                    ).values
+                                  )
+                                }
+                                className="mr-2 underline"
+                              >
+                                Load
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => deleteScenario(row.id)}
+                                className="underline"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {/* TAB 6: SENSITIVITY ANALYSIS */}
+          {activeProjectionTab === "SENSITIVITY" && (
+            <>
+              <h3 className="mt-2 text-base font-semibold text-[#bedcbe]">
+                Sensitivity analysis
+              </h3>
+              <p className="text-[11px] text-[#bedcbe]">
+                Each input is moved down and up by its step with everything
+                else as entered. The required contribution is solved again on
+                the expected returns; &quot;money lasts to&quot; keeps
+                today&apos;s required contribution unchanged.
+              </p>
+              <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-3">
+                {SENSITIVITY_INPUTS.map(({ key, label, unit }) => {
+                  const field = sensitivityStepField(key);
+                  return (
+                    <label
+                      key={key}
+                      className="flex flex-col gap-1"
+                      htmlFor={`sensitivity-step-${key}`}
+                    >
+                      <span className={labelTextClasses}>
+                        {label} step ({sensitivityUnit(unit)})
+                      </span>
+                      <input
+                        id={`sensitivity-step-${key}`}
+                        className={inputClasses}
+                        value={values[field]}
+                        onChange={handlers.number(field)}
+                        type="number"
+                        min={0}
+                        step="any"
+                      />
+                      {errors[field] && (
+                        <p className="text-[11px] text-[#ffb3b3]">
+                          {errors[field]}
+                        </p>
+                      )}
+                    </label>
+                  );
+                })}
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="sensitivity-grid-rows"
+                >
+                  <span className={labelTextClasses}>Grid rows</span>
+                  <select
+                    id="sensitivity-grid-rows"
+                    className={inputClasses}
+                    value={values.sensitivityGridRows}
+                    onChange={handlers.select("sensitivityGridRows")}
+                  >
+                    {SENSITIVITY_INPUTS.map(({ key, label }) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label
+                  className="flex flex-col gap-1"
+                  htmlFor="sensitivity-grid-columns"
+                >
+                  <span className={labelTextClasses}>Grid columns</span>
+                  <select
+                    id="sensitivity-grid-columns"
+                    className={inputClasses}
+                    value={values.sensitivityGridColumns}
+                    onChange={handlers.select("sensitivityGridColumns")}
+                  >
+                    {SENSITIVITY_INPUTS.map(({ key, label }) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {errors.sensitivityGridColumns && (
+                    <p className="text-[11px] text-[#ffb3b3]">
+                      {errors.sensitivityGridColumns}
+                    </p>
+                  )}
+                </label>
+              </div>
+              {sensitivityPending && (
+                <p
+                  role="status"
+                  className="animate-pulse text-[11px] text-[#bedcbe]"
+                >
+                  {sensitivity ? "Updating…" : "Running the analysis…"}
+                </p>
+              )}
+              {sensitivity && (
+                <>
+                  <h4 className="text-sm font-semibold text-[#bedcbe]">
+                    Which input matters most
+                  </h4>
+                  <p className="text-[11px] text-[#bedcbe]">
+                    Change in the required monthly contribution from{" "}
+                    {formatCurrency(
+                      sensitivity.base.requiredMonthlyContribution
+                    )}
+                    , largest swing first.
+                  </p>
+                  <div className="h-[300px] rounded-2xl border border-[#bedcbe]">
+                    {renderSensitivityChart()}
+                  </div>
+                  <h4 className="text-sm font-semibold text-[#bedcbe]">
+                    {sensitivity.grid.rows.label} ×{" "}
+                    {sensitivity.grid.columns.label}
+                  </h4>
+                  <p className="text-[11px] text-[#bedcbe]">
+                    Required monthly contribution, and the age the money lasts
+                    to at today&apos;s contribution.
+                  </p>
+                  <div className="overflow-auto rounded-2xl border border-[#bedcbe]">
+                    <table className="w-full border-collapse text-[11px]">
+                      <thead>
+                        <tr>
+                          <th
+                            className={`${tableHeaderCellClasses} text-left`}
+                          >
+                            {sensitivity.grid.rows.label} ↓ /{" "}
+                            {sensitivity.grid.columns.label} →
+                          </th>
+                          {sensitivity.grid.columnOffsets.map((offset) => (
+                            <th
+                              key={offset}
+                              className={`${tableHeaderCellClasses} text-right`}
+                            >
+                              {formatSensitivityStep(
+                                offset,
+                                sensitivity.grid.columns.unit
+                              )}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {sensitivity.grid.cells.map((cells, rowIndex) => {
+                          const rowOffset =
+                            sensitivity.grid.rowOffsets[rowIndex];
+                          return (
+                            <tr
+                              key={rowOffset}
+                              className="border-t border-[#bedcbe]/40"
+                            >
+                              <th className="whitespace-nowrap px-2 py-1 text-left font-semibold">
+                                {formatSensitivityStep(
+                                  rowOffset,
+                                  sensitivity.grid.rows.unit
+                                )}
+                              </th>
+                              {cells.map((cell, columnIndex) => (
+                                <td
+                                  key={
+                                    sensitivity.grid.columnOffsets[columnIndex]
+                                  }
+                                  className={`whitespace-nowrap px-2 py-1 text-right ${
+                                    cell === sensitivity.base
+                                      ? "bg-[#bedcbe] text-[#003c32]"
+                                      : ""
+                                  }`}
+                                >
+                                  {cell ? (
+                                    <>
+                                      {formatCurrency(
+                                        cell.requiredMonthlyContribution
+                                      )}
+                                      <br />
+                                      {cell.lastsToEnd
+                                        ? "Lasts to the end"
+                                        : cell.shortfallAge !== null
+                                          ? `Short from ${cell.shortfallAge}`
+                                          : `Lasts to ${cell.exhaustionAge}`}
+                                    </>
+                                  ) : (
+                                    "n/a"
+                                  )}
+                                </td>
+                              ))}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </>
+          )}
         </section>
       </div>
       <div
@@ -0,0 +1,40 @@
+import {
+  DEFAULT_ANNUITY_RATES,
+  annuityRateAt,
+  formatAnnuityRateTable,
+  parseAnnuityRateTable,
+} from "./annuityRates";
+
+describe("annuity rate tables", () => {
+  it("interpolates between ages and holds the end rates", () => {
+    const table = [
+      { age: 60, level: 8, inflationLinked: 5 },
+      { age: 70, level: 12, inflationLinked: 9 },
+    ];
+
+    expect(annuityRateAt(table, 65, "LEVEL")).toBeCloseTo(0.1, 10);
+    expect(annuityRateAt(table, 62, "INFLATION_LINKED")).toBeCloseTo(
+      0.058,
+      10
+    );
+    expect(annuityRateAt(table, 50, "LEVEL")).toBeCloseTo(0.08, 10);
+    expect(annuityRateAt(table, 90, "INFLATION_LINKED")).toBeCloseTo(0.09, 10);
+  });
+
+  it("round-trips the text form of a table", () => {
+    const text = formatAnnuityRateTable(DEFAULT_ANNUITY_RATES);
+    expect(parseAnnuityRateTable(text)).toEqual({
+      table: DEFAULT_ANNUITY_RATES,
+      error: null,
+    });
+  });
+
+  it("reports unreadable tables", () => {
+    expect(parseAnnuityRateTable("").error).toBeTruthy();
+    expect(parseAnnuityRateTable("65: 10").error).toMatch(/Line 1/);
+    expect(parseAnnuityRateTable("65: 10, 7\n60: 9, 6").error).toMatch(
+      /increase/
+    );
+    expect(parseAnnuityRateTable("65: 0, 7").error).toMatch(/positive/);
+  });
+});
@@ -0,0 +1,146 @@
+// assetAllocation.js
+// Asset classes, per-pot allocations and the Regulation 28 limits that apply
+// to retirement funds. Allocations and assumptions are percentages keyed by
+// asset class, e.g. { localEquity: 45, offshoreEquity: 25, ... }.
+
+// Default expected returns and volatilities are nominal rand figures, % p.a.
+export const ASSET_CLASSES = [
+  {
+    key: "localEquity",
+    label: "Local equity",
+    defaultReturn: 13,
+    defaultVolatility: 17,
+  },
+  {
+    key: "offshoreEquity",
+    label: "Offshore equity",
+    defaultReturn: 13.5,
+    defaultVolatility: 15,
+  },
+  { key: "bonds", label: "Bonds", defaultReturn: 10, defaultVolatility: 8 },
+  { key: "cash", label: "Cash", defaultReturn: 7, defaultVolatility: 1 },
+  {
+    key: "property",
+    label: "Property",
+    defaultReturn: 11,
+    defaultVolatility: 18,
+  },
+];
+
+export const ALLOCATION_POTS = [
+  {
+    key: "ra",
+    label: "RA",
+    defaults: {
+      localEquity: 45,
+      offshoreEquity: 25,
+      bonds: 20,
+      cash: 5,
+      property: 5,
+    },
+  },
+  {
+    key: "tfsa",
+    label: "TFSA",
+    defaults: {
+      localEquity: 50,
+      offshoreEquity: 40,
+      bonds: 5,
+      cash: 0,
+      property: 5,
+    },
+  },
+  {
+    key: "disc",
+    label: "Discretionary",
+    defaults: {
+      localEquity: 45,
+      offshoreEquity: 35,
+      bonds: 10,
+      cash: 5,
+      property: 5,
+    },
+  },
+];
+
+// Regulation 28 of the Pension Funds Act caps what a retirement fund may
+// hold in each category, as a share of the fund.
+export const REGULATION_28_LIMITS = [
+  {
+    key: "offshore",
+    label: "offshore assets",
+    limit: 45,
+    assets: ["offshoreEquity"],
+  },
+  {
+    key: "equity",
+    label: "equity",
+    limit: 75,
+    assets: ["localEquity", "offshoreEquity"],
+  },
+  { key: "property", label: "property", limit: 25, assets: ["property"] },
+];
+
+const capitalise = (text) => `${text[0].toUpperCase()}${text.slice(1)}`;
+
+// Form field names, e.g. allocRaLocalEquity, localEquityReturn.
+export const allocationField = (pot, asset) =>
+  `alloc${capitalise(pot)}${capitalise(asset)}`;
+export const returnField = (asset) => `${asset}Return`;
+export const volatilityField = (asset) => `${asset}Volatility`;
+
+export const ALLOCATION_NUMBER_FIELDS = [
+  ...ASSET_CLASSES.flatMap(({ key }) => [returnField(key), volatilityField(key)]),
+  ...ALLOCATION_POTS.flatMap((pot) =>
+    ASSET_CLASSES.map((asset) => allocationField(pot.key, asset.key))
+  ),
+];
+
+export const defaultAllocationValues = Object.fromEntries([
+  ...ASSET_CLASSES.flatMap((asset) => [
+    [returnField(asset.key), String(asset.defaultReturn)],
+    [volatilityField(asset.key), String(asset.defaultVolatility)],
+  ]),
+  ...ALLOCATION_POTS.flatMap((pot) =>
+    ASSET_CLASSES.map((asset) => [
+      allocationField(pot.key, asset.key),
+      String(pot.defaults[asset.key]),
+    ])
+  ),
+]);
+
+export const allocationTotal = (weights) =>
+  ASSET_CLASSES.reduce((sum, { key }) => sum + (weights[key] || 0), 0);
+
+// Weights are scaled by their total, so an allocation that does not add up
+// to 100% still blends sensibly while the form reports the error.
+function weighted(weights, valueOf) {
+  const total = allocationTotal(weights);
+  if (total <= 0) return 0;
+  return ASSET_CLASSES.reduce(
+    (sum, { key }) => sum + ((weights[key] || 0) / total) * valueOf(key),
+    0
+  );
+}
+
+export const blendedReturn = (weights, assumptions) =>
+  weighted(weights, (key) => assumptions[key].return);
+
+// Asset classes are treated as fully correlated, so the blended volatility
+// errs on the cautious side.
+export const blendedVolatility = (weights, assumptions) =>
+  weighted(weights, (key) => assumptions[key].volatility);
+
+// Categories where a retirement-fund allocation exceeds Regulation 28, with
+// the share actually held.
+export function regulation28Breaches(weights) {
+  const total = allocationTotal(weights);
+  if (total <= 0) return [];
+  return REGULATION_28_LIMITS.map((category) => ({
+    ...category,
+    actual:
+      (category.assets.reduce((sum, key) => sum + (weights[key] || 0), 0) /
+        total) *
+      100,
+  })).filter((category) => category.actual > category.limit + 1e-9);
+}
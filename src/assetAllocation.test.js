@@ -0,0 +1,85 @@
+import {
+  allocationField,
+  blendedReturn,
+  blendedVolatility,
+  defaultAllocationValues,
+  regulation28Breaches,
+} from "./assetAllocation";
+import { buildFormModel, defaultFormValues } from "./calculatorForm";
+
+const assumptions = {
+  localEquity: { return: 13, volatility: 17 },
+  offshoreEquity: { return: 14, volatility: 15 },
+  bonds: { return: 10, volatility: 8 },
+  cash: { return: 7, volatility: 1 },
+  property: { return: 11, volatility: 18 },
+};
+
+describe("asset allocation", () => {
+  it("blends returns and volatilities by weight", () => {
+    const weights = { localEquity: 60, bonds: 30, cash: 10 };
+    expect(blendedReturn(weights, assumptions)).toBeCloseTo(11.5, 10);
+    expect(blendedVolatility(weights, assumptions)).toBeCloseTo(12.7, 10);
+  });
+
+  it("scales weights that do not add up to 100%", () => {
+    expect(blendedReturn({ localEquity: 25, cash: 25 }, assumptions)).toBe(10);
+    expect(blendedReturn({}, assumptions)).toBe(0);
+  });
+
+  it("flags Regulation 28 offshore, equity and property limits", () => {
+    expect(
+      regulation28Breaches({ localEquity: 45, offshoreEquity: 30, bonds: 25 })
+    ).toEqual([]);
+
+    const breaches = regulation28Breaches({
+      localEquity: 30,
+      offshoreEquity: 50,
+      property: 20,
+    });
+    expect(breaches.map((breach) => breach.key)).toEqual([
+      "offshore",
+      "equity",
+    ]);
+    expect(breaches[1].actual).toBe(80);
+  });
+
+  it("warns without erroring when the RA allocation breaks Regulation 28", () => {
+    const model = buildFormModel({
+      ...defaultFormValues,
+      useAssetAllocation: true,
+      [allocationField("ra", "localEquity")]: "35",
+      [allocationField("ra", "offshoreEquity")]: "50",
+      [allocationField("ra", "bonds")]: "5",
+      [allocationField("ra", "cash")]: "5",
+      [allocationField("ra", "property")]: "5",
+    });
+
+    expect(model.errors).toEqual({});
+    expect(model.warnings.raAllocation).toMatch(/offshore assets/);
+    expect(model.warnings.raAllocation).toMatch(/equity/);
+    expect(model.projectionParams.assetAllocation.ra.offshoreEquity).toBe(50);
+  });
+
+  it("requires each pot's allocation to total 100%", () => {
+    const model = buildFormModel({
+      ...defaultFormValues,
+      useAssetAllocation: true,
+      [allocationField("tfsa", "cash")]: "10",
+    });
+
+    expect(model.errors.tfsaAllocation).toMatch(/110\.00%/);
+    expect(model.errors.raAllocation).toBeUndefined();
+  });
+
+  it("ships compliant defaults and ignores the allocation when off", () => {
+    const model = buildFormModel({
+      ...defaultFormValues,
+      ...defaultAllocationValues,
+      useAssetAllocation: true,
+    });
+    expect(model.warnings).toEqual({});
+    expect(model.errors).toEqual({});
+    expect(buildFormModel(defaultFormValues).projectionParams.assetAllocation).toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+// batchProjection.js
+// Runs the projection for a book of clients, e.g. to rerun every plan after
+// a budget speech. Each client is a set of form inputs (the fields of
+// defaultFormValues, plus an optional `id`); missing fields take the
+// defaults and every row goes through the same validation as the form. Used
+// by scripts/batch-projections.mjs.
+import { buildFormModel, defaultFormValues } from "./calculatorForm";
+import { projectRetirement } from "./retirementProjection";
+
+export const BATCH_RESULT_FIELDS = [
+  "row",
+  "id",
+  "status",
+  "requiredMonthlyContribution",
+  "totalCapitalAtRet",
+  "exhaustionAge",
+  "errors",
+];
+
+const BOOLEAN_TEXT = {
+  true: true,
+  false: false,
+  yes: true,
+  no: false,
+  1: true,
+  0: false,
+};
+
+// Splits CSV text into records keyed by the header row. Handles quoted
+// fields (with "" for a quote) and skips blank lines.
+export function parseClientCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = String(text || "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  const [header, ...body] = rows.filter((cells) =>
+    cells.some((cell) => cell.trim() !== "")
+  );
+  if (!header) return [];
+  const columns = header.map((cell) => cell.trim());
+  return body.map((cells) =>
+    Object.fromEntries(
+      columns.map((column, i) => [column, (cells[i] ?? "").trim()])
+    )
+  );
+}
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Form values for one client record. Numbers may be given as numbers (JSON)
+// or text; booleans as true/false, yes/no or 1/0. Blank cells and unknown
+// columns are ignored.
+export function clientFormValues(record) {
+  const values = { ...defaultFormValues };
+  const unreadable = [];
+  Object.keys(defaultFormValues).forEach((field) => {
+    const raw = record[field];
+    if (raw === undefined || raw === null || raw === "") return;
+    if (typeof defaultFormValues[field] !== "boolean") {
+      values[field] = String(raw);
+    } else if (typeof raw === "boolean") {
+      values[field] = raw;
+    } else if (String(raw).trim().toLowerCase() in BOOLEAN_TEXT) {
+      values[field] = BOOLEAN_TEXT[String(raw).trim().toLowerCase()];
+    } else {
+      unreadable.push(field);
+    }
+  });
+  return { values, unreadable };
+}
+
+// One result per record. Rows that are not a set of inputs or fail
+// validation are not projected ("invalid"); a row the projection throws on
+// is reported as an "error" and the batch carries on.
+export function runBatch(records) {
+  return records.map((record, index) => {
+    const base = {
+      row: index + 1,
+      id:
+        isPlainObject(record) && record.id !== undefined
+          ? String(record.id)
+          : "",
+    };
+    const failed = (status, messages) => ({
+      ...base,
+      status,
+      requiredMonthlyContribution: null,
+      totalCapitalAtRet: null,
+      exhaustionAge: null,
+      errors: messages,
+    });
+    if (!isPlainObject(record)) {
+      return failed("invalid", ["Each client must be a set of form inputs."]);
+    }
+
+    const { values, unreadable } = clientFormValues(record);
+    const { errors, projectionParams } = buildFormModel(values);
+    const messages = [
+      ...unreadable.map((field) => `${field}: use true or false.`),
+      ...Object.entries(errors).map(
+        ([field, message]) => `${field}: ${message}`
+      ),
+    ];
+    if (messages.length > 0) return failed("invalid", messages);
+
+    let outputs;
+    try {
+      outputs = projectRetirement(projectionParams);
+    } catch (error) {
+      return failed("error", [`Projection failed: ${error.message}`]);
+    }
+    return {
+      ...base,
+      status: "ok",
+      requiredMonthlyContribution: outputs.requiredMonthlyContribution,
+      totalCapitalAtRet: outputs.totalCapitalAtRet,
+      exhaustionAge: outputs.exhaustionAge,
+      errors: [],
+    };
+  });
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "number" ? String(Math.round(value * 100) / 100) : value;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function formatBatchCsv(results) {
+  return [
+    BATCH_RESULT_FIELDS.join(","),
+    ...results.map((result) =>
+      BATCH_RESULT_FIELDS.map((field) =>
+        csvCell(field === "errors" ? result.errors.join(" ") : result[field])
+      ).join(",")
+    ),
+  ].join("\n");
+}
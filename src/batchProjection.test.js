@@ -0,0 +1,97 @@
+import {
+  clientFormValues,
+  formatBatchCsv,
+  parseClientCsv,
+  runBatch,
+} from "./batchProjection";
+import { defaultFormValues } from "./calculatorForm";
+import { projectRetirement } from "./retirementProjection";
+
+jest.mock("./retirementProjection", () => ({
+  ...jest.requireActual("./retirementProjection"),
+  projectRetirement: jest.fn(),
+}));
+
+describe("batch projections", () => {
+  beforeEach(() => {
+    projectRetirement.mockImplementation(
+      jest.requireActual("./retirementProjection").projectRetirement
+    );
+  });
+
+  it("reads client CSV with quoted fields", () => {
+    const records = parseClientCsv(
+      'id,grossIncome,includeTfsa\r\n"Smith, J","900,000",yes\r\n\r\nK2,,0\n'
+    );
+    expect(records).toEqual([
+      { id: "Smith, J", grossIncome: "900,000", includeTfsa: "yes" },
+      { id: "K2", grossIncome: "", includeTfsa: "0" },
+    ]);
+  });
+
+  it("fills missing fields from the defaults", () => {
+    const { values, unreadable } = clientFormValues({
+      currentAge: 45,
+      includeTfsa: "no",
+      householdMode: "perhaps",
+      grossIncome: "",
+    });
+    expect(values.currentAge).toBe("45");
+    expect(values.includeTfsa).toBe(false);
+    expect(values.grossIncome).toBe(defaultFormValues.grossIncome);
+    expect(unreadable).toEqual(["householdMode"]);
+  });
+
+  it("projects valid rows and reports validation errors", () => {
+    const results = runBatch([
+      { id: "A", currentAge: "40" },
+      { id: "B", currentAge: "70", retireAge: "65" },
+    ]);
+
+    expect(results[0]).toMatchObject({ row: 1, id: "A", status: "ok" });
+    expect(results[0].requiredMonthlyContribution).toBeGreaterThan(0);
+    expect(results[0].totalCapitalAtRet).toBeGreaterThan(0);
+    expect(results[1]).toMatchObject({
+      row: 2,
+      id: "B",
+      status: "invalid",
+      requiredMonthlyContribution: null,
+    });
+    expect(results[1].errors.join(" ")).toMatch(/retireAge/);
+
+    const [header, , invalidLine] = formatBatchCsv(results).split("\n");
+    expect(header).toBe(
+      "row,id,status,requiredMonthlyContribution,totalCapitalAtRet," +
+        "exhaustionAge,errors"
+    );
+    expect(invalidLine).toMatch(/^2,B,invalid,,,,/);
+  });
+
+  it("reports rows that are not inputs or fail to project and carries on", () => {
+    projectRetirement.mockImplementationOnce(() => {
+      throw new Error("no solution");
+    });
+    const results = runBatch([
+      { id: "A" },
+      null,
+      ["40"],
+      { id: "D", currentAge: "40" },
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      "error",
+      "invalid",
+      "invalid",
+      "ok",
+    ]);
+    expect(results[0]).toMatchObject({
+      row: 1,
+      id: "A",
+      requiredMonthlyContribution: null,
+      errors: ["Projection failed: no solution"],
+    });
+    expect(results[1]).toMatchObject({ row: 2, id: "" });
+    expect(results[1].errors).toHaveLength(1);
+    expect(results[3].requiredMonthlyContribution).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,821 @@
+// calculatorForm.js
+// The calculator's form model without React: defaults, parsing, sanitising,
+// validation and the mapping onto projection parameters. Saved scenarios go
+// through exactly the same rules as the live form. Form values are the raw
+// strings/booleans held by the inputs.
+import {
+  ALLOCATION_NUMBER_FIELDS,
+  ALLOCATION_POTS,
+  ASSET_CLASSES,
+  allocationField,
+  allocationTotal,
+  defaultAllocationValues,
+  regulation28Breaches,
+  returnField,
+  volatilityField,
+} from "./assetAllocation";
+import {
+  DEFAULT_ANNUITY_RATES,
+  formatAnnuityRateTable,
+  parseAnnuityRateTable,
+} from "./annuityRates";
+import { formatCurrency, formatPercent } from "./formatters";
+import {
+  INCOME_STREAMS,
+  INCOME_STREAM_NUMBER_FIELDS,
+  defaultIncomeStreamValues,
+  incomeStreamField,
+  incomeStreamsFromNumbers,
+} from "./incomeStreams";
+import {
+  SENSITIVITY_INPUTS,
+  SENSITIVITY_STEP_FIELDS,
+  defaultSensitivityValues,
+  sensitivityStepField,
+  sensitivityStepsFromNumbers,
+} from "./sensitivity";
+import {
+  CUSTOM_TAX_YEAR,
+  DEFAULT_TAX_YEAR,
+  getTaxTable,
+  parseCustomTaxTable,
+} from "./taxTables";
+
+export const MC_MAX_SIMULATIONS = 5000;
+export const MAX_COMMUTATION_PCT = 100 / 3;
+
+export const defaultFormValues = {
+  currentAge: "30",
+  retireAge: "65",
+  lifeExpectancy: "100",
+  initialCapital: "0",
+  initialTfsaBalance: "0",
+  tfsaContribToDate: "0",
+  targetNetToday: "45000",
+  householdMode: false,
+  partnerCurrentAge: "30",
+  partnerLifeExpectancy: "100",
+  partnerGrossIncome: "480000",
+  partnerInitialCapital: "0",
+  partnerInitialTfsaBalance: "0",
+  partnerTfsaContribToDate: "0",
+  partnerTfsaMonthly: "0",
+  raFunding: "OPTIMISE",
+  survivorIncomePct: "70",
+  preReturn: "14",
+  postReturn: "10",
+  inflation: "5",
+  annualIncrease: "0",
+  includeTfsa: false,
+  grossIncome: "720000",
+  incomeGrowthMode: "INFLATION",
+  incomeGrowthRate: "0",
+  tfsaMonthly: "3000",
+  depleteOrder: "TFSA_FIRST",
+  bracketCeiling: "237100",
+  optimiseBracketCeiling: false,
+  taxMode: "SARS",
+  flatTaxRate: "25",
+  reinvestRaTaxSaving: true,
+  taxRealism: false,
+  realTerms: false,
+  returnMode: "DETERMINISTIC",
+  returnVolatility: "12",
+  mcSimulations: "500",
+  mcSeed: "42",
+  targetSuccessRate: "90",
+  glidePath: "NONE",
+  glidePathYears: "10",
+  glidePathCurve: "10, 25, 45, 70, 100",
+  glideEndVolatility: "6",
+  historicalBacktest: false,
+  backtestEquityPct: "60",
+  backtestBondPct: "30",
+  livingAnnuityLimits: true,
+  laSurplusTarget: "TFSA",
+  decumulationFrequency: "ANNUAL",
+  lumpSumPct: "0",
+  priorLumpSums: "0",
+  lumpSumDestination: "TFSA",
+  buyAnnuity: false,
+  annuityPurchasePct: "50",
+  annuityType: "INFLATION_LINKED",
+  annuityRatesText: formatAnnuityRateTable(DEFAULT_ANNUITY_RATES),
+  sassaGrant: false,
+  ...defaultIncomeStreamValues,
+  twoPot: true,
+  twoPotSeedCapital: false,
+  savingsWithdrawalAnnual: "0",
+  discInterestYield: "2",
+  discDividendYield: "1.5",
+  fundTer: "0.8",
+  adviceFee: "0.5",
+  platformFeeBand1: "1000000",
+  platformFeeRate1: "0.4",
+  platformFeeBand2: "3000000",
+  platformFeeRate2: "0.25",
+  platformFeeRate3: "0.1",
+  useAssetAllocation: false,
+  ...defaultAllocationValues,
+  taxYear: DEFAULT_TAX_YEAR,
+  customTaxTableJson: "",
+  medicalSchemeMonthly: "0",
+  medicalDependants: "0",
+  medicalOutOfPocket: "0",
+  solveFor: "CONTRIBUTION",
+  fixedMonthlyContribution: "8000",
+  ...defaultSensitivityValues,
+};
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string") {
+    const cleaned = value.replace(/,/g, "").trim();
+    if (cleaned === "") return NaN;
+    return Number(cleaned);
+  }
+  return NaN;
+};
+
+function parseNumbers(values) {
+  return {
+    currentAge: toNumber(values.currentAge),
+    retireAge: toNumber(values.retireAge),
+    lifeExpectancy: toNumber(values.lifeExpectancy),
+    initialCapital: toNumber(values.initialCapital),
+    initialTfsaBalance: toNumber(values.initialTfsaBalance),
+    tfsaContribToDate: toNumber(values.tfsaContribToDate),
+    targetNetToday: toNumber(values.targetNetToday),
+    partnerCurrentAge: toNumber(values.partnerCurrentAge),
+    partnerLifeExpectancy: toNumber(values.partnerLifeExpectancy),
+    partnerGrossIncome: toNumber(values.partnerGrossIncome),
+    partnerInitialCapital: toNumber(values.partnerInitialCapital),
+    partnerInitialTfsaBalance: toNumber(values.partnerInitialTfsaBalance),
+    partnerTfsaContribToDate: toNumber(values.partnerTfsaContribToDate),
+    partnerTfsaMonthly: toNumber(values.partnerTfsaMonthly),
+    survivorIncomePct: toNumber(values.survivorIncomePct),
+    preReturn: toNumber(values.preReturn),
+    postReturn: toNumber(values.postReturn),
+    inflation: toNumber(values.inflation),
+    annualIncrease: toNumber(values.annualIncrease),
+    grossIncome: toNumber(values.grossIncome),
+    incomeGrowthRate: toNumber(values.incomeGrowthRate),
+    tfsaMonthly: toNumber(values.tfsaMonthly),
+    bracketCeiling: toNumber(values.bracketCeiling),
+    annuityPurchasePct: toNumber(values.annuityPurchasePct),
+    flatTaxRate: toNumber(values.flatTaxRate),
+    returnVolatility: toNumber(values.returnVolatility),
+    mcSimulations: toNumber(values.mcSimulations),
+    mcSeed: toNumber(values.mcSeed),
+    targetSuccessRate: toNumber(values.targetSuccessRate),
+    glidePathYears: toNumber(values.glidePathYears),
+    glideEndVolatility: toNumber(values.glideEndVolatility),
+    backtestEquityPct: toNumber(values.backtestEquityPct),
+    backtestBondPct: toNumber(values.backtestBondPct),
+    lumpSumPct: toNumber(values.lumpSumPct),
+    priorLumpSums: toNumber(values.priorLumpSums),
+    savingsWithdrawalAnnual: toNumber(values.savingsWithdrawalAnnual),
+    discInterestYield: toNumber(values.discInterestYield),
+    discDividendYield: toNumber(values.discDividendYield),
+    fundTer: toNumber(values.fundTer),
+    adviceFee: toNumber(values.adviceFee),
+    platformFeeBand1: toNumber(values.platformFeeBand1),
+    platformFeeRate1: toNumber(values.platformFeeRate1),
+    platformFeeBand2: toNumber(values.platformFeeBand2),
+    platformFeeRate2: toNumber(values.platformFeeRate2),
+    platformFeeRate3: toNumber(values.platformFeeRate3),
+    fixedMonthlyContribution: toNumber(values.fixedMonthlyContribution),
+    medicalSchemeMonthly: toNumber(values.medicalSchemeMonthly),
+    medicalDependants: toNumber(values.medicalDependants),
+    medicalOutOfPocket: toNumber(values.medicalOutOfPocket),
+    ...Object.fromEntries(
+      ALLOCATION_NUMBER_FIELDS.map((field) => [field, toNumber(values[field])])
+    ),
+    ...Object.fromEntries(
+      INCOME_STREAM_NUMBER_FIELDS.map((field) => [
+        field,
+        toNumber(values[field]),
+      ])
+    ),
+    ...Object.fromEntries(
+      SENSITIVITY_STEP_FIELDS.map((field) => [field, toNumber(values[field])])
+    ),
+  };
+}
+
+// The custom glide curve is typed as comma-separated percentages, one per
+// year up to retirement. Returns null for an empty or unreadable curve.
+function parseGlideCurve(text) {
+  const steps = String(text || "")
+    .split(/[,;\s]+/)
+    .filter((step) => step !== "")
+    .map(toNumber);
+  return steps.length > 0 && steps.every(Number.isFinite) ? steps : null;
+}
+
+// An invalid custom table falls back to the default year until fixed.
+function resolveTaxTable(values) {
+  if (values.taxYear !== CUSTOM_TAX_YEAR) {
+    return {
+      taxTable: getTaxTable(values.taxYear),
+      customTaxTable: null,
+      error: null,
+    };
+  }
+  const { table, error } = parseCustomTaxTable(values.customTaxTableJson);
+  return {
+    taxTable: table || getTaxTable(DEFAULT_TAX_YEAR),
+    customTaxTable: table,
+    error,
+  };
+}
+
+function sanitizeNumbers(values, numericValues, tfsaMonthlyCap) {
+  const nonNegative = (value) =>
+    Number.isFinite(value) && value >= 0 ? value : 0;
+
+  const cappedNonNegative = (value, cap) =>
+    Math.min(nonNegative(value), cap);
+
+  const positive = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+
+  const tfsaEnabled = values.includeTfsa ?? true;
+
+  return {
+    currentAge: nonNegative(numericValues.currentAge),
+    retireAge: nonNegative(numericValues.retireAge),
+    lifeExpectancy: positive(numericValues.lifeExpectancy),
+    initialCapital: nonNegative(numericValues.initialCapital),
+    initialTfsaBalance: tfsaEnabled
+      ? nonNegative(numericValues.initialTfsaBalance)
+      : 0,
+    tfsaContribToDate: tfsaEnabled
+      ? nonNegative(numericValues.tfsaContribToDate)
+      : 0,
+    targetNetToday: nonNegative(numericValues.targetNetToday),
+    partnerCurrentAge: nonNegative(numericValues.partnerCurrentAge),
+    partnerLifeExpectancy: positive(numericValues.partnerLifeExpectancy),
+    partnerGrossIncome: nonNegative(numericValues.partnerGrossIncome),
+    partnerInitialCapital: nonNegative(numericValues.partnerInitialCapital),
+    partnerInitialTfsaBalance: tfsaEnabled
+      ? nonNegative(numericValues.partnerInitialTfsaBalance)
+      : 0,
+    partnerTfsaContribToDate: tfsaEnabled
+      ? nonNegative(numericValues.partnerTfsaContribToDate)
+      : 0,
+    partnerTfsaMonthly: tfsaEnabled
+      ? cappedNonNegative(numericValues.partnerTfsaMonthly, tfsaMonthlyCap)
+      : 0,
+    survivorIncomePct: cappedNonNegative(numericValues.survivorIncomePct, 100),
+    preReturn: nonNegative(numericValues.preReturn),
+    postReturn: nonNegative(numericValues.postReturn),
+    inflation: nonNegative(numericValues.inflation),
+    annualIncrease: nonNegative(numericValues.annualIncrease),
+    grossIncome: nonNegative(numericValues.grossIncome),
+    incomeGrowthRate: nonNegative(numericValues.incomeGrowthRate),
+    tfsaMonthly: tfsaEnabled
+      ? cappedNonNegative(numericValues.tfsaMonthly, tfsaMonthlyCap)
+      : 0,
+    bracketCeiling: nonNegative(numericValues.bracketCeiling),
+    annuityPurchasePct: cappedNonNegative(
+      numericValues.annuityPurchasePct,
+      100
+    ),
+    flatTaxRate: nonNegative(numericValues.flatTaxRate),
+    returnVolatility: nonNegative(numericValues.returnVolatility),
+    mcSimulations: Math.max(
+      1,
+      Math.round(
+        cappedNonNegative(numericValues.mcSimulations, MC_MAX_SIMULATIONS)
+      )
+    ),
+    mcSeed: Math.round(nonNegative(numericValues.mcSeed)),
+    targetSuccessRate: cappedNonNegative(numericValues.targetSuccessRate, 100),
+    glidePathYears: Math.round(nonNegative(numericValues.glidePathYears)),
+    glideEndVolatility: nonNegative(numericValues.glideEndVolatility),
+    backtestEquityPct: cappedNonNegative(numericValues.backtestEquityPct, 100),
+    backtestBondPct: cappedNonNegative(
+      numericValues.backtestBondPct,
+      100 - cappedNonNegative(numericValues.backtestEquityPct, 100)
+    ),
+    lumpSumPct: cappedNonNegative(numericValues.lumpSumPct, MAX_COMMUTATION_PCT),
+    priorLumpSums: nonNegative(numericValues.priorLumpSums),
+    savingsWithdrawalAnnual: values.twoPot
+      ? nonNegative(numericValues.savingsWithdrawalAnnual)
+      : 0,
+    discInterestYield: nonNegative(numericValues.discInterestYield),
+    discDividendYield: nonNegative(numericValues.discDividendYield),
+    fundTer: nonNegative(numericValues.fundTer),
+    adviceFee: nonNegative(numericValues.adviceFee),
+    platformFeeBand1: nonNegative(numericValues.platformFeeBand1),
+    platformFeeRate1: nonNegative(numericValues.platformFeeRate1),
+    platformFeeBand2: Math.max(
+      nonNegative(numericValues.platformFeeBand1),
+      nonNegative(numericValues.platformFeeBand2)
+    ),
+    platformFeeRate2: nonNegative(numericValues.platformFeeRate2),
+    platformFeeRate3: nonNegative(numericValues.platformFeeRate3),
+    fixedMonthlyContribution: nonNegative(
+      numericValues.fixedMonthlyContribution
+    ),
+    medicalSchemeMonthly: nonNegative(numericValues.medicalSchemeMonthly),
+    medicalDependants: Math.round(nonNegative(numericValues.medicalDependants)),
+    medicalOutOfPocket: nonNegative(numericValues.medicalOutOfPocket),
+    ...Object.fromEntries(
+      ALLOCATION_NUMBER_FIELDS.map((field) => [
+        field,
+        nonNegative(numericValues[field]),
+      ])
+    ),
+    ...Object.fromEntries(
+      INCOME_STREAM_NUMBER_FIELDS.map((field) => [
+        field,
+        nonNegative(numericValues[field]),
+      ])
+    ),
+    ...Object.fromEntries(
+      SENSITIVITY_STEP_FIELDS.map((field) => [
+        field,
+        nonNegative(numericValues[field]),
+      ])
+    ),
+  };
+}
+
+// Per-pot weights by asset class, as percentages.
+function allocationWeights(sanitizedNumbers, pot) {
+  return Object.fromEntries(
+    ASSET_CLASSES.map(({ key }) => [
+      key,
+      sanitizedNumbers[allocationField(pot, key)],
+    ])
+  );
+}
+
+function validate(values, numericValues, taxTable, taxTableError) {
+  const tfsaMonthlyCap = taxTable.tfsa.annual / 12;
+  const nextErrors = {};
+
+  const validateNumber = (field, label, { min = 0, allowZero = true } = {}) => {
+    const value = numericValues[field];
+    if (!Number.isFinite(value)) {
+      nextErrors[field] = `${label} must be a valid number.`;
+      return false;
+    }
+    const minimum = allowZero ? min : Math.max(min, Number.EPSILON);
+    if (value < minimum) {
+      nextErrors[field] =
+        minimum === 0
+          ? `${label} cannot be negative.`
+          : `${label} must be at least ${minimum}.`;
+      return false;
+    }
+    return true;
+  };
+
+  const currentValid = validateNumber("currentAge", "Current age");
+  const retireValid = validateNumber("retireAge", "Retirement age");
+  const lifeValid = validateNumber("lifeExpectancy", "Life expectancy", {
+    min: 1,
+    allowZero: false,
+  });
+
+  validateNumber("initialCapital", "Initial capital");
+  if (values.includeTfsa) {
+    validateNumber("initialTfsaBalance", "Existing TFSA balance");
+    validateNumber("tfsaContribToDate", "TFSA contributions to date");
+  }
+  validateNumber("targetNetToday", "Target net income");
+  if (values.householdMode) {
+    const partnerAgeValid = validateNumber("partnerCurrentAge", "Partner age");
+    const partnerLifeValid = validateNumber(
+      "partnerLifeExpectancy",
+      "Partner life expectancy",
+      { min: 1, allowZero: false }
+    );
+    validateNumber("partnerGrossIncome", "Partner gross income");
+    validateNumber("partnerInitialCapital", "Partner RA capital");
+    if (values.includeTfsa) {
+      validateNumber("partnerInitialTfsaBalance", "Partner TFSA balance");
+      validateNumber("partnerTfsaContribToDate", "Partner TFSA contributions");
+      const partnerTfsaValid = validateNumber(
+        "partnerTfsaMonthly",
+        "Partner TFSA contribution"
+      );
+      if (partnerTfsaValid && numericValues.partnerTfsaMonthly > tfsaMonthlyCap) {
+        nextErrors.partnerTfsaMonthly = `TFSA contribution is capped at ${formatCurrency(
+          tfsaMonthlyCap
+        )} per month (${formatCurrency(taxTable.tfsa.annual)} p.a.).`;
+      }
+    }
+    const survivorValid = validateNumber(
+      "survivorIncomePct",
+      "Survivor income"
+    );
+    if (survivorValid && numericValues.survivorIncomePct > 100) {
+      nextErrors.survivorIncomePct = "Survivor income cannot exceed 100%.";
+    }
+    // The partner retires alongside the first member, so must still be
+    // alive then.
+    const partnerRetireAge =
+      numericValues.partnerCurrentAge +
+      numericValues.retireAge -
+      numericValues.currentAge;
+    if (
+      partnerAgeValid &&
+      partnerLifeValid &&
+      Number.isFinite(partnerRetireAge) &&
+      numericValues.partnerLifeExpectancy <= partnerRetireAge
+    ) {
+      nextErrors.partnerLifeExpectancy = `Partner life expectancy must be greater than their age at retirement (${partnerRetireAge}).`;
+    }
+  }
+  if (values.householdMode && values.decumulationFrequency === "MONTHLY") {
+    nextErrors.decumulationFrequency =
+      "A household is projected a year at a time; monthly steps are only " +
+      "available for one person.";
+  }
+  validateNumber("preReturn", "Pre-retirement return");
+  validateNumber("postReturn", "Post-retirement return");
+  validateNumber("inflation", "Inflation");
+  validateNumber("annualIncrease", "Annual contribution increase");
+  validateNumber("grossIncome", "Gross income");
+  if (values.incomeGrowthMode === "CUSTOM") {
+    validateNumber("incomeGrowthRate", "Income growth rate");
+  }
+  if (values.includeTfsa) {
+    const tfsaValid = validateNumber("tfsaMonthly", "TFSA contribution");
+    if (tfsaValid && numericValues.tfsaMonthly > tfsaMonthlyCap) {
+      nextErrors.tfsaMonthly = `TFSA contribution is capped at ${formatCurrency(
+        tfsaMonthlyCap
+      )} per month (${formatCurrency(taxTable.tfsa.annual)} p.a.).`;
+    }
+  }
+  validateNumber("flatTaxRate", "Flat tax rate");
+  validateNumber("medicalSchemeMonthly", "Medical scheme fees");
+  const dependantsValid = validateNumber(
+    "medicalDependants",
+    "Medical scheme dependants"
+  );
+  if (dependantsValid && !Number.isInteger(numericValues.medicalDependants)) {
+    nextErrors.medicalDependants = "Dependants must be a whole number.";
+  }
+  validateNumber("medicalOutOfPocket", "Out-of-pocket medical costs");
+  if (
+    values.depleteOrder === "BRACKET_FILL" &&
+    !values.optimiseBracketCeiling
+  ) {
+    validateNumber("bracketCeiling", "Taxable income ceiling");
+  }
+  if (values.buyAnnuity) {
+    const annuityValid = validateNumber(
+      "annuityPurchasePct",
+      "Annuity purchase share",
+      { min: 1, allowZero: false }
+    );
+    if (annuityValid && numericValues.annuityPurchasePct > 100) {
+      nextErrors.annuityPurchasePct =
+        "At most 100% of the RA can buy an annuity.";
+    }
+    const { error } = parseAnnuityRateTable(values.annuityRatesText);
+    if (error) nextErrors.annuityRatesText = error;
+  }
+  INCOME_STREAMS.forEach(({ key, label }) => {
+    const field = (part) => incomeStreamField(key, part);
+    const amountValid = validateNumber(field("Monthly"), label);
+    if (!amountValid || numericValues[field("Monthly")] === 0) return;
+    const startValid = validateNumber(field("StartAge"), `${label} start age`);
+    const endValid = validateNumber(field("EndAge"), `${label} end age`);
+    validateNumber(field("Escalation"), `${label} escalation`);
+    if (
+      startValid &&
+      endValid &&
+      numericValues[field("EndAge")] <= numericValues[field("StartAge")]
+    ) {
+      nextErrors[field("EndAge")] = `${label} must end after it starts.`;
+    }
+  });
+  const lumpSumValid = validateNumber("lumpSumPct", "Lump sum commutation");
+  if (lumpSumValid && numericValues.lumpSumPct > MAX_COMMUTATION_PCT + 1e-9) {
+    nextErrors.lumpSumPct =
+      "At most one third of the RA can be taken as a cash lump sum.";
+  }
+  validateNumber("priorLumpSums", "Prior lump sums");
+  validateNumber("discInterestYield", "Discretionary interest yield");
+  validateNumber("discDividendYield", "Discretionary dividend yield");
+  validateNumber("fundTer", "Fund TER");
+  validateNumber("adviceFee", "Advice fee");
+  validateNumber("platformFeeRate1", "Platform fee");
+  validateNumber("platformFeeRate2", "Platform fee");
+  validateNumber("platformFeeRate3", "Platform fee");
+  const band1Valid = validateNumber("platformFeeBand1", "Fee band limit");
+  const band2Valid = validateNumber("platformFeeBand2", "Fee band limit");
+  if (
+    band1Valid &&
+    band2Valid &&
+    numericValues.platformFeeBand2 <= numericValues.platformFeeBand1
+  ) {
+    nextErrors.platformFeeBand2 =
+      "The second fee band must end above the first.";
+  }
+  if (values.twoPot) {
+    const withdrawalValid = validateNumber(
+      "savingsWithdrawalAnnual",
+      "Savings-pot withdrawal"
+    );
+    if (
+      withdrawalValid &&
+      numericValues.savingsWithdrawalAnnual > 0 &&
+      numericValues.savingsWithdrawalAnnual < 2_000
+    ) {
+      nextErrors.savingsWithdrawalAnnual =
+        "Savings-pot withdrawals must be at least R2,000.";
+    }
+  }
+  if (values.solveFor !== "CONTRIBUTION") {
+    validateNumber("fixedMonthlyContribution", "Fixed monthly contribution");
+  }
+  if (values.returnMode === "STOCHASTIC") {
+    validateNumber("returnVolatility", "Return volatility");
+    validateNumber("mcSeed", "Random seed");
+    const simsValid = validateNumber("mcSimulations", "Simulations", {
+      min: 1,
+      allowZero: false,
+    });
+    if (simsValid && numericValues.mcSimulations > MC_MAX_SIMULATIONS) {
+      nextErrors.mcSimulations = `Simulations are capped at ${MC_MAX_SIMULATIONS}.`;
+    }
+    const successValid = validateNumber(
+      "targetSuccessRate",
+      "Target success probability"
+    );
+    if (successValid && numericValues.targetSuccessRate > 100) {
+      nextErrors.targetSuccessRate =
+        "Target success probability cannot exceed 100%.";
+    }
+  }
+
+  if (values.glidePath === "LINEAR") {
+    const yearsValid = validateNumber("glidePathYears", "Glide path length", {
+      min: 1,
+      allowZero: false,
+    });
+    if (yearsValid && !Number.isInteger(numericValues.glidePathYears)) {
+      nextErrors.glidePathYears = "Glide path length must be whole years.";
+    }
+  }
+  if (values.glidePath === "CUSTOM") {
+    const steps = parseGlideCurve(values.glidePathCurve);
+    if (!steps) {
+      nextErrors.glidePathCurve =
+        "Enter the glide curve as comma-separated percentages, e.g. 25, 50, 100.";
+    } else if (steps.some((step) => step < 0 || step > 100)) {
+      nextErrors.glidePathCurve =
+        "Glide curve steps must be between 0% and 100%.";
+    }
+  }
+  if (values.glidePath !== "NONE" && values.useAssetAllocation) {
+    nextErrors.glidePath =
+      "A glide path moves between the pre- and post-retirement returns, " +
+      "which an asset allocation replaces. Turn one of them off.";
+  }
+  if (values.glidePath !== "NONE" && values.returnMode === "STOCHASTIC") {
+    validateNumber("glideEndVolatility", "Volatility at retirement");
+  }
+
+  if (values.useAssetAllocation) {
+    ASSET_CLASSES.forEach((asset) => {
+      validateNumber(returnField(asset.key), `${asset.label} return`);
+      validateNumber(volatilityField(asset.key), `${asset.label} volatility`);
+    });
+    ALLOCATION_POTS.forEach((pot) => {
+      const fieldsValid = ASSET_CLASSES.map((asset) =>
+        validateNumber(
+          allocationField(pot.key, asset.key),
+          `${pot.label} ${asset.label.toLowerCase()} allocation`
+        )
+      ).every(Boolean);
+      const total = allocationTotal(
+        Object.fromEntries(
+          ASSET_CLASSES.map(({ key }) => [
+            key,
+            numericValues[allocationField(pot.key, key)],
+          ])
+        )
+      );
+      if (fieldsValid && Math.abs(total - 100) > 1e-6) {
+        nextErrors[`${pot.key}Allocation`] = `The ${
+          pot.label
+        } allocation adds up to ${formatPercent(total / 100)}, not 100%.`;
+      }
+    });
+  }
+
+  if (values.historicalBacktest) {
+    const equityValid = validateNumber("backtestEquityPct", "Equity allocation");
+    const bondValid = validateNumber("backtestBondPct", "Bond allocation");
+    if (
+      equityValid &&
+      bondValid &&
+      numericValues.backtestEquityPct + numericValues.backtestBondPct > 100
+    ) {
+      nextErrors.backtestBondPct =
+        "Equity and bonds together cannot exceed 100%.";
+    }
+  }
+
+  if (currentValid && retireValid && numericValues.currentAge >= numericValues.retireAge) {
+    nextErrors.currentAge = "Current age must be less than retirement age.";
+    nextErrors.retireAge =
+      "Retirement age must be greater than current age.";
+  }
+
+  if (
+    retireValid &&
+    lifeValid &&
+    numericValues.retireAge >= numericValues.lifeExpectancy
+  ) {
+    nextErrors.retireAge =
+      nextErrors.retireAge || "Retirement age must be less than life expectancy.";
+    nextErrors.lifeExpectancy =
+      "Life expectancy must be greater than retirement age.";
+  }
+
+  SENSITIVITY_INPUTS.forEach(({ key, label }) => {
+    const field = sensitivityStepField(key);
+    if (validateNumber(field, `${label} step`) && numericValues[field] === 0) {
+      nextErrors[field] = `${label} step must be greater than 0.`;
+    }
+  });
+  if (values.sensitivityGridRows === values.sensitivityGridColumns) {
+    nextErrors.sensitivityGridColumns =
+      "Choose two different inputs for the grid.";
+  }
+
+  if (taxTableError) {
+    nextErrors.customTaxTableJson = taxTableError;
+  }
+
+  return nextErrors;
+}
+
+// Advisory only: the projection still runs on a non-compliant allocation.
+function validateWarnings(values, sanitizedNumbers) {
+  const warnings = {};
+  if (values.useAssetAllocation) {
+    const breaches = regulation28Breaches(
+      allocationWeights(sanitizedNumbers, "ra")
+    );
+    if (breaches.length > 0) {
+      warnings.raAllocation = `Not Regulation 28 compliant: ${breaches
+        .map(
+          (breach) =>
+            `${formatPercent(breach.actual / 100)} in ${breach.label} (limit ${
+              breach.limit
+            }%)`
+        )
+        .join(", ")}.`;
+    }
+  }
+  return warnings;
+}
+
+function toProjectionParams(values, sanitizedNumbers, customTaxTable) {
+  return {
+    currentAge: sanitizedNumbers.currentAge,
+    retireAge: sanitizedNumbers.retireAge,
+    lifeExpectancy: sanitizedNumbers.lifeExpectancy,
+    initialCapital: sanitizedNumbers.initialCapital,
+    initialTfsaBalance: sanitizedNumbers.initialTfsaBalance,
+    tfsaContribToDate: sanitizedNumbers.tfsaContribToDate,
+    targetNetToday: sanitizedNumbers.targetNetToday,
+    household: values.householdMode
+      ? {
+          currentAge: sanitizedNumbers.partnerCurrentAge,
+          lifeExpectancy: sanitizedNumbers.partnerLifeExpectancy,
+          grossIncome: sanitizedNumbers.partnerGrossIncome,
+          initialCapital: sanitizedNumbers.partnerInitialCapital,
+          initialTfsaBalance: sanitizedNumbers.partnerInitialTfsaBalance,
+          tfsaContribToDate: sanitizedNumbers.partnerTfsaContribToDate,
+          tfsaMonthly: sanitizedNumbers.partnerTfsaMonthly,
+        }
+      : null,
+    raFunding: values.raFunding,
+    survivorIncomePct: sanitizedNumbers.survivorIncomePct,
+    preReturn: sanitizedNumbers.preReturn,
+    postReturn: sanitizedNumbers.postReturn,
+    inflation: sanitizedNumbers.inflation,
+    annualIncrease: sanitizedNumbers.annualIncrease,
+    tfsaMonthly: sanitizedNumbers.tfsaMonthly,
+    grossIncome: sanitizedNumbers.grossIncome,
+    incomeGrowthMode: values.incomeGrowthMode,
+    incomeGrowthRate: sanitizedNumbers.incomeGrowthRate,
+    depleteOrder: values.depleteOrder,
+    bracketCeiling: sanitizedNumbers.bracketCeiling,
+    optimiseBracketCeiling: values.optimiseBracketCeiling,
+    annuityPurchasePct: values.buyAnnuity
+      ? sanitizedNumbers.annuityPurchasePct
+      : 0,
+    annuityType: values.annuityType,
+    annuityRates: values.buyAnnuity
+      ? parseAnnuityRateTable(values.annuityRatesText).table
+      : null,
+    incomeStreams: incomeStreamsFromNumbers(sanitizedNumbers),
+    sassaGrant: values.sassaGrant,
+    taxMode: values.taxMode,
+    flatTaxRate: sanitizedNumbers.flatTaxRate,
+    reinvestRaTaxSaving: values.reinvestRaTaxSaving,
+    taxRealism: values.taxRealism,
+    returnMode: values.returnMode,
+    returnVolatility: sanitizedNumbers.returnVolatility,
+    mcSimulations: sanitizedNumbers.mcSimulations,
+    mcSeed: sanitizedNumbers.mcSeed,
+    targetSuccessRate: sanitizedNumbers.targetSuccessRate,
+    glidePath: values.glidePath,
+    glidePathYears: sanitizedNumbers.glidePathYears,
+    glidePathCurve:
+      values.glidePath === "CUSTOM"
+        ? parseGlideCurve(values.glidePathCurve)
+        : null,
+    glideEndVolatility: sanitizedNumbers.glideEndVolatility,
+    historicalBacktest: values.historicalBacktest,
+    backtestEquityPct: sanitizedNumbers.backtestEquityPct,
+    backtestBondPct: sanitizedNumbers.backtestBondPct,
+    livingAnnuityLimits: values.livingAnnuityLimits,
+    laSurplusTarget: values.laSurplusTarget,
+    decumulationFrequency: values.decumulationFrequency,
+    lumpSumPct: sanitizedNumbers.lumpSumPct,
+    priorLumpSums: sanitizedNumbers.priorLumpSums,
+    lumpSumDestination: values.lumpSumDestination,
+    twoPot: values.twoPot,
+    twoPotSeedCapital: values.twoPotSeedCapital,
+    savingsWithdrawalAnnual: sanitizedNumbers.savingsWithdrawalAnnual,
+    discInterestYield: sanitizedNumbers.discInterestYield,
+    discDividendYield: sanitizedNumbers.discDividendYield,
+    fundTer: sanitizedNumbers.fundTer,
+    adviceFee: sanitizedNumbers.adviceFee,
+    platformFeeTiers: [
+      {
+        upTo: sanitizedNumbers.platformFeeBand1,
+        rate: sanitizedNumbers.platformFeeRate1,
+      },
+      {
+        upTo: sanitizedNumbers.platformFeeBand2,
+        rate: sanitizedNumbers.platformFeeRate2,
+      },
+      { upTo: null, rate: sanitizedNumbers.platformFeeRate3 },
+    ],
+    assetAllocation: values.useAssetAllocation
+      ? Object.fromEntries(
+          ALLOCATION_POTS.map(({ key }) => [
+            key,
+            allocationWeights(sanitizedNumbers, key),
+          ])
+        )
+      : null,
+    assetClassAssumptions: Object.fromEntries(
+      ASSET_CLASSES.map(({ key }) => [
+        key,
+        {
+          return: sanitizedNumbers[returnField(key)],
+          volatility: sanitizedNumbers[volatilityField(key)],
+        },
+      ])
+    ),
+    taxYear: values.taxYear,
+    customTaxTable,
+    solveFor: values.solveFor,
+    fixedMonthlyContribution: sanitizedNumbers.fixedMonthlyContribution,
+    medicalSchemeMonthly: sanitizedNumbers.medicalSchemeMonthly,
+    medicalDependants: sanitizedNumbers.medicalDependants,
+    medicalOutOfPocket: sanitizedNumbers.medicalOutOfPocket,
+  };
+}
+
+export function buildFormModel(values) {
+  const numericValues = parseNumbers(values);
+  const { taxTable, customTaxTable, error } = resolveTaxTable(values);
+  const sanitizedNumbers = sanitizeNumbers(
+    values,
+    numericValues,
+    taxTable.tfsa.annual / 12
+  );
+  return {
+    numericValues,
+    sanitizedNumbers,
+    taxTable,
+    customTaxTable,
+    errors: validate(values, numericValues, taxTable, error),
+    warnings: validateWarnings(values, sanitizedNumbers),
+    projectionParams: toProjectionParams(
+      values,
+      sanitizedNumbers,
+      customTaxTable
+    ),
+    sensitivityOptions: {
+      steps: sensitivityStepsFromNumbers(sanitizedNumbers),
+      gridRows: values.sensitivityGridRows,
+      gridColumns: values.sensitivityGridColumns,
+    },
+  };
+}
@@ -0,0 +1,24 @@
+import { buildFormModel, defaultFormValues } from "./calculatorForm";
+
+describe("form validation", () => {
+  it("rejects a glide path combined with an asset allocation", () => {
+    const glide = { ...defaultFormValues, glidePath: "LINEAR" };
+
+    expect(buildFormModel(glide).errors.glidePath).toBeUndefined();
+    expect(
+      buildFormModel({ ...glide, useAssetAllocation: true }).errors.glidePath
+    ).toMatch(/asset allocation/);
+  });
+
+  it("rejects monthly decumulation for a household", () => {
+    const monthly = { ...defaultFormValues, decumulationFrequency: "MONTHLY" };
+
+    expect(
+      buildFormModel(monthly).errors.decumulationFrequency
+    ).toBeUndefined();
+    expect(
+      buildFormModel({ ...monthly, householdMode: true }).errors
+        .decumulationFrequency
+    ).toMatch(/household/);
+  });
+});
@@ -0,0 +1,17 @@
+// formatters.js
+// Display formatting shared by the calculator UI and its exports.
+
+export const formatCurrency = (value) => {
+  if (!isFinite(value)) return "-";
+  return (
+    "R " +
+    value
+      .toFixed(2)
+      .replace(/\B(?=(\d{3})+(?!\d))/g, " ")
+  );
+};
+
+export const formatPercent = (value) => {
+  if (!isFinite(value)) return "-";
+  return (value * 100).toFixed(2) + "%";
+};
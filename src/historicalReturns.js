@@ -0,0 +1,81 @@
+// historicalReturns.js
+// Calendar-year total returns for South African asset classes, used by the
+// back-test. Figures are rounded approximations of the JSE All Share
+// (equity), the All Bond Index (bonds), three-month money-market rates
+// (cash) and headline CPI, compiled for illustration only. Substitute
+// licensed index data before relying on the results for advice.
+
+// Shown with every back-test result while the series above is approximate.
+export const HISTORICAL_DATA_CAVEAT =
+  "Illustrative data: the back-test replays rounded approximations of " +
+  "JSE All Share, All Bond Index, money-market and CPI history, not " +
+  "licensed index data. Do not rely on it for advice.";
+
+// [year, equity, bonds, cash, inflation] as decimals
+const SERIES = [
+  [1970, -0.15, 0.02, 0.05, 0.041],
+  [1971, -0.05, 0.03, 0.055, 0.057],
+  [1972, 0.6, 0.08, 0.05, 0.065],
+  [1973, 0.2, 0.04, 0.045, 0.095],
+  [1974, -0.05, 0.01, 0.06, 0.116],
+  [1975, 0.05, 0.02, 0.07, 0.135],
+  [1976, -0.1, 0.04, 0.085, 0.111],
+  [1977, 0.22, 0.1, 0.085, 0.112],
+  [1978, 0.3, 0.08, 0.08, 0.109],
+  [1979, 0.6, 0.06, 0.065, 0.132],
+  [1980, 0.45, 0.02, 0.055, 0.138],
+  [1981, -0.05, -0.05, 0.11, 0.152],
+  [1982, 0.35, 0.2, 0.155, 0.147],
+  [1983, 0.1, 0.08, 0.16, 0.123],
+  [1984, 0.08, -0.03, 0.21, 0.115],
+  [1985, 0.5, 0.15, 0.18, 0.162],
+  [1986, 0.45, 0.25, 0.1, 0.186],
+  [1987, -0.05, 0.1, 0.095, 0.161],
+  [1988, 0.15, 0.05, 0.13, 0.129],
+  [1989, 0.55, 0.08, 0.18, 0.147],
+  [1990, -0.05, 0.12, 0.195, 0.144],
+  [1991, 0.3, 0.22, 0.17, 0.153],
+  [1992, 0.03, 0.18, 0.14, 0.139],
+  [1993, 0.54, 0.25, 0.115, 0.097],
+  [1994, 0.23, -0.03, 0.11, 0.09],
+  [1995, 0.09, 0.23, 0.14, 0.087],
+  [1996, 0.1, 0.09, 0.15, 0.074],
+  [1997, -0.05, 0.22, 0.16, 0.086],
+  [1998, -0.1, -0.01, 0.17, 0.069],
+  [1999, 0.61, 0.29, 0.13, 0.052],
+  [2000, 0, 0.2, 0.1, 0.053],
+  [2001, 0.29, 0.17, 0.1, 0.057],
+  [2002, -0.08, 0.14, 0.115, 0.092],
+  [2003, 0.16, 0.17, 0.11, 0.058],
+  [2004, 0.25, 0.14, 0.075, 0.014],
+  [2005, 0.47, 0.11, 0.07, 0.034],
+  [2006, 0.41, 0.05, 0.075, 0.046],
+  [2007, 0.19, 0.04, 0.095, 0.071],
+  [2008, -0.23, 0.17, 0.115, 0.115],
+  [2009, 0.32, -0.01, 0.085, 0.071],
+  [2010, 0.19, 0.15, 0.069, 0.043],
+  [2011, 0.03, 0.09, 0.057, 0.05],
+  [2012, 0.27, 0.16, 0.054, 0.056],
+  [2013, 0.21, 0.01, 0.052, 0.057],
+  [2014, 0.11, 0.1, 0.06, 0.061],
+  [2015, 0.05, -0.04, 0.065, 0.046],
+  [2016, 0.03, 0.15, 0.074, 0.063],
+  [2017, 0.21, 0.1, 0.076, 0.053],
+  [2018, -0.09, 0.08, 0.073, 0.046],
+  [2019, 0.12, 0.1, 0.073, 0.041],
+  [2020, 0.07, 0.09, 0.054, 0.033],
+  [2021, 0.29, 0.08, 0.042, 0.045],
+  [2022, 0.04, 0.04, 0.057, 0.069],
+  [2023, 0.09, 0.1, 0.082, 0.06],
+  [2024, 0.13, 0.17, 0.085, 0.044],
+];
+
+export const HISTORICAL_RETURNS = SERIES.map(
+  ([year, equity, bonds, cash, inflation]) => ({
+    year,
+    equity,
+    bonds,
+    cash,
+    inflation,
+  })
+);
@@ -0,0 +1,136 @@
+// incomeStreams.js
+// Retirement income that does not come out of the investment pots: the SASSA
+// older persons grant and other guaranteed streams such as a defined-benefit
+// pension, rental income or part-time work. Stream amounts are entered per
+// month in today's rands and escalate from today; each is paid from its
+// start age until (not including) its end age.
+
+export const INCOME_STREAMS = [
+  {
+    key: "dbPension",
+    label: "Defined-benefit pension",
+    taxable: true,
+    endsAtDeath: true,
+    defaults: { monthly: 0, startAge: 65, endAge: 120, escalation: 4 },
+  },
+  {
+    key: "rental",
+    label: "Rental income (after costs)",
+    taxable: true,
+    endsAtDeath: false,
+    defaults: { monthly: 0, startAge: 65, endAge: 120, escalation: 5 },
+  },
+  {
+    key: "partTime",
+    label: "Part-time work",
+    taxable: true,
+    endsAtDeath: true,
+    defaults: { monthly: 0, startAge: 65, endAge: 70, escalation: 5 },
+  },
+  {
+    key: "taxFree",
+    label: "Other tax-free income",
+    taxable: false,
+    endsAtDeath: false,
+    defaults: { monthly: 0, startAge: 65, endAge: 120, escalation: 5 },
+  },
+];
+
+export const INCOME_STREAM_PARTS = [
+  "Monthly",
+  "StartAge",
+  "EndAge",
+  "Escalation",
+];
+
+// Form field names, e.g. dbPensionMonthly, rentalStartAge.
+export const incomeStreamField = (stream, part) => `${stream}${part}`;
+
+export const INCOME_STREAM_NUMBER_FIELDS = INCOME_STREAMS.flatMap(({ key }) =>
+  INCOME_STREAM_PARTS.map((part) => incomeStreamField(key, part))
+);
+
+export const defaultIncomeStreamValues = Object.fromEntries(
+  INCOME_STREAMS.flatMap(({ key, defaults }) => [
+    [incomeStreamField(key, "Monthly"), String(defaults.monthly)],
+    [incomeStreamField(key, "StartAge"), String(defaults.startAge)],
+    [incomeStreamField(key, "EndAge"), String(defaults.endAge)],
+    [incomeStreamField(key, "Escalation"), String(defaults.escalation)],
+  ])
+);
+
+// Streams as the engine uses them, from sanitised form numbers. Streams
+// without an amount are left out.
+export const incomeStreamsFromNumbers = (numbers) =>
+  INCOME_STREAMS.map(({ key, taxable, endsAtDeath }) => ({
+    key,
+    taxable,
+    endsAtDeath,
+    monthly: numbers[incomeStreamField(key, "Monthly")],
+    startAge: numbers[incomeStreamField(key, "StartAge")],
+    endAge: numbers[incomeStreamField(key, "EndAge")],
+    escalation: numbers[incomeStreamField(key, "Escalation")] / 100,
+  })).filter((stream) => stream.monthly > 0);
+
+// Nominal income for a year of retirement, split by tax treatment. Once the
+// owner has died only the streams that outlive them (rent, for one) remain.
+export function streamIncomeFor(
+  streams,
+  age,
+  yearsFromNow,
+  { ownerAlive = true } = {}
+) {
+  return (streams || []).reduce(
+    (sum, stream) => {
+      if (age < stream.startAge || age >= stream.endAge) return sum;
+      if (!ownerAlive && stream.endsAtDeath) return sum;
+      const annual =
+        stream.monthly * 12 * Math.pow(1 + stream.escalation, yearsFromNow);
+      return stream.taxable
+        ? { ...sum, taxable: sum.taxable + annual }
+        : { ...sum, taxFree: sum.taxFree + annual };
+    },
+    { taxable: 0, taxFree: 0 }
+  );
+}
+
+// SASSA older persons grant from April 2025. The grant and the means-test
+// thresholds are assumed to rise with inflation.
+export const SASSA_OLDER_PERSONS_GRANT = {
+  minAge: 60,
+  monthly: 2315,
+  // slightly higher from age 75
+  monthlyFrom75: 2335,
+  incomeThreshold: { single: 96840, married: 193680 },
+  assetThreshold: { single: 1524000, married: 3048000 },
+};
+
+// Annual grant (nominal) after the means test. Private income and assets are
+// the applicant's, or the couple's combined when married. The regulations
+// reduce the grant as private income rises: 1.5 × grant − 0.5 × income for a
+// single person and 1.5 × grant − 0.25 × joint income for each spouse; it
+// falls away entirely above the income or asset threshold.
+export function sassaGrantFor({
+  age,
+  yearsFromNow,
+  inflation,
+  privateIncome,
+  assets,
+  married = false,
+}) {
+  const grant = SASSA_OLDER_PERSONS_GRANT;
+  if (age < grant.minAge) return 0;
+  const growth = Math.pow(1 + inflation, yearsFromNow);
+  const status = married ? "married" : "single";
+  if (
+    privateIncome > grant.incomeThreshold[status] * growth ||
+    assets > grant.assetThreshold[status] * growth
+  ) {
+    return 0;
+  }
+  const maxGrant =
+    (age >= 75 ? grant.monthlyFrom75 : grant.monthly) * 12 * growth;
+  const meansTested =
+    1.5 * maxGrant - (married ? 0.25 : 0.5) * Math.max(0, privateIncome);
+  return Math.min(maxGrant, Math.max(0, meansTested));
+}
@@ -0,0 +1,92 @@
+import {
+  defaultIncomeStreamValues,
+  incomeStreamsFromNumbers,
+  sassaGrantFor,
+  streamIncomeFor,
+} from "./incomeStreams";
+
+describe("income streams", () => {
+  it("pays streams between their ages, escalated from today", () => {
+    const streams = [
+      {
+        key: "partTime",
+        taxable: true,
+        endsAtDeath: true,
+        monthly: 1_000,
+        startAge: 65,
+        endAge: 70,
+        escalation: 0.1,
+      },
+      {
+        key: "taxFree",
+        taxable: false,
+        endsAtDeath: false,
+        monthly: 500,
+        startAge: 60,
+        endAge: 120,
+        escalation: 0,
+      },
+    ];
+
+    const atStart = streamIncomeFor(streams, 65, 2);
+    expect(atStart.taxable).toBeCloseTo(12_000 * 1.21, 6);
+    expect(atStart.taxFree).toBeCloseTo(6_000, 6);
+    expect(streamIncomeFor(streams, 70, 7).taxable).toBe(0);
+    expect(
+      streamIncomeFor(streams, 66, 3, { ownerAlive: false })
+    ).toEqual({ taxable: 0, taxFree: 6_000 });
+  });
+
+  it("builds engine streams from form numbers, skipping empty ones", () => {
+    const numbers = Object.fromEntries(
+      Object.entries(defaultIncomeStreamValues).map(([field, value]) => [
+        field,
+        Number(value),
+      ])
+    );
+    expect(incomeStreamsFromNumbers(numbers)).toEqual([]);
+
+    const streams = incomeStreamsFromNumbers({
+      ...numbers,
+      rentalMonthly: 4_000,
+    });
+    expect(streams).toEqual([
+      {
+        key: "rental",
+        taxable: true,
+        endsAtDeath: false,
+        monthly: 4_000,
+        startAge: 65,
+        endAge: 120,
+        escalation: 0.05,
+      },
+    ]);
+  });
+
+  it("means-tests the older persons grant", () => {
+    const base = { age: 66, yearsFromNow: 0, inflation: 0, assets: 0 };
+    expect(sassaGrantFor({ ...base, age: 59, privateIncome: 0 })).toBe(0);
+    expect(sassaGrantFor({ ...base, privateIncome: 0 })).toBe(27_780);
+    expect(sassaGrantFor({ ...base, age: 75, privateIncome: 0 })).toBe(28_020);
+    expect(sassaGrantFor({ ...base, privateIncome: 40_000 })).toBeCloseTo(
+      41_670 - 20_000,
+      6
+    );
+    expect(
+      sassaGrantFor({ ...base, privateIncome: 40_000, married: true })
+    ).toBeCloseTo(27_780, 6);
+    expect(
+      sassaGrantFor({ ...base, privateIncome: 0, assets: 2_000_000 })
+    ).toBe(0);
+    // thresholds move with inflation
+    expect(
+      sassaGrantFor({
+        ...base,
+        yearsFromNow: 10,
+        inflation: 0.05,
+        privateIncome: 0,
+        assets: 2_000_000,
+      })
+    ).toBeCloseTo(27_780 * Math.pow(1.05, 10), 6);
+  });
+});
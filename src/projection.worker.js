@@ -0,0 +1,14 @@
+// projection.worker.js
+// Runs projection tasks off the main thread for the background hooks. Each
+// request is { id, task, input }; the reply carries the same id with the
+// task's outputs, or an error message.
+/* eslint-disable no-restricted-globals */
+import { PROJECTION_TASKS } from "./projectionTasks";
+
+self.onmessage = ({ data: { id, task, input } }) => {
+  try {
+    self.postMessage({ id, outputs: PROJECTION_TASKS[task](input) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
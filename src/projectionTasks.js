@@ -0,0 +1,17 @@
+// projectionTasks.js
+// The work a projection worker can be asked to do, by name. The background
+// hooks run the same functions on the main thread where workers are
+// unavailable.
+import { projectRetirement } from "./retirementProjection";
+import { sensitivityAnalysis } from "./sensitivity";
+
+export const PROJECTION_TASKS = {
+  projection: projectRetirement,
+  sensitivity: sensitivityAnalysis,
+  // saved scenarios, as [{ id, params }]
+  scenarios: (scenarios) =>
+    scenarios.map(({ id, params }) => ({
+      id,
+      outputs: projectRetirement(params),
+    })),
+};
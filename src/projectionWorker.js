@@ -0,0 +1,13 @@
+// projectionWorker.js
+// Starts a projection worker, or returns null where workers are unavailable
+// (server rendering, old browsers, the jsdom test environment) so callers
+// can fall back to projecting on the main thread. Kept apart from the hooks
+// because the bundler-only `import.meta.url` cannot load under Jest.
+export function createProjectionWorker() {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(new URL("./projection.worker.js", import.meta.url));
+  } catch (error) {
+    return null;
+  }
+}
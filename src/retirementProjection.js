@@ -0,0 +1,3455 @@
+// retirementProjection.js
+// The projection engine: pure maths with no React, so the same projection
+// runs in the calculator, in tests and in scripts. `projectRetirement` is the
+// entry point and `toRealTerms` restates its outputs in today's money;
+// everything else is private to this module.
+import { getTaxTable } from "./taxTables";
+import { HISTORICAL_RETURNS } from "./historicalReturns";
+import { DEFAULT_ANNUITY_RATES, annuityRateAt } from "./annuityRates";
+import { sassaGrantFor, streamIncomeFor } from "./incomeStreams";
+import {
+  ASSET_CLASSES,
+  blendedReturn,
+  blendedVolatility,
+  regulation28Breaches,
+} from "./assetAllocation";
+
+// --- domain constants & helpers (pure maths) ---
+
+const MAX_COMMUTATION_FRACTION = 1 / 3;
+
+// Two-pot system (from 1 September 2024).
+const TWO_POT_SAVINGS_SHARE = 1 / 3;
+const TWO_POT_SEED_RATE = 0.1;
+const TWO_POT_SEED_CAP = 30_000;
+const TWO_POT_MIN_WITHDRAWAL = 2_000;
+
+const LIVING_ANNUITY_MIN_DRAWDOWN = 0.025;
+const LIVING_ANNUITY_MAX_DRAWDOWN = 0.175;
+
+// Discretionary (taxable) investments.
+const CGT_INCLUSION_RATE = 0.4;
+const CGT_ANNUAL_EXCLUSION = 40_000;
+const INTEREST_EXEMPTION_UNDER_65 = 23_800;
+const INTEREST_EXEMPTION_65_PLUS = 34_500;
+const DIVIDEND_WITHHOLDING_RATE = 0.2;
+
+// Fees as annual decimal rates; platform tiers are { upTo, rate } bands.
+const NO_FEES = { ter: 0, advice: 0, platformTiers: [] };
+
+// Annual returns below this are treated as a near-total loss; it keeps the
+// monthly rate conversion defined for extreme stochastic draws.
+const MIN_ANNUAL_RETURN = -0.95;
+
+// Extra annual return of the TFSA and discretionary pots over the RA's.
+const NO_RETURN_SPREADS = { tfsa: 0, disc: 0 };
+
+const DEPLETE_ORDERS = ["TFSA_FIRST", "RA_FIRST", "BRACKET_FILL"];
+
+// Search range when goal-seeking the pre-retirement return.
+const GOAL_SEEK_MIN_RETURN = -0.1;
+const GOAL_SEEK_MAX_RETURN = 0.5;
+
+const numberOr = (value, fallback) => {
+  const n = parseFloat(String(value).replace(/,/g, ""));
+  return Number.isNaN(n) ? fallback : n;
+};
+
+// --- stochastic return helpers ---
+
+// mulberry32: small, fast, seedable PRNG so Monte Carlo runs are repeatable.
+function createRandom(seed) {
+  let state = Math.floor(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Box-Muller transform: standard normal draw from two uniforms.
+function normalSample(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function generateReturnShocks(pathCount, years, seed) {
+  const random = createRandom(seed);
+  const paths = [];
+  for (let p = 0; p < pathCount; p++) {
+    const shocks = new Array(years);
+    for (let y = 0; y < years; y++) {
+      shocks[y] = normalSample(random);
+    }
+    paths.push(shocks);
+  }
+  return paths;
+}
+
+// `mean` and `volatility` are annual rates, or per-year arrays of them.
+function returnsFromShocks(shocks, offset, years, mean, volatility) {
+  const at = (value, y) => (Array.isArray(value) ? value[y] : value);
+  const path = new Array(Math.max(0, years));
+  for (let y = 0; y < path.length; y++) {
+    path[y] = Math.max(
+      MIN_ANNUAL_RETURN,
+      at(mean, y) + at(volatility, y) * shocks[offset + y]
+    );
+  }
+  return path;
+}
+
+// Share of the move from the growth return to the retirement return made by
+// each pre-retirement year (0 = fully growth, 1 = fully de-risked). The
+// glide's steps end at retirement; steps that would fall before today are
+// dropped.
+function glideProgress(yearsToRetire, steps) {
+  const progress = new Array(Math.max(0, yearsToRetire)).fill(0);
+  const start = progress.length - steps.length;
+  steps.forEach((step, i) => {
+    if (start + i >= 0) progress[start + i] = step;
+  });
+  return progress;
+}
+
+function rateForYear(returnPath, yearIndex, fallback) {
+  if (!returnPath || returnPath[yearIndex] === undefined) return fallback;
+  return returnPath[yearIndex];
+}
+
+// --- historical back-test helpers ---
+
+// Portfolio returns for `length` years of history starting at `startIndex`,
+// which must lie inside the data. Each year's return is made real with that
+// year's CPI and re-inflated at the plan's inflation rate, so targets still
+// grow as the plan assumes.
+function historicalPath(startIndex, length, weights, inflation) {
+  const path = new Array(Math.max(0, length));
+  for (let i = 0; i < path.length; i++) {
+    const row = HISTORICAL_RETURNS[startIndex + i];
+    const nominal =
+      weights.equity * row.equity +
+      weights.bonds * row.bonds +
+      weights.cash * row.cash;
+    path[i] = Math.max(
+      MIN_ANNUAL_RETURN,
+      ((1 + nominal) / (1 + row.inflation)) * (1 + inflation) - 1
+    );
+  }
+  return path;
+}
+
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return 0;
+  const idx = (sortedValues.length - 1) * p;
+  const lower = Math.floor(idx);
+  const upper = Math.ceil(idx);
+  if (lower === upper) return sortedValues[lower];
+  const weight = idx - lower;
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+}
+
+// Medical scheme fees credit (s6A) and additional medical expenses credit
+// (s6B). `medical` holds the year's scheme fees and out-of-pocket expenses
+// and the number of dependants on the scheme; the credit amounts in the
+// table move with `factor`. From 65 a third of fees above three times the
+// fees credit, plus out-of-pocket costs, is credited; before 65 a quarter,
+// from four times the fees credit and only above 7.5% of taxable income.
+function medicalTaxCredit(income, age, medical, table, factor = 1) {
+  if (!medical) return 0;
+  const { schemeFees, outOfPocket, dependants } = medical;
+  const { firstTwo, additional } = table.medicalCredits;
+  const people = schemeFees > 0 ? 1 + dependants : 0;
+  const feesCredit = Math.min(
+    schemeFees,
+    12 *
+      factor *
+      (firstTwo * Math.min(people, 2) + additional * Math.max(0, people - 2))
+  );
+  const additionalCredit =
+    age >= 65
+      ? (Math.max(0, schemeFees - 3 * feesCredit) + outOfPocket) / 3
+      : 0.25 *
+        Math.max(
+          0,
+          Math.max(0, schemeFees - 4 * feesCredit) +
+            outOfPocket -
+            0.075 * income
+        );
+  return feesCredit + additionalCredit;
+}
+
+// Medical costs are entered in today's money and rise with inflation.
+function medicalForYear(medical, yearsFromNow, inflation) {
+  if (!medical) return null;
+  const growth = Math.pow(1 + inflation, Math.max(0, yearsFromNow));
+  return {
+    ...medical,
+    schemeFees: medical.schemeFees * growth,
+    outOfPocket: medical.outOfPocket * growth,
+  };
+}
+
+function sarsAnnualTax(income, age, table, medical = null) {
+  if (income <= 0) return 0;
+  const { brackets, rebates } = table;
+  let tax = 0;
+  for (let i = 0; i < brackets.length; i++) {
+    const bracket = brackets[i];
+    if (income <= bracket.limit) {
+      if (bracket.base === 0 || i === 0) {
+        tax = income * bracket.rate;
+      } else {
+        const prevLimit = brackets[i - 1].limit;
+        tax = bracket.base + (income - prevLimit) * bracket.rate;
+      }
+      break;
+    }
+  }
+  let rebate = rebates.primary;
+  if (age >= 65) rebate += rebates.secondary;
+  if (age >= 75) rebate += rebates.tertiary;
+  return Math.max(
+    0,
+    tax - rebate - medicalTaxCredit(income, age, medical, table)
+  );
+}
+
+function sarsAnnualTaxIndexed(
+  income,
+  age,
+  yearsFromNow,
+  inflation,
+  taxRealism,
+  table,
+  medical = null
+) {
+  if (income <= 0) return 0;
+  const yearMedical = medicalForYear(medical, yearsFromNow, inflation);
+  if (!taxRealism || yearsFromNow <= 0 || inflation <= 0) {
+    return sarsAnnualTax(income, age, table, yearMedical);
+  }
+  const { brackets, rebates } = table;
+  const factor = Math.pow(1 + inflation, yearsFromNow);
+  let tax = 0;
+  for (let i = 0; i < brackets.length; i++) {
+    const bracket = brackets[i];
+    const limit =
+      bracket.limit === Infinity ? Infinity : bracket.limit * factor;
+    if (income <= limit) {
+      if (bracket.base === 0 || i === 0) {
+        tax = income * bracket.rate;
+      } else {
+        const prevLimitBase = brackets[i - 1].limit;
+        const prevLimit =
+          prevLimitBase === Infinity ? Infinity : prevLimitBase * factor;
+        const base = bracket.base * factor;
+        tax = base + (income - prevLimit) * bracket.rate;
+      }
+      break;
+    }
+  }
+  let rebate = rebates.primary * factor;
+  if (age >= 65) rebate += rebates.secondary * factor;
+  if (age >= 75) rebate += rebates.tertiary * factor;
+  return Math.max(
+    0,
+    tax - rebate - medicalTaxCredit(income, age, yearMedical, table, factor)
+  );
+}
+
+function flatTax(income, rate) {
+  if (income <= 0) return 0;
+  return income * rate;
+}
+
+function grossFromNetTarget(
+  netTarget,
+  age,
+  taxMode,
+  flatRate,
+  yearsFromNow,
+  inflation,
+  taxRealism,
+  table,
+  medical = null
+) {
+  if (netTarget <= 0) return { gross: 0, tax: 0, net: 0 };
+
+  let low = netTarget;
+  let high = netTarget / (1 - 0.45);
+
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    const tax =
+      taxMode === "SARS"
+        ? sarsAnnualTaxIndexed(
+            mid,
+            age,
+            yearsFromNow,
+            inflation,
+            taxRealism,
+            table,
+            medical
+          )
+        : flatTax(mid, flatRate);
+    const net = mid - tax;
+    if (net >= netTarget) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  const gross = high;
+  const tax =
+    taxMode === "SARS"
+      ? sarsAnnualTaxIndexed(
+          gross,
+          age,
+          yearsFromNow,
+          inflation,
+          taxRealism,
+          table,
+          medical
+        )
+      : flatTax(gross, flatRate);
+  const net = gross - tax;
+  return { gross, tax, net };
+}
+
+function taxOnGross(gross, ctx) {
+  return ctx.taxMode === "SARS"
+    ? sarsAnnualTaxIndexed(
+        gross,
+        ctx.age,
+        ctx.yearsFromNow,
+        ctx.inflation,
+        ctx.taxRealism,
+        ctx.taxTable,
+        ctx.medical
+      )
+    : flatTax(gross, ctx.flatTaxRate);
+}
+
+// Extra tax caused by stacking `extra` taxable income on top of `base`.
+function marginalTax(extra, base, ctx) {
+  if (extra <= 0) return 0;
+  return taxOnGross(base + extra, ctx) - taxOnGross(base, ctx);
+}
+
+// Tax the medical credits save on `income`.
+function medicalCreditOn(income, ctx) {
+  if (!ctx.medical) return 0;
+  return (
+    taxOnGross(income, { ...ctx, medical: null }) - taxOnGross(income, ctx)
+  );
+}
+
+// Thresholds (exclusions, exemptions) move with the brackets under tax
+// realism.
+function thresholdFactor(ctx) {
+  return ctx.taxRealism && ctx.yearsFromNow > 0 && ctx.inflation > 0
+    ? Math.pow(1 + ctx.inflation, ctx.yearsFromNow)
+    : 1;
+}
+
+// Interest (above the annual exemption) is taxed at the marginal rate and
+// dividends suffer withholding tax. Both are assumed reinvested in the pot.
+function discretionaryIncomeTax(averageBalance, yields, otherTaxable, ctx) {
+  const interest = Math.max(0, averageBalance) * yields.interest;
+  const dividends = Math.max(0, averageBalance) * yields.dividend;
+  const exemption =
+    (ctx.age >= 65 ? INTEREST_EXEMPTION_65_PLUS : INTEREST_EXEMPTION_UNDER_65) *
+    thresholdFactor(ctx);
+  const taxableInterest = Math.max(0, interest - exemption);
+  const tax =
+    marginalTax(taxableInterest, otherTaxable, ctx) +
+    dividends * DIVIDEND_WITHHOLDING_RATE;
+  return { income: interest + dividends, tax };
+}
+
+// CGT on a tax year's realised gains, stacked on the year's other income.
+function capitalGainsTax(realisedGain, otherTaxable, ctx) {
+  const exclusion = CGT_ANNUAL_EXCLUSION * thresholdFactor(ctx);
+  const taxableGain = Math.max(0, realisedGain - exclusion);
+  return marginalTax(taxableGain * CGT_INCLUSION_RATE, otherTaxable, ctx);
+}
+
+// Sell enough of the discretionary pot to deliver `netWanted` after CGT.
+// Each rand sold realises a gain in proportion to the unrealised gain in the
+// pot; the annual exclusion applies before the 40% inclusion rate.
+function sellDiscretionary(netWanted, value, baseCost, otherTaxable, ctx) {
+  if (netWanted <= 0 || value <= 0) {
+    return { gross: 0, tax: 0, net: 0, baseCostUsed: 0 };
+  }
+  const gainRatio = Math.max(0, 1 - baseCost / value);
+  const cgtOn = (gross) =>
+    capitalGainsTax(gross * gainRatio, otherTaxable, ctx);
+
+  let gross = value;
+  if (value - cgtOn(value) > netWanted) {
+    let low = netWanted;
+    let high = value;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (mid - cgtOn(mid) >= netWanted) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    gross = high;
+  }
+
+  const tax = cgtOn(gross);
+  return {
+    gross,
+    tax,
+    net: gross - tax,
+    baseCostUsed: baseCost * (gross / value),
+  };
+}
+
+// --- fees ---
+
+// Platform fees slide like tax brackets: each band's rate applies only to
+// the part of the balance inside it. Bands are fixed in rands, as platforms
+// rarely index them.
+function platformFee(balance, tiers) {
+  let fee = 0;
+  let lower = 0;
+  for (const tier of tiers) {
+    if (balance <= lower) break;
+    fee += (Math.min(balance, tier.upTo) - lower) * tier.rate;
+    lower = tier.upTo;
+  }
+  return fee;
+}
+
+// Annual fee rate for the plan. The platform fee is assessed on all pots
+// together and every pot then bears the same blended rate.
+function annualFeeRate(totalBalance, fees) {
+  if (totalBalance <= 0) return 0;
+  const rate =
+    fees.ter +
+    fees.advice +
+    platformFee(totalBalance, fees.platformTiers) / totalBalance;
+  return Math.min(1, rate);
+}
+
+// A year's growth rate per pot: the RA earns the headline rate and the other
+// pots their spread over it.
+function potReturns(annualReturn, spreads) {
+  return {
+    ra: annualReturn,
+    tfsa: Math.max(MIN_ANNUAL_RETURN, annualReturn + spreads.tfsa),
+    disc: Math.max(MIN_ANNUAL_RETURN, annualReturn + spreads.disc),
+  };
+}
+
+const toMonthlyRate = (annualRate) => Math.pow(1 + annualRate, 1 / 12) - 1;
+
+function retirementLumpSumTax(amount, brackets, factor = 1) {
+  if (amount <= 0) return 0;
+  for (let i = 0; i < brackets.length; i++) {
+    const bracket = brackets[i];
+    const limit = bracket.limit * factor;
+    if (amount <= limit) {
+      if (i === 0) return amount * bracket.rate;
+      const prevLimit = brackets[i - 1].limit * factor;
+      return bracket.base * factor + (amount - prevLimit) * bracket.rate;
+    }
+  }
+  return 0;
+}
+
+// Lump sums are aggregated with every retirement/withdrawal lump sum received
+// before: the tax on this one is the tax on the running total less the tax
+// notionally attributed to the earlier ones.
+function commuteAtRetirement(inputs) {
+  const {
+    raBalance,
+    commutationPct,
+    priorLumpSums,
+    destination,
+    tfsaContribTotal,
+    yearsFromNow,
+    inflation,
+    taxRealism,
+    taxTable,
+  } = inputs;
+
+  const fraction = Math.min(MAX_COMMUTATION_FRACTION, Math.max(0, commutationPct));
+  const gross = Math.max(0, raBalance) * fraction;
+  const factor =
+    taxRealism && yearsFromNow > 0 && inflation > 0
+      ? Math.pow(1 + inflation, yearsFromNow)
+      : 1;
+  const tax =
+    retirementLumpSumTax(priorLumpSums + gross, taxTable.lumpSum, factor) -
+    retirementLumpSumTax(priorLumpSums, taxTable.lumpSum, factor);
+  const net = gross - tax;
+
+  let toTfsa = 0;
+  let toDisc = 0;
+  let toDebt = 0;
+  if (destination === "DEBT") {
+    toDebt = net;
+  } else if (destination === "TFSA") {
+    const tfsaRoom = Math.max(
+      0,
+      Math.min(
+        taxTable.tfsa.annual,
+        taxTable.tfsa.lifetime - tfsaContribTotal
+      )
+    );
+    toTfsa = Math.min(tfsaRoom, net);
+    toDisc = net - toTfsa;
+  } else {
+    toDisc = net;
+  }
+
+  return { gross, tax, net, toTfsa, toDisc, toDebt };
+}
+
+function accumulateToRetirement(inputs) {
+  const {
+    currentAge,
+    retireAge,
+    preReturn,
+    contributionMonthly,
+    tfsaMonthly,
+    annualIncrease,
+    initialCapitalTaxable,
+    initialTfsaBalance,
+    tfsaContribToDate,
+    grossIncome,
+    reinvestRaTaxSaving,
+    inflation,
+    taxRealism,
+    incomeGrowthMode,
+    incomeGrowthRate,
+    returnPath,
+    twoPot,
+    twoPotSeedCapital,
+    savingsWithdrawalAnnual = 0,
+    discYields = { interest: 0, dividend: 0 },
+    fees = NO_FEES,
+    returnSpreads = NO_RETURN_SPREADS,
+    taxTable,
+    // medical scheme and out-of-pocket costs for the s6A/s6B credits
+    medical = null,
+  } = inputs;
+
+  const years = Math.max(0, retireAge - currentAge);
+
+  // RA components: everything saved before the two-pot system is vested.
+  // With two-pot off the vested component simply holds the whole RA.
+  let vested = initialCapitalTaxable;
+  let savings = 0;
+  let retirement = 0;
+  let tfsa = initialTfsaBalance;
+  let tfsaContribTotal = tfsaContribToDate;
+  let disc = 0;
+  let discBaseCost = 0;
+
+  if (twoPot && twoPotSeedCapital) {
+    const seed = Math.min(vested * TWO_POT_SEED_RATE, TWO_POT_SEED_CAP);
+    vested -= seed;
+    savings += seed;
+  }
+
+  // New RA money splits one-third savings / two-thirds retirement.
+  const addRaContribution = (amount) => {
+    if (twoPot) {
+      savings += amount * TWO_POT_SAVINGS_SHARE;
+      retirement += amount * (1 - TWO_POT_SAVINGS_SHARE);
+    } else {
+      vested += amount;
+    }
+  };
+
+  const salaryGrowthRate =
+    incomeGrowthMode === "INFLATION"
+      ? inflation
+      : incomeGrowthMode === "CUSTOM"
+        ? incomeGrowthRate
+        : 0;
+
+  const timeline = [];
+
+  for (let y = 0; y < years; y++) {
+    const age = currentAge + y;
+    const factor = Math.pow(1 + annualIncrease, y);
+    const yearContributionMonthly = contributionMonthly * factor;
+    const yearTfsaDesiredMonthly = tfsaMonthly;
+    const remainingMonthly = Math.max(
+      0,
+      yearContributionMonthly - yearTfsaDesiredMonthly
+    );
+
+    const grossIncomeYear = grossIncome * Math.pow(1 + salaryGrowthRate, y);
+    const raDeductionLimitYear = Math.min(
+      taxTable.raDeduction.rate * grossIncomeYear,
+      taxTable.raDeduction.cap
+    );
+
+    const yearReturns = potReturns(
+      rateForYear(returnPath, y, preReturn),
+      returnSpreads
+    );
+    const raMonthlyRate = toMonthlyRate(yearReturns.ra);
+    const tfsaMonthlyRate = toMonthlyRate(yearReturns.tfsa);
+    const discMonthlyRate = toMonthlyRate(yearReturns.disc);
+
+    const raStart = vested + savings + retirement;
+    const tfsaStart = tfsa;
+    const discStart = disc;
+
+    let raAnnual = 0;
+    let tfsaAnnual = 0;
+    let discAnnual = 0;
+    let raTaxSavingYear = 0;
+    let deductible = 0;
+    let feesPaid = 0;
+
+    for (let m = 0; m < 12; m++) {
+      // TFSA money beyond the annual or lifetime limit and RA money beyond
+      // the deduction cap go to the discretionary pot instead. Without a
+      // salary there is no cap to measure against, so the RA takes it all.
+      const tfsaRoom = Math.max(
+        0,
+        Math.min(
+          taxTable.tfsa.annual - tfsaAnnual,
+          taxTable.tfsa.lifetime - tfsaContribTotal
+        )
+      );
+      const tfsaThisMonth = Math.min(yearTfsaDesiredMonthly, tfsaRoom);
+      const tfsaOverflow = yearTfsaDesiredMonthly - tfsaThisMonth;
+      tfsaContribTotal += tfsaThisMonth;
+
+      const raRoom =
+        grossIncomeYear > 0
+          ? Math.max(0, raDeductionLimitYear - raAnnual)
+          : Infinity;
+      const raThisMonth = Math.min(remainingMonthly, raRoom);
+      const discThisMonth = remainingMonthly - raThisMonth + tfsaOverflow;
+
+      addRaContribution(raThisMonth);
+      tfsa += tfsaThisMonth;
+      disc += discThisMonth;
+      discBaseCost += discThisMonth;
+
+      raAnnual += raThisMonth;
+      tfsaAnnual += tfsaThisMonth;
+      discAnnual += discThisMonth;
+
+      vested *= 1 + raMonthlyRate;
+      savings *= 1 + raMonthlyRate;
+      retirement *= 1 + raMonthlyRate;
+      tfsa *= 1 + tfsaMonthlyRate;
+      disc *= 1 + discMonthlyRate;
+
+      // Fees are levied monthly on the grown balances, pot by pot.
+      const balance = vested + savings + retirement + tfsa + disc;
+      const feeRate = annualFeeRate(balance, fees) / 12;
+      feesPaid += balance * feeRate;
+      vested *= 1 - feeRate;
+      savings *= 1 - feeRate;
+      retirement *= 1 - feeRate;
+      tfsa *= 1 - feeRate;
+      disc *= 1 - feeRate;
+    }
+
+    if (grossIncomeYear > 0 && raAnnual > 0) {
+      deductible = Math.min(raAnnual, raDeductionLimitYear);
+    }
+
+    if (reinvestRaTaxSaving && deductible > 0) {
+      const taxBefore = sarsAnnualTaxIndexed(
+        grossIncomeYear,
+        age,
+        y,
+        inflation,
+        taxRealism,
+        taxTable,
+        medical
+      );
+      const taxAfter = sarsAnnualTaxIndexed(
+        grossIncomeYear - deductible,
+        age,
+        y,
+        inflation,
+        taxRealism,
+        taxTable,
+        medical
+      );
+      const taxSavingYear = Math.max(0, taxBefore - taxAfter);
+      addRaContribution(taxSavingYear);
+      raTaxSavingYear = taxSavingYear;
+    }
+
+    // One savings-pot withdrawal per tax year, only if at least R2,000 is
+    // available, taxed at the member's marginal rate on top of salary.
+    let savingsWithdrawal = 0;
+    let savingsWithdrawalTax = 0;
+    if (twoPot && savingsWithdrawalAnnual > 0) {
+      const amount = Math.min(savingsWithdrawalAnnual, savings);
+      if (amount >= TWO_POT_MIN_WITHDRAWAL) {
+        const taxableSalary = Math.max(0, grossIncomeYear - deductible);
+        savingsWithdrawalTax =
+          sarsAnnualTaxIndexed(
+            taxableSalary + amount,
+            age,
+            y,
+            inflation,
+            taxRealism,
+            taxTable,
+            medical
+          ) -
+          sarsAnnualTaxIndexed(
+            taxableSalary,
+            age,
+            y,
+            inflation,
+            taxRealism,
+            taxTable,
+            medical
+          );
+        savingsWithdrawal = amount;
+        savings -= amount;
+      }
+    }
+
+    const salaryTaxContext = {
+      age,
+      taxMode: "SARS",
+      yearsFromNow: y,
+      inflation,
+      taxRealism,
+      taxTable,
+      medical,
+    };
+    const medicalCredit = medicalCreditOn(
+      Math.max(0, grossIncomeYear - deductible),
+      salaryTaxContext
+    );
+
+    // Income on the discretionary pot is taxed each year and reinvested, so
+    // the after-tax income is added to its base cost.
+    let discIncomeTax = 0;
+    if (disc > 0) {
+      const discIncome = discretionaryIncomeTax(
+        (discStart + disc) / 2,
+        discYields,
+        Math.max(0, grossIncomeYear - deductible),
+        salaryTaxContext
+      );
+      discIncomeTax = Math.min(disc, discIncome.tax);
+      disc -= discIncomeTax;
+      discBaseCost += Math.max(0, discIncome.income - discIncomeTax);
+    }
+
+    const ra = vested + savings + retirement;
+
+    timeline.push({
+      yearIndex: y,
+      age,
+      returnRate: yearReturns.ra,
+      raStart,
+      tfsaStart,
+      discStart,
+      raEnd: ra,
+      tfsaEnd: tfsa,
+      discEnd: disc,
+      vestedEnd: vested,
+      savingsEnd: savings,
+      retirementEnd: retirement,
+      totalContribution: raAnnual + tfsaAnnual + discAnnual,
+      raContribution: raAnnual,
+      tfsaContribution: tfsaAnnual,
+      discContribution: discAnnual,
+      discIncomeTax,
+      feesPaid,
+      raTaxSaving: raTaxSavingYear,
+      medicalCredit,
+      savingsWithdrawal,
+      savingsWithdrawalTax,
+    });
+  }
+
+  return {
+    ra: vested + savings + retirement,
+    vested,
+    savings,
+    retirement,
+    tfsa,
+    tfsaContribTotal,
+    disc,
+    discBaseCost,
+    timeline,
+  };
+}
+
+// The RA is drawn once per year so the whole gross amount is taxed together,
+// clamped to the living annuity band and the remaining balance. Other
+// taxable income (a guaranteed annuity) is taxed first and the RA on top.
+function drawLivingAnnuity(
+  netWanted,
+  balance,
+  minGross,
+  maxGross,
+  ctx,
+  otherIncome = 0
+) {
+  const otherNet = otherIncome - taxOnGross(otherIncome, ctx);
+  const wantedGross =
+    netWanted > 0
+      ? grossFromNetTarget(
+          netWanted + otherNet,
+          ctx.age,
+          ctx.taxMode,
+          ctx.flatTaxRate,
+          ctx.yearsFromNow,
+          ctx.inflation,
+          ctx.taxRealism,
+          ctx.taxTable,
+          ctx.medical
+        ).gross - otherIncome
+      : 0;
+  const gross = Math.min(Math.max(wantedGross, minGross), maxGross, balance);
+  const tax = marginalTax(gross, otherIncome, ctx);
+  const net = gross - tax;
+  const capped = wantedGross > maxGross && balance > maxGross;
+  return {
+    gross,
+    tax,
+    net,
+    capped,
+    capShortfall: capped ? Math.max(0, netWanted - net) : 0,
+  };
+}
+
+// Further RA income on top of `drawn` that nets `netWanted` after the extra
+// tax it causes, limited to `available`.
+function topUpLivingAnnuity(netWanted, drawn, available, ctx) {
+  if (netWanted <= 0 || available <= 0) return { gross: 0, tax: 0, net: 0 };
+  const netOf = (extra) => extra - marginalTax(extra, drawn, ctx);
+
+  let gross = available;
+  if (netOf(available) > netWanted) {
+    let low = netWanted;
+    let high = available;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (netOf(mid) >= netWanted) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    gross = high;
+  }
+
+  const tax = marginalTax(gross, drawn, ctx);
+  return { gross, tax, net: gross - tax };
+}
+
+// Bracket fill caps the first RA draw at a taxable income ceiling, set in
+// the tax table's rands so it moves with the brackets.
+const bracketCeilingFor = (ceiling, ctx) => ceiling * thresholdFactor(ctx);
+
+function simulateDecumulation(inputs) {
+  const {
+    retireAge,
+    lifeExpectancy,
+    postReturn,
+    inflation,
+    targetNetMonthlyAtRet,
+    raStart,
+    tfsaStart,
+    tfsaContribAtRet = 0,
+    discStart = 0,
+    discBaseCostStart = discStart,
+    discYields = { interest: 0, dividend: 0 },
+    // first year's guaranteed annuity income and its yearly increase
+    annuityIncome = 0,
+    annuityEscalation = 0,
+    // pensions, rent and other income outside the pots (incomeStreams.js)
+    incomeStreams = [],
+    sassaGrant = false,
+    depleteOrder,
+    bracketCeiling = Infinity,
+    taxMode,
+    flatTaxRate,
+    yearsFromNowStart,
+    taxRealism,
+    returnPath,
+    livingAnnuityLimits,
+    laSurplusTarget,
+    fees = NO_FEES,
+    returnSpreads = NO_RETURN_SPREADS,
+    taxTable,
+    medical = null,
+  } = inputs;
+
+  const years = Math.max(0, lifeExpectancy - retireAge);
+
+  let ra = raStart;
+  let tfsa = tfsaStart;
+  let disc = discStart;
+  let discBaseCost = discBaseCostStart;
+  let tfsaContribTotal = tfsaContribAtRet;
+
+  let exhaustionAge = lifeExpectancy;
+  // first age the drawdown cap left income short with capital still invested
+  let shortfallAge = null;
+  // The grant's means test looks at last year's living annuity income; the
+  // first year assumes the minimum drawdown.
+  let meansTestRaIncome = raStart * LIVING_ANNUITY_MIN_DRAWDOWN;
+
+  let year1GrossWithdrawal = 0;
+  let year1NetWithdrawal = 0;
+  let year1Tax = 0;
+
+  const timeline = [];
+
+  for (let y = 0; y < years; y++) {
+    const age = retireAge + y;
+    const yearsFromNow = yearsFromNowStart + y;
+    const raStartYear = ra;
+    const tfsaStartYear = tfsa;
+    const discStartYear = disc;
+
+    const netRequired = targetNetMonthlyAtRet * 12 * Math.pow(1 + inflation, y);
+
+    let remainingNet = netRequired;
+    let yearGross = 0;
+    let yearTax = 0;
+    let raGrossYear = 0;
+    let drawdownCapped = false;
+    let capShortfall = 0;
+
+    const taxContext = {
+      age,
+      taxMode,
+      flatTaxRate,
+      yearsFromNow,
+      inflation,
+      taxRealism,
+      taxTable,
+      medical,
+    };
+
+    // A guaranteed annuity and other income streams pay first; drawdowns
+    // are taxed on top of them.
+    const annuityGross = annuityIncome * Math.pow(1 + annuityEscalation, y);
+    const streams = streamIncomeFor(incomeStreams, age, yearsFromNow);
+    const guaranteedGross = annuityGross + streams.taxable;
+    const grantIncome = sassaGrant
+      ? sassaGrantFor({
+          age,
+          yearsFromNow,
+          inflation,
+          privateIncome: guaranteedGross + streams.taxFree + meansTestRaIncome,
+          assets: tfsa + disc,
+        })
+      : 0;
+    const outsideIncome = guaranteedGross + streams.taxFree + grantIncome;
+    if (outsideIncome > 0) {
+      const guaranteedTax = taxOnGross(guaranteedGross, taxContext);
+      yearGross += outsideIncome;
+      yearTax += guaranteedTax;
+      remainingNet -= outsideIncome - guaranteedTax;
+    }
+
+    // Living annuity band: the RA must pay out between 2.5% and 17.5% of the
+    // balance at the start of each year, regardless of what is needed.
+    const raMinGross = livingAnnuityLimits
+      ? Math.min(ra, raStartYear * LIVING_ANNUITY_MIN_DRAWDOWN)
+      : 0;
+    const raMaxGross = livingAnnuityLimits
+      ? raStartYear * LIVING_ANNUITY_MAX_DRAWDOWN
+      : Infinity;
+
+    let raDraw = null;
+
+    if (depleteOrder === "TFSA_FIRST") {
+      // Leave room for the compulsory RA minimum so the TFSA is not drawn
+      // only to have the surplus reinvested straight back into it.
+      const raFloorNet =
+        raMinGross - marginalTax(raMinGross, guaranteedGross, taxContext);
+      if (tfsa > 0 && remainingNet > raFloorNet) {
+        const fromTfsa = Math.min(tfsa, remainingNet - raFloorNet);
+        tfsa -= fromTfsa;
+        remainingNet -= fromTfsa;
+        yearGross += fromTfsa;
+      }
+
+      if (ra > 0 && (remainingNet > 0 || raMinGross > 0)) {
+        raDraw = drawLivingAnnuity(
+          remainingNet,
+          ra,
+          raMinGross,
+          raMaxGross,
+          taxContext,
+          guaranteedGross
+        );
+      }
+    } else if (depleteOrder === "BRACKET_FILL") {
+      // RA income only up to the ceiling for now (the band minimum still
+      // applies); the TFSA and discretionary pot top up, and the RA covers
+      // what they cannot below.
+      const ceiling =
+        bracketCeilingFor(bracketCeiling, taxContext) - guaranteedGross;
+      if (ra > 0 && (remainingNet > 0 || raMinGross > 0)) {
+        raDraw = drawLivingAnnuity(
+          remainingNet,
+          ra,
+          raMinGross,
+          Math.min(raMaxGross, Math.max(raMinGross, ceiling)),
+          taxContext,
+          guaranteedGross
+        );
+        if (ceiling < raMaxGross) {
+          raDraw = { ...raDraw, capped: false, capShortfall: 0 };
+        }
+      }
+    } else {
+      if (ra > 0 && (remainingNet > 0 || raMinGross > 0)) {
+        raDraw = drawLivingAnnuity(
+          remainingNet,
+          ra,
+          raMinGross,
+          raMaxGross,
+          taxContext,
+          guaranteedGross
+        );
+      }
+    }
+
+    if (raDraw) {
+      ra -= raDraw.gross;
+      raGrossYear = raDraw.gross;
+      yearGross += raDraw.gross;
+      yearTax += raDraw.tax;
+      remainingNet -= raDraw.net;
+      drawdownCapped = raDraw.capped;
+      capShortfall = raDraw.capShortfall;
+    }
+
+    if (depleteOrder !== "TFSA_FIRST" && tfsa > 0 && remainingNet > 0) {
+      const fromTfsa = Math.min(tfsa, remainingNet);
+      tfsa -= fromTfsa;
+      remainingNet -= fromTfsa;
+      yearGross += fromTfsa;
+    }
+
+    // Discretionary sales are last; the realised gain is taxed on top of
+    // the year's annuity income.
+    let discWithdrawal = 0;
+    let cgtPaid = 0;
+    if (disc > 0 && remainingNet > 0) {
+      const sale = sellDiscretionary(
+        remainingNet,
+        disc,
+        discBaseCost,
+        guaranteedGross + raGrossYear,
+        taxContext
+      );
+      disc -= sale.gross;
+      discBaseCost -= sale.baseCostUsed;
+      remainingNet -= sale.net;
+      yearGross += sale.gross;
+      yearTax += sale.tax;
+      discWithdrawal = sale.gross;
+      cgtPaid = sale.tax;
+    }
+
+    if (depleteOrder === "BRACKET_FILL" && ra > 0 && remainingNet > 0) {
+      const topUp = topUpLivingAnnuity(
+        remainingNet,
+        guaranteedGross + raGrossYear,
+        Math.min(ra, raMaxGross - raGrossYear),
+        taxContext
+      );
+      ra -= topUp.gross;
+      raGrossYear += topUp.gross;
+      yearGross += topUp.gross;
+      yearTax += topUp.tax;
+      remainingNet -= topUp.net;
+      if (remainingNet > 0 && ra > 0) {
+        drawdownCapped = true;
+        capShortfall = remainingNet;
+      }
+    }
+
+    // A forced minimum drawdown above need is reinvested: into the TFSA up
+    // to its annual and lifetime limits if chosen, the rest discretionary.
+    let surplusReinvested = 0;
+    if (remainingNet < 0) {
+      surplusReinvested = -remainingNet;
+      remainingNet = 0;
+      let toDisc = surplusReinvested;
+      if (laSurplusTarget === "TFSA") {
+        const tfsaRoom = Math.max(
+          0,
+          Math.min(
+            taxTable.tfsa.annual,
+            taxTable.tfsa.lifetime - tfsaContribTotal
+          )
+        );
+        const toTfsa = Math.min(tfsaRoom, surplusReinvested);
+        tfsa += toTfsa;
+        tfsaContribTotal += toTfsa;
+        toDisc -= toTfsa;
+      }
+      disc += toDisc;
+      discBaseCost += toDisc;
+    }
+
+    const yearNetDelivered = netRequired - Math.max(0, remainingNet);
+
+    const yearReturns = potReturns(
+      rateForYear(returnPath, y, postReturn),
+      returnSpreads
+    );
+    ra *= 1 + yearReturns.ra;
+    tfsa *= 1 + yearReturns.tfsa;
+    const discAfterDraw = disc;
+    disc *= 1 + yearReturns.disc;
+
+    const balance = ra + tfsa + disc;
+    const feeRate = annualFeeRate(balance, fees);
+    const feesPaid = balance * feeRate;
+    ra *= 1 - feeRate;
+    tfsa *= 1 - feeRate;
+    disc *= 1 - feeRate;
+
+    let discIncomeTax = 0;
+    if (disc > 0) {
+      const discIncome = discretionaryIncomeTax(
+        (discAfterDraw + disc) / 2,
+        discYields,
+        guaranteedGross + raGrossYear,
+        taxContext
+      );
+      discIncomeTax = Math.min(disc, discIncome.tax);
+      disc -= discIncomeTax;
+      discBaseCost += Math.max(0, discIncome.income - discIncomeTax);
+    }
+
+    if (y === 0) {
+      year1GrossWithdrawal = yearGross;
+      year1NetWithdrawal = yearNetDelivered;
+      year1Tax = yearTax;
+    }
+
+    timeline.push({
+      yearIndex: y,
+      age,
+      raStart: raStartYear,
+      tfsaStart: tfsaStartYear,
+      discStart: discStartYear,
+      raEnd: ra,
+      tfsaEnd: tfsa,
+      discEnd: disc,
+      netRequired,
+      netDelivered: yearNetDelivered,
+      grossWithdrawal: yearGross,
+      annuityIncome: annuityGross,
+      otherIncome: streams.taxable + streams.taxFree,
+      grantIncome,
+      taxPaid: yearTax,
+      medicalCredit: medicalCreditOn(
+        guaranteedGross + raGrossYear,
+        taxContext
+      ),
+      discWithdrawal,
+      cgtPaid,
+      discIncomeTax,
+      feesPaid,
+      raDrawdownRate: raStartYear > 0 ? raGrossYear / raStartYear : 0,
+      drawdownCapped,
+      capShortfall,
+      surplusReinvested,
+    });
+
+    meansTestRaIncome = raGrossYear;
+
+    // A year the cap leaves short still has capital in the RA, so the plan
+    // carries on; otherwise, with income outside the pots, it only fails
+    // when income falls short.
+    if (remainingNet > 0 && drawdownCapped && shortfallAge === null) {
+      shortfallAge = age;
+    }
+    if (
+      (remainingNet > 0 && !drawdownCapped) ||
+      (outsideIncome <= 0 && ra + tfsa + disc <= 0)
+    ) {
+      exhaustionAge = age;
+      break;
+    }
+  }
+
+  return {
+    exhaustionAge,
+    shortfallAge,
+    // only the monthly engine can place exhaustion within the year
+    exhaustionMonth: null,
+    year1GrossWithdrawal,
+    year1NetWithdrawal,
+    year1Tax,
+    timeline,
+  };
+}
+
+// Month-by-month variant of simulateDecumulation with the same inputs and
+// rows. Income is paid monthly and the RA withholds PAYE on the annualised
+// payment; after the last month the year's tax is reconciled, including CGT
+// on the year's discretionary sales (which is not withheld). Any balance due
+// is settled from the pots and any refund is reinvested. Growth and fees
+// compound monthly, and exhaustion is reported to the month.
+function simulateDecumulationMonthly(inputs) {
+  const {
+    retireAge,
+    lifeExpectancy,
+    postReturn,
+    inflation,
+    targetNetMonthlyAtRet,
+    raStart,
+    tfsaStart,
+    tfsaContribAtRet = 0,
+    discStart = 0,
+    discBaseCostStart = discStart,
+    discYields = { interest: 0, dividend: 0 },
+    annuityIncome = 0,
+    annuityEscalation = 0,
+    incomeStreams = [],
+    sassaGrant = false,
+    depleteOrder,
+    bracketCeiling = Infinity,
+    taxMode,
+    flatTaxRate,
+    yearsFromNowStart,
+    taxRealism,
+    returnPath,
+    livingAnnuityLimits,
+    laSurplusTarget,
+    fees = NO_FEES,
+    returnSpreads = NO_RETURN_SPREADS,
+    taxTable,
+    medical = null,
+  } = inputs;
+
+  const years = Math.max(0, lifeExpectancy - retireAge);
+
+  let ra = raStart;
+  let tfsa = tfsaStart;
+  let disc = discStart;
+  let discBaseCost = discBaseCostStart;
+  let tfsaContribTotal = tfsaContribAtRet;
+
+  let exhaustionAge = lifeExpectancy;
+  let exhaustionMonth = null;
+  let shortfallAge = null;
+  let meansTestRaIncome = raStart * LIVING_ANNUITY_MIN_DRAWDOWN;
+
+  let year1GrossWithdrawal = 0;
+  let year1NetWithdrawal = 0;
+  let year1Tax = 0;
+
+  const timeline = [];
+
+  for (let y = 0; y < years; y++) {
+    const age = retireAge + y;
+    const yearsFromNow = yearsFromNowStart + y;
+    const raStartYear = ra;
+    const tfsaStartYear = tfsa;
+    const discStartYear = disc;
+
+    const netRequired = targetNetMonthlyAtRet * 12 * Math.pow(1 + inflation, y);
+    const netMonthly = netRequired / 12;
+
+    const taxContext = {
+      age,
+      taxMode,
+      flatTaxRate,
+      yearsFromNow,
+      inflation,
+      taxRealism,
+      taxTable,
+      medical,
+    };
+    const payeOn = (monthlyGross) =>
+      taxOnGross(monthlyGross * 12, taxContext) / 12;
+
+    // A guaranteed annuity and other income streams pay monthly too; RA
+    // payments are taxed on top. The grant is means-tested once a year.
+    const annuityMonthly =
+      (annuityIncome * Math.pow(1 + annuityEscalation, y)) / 12;
+    const streams = streamIncomeFor(incomeStreams, age, yearsFromNow);
+    const guaranteedMonthly = annuityMonthly + streams.taxable / 12;
+    const grantIncome = sassaGrant
+      ? sassaGrantFor({
+          age,
+          yearsFromNow,
+          inflation,
+          privateIncome:
+            guaranteedMonthly * 12 + streams.taxFree + meansTestRaIncome,
+          assets: tfsa + disc,
+        })
+      : 0;
+    const taxFreeMonthly = (streams.taxFree + grantIncome) / 12;
+    const outsideMonthly = guaranteedMonthly + taxFreeMonthly;
+    const guaranteedNetMonthly =
+      guaranteedMonthly - payeOn(guaranteedMonthly);
+    const payeOnTop = (monthlyGross) =>
+      payeOn(guaranteedMonthly + monthlyGross) - payeOn(guaranteedMonthly);
+
+    // The living annuity band is set on the balance at the start of the
+    // year and paid in twelve equal parts.
+    const raMinMonthly = livingAnnuityLimits
+      ? (raStartYear * LIVING_ANNUITY_MIN_DRAWDOWN) / 12
+      : 0;
+    const raMaxMonthly = livingAnnuityLimits
+      ? (raStartYear * LIVING_ANNUITY_MAX_DRAWDOWN) / 12
+      : Infinity;
+    // Bracket fill pays the RA up to the ceiling first, topping up above it
+    // only once the TFSA and discretionary pot are spent.
+    const raFirstCapMonthly =
+      depleteOrder === "BRACKET_FILL"
+        ? Math.min(
+            raMaxMonthly,
+            Math.max(
+              raMinMonthly,
+              bracketCeilingFor(bracketCeiling, taxContext) / 12 -
+                guaranteedMonthly
+            )
+          )
+        : raMaxMonthly;
+
+    const yearReturns = potReturns(
+      rateForYear(returnPath, y, postReturn),
+      returnSpreads
+    );
+    const raMonthlyRate = toMonthlyRate(yearReturns.ra);
+    const tfsaMonthlyRate = toMonthlyRate(yearReturns.tfsa);
+    const discMonthlyRate = toMonthlyRate(yearReturns.disc);
+
+    let yearGross = 0;
+    let raGrossYear = 0;
+    let annuityYear = 0;
+    let payeWithheld = 0;
+    let netDelivered = 0;
+    let drawdownCapped = false;
+    let capShortfall = 0;
+    let discWithdrawal = 0;
+    let realisedGain = 0;
+    let surplusReinvested = 0;
+    let feesPaid = 0;
+    let tfsaAddedThisYear = 0;
+    let exhaustedInMonth = null;
+
+    for (let m = 0; m < 12; m++) {
+      let remainingNet = netMonthly;
+      let raGrossMonth = 0;
+      let cappedThisMonth = false;
+
+      if (outsideMonthly > 0) {
+        annuityYear += annuityMonthly;
+        yearGross += outsideMonthly;
+        payeWithheld += guaranteedMonthly - guaranteedNetMonthly;
+        remainingNet -= guaranteedNetMonthly + taxFreeMonthly;
+      }
+
+      if (depleteOrder === "TFSA_FIRST") {
+        const floorGross = Math.min(ra, raMinMonthly);
+        const raFloorNet = floorGross - payeOnTop(floorGross);
+        if (tfsa > 0 && remainingNet > raFloorNet) {
+          const fromTfsa = Math.min(tfsa, remainingNet - raFloorNet);
+          tfsa -= fromTfsa;
+          remainingNet -= fromTfsa;
+          yearGross += fromTfsa;
+        }
+      }
+
+      if (ra > 0 && (remainingNet > 0 || raMinMonthly > 0)) {
+        const wantedGross =
+          remainingNet > 0
+            ? grossFromNetTarget(
+                (remainingNet + guaranteedNetMonthly) * 12,
+                age,
+                taxMode,
+                flatTaxRate,
+                yearsFromNow,
+                inflation,
+                taxRealism,
+                taxTable,
+                medical
+              ).gross /
+                12 -
+              guaranteedMonthly
+            : 0;
+        const gross = Math.min(
+          Math.max(wantedGross, raMinMonthly),
+          raFirstCapMonthly,
+          ra
+        );
+        const paye = payeOnTop(gross);
+        if (
+          raFirstCapMonthly === raMaxMonthly &&
+          wantedGross > raMaxMonthly &&
+          ra > raMaxMonthly
+        ) {
+          drawdownCapped = true;
+          cappedThisMonth = true;
+          capShortfall += Math.max(0, remainingNet - (gross - paye));
+        }
+        ra -= gross;
+        raGrossMonth = gross;
+        raGrossYear += gross;
+        yearGross += gross;
+        payeWithheld += paye;
+        remainingNet -= gross - paye;
+      }
+
+      if (depleteOrder !== "TFSA_FIRST" && tfsa > 0 && remainingNet > 0) {
+        const fromTfsa = Math.min(tfsa, remainingNet);
+        tfsa -= fromTfsa;
+        remainingNet -= fromTfsa;
+        yearGross += fromTfsa;
+      }
+
+      // Sales are paid out in full; their CGT is settled at year end.
+      if (disc > 0 && remainingNet > 0) {
+        const sale = Math.min(disc, remainingNet);
+        const baseCostUsed = discBaseCost * (sale / disc);
+        realisedGain += sale - baseCostUsed;
+        disc -= sale;
+        discBaseCost -= baseCostUsed;
+        remainingNet -= sale;
+        yearGross += sale;
+        discWithdrawal += sale;
+      }
+
+      if (depleteOrder === "BRACKET_FILL" && ra > 0 && remainingNet > 0) {
+        const topUp = topUpLivingAnnuity(
+          remainingNet * 12,
+          (guaranteedMonthly + raGrossMonth) * 12,
+          Math.min(ra, raMaxMonthly - raGrossMonth) * 12,
+          taxContext
+        );
+        ra -= topUp.gross / 12;
+        raGrossYear += topUp.gross / 12;
+        yearGross += topUp.gross / 12;
+        payeWithheld += topUp.tax / 12;
+        remainingNet -= topUp.net / 12;
+        if (remainingNet > 0 && ra > 0) {
+          drawdownCapped = true;
+          cappedThisMonth = true;
+          capShortfall += remainingNet;
+        }
+      }
+
+      // A forced minimum above need goes to the TFSA within its limits if
+      // chosen, the rest to the discretionary pot.
+      if (remainingNet < 0) {
+        const surplus = -remainingNet;
+        surplusReinvested += surplus;
+        remainingNet = 0;
+        let toDisc = surplus;
+        if (laSurplusTarget === "TFSA") {
+          const tfsaRoom = Math.max(
+            0,
+            Math.min(
+              taxTable.tfsa.annual - tfsaAddedThisYear,
+              taxTable.tfsa.lifetime - tfsaContribTotal
+            )
+          );
+          const toTfsa = Math.min(tfsaRoom, surplus);
+          tfsa += toTfsa;
+          tfsaContribTotal += toTfsa;
+          tfsaAddedThisYear += toTfsa;
+          toDisc -= toTfsa;
+        }
+        disc += toDisc;
+        discBaseCost += toDisc;
+      }
+      netDelivered += netMonthly - remainingNet;
+
+      ra *= 1 + raMonthlyRate;
+      tfsa *= 1 + tfsaMonthlyRate;
+      disc *= 1 + discMonthlyRate;
+
+      const balance = ra + tfsa + disc;
+      const feeRate = annualFeeRate(balance, fees) / 12;
+      feesPaid += balance * feeRate;
+      ra *= 1 - feeRate;
+      tfsa *= 1 - feeRate;
+      disc *= 1 - feeRate;
+
+      if (remainingNet > 0 && cappedThisMonth && shortfallAge === null) {
+        shortfallAge = age;
+      }
+      if (
+        (remainingNet > 0 && !cappedThisMonth) ||
+        (outsideMonthly <= 0 && ra + tfsa + disc <= 0)
+      ) {
+        exhaustedInMonth = m + 1;
+        break;
+      }
+    }
+
+    // Annual reconciliation: PAYE assumed the same payment all year, so it
+    // differs from the assessed tax when payments varied or CGT arose.
+    const monthsPaid = exhaustedInMonth ?? 12;
+    const taxableIncome =
+      annuityYear + (streams.taxable * monthsPaid) / 12 + raGrossYear;
+    const incomeTax = taxOnGross(taxableIncome, taxContext);
+    const cgtPaid = capitalGainsTax(realisedGain, taxableIncome, taxContext);
+    const yearTax = incomeTax + cgtPaid;
+    const taxReconciliation = yearTax - payeWithheld;
+    let unpaidTax = 0;
+    if (taxReconciliation > 0) {
+      let due = taxReconciliation;
+      const fromDisc = Math.min(disc, due);
+      if (disc > 0) discBaseCost -= discBaseCost * (fromDisc / disc);
+      disc -= fromDisc;
+      due -= fromDisc;
+      const fromTfsa = Math.min(tfsa, due);
+      tfsa -= fromTfsa;
+      due -= fromTfsa;
+      const fromRa = Math.min(ra, due);
+      ra -= fromRa;
+      due -= fromRa;
+      // Tax the pots cannot cover comes out of the year's income, which
+      // then falls short: the money has run out by the tax year end.
+      if (due > 0) {
+        unpaidTax = due;
+        netDelivered -= due;
+        if (exhaustedInMonth === null) exhaustedInMonth = 12;
+      }
+    } else if (taxReconciliation < 0) {
+      disc -= taxReconciliation;
+      discBaseCost -= taxReconciliation;
+    }
+
+    let discIncomeTax = 0;
+    if (disc > 0) {
+      const discIncome = discretionaryIncomeTax(
+        (discStartYear + disc) / 2,
+        discYields,
+        taxableIncome,
+        taxContext
+      );
+      discIncomeTax = Math.min(disc, discIncome.tax);
+      disc -= discIncomeTax;
+      discBaseCost += Math.max(0, discIncome.income - discIncomeTax);
+    }
+
+    if (y === 0) {
+      year1GrossWithdrawal = yearGross;
+      year1NetWithdrawal = netDelivered;
+      year1Tax = yearTax;
+    }
+
+    timeline.push({
+      yearIndex: y,
+      age,
+      raStart: raStartYear,
+      tfsaStart: tfsaStartYear,
+      discStart: discStartYear,
+      raEnd: ra,
+      tfsaEnd: tfsa,
+      discEnd: disc,
+      netRequired,
+      netDelivered,
+      grossWithdrawal: yearGross,
+      annuityIncome: annuityYear,
+      otherIncome: ((streams.taxable + streams.taxFree) * monthsPaid) / 12,
+      grantIncome: (grantIncome * monthsPaid) / 12,
+      taxPaid: yearTax,
+      medicalCredit: medicalCreditOn(taxableIncome, taxContext),
+      payeWithheld,
+      taxReconciliation,
+      // assessed tax no pot could pay, taken from the year's income
+      unpaidTax,
+      discWithdrawal,
+      cgtPaid,
+      discIncomeTax,
+      feesPaid,
+      raDrawdownRate: raStartYear > 0 ? raGrossYear / raStartYear : 0,
+      drawdownCapped,
+      capShortfall,
+      surplusReinvested,
+    });
+
+    meansTestRaIncome = raGrossYear;
+
+    if (exhaustedInMonth !== null) {
+      exhaustionAge = age;
+      exhaustionMonth = exhaustedInMonth;
+      break;
+    }
+  }
+
+  return {
+    exhaustionAge,
+    exhaustionMonth,
+    shortfallAge,
+    year1GrossWithdrawal,
+    year1NetWithdrawal,
+    year1Tax,
+    timeline,
+  };
+}
+
+// --- household (couple) decumulation ---
+
+// Adds a partner's pre-retirement row to the first member's, year by year.
+function combineTimelineRows(row, partnerRow) {
+  const combined = { ...row, partnerAge: partnerRow.age };
+  Object.keys(row).forEach((key) => {
+    if (
+      typeof row[key] === "number" &&
+      !["yearIndex", "age", "returnRate"].includes(key)
+    ) {
+      combined[key] = row[key] + partnerRow[key];
+    }
+  });
+  return combined;
+}
+
+// Household variant of simulateDecumulation for two members who retire in
+// the same year. Each member keeps their own pots and is taxed on their own
+// income with their own age rebates. The joint net target is met by drawing
+// both living annuities so the two taxable incomes stay level where their
+// bands allow. When a member dies their RA passes to the survivor's living
+// annuity, their discretionary pot rolls over at its base cost and the TFSA
+// loses its wrapper (it joins the survivor's discretionary pot at market
+// value), while their guaranteed annuity stops; the target then drops to
+// `survivorShare`. Ages on rows are the first member's.
+function simulateHouseholdDecumulation(inputs) {
+  const {
+    retireAge,
+    endAge,
+    postReturn,
+    inflation,
+    targetNetMonthlyAtRet,
+    survivorShare,
+    members: memberStarts,
+    discYields = { interest: 0, dividend: 0 },
+    annuityEscalation = 0,
+    // the first member's income streams and whether the grant is claimed
+    incomeStreams = [],
+    sassaGrant = false,
+    depleteOrder,
+    bracketCeiling = Infinity,
+    taxMode,
+    flatTaxRate,
+    yearsFromNowStart,
+    taxRealism,
+    returnPath,
+    livingAnnuityLimits,
+    laSurplusTarget,
+    fees = NO_FEES,
+    returnSpreads = NO_RETURN_SPREADS,
+    taxTable,
+    medical = null,
+  } = inputs;
+
+  const years = Math.max(0, endAge - retireAge);
+  const members = memberStarts.map((member) => ({
+    ...member,
+    alive: true,
+    meansTestRaIncome: member.ra * LIVING_ANNUITY_MIN_DRAWDOWN,
+  }));
+
+  let exhaustionAge = endAge;
+  let shortfallAge = null;
+  let year1GrossWithdrawal = 0;
+  let year1NetWithdrawal = 0;
+  let year1Tax = 0;
+
+  const timeline = [];
+  const sumOf = (key) => members.reduce((sum, member) => sum + member[key], 0);
+
+  for (let y = 0; y < years; y++) {
+    const age = retireAge + y;
+    const yearsFromNow = yearsFromNowStart + y;
+    const living = members.filter((member) => member.alive);
+    const raStartYear = sumOf("ra");
+    const tfsaStartYear = sumOf("tfsa");
+    const discStartYear = sumOf("disc");
+
+    const netRequired =
+      targetNetMonthlyAtRet *
+      12 *
+      Math.pow(1 + inflation, y) *
+      (living.length < members.length ? survivorShare : 1);
+
+    let remainingNet = netRequired;
+    let yearGross = 0;
+    let yearTax = 0;
+    let drawdownCapped = false;
+    let capShortfall = 0;
+
+    // Income streams belong to the first member; those that outlive them
+    // are taxed on the survivor.
+    const streams = streamIncomeFor(incomeStreams, age, yearsFromNow, {
+      ownerAlive: members[0].alive,
+    });
+    const streamOwner = living[0];
+    // The first living member is the main member of the medical scheme
+    // with the partner as a dependant, so a survivor has one fewer.
+    const schemeMedical =
+      medical && living.length < members.length
+        ? { ...medical, dependants: Math.max(0, medical.dependants - 1) }
+        : medical;
+
+    living.forEach((member) => {
+      member.ctx = {
+        age: member.retireAge + y,
+        taxMode,
+        flatTaxRate,
+        yearsFromNow,
+        inflation,
+        taxRealism,
+        taxTable,
+        medical: member === living[0] ? schemeMedical : null,
+      };
+      member.raStartYear = member.ra;
+      member.raGross = 0;
+      // Guaranteed annuities are single-life: they stop when their owner dies.
+      member.annuityGross =
+        member.annuityIncome * Math.pow(1 + annuityEscalation, y);
+      member.guaranteedGross =
+        member.annuityGross + (member === streamOwner ? streams.taxable : 0);
+      if (member.guaranteedGross > 0) {
+        const guaranteedTax = taxOnGross(member.guaranteedGross, member.ctx);
+        yearGross += member.guaranteedGross;
+        yearTax += guaranteedTax;
+        remainingNet -= member.guaranteedGross - guaranteedTax;
+      }
+      member.minGross = livingAnnuityLimits
+        ? Math.min(member.ra, member.ra * LIVING_ANNUITY_MIN_DRAWDOWN)
+        : 0;
+      member.maxGross = Math.min(
+        member.ra,
+        livingAnnuityLimits
+          ? member.ra * LIVING_ANNUITY_MAX_DRAWDOWN
+          : Infinity
+      );
+    });
+
+    // Each member aged 60 or more may claim the grant; while both are alive
+    // the means test is on the couple's joint income and assets.
+    let grantIncome = 0;
+    if (sassaGrant) {
+      const privateIncome = living.reduce(
+        (sum, member) =>
+          sum + member.guaranteedGross + member.meansTestRaIncome,
+        streams.taxFree
+      );
+      const assets = living.reduce(
+        (sum, member) => sum + member.tfsa + member.disc,
+        0
+      );
+      living.forEach((member) => {
+        grantIncome += sassaGrantFor({
+          age: member.ctx.age,
+          yearsFromNow,
+          inflation,
+          privateIncome,
+          assets,
+          married: living.length > 1,
+        });
+      });
+    }
+    const taxFreeIncome = streams.taxFree + grantIncome;
+    yearGross += taxFreeIncome;
+    remainingNet -= taxFreeIncome;
+
+    const drawTfsa = (netWanted) => {
+      let wanted = netWanted;
+      living.forEach((member) => {
+        if (member.tfsa <= 0 || wanted <= 0) return;
+        const fromTfsa = Math.min(member.tfsa, wanted);
+        member.tfsa -= fromTfsa;
+        wanted -= fromTfsa;
+        remainingNet -= fromTfsa;
+        yearGross += fromTfsa;
+      });
+    };
+
+    // Both living annuities are drawn so each member's taxable income
+    // (guaranteed annuity included) reaches the common level `level`, moved
+    // up to their band minimum and down to their maximum (or to `limit`,
+    // when lower). A later call only adds to what each member has drawn.
+    const drawAnnuities = (limit = Infinity) => {
+      const capOf = (member) =>
+        Math.max(
+          member.minGross,
+          Math.min(member.maxGross, limit - member.guaranteedGross)
+        );
+      const grossAt = (member, level) =>
+        Math.max(
+          member.raGross,
+          Math.min(
+            Math.max(level - member.guaranteedGross, member.minGross),
+            capOf(member)
+          )
+        );
+      const netAt = (level) =>
+        living.reduce((sum, member) => {
+          const extra = grossAt(member, level) - member.raGross;
+          return (
+            sum +
+            extra -
+            marginalTax(
+              extra,
+              member.guaranteedGross + member.raGross,
+              member.ctx
+            )
+          );
+        }, 0);
+      const topLevel = Math.max(
+        0,
+        ...living.map((member) => capOf(member) + member.guaranteedGross)
+      );
+      let level = topLevel;
+      if (netAt(topLevel) > remainingNet) {
+        let low = 0;
+        for (let i = 0; i < 40; i++) {
+          const mid = (low + level) / 2;
+          if (netAt(mid) >= remainingNet) {
+            level = mid;
+          } else {
+            low = mid;
+          }
+        }
+      } else if (limit === Infinity) {
+        drawdownCapped = living.some(
+          (member) => member.raStartYear > member.maxGross
+        );
+        capShortfall = drawdownCapped ? remainingNet - netAt(topLevel) : 0;
+      }
+      living.forEach((member) => {
+        const gross = grossAt(member, level);
+        const extra = gross - member.raGross;
+        const tax = marginalTax(
+          extra,
+          member.guaranteedGross + member.raGross,
+          member.ctx
+        );
+        member.ra -= extra;
+        member.raGross = gross;
+        yearGross += extra;
+        yearTax += tax;
+        remainingNet -= extra - tax;
+      });
+    };
+
+    if (depleteOrder === "TFSA_FIRST") {
+      // Leave room for the compulsory minimums, as in the single plan.
+      const floorNet = living.reduce(
+        (sum, member) =>
+          sum +
+          member.minGross -
+          marginalTax(member.minGross, member.guaranteedGross, member.ctx),
+        0
+      );
+      drawTfsa(remainingNet - floorNet);
+      drawAnnuities();
+    } else if (depleteOrder === "BRACKET_FILL") {
+      // Each member's ceiling applies to their own taxable income.
+      drawAnnuities(bracketCeilingFor(bracketCeiling, living[0].ctx));
+      drawTfsa(remainingNet);
+    } else {
+      drawAnnuities();
+      drawTfsa(remainingNet);
+    }
+
+    // Discretionary sales come last, each taxed on its owner's income.
+    let discWithdrawal = 0;
+    let cgtPaid = 0;
+    living.forEach((member) => {
+      if (member.disc <= 0 || remainingNet <= 0) return;
+      const sale = sellDiscretionary(
+        remainingNet,
+        member.disc,
+        member.discBaseCost,
+        member.guaranteedGross + member.raGross,
+        member.ctx
+      );
+      member.disc -= sale.gross;
+      member.discBaseCost -= sale.baseCostUsed;
+      remainingNet -= sale.net;
+      yearGross += sale.gross;
+      yearTax += sale.tax;
+      discWithdrawal += sale.gross;
+      cgtPaid += sale.tax;
+    });
+
+    if (depleteOrder === "BRACKET_FILL" && remainingNet > 0) {
+      drawAnnuities();
+    }
+
+    // Forced minimums above need are reinvested by the first living member.
+    let surplusReinvested = 0;
+    if (remainingNet < 0) {
+      surplusReinvested = -remainingNet;
+      remainingNet = 0;
+      const owner = living[0];
+      let toDisc = surplusReinvested;
+      if (laSurplusTarget === "TFSA") {
+        const tfsaRoom = Math.max(
+          0,
+          Math.min(
+            taxTable.tfsa.annual,
+            taxTable.tfsa.lifetime - owner.tfsaContrib
+          )
+        );
+        const toTfsa = Math.min(tfsaRoom, surplusReinvested);
+        owner.tfsa += toTfsa;
+        owner.tfsaContrib += toTfsa;
+        toDisc -= toTfsa;
+      }
+      owner.disc += toDisc;
+      owner.discBaseCost += toDisc;
+    }
+
+    const yearNetDelivered = netRequired - Math.max(0, remainingNet);
+
+    const yearReturns = potReturns(
+      rateForYear(returnPath, y, postReturn),
+      returnSpreads
+    );
+    const feeRate = annualFeeRate(
+      members.reduce(
+        (sum, member) =>
+          sum +
+          member.ra * (1 + yearReturns.ra) +
+          member.tfsa * (1 + yearReturns.tfsa) +
+          member.disc * (1 + yearReturns.disc),
+        0
+      ),
+      fees
+    );
+    let feesPaid = 0;
+    let discIncomeTax = 0;
+    members.forEach((member) => {
+      const discAfterDraw = member.disc;
+      member.ra *= 1 + yearReturns.ra;
+      member.tfsa *= 1 + yearReturns.tfsa;
+      member.disc *= 1 + yearReturns.disc;
+      feesPaid += (member.ra + member.tfsa + member.disc) * feeRate;
+      member.ra *= 1 - feeRate;
+      member.tfsa *= 1 - feeRate;
+      member.disc *= 1 - feeRate;
+
+      if (member.alive && member.disc > 0) {
+        const discIncome = discretionaryIncomeTax(
+          (discAfterDraw + member.disc) / 2,
+          discYields,
+          member.guaranteedGross + member.raGross,
+          member.ctx
+        );
+        const tax = Math.min(member.disc, discIncome.tax);
+        member.disc -= tax;
+        member.discBaseCost += Math.max(0, discIncome.income - tax);
+        discIncomeTax += tax;
+      }
+    });
+
+    // Deaths at the end of the year in which life expectancy is reached.
+    living.forEach((member) => {
+      if (member.retireAge + y + 1 < member.lifeExpectancy) return;
+      const survivor = members.find(
+        (other) =>
+          other !== member &&
+          other.alive &&
+          other.retireAge + y + 1 < other.lifeExpectancy
+      );
+      if (!survivor) return;
+      member.alive = false;
+      survivor.ra += member.ra;
+      survivor.disc += member.disc + member.tfsa;
+      survivor.discBaseCost += member.discBaseCost + member.tfsa;
+      member.ra = 0;
+      member.tfsa = 0;
+      member.disc = 0;
+      member.discBaseCost = 0;
+    });
+
+    if (y === 0) {
+      year1GrossWithdrawal = yearGross;
+      year1NetWithdrawal = yearNetDelivered;
+      year1Tax = yearTax;
+    }
+
+    const raGrossYear = living.reduce(
+      (sum, member) => sum + member.raGross,
+      0
+    );
+    const annuityYear = living.reduce(
+      (sum, member) => sum + member.annuityGross,
+      0
+    );
+    const raEnd = sumOf("ra");
+    const tfsaEnd = sumOf("tfsa");
+    const discEnd = sumOf("disc");
+    timeline.push({
+      yearIndex: y,
+      age,
+      partnerAge: members[1].retireAge + y,
+      membersAlive: living.length,
+      raStart: raStartYear,
+      tfsaStart: tfsaStartYear,
+      discStart: discStartYear,
+      raEnd,
+      tfsaEnd,
+      discEnd,
+      netRequired,
+      netDelivered: yearNetDelivered,
+      grossWithdrawal: yearGross,
+      annuityIncome: annuityYear,
+      otherIncome: streams.taxable + streams.taxFree,
+      grantIncome,
+      taxPaid: yearTax,
+      medicalCredit: living.reduce(
+        (sum, member) =>
+          sum +
+          medicalCreditOn(member.guaranteedGross + member.raGross, member.ctx),
+        0
+      ),
+      discWithdrawal,
+      cgtPaid,
+      discIncomeTax,
+      feesPaid,
+      raDrawdownRate: raStartYear > 0 ? raGrossYear / raStartYear : 0,
+      drawdownCapped,
+      capShortfall,
+      surplusReinvested,
+    });
+
+    living.forEach((member) => {
+      member.meansTestRaIncome = member.raGross;
+    });
+
+    const incomeContinues =
+      streams.taxable + taxFreeIncome > 0 ||
+      members.some((member) => member.alive && member.annuityIncome > 0);
+    // As for one person, a year the cap leaves short carries on.
+    if (remainingNet > 0 && drawdownCapped && shortfallAge === null) {
+      shortfallAge = age;
+    }
+    if (
+      (remainingNet > 0 && !drawdownCapped) ||
+      (!incomeContinues && raEnd + tfsaEnd + discEnd <= 0)
+    ) {
+      exhaustionAge = age;
+      break;
+    }
+  }
+
+  return {
+    exhaustionAge,
+    shortfallAge,
+    exhaustionMonth: null,
+    year1GrossWithdrawal,
+    year1NetWithdrawal,
+    year1Tax,
+    timeline,
+  };
+}
+
+// Nominal tax a simulated plan gives rise to: drawdown tax (including CGT),
+// discretionary income tax, lump sums and savings-pot withdrawals.
+function lifetimeTaxOf(res) {
+  const sumRows = (rows, key) =>
+    (rows || []).reduce((sum, row) => sum + row[key], 0);
+  return (
+    sumRows(res.postTimeline, "taxPaid") +
+    sumRows(res.preTimeline, "discIncomeTax") +
+    sumRows(res.postTimeline, "discIncomeTax") +
+    res.lumpSum.tax +
+    sumRows(res.preTimeline, "savingsWithdrawalTax")
+  );
+}
+
+// --- real terms (today's money) ---
+
+// Numeric row fields that are not rand amounts.
+const NON_MONEY_FIELDS = new Set([
+  "yearIndex",
+  "age",
+  "partnerAge",
+  "membersAlive",
+  "returnRate",
+  "raDrawdownRate",
+]);
+
+const deflatorFor = (inf, yearsFromNow) =>
+  Math.pow(1 + inf, Math.max(0, yearsFromNow));
+
+// Divides every rand amount in a row by the inflation from today to when it
+// falls: a row's flows and opening balances at its age, closing balances
+// (the *End fields, or every amount of a capital point) a year later.
+function deflateRow(row, curAge, inf, { closing = false } = {}) {
+  const years = row.age - curAge;
+  return Object.fromEntries(
+    Object.entries(row).map(([key, value]) =>
+      typeof value !== "number" || NON_MONEY_FIELDS.has(key)
+        ? [key, value]
+        : [
+            key,
+            value /
+              deflatorFor(
+                inf,
+                closing || key.endsWith("End") ? years + 1 : years
+              ),
+          ]
+    )
+  );
+}
+
+const realTimelinesOf = (res, curAge, inf) => ({
+  preTimeline: (res.preTimeline || []).map((row) =>
+    deflateRow(row, curAge, inf)
+  ),
+  postTimeline: (res.postTimeline || []).map((row) =>
+    deflateRow(row, curAge, inf)
+  ),
+});
+
+// --- public API ---
+
+// Runs the full projection for one set of inputs and returns every output
+// the calculator shows. Pure: the same params always give the same result.
+export function projectRetirement(params) {
+  const {
+    currentAge,
+    retireAge,
+    lifeExpectancy,
+    initialCapital,
+    initialTfsaBalance,
+    tfsaContribToDate,
+    targetNetToday,
+    preReturn,
+    postReturn,
+    inflation,
+    annualIncrease,
+    tfsaMonthly,
+    grossIncome,
+    incomeGrowthMode,
+    incomeGrowthRate,
+    depleteOrder,
+    bracketCeiling,
+    optimiseBracketCeiling,
+    taxMode,
+    flatTaxRate,
+    reinvestRaTaxSaving,
+    taxRealism,
+    returnMode,
+    returnVolatility,
+    mcSimulations,
+    mcSeed,
+    targetSuccessRate,
+    livingAnnuityLimits,
+    laSurplusTarget,
+    decumulationFrequency = "ANNUAL",
+    historicalBacktest,
+    backtestEquityPct,
+    backtestBondPct,
+    lumpSumPct,
+    priorLumpSums,
+    lumpSumDestination,
+    annuityPurchasePct,
+    annuityType = "LEVEL",
+    annuityRates,
+    incomeStreams = [],
+    sassaGrant,
+    medicalSchemeMonthly,
+    medicalDependants,
+    medicalOutOfPocket,
+    twoPot,
+    twoPotSeedCapital,
+    savingsWithdrawalAnnual,
+    discInterestYield,
+    discDividendYield,
+    fundTer,
+    adviceFee,
+    platformFeeTiers,
+    assetAllocation,
+    assetClassAssumptions,
+    glidePath = "NONE",
+    glidePathYears,
+    glidePathCurve,
+    glideEndVolatility,
+    household,
+    raFunding = "OPTIMISE",
+    survivorIncomePct,
+    taxYear,
+    customTaxTable,
+    solveFor = "CONTRIBUTION",
+    fixedMonthlyContribution,
+  } = params;
+
+  // A custom table (e.g. a budget proposal) overrides the selected year.
+  const taxTable = customTaxTable || getTaxTable(taxYear);
+
+  const curAge = numberOr(currentAge, 30);
+  const retAge = numberOr(retireAge, 65);
+  const lifeExp = numberOr(lifeExpectancy, 100);
+
+  // Household mode adds a partner who stops work in the same year as the
+  // first member. The plan then has to last until the later of the two
+  // life expectancies, counted in the first member's ages.
+  const partner = household
+    ? {
+        age: numberOr(household.currentAge, curAge),
+        lifeExpectancy: numberOr(household.lifeExpectancy, lifeExp),
+        grossIncome: numberOr(household.grossIncome, 0),
+        initialCapital: numberOr(household.initialCapital, 0),
+        initialTfsaBalance: numberOr(household.initialTfsaBalance, 0),
+        tfsaContribToDate: numberOr(household.tfsaContribToDate, 0),
+        tfsaMonthly: numberOr(household.tfsaMonthly, 0),
+      }
+    : null;
+  const planEndAge = partner
+    ? curAge +
+      Math.max(lifeExp - curAge, partner.lifeExpectancy - partner.age)
+    : lifeExp;
+  const survivorShare = Math.min(
+    1,
+    Math.max(0, numberOr(survivorIncomePct, 70) / 100)
+  );
+
+  const initCap = numberOr(initialCapital, 0);
+  const initTfsaBal = numberOr(initialTfsaBalance, 0);
+  const tfsaContribToDateNum = numberOr(tfsaContribToDate, 0);
+  const targetNetMonthToday = numberOr(targetNetToday, 0);
+
+  // With an asset allocation each pot earns its own blended return. The
+  // RA's blend is the headline rate the return models and goal-seek work
+  // with; the other pots keep their spread over it.
+  let allocation = null;
+  if (assetAllocation) {
+    const assumptions = Object.fromEntries(
+      ASSET_CLASSES.map(({ key }) => {
+        const assumption = (assetClassAssumptions || {})[key] || {};
+        return [
+          key,
+          {
+            return: numberOr(assumption.return, 0),
+            volatility: Math.max(0, numberOr(assumption.volatility, 0)),
+          },
+        ];
+      })
+    );
+    const potBlend = (weights) => ({
+      return: blendedReturn(weights || {}, assumptions),
+      volatility: blendedVolatility(weights || {}, assumptions),
+    });
+    allocation = {
+      ra: potBlend(assetAllocation.ra),
+      tfsa: potBlend(assetAllocation.tfsa),
+      disc: potBlend(assetAllocation.disc),
+      regulation28Breaches: regulation28Breaches(assetAllocation.ra || {}),
+    };
+  }
+  const returnSpreads = allocation
+    ? {
+        tfsa: (allocation.tfsa.return - allocation.ra.return) / 100,
+        disc: (allocation.disc.return - allocation.ra.return) / 100,
+      }
+    : NO_RETURN_SPREADS;
+
+  const pre = allocation
+    ? allocation.ra.return / 100
+    : numberOr(preReturn, 14) / 100;
+  const post = allocation
+    ? allocation.ra.return / 100
+    : numberOr(postReturn, 10) / 100;
+  const inf = numberOr(inflation, 5) / 100;
+  const inc = numberOr(annualIncrease, 0) / 100;
+
+  const tfsaM = numberOr(tfsaMonthly, 0);
+  const grossInc = numberOr(grossIncome, 0);
+  const incomeGrowthRateDec = numberOr(incomeGrowthRate, 0) / 100;
+  // Medical scheme fees and out-of-pocket costs (today's money) earn the
+  // s6A/s6B tax credits for the first member, before and after retirement.
+  const medicalFees = Math.max(0, numberOr(medicalSchemeMonthly, 0)) * 12;
+  const medicalOwnCosts = Math.max(0, numberOr(medicalOutOfPocket, 0));
+  const medical =
+    medicalFees > 0 || medicalOwnCosts > 0
+      ? {
+          schemeFees: medicalFees,
+          outOfPocket: medicalOwnCosts,
+          dependants: Math.max(0, Math.round(numberOr(medicalDependants, 0))),
+        }
+      : null;
+  const flatRate = numberOr(flatTaxRate, 25) / 100;
+  const commutationPct = numberOr(lumpSumPct, 0) / 100;
+  // Part of the RA left after commutation can buy a guaranteed life annuity
+  // at the rate quoted for the buyer's age; the rest stays in the living
+  // annuity. Inflation-linked annuities rise with the inflation input.
+  const annuityShare = Math.min(
+    1,
+    Math.max(0, numberOr(annuityPurchasePct, 0) / 100)
+  );
+  const annuityEscalation = annuityType === "INFLATION_LINKED" ? inf : 0;
+  const buyAnnuity = (raBalance, age, yearsFromNow) => {
+    const price = raBalance * annuityShare;
+    const income =
+      price *
+      annuityRateAt(annuityRates || DEFAULT_ANNUITY_RATES, age, annuityType);
+    const tax = taxOnGross(income, {
+      age,
+      taxMode,
+      flatTaxRate: flatRate,
+      yearsFromNow,
+      inflation: inf,
+      taxRealism,
+      taxTable,
+    });
+    return { price, income, net: income - tax };
+  };
+  const priorLumpSumsNum = numberOr(priorLumpSums, 0);
+  const savingsWithdrawalNum = twoPot
+    ? numberOr(savingsWithdrawalAnnual, 0)
+    : 0;
+  const discYields = {
+    interest: Math.max(0, numberOr(discInterestYield, 0) / 100),
+    dividend: Math.max(0, numberOr(discDividendYield, 0) / 100),
+  };
+  // Fee rates arrive as percentages; a tier without an upper limit (null)
+  // covers the rest of the balance.
+  const fees = {
+    ter: Math.max(0, numberOr(fundTer, 0) / 100),
+    advice: Math.max(0, numberOr(adviceFee, 0) / 100),
+    platformTiers: (platformFeeTiers || []).map((tier) => ({
+      upTo:
+        tier.upTo === null || tier.upTo === undefined
+          ? Infinity
+          : numberOr(tier.upTo, Infinity),
+      rate: Math.max(0, numberOr(tier.rate, 0) / 100),
+    })),
+  };
+
+  const stochastic = returnMode === "STOCHASTIC";
+  const volatility = allocation
+    ? allocation.ra.volatility / 100
+    : Math.max(0, numberOr(returnVolatility, 12) / 100);
+  // A glide path steps the pre-retirement return down to the
+  // post-retirement one (and the volatility down to the glide's end
+  // volatility, which then also applies in retirement) over its final years.
+  // Steps are the share of the move made by the end of each year. An asset
+  // allocation keeps one mix before and after retirement, so it has nothing
+  // to glide between and the glide path is ignored.
+  const linearGlideYears = Math.max(0, Math.round(numberOr(glidePathYears, 0)));
+  const glideSteps =
+    glidePath === "LINEAR"
+      ? Array.from(
+          { length: linearGlideYears },
+          (_, i) => (i + 1) / linearGlideYears
+        )
+      : glidePath === "CUSTOM"
+        ? (glidePathCurve || []).map((step) =>
+            Math.min(1, Math.max(0, numberOr(step, 0) / 100))
+          )
+        : [];
+  const gliding = glideSteps.length > 0 && !allocation;
+  const postVolatility = gliding
+    ? Math.max(0, numberOr(glideEndVolatility, 0) / 100)
+    : volatility;
+  const pathCount = Math.max(1, Math.round(numberOr(mcSimulations, 500)));
+  const seed = numberOr(mcSeed, 1);
+  const targetSuccess = Math.min(
+    1,
+    Math.max(0, numberOr(targetSuccessRate, 90) / 100)
+  );
+
+  // The inputs goal-seek can solve for. Everything that depends on them
+  // is derived per plan so candidate values can be simulated in turn.
+  const basePlan = {
+    retireAge: retAge,
+    preReturn: pre,
+    initialCapital: initCap,
+    targetNetToday: targetNetMonthToday,
+    depleteOrder,
+    bracketCeiling: Math.max(0, numberOr(bracketCeiling, Infinity)),
+  };
+  const timingFor = (plan) => {
+    const yearsToRetire = Math.max(0, plan.retireAge - curAge);
+    return {
+      yearsToRetire,
+      yearsInRetirement: Math.max(0, planEndAge - plan.retireAge),
+      targetNetMonthlyAtRet:
+        plan.targetNetToday * Math.pow(1 + inf, yearsToRetire),
+    };
+  };
+  // Expected return and volatility for each pre-retirement year, or null
+  // without a glide path (every year then uses the plan's flat rates).
+  const glideFor = (plan) => {
+    if (!gliding) return null;
+    const progress = glideProgress(timingFor(plan).yearsToRetire, glideSteps);
+    return {
+      returns: progress.map((p) => plan.preReturn + (post - plan.preReturn) * p),
+      volatilities: progress.map(
+        (p) => volatility + (postVolatility - volatility) * p
+      ),
+    };
+  };
+
+  const maxRaContrib = Math.min(
+    taxTable.raDeduction.rate * grossInc,
+    taxTable.raDeduction.cap
+  );
+  const taxNow = sarsAnnualTax(grossInc, curAge, taxTable, medical);
+  const taxWithMaxRA = sarsAnnualTax(
+    grossInc - maxRaContrib,
+    curAge,
+    taxTable,
+    medical
+  );
+  const taxSaving = Math.max(0, taxNow - taxWithMaxRA);
+  const effectiveTaxRateNow = grossInc > 0 ? taxNow / grossInc : 0;
+
+  // How a household's monthly RA money is shared between the members.
+  // Optimised funding fills the deductible room of whoever has the higher
+  // marginal rate on today's salary first and gives the rest to the other.
+  const raSplitFor = (raMonthly) => {
+    if (raFunding === "MEMBER") return { member: raMonthly, partner: 0 };
+    if (raFunding === "PARTNER") return { member: 0, partner: raMonthly };
+    const terms = [
+      { key: "member", income: grossInc, age: curAge, medical },
+      {
+        key: "partner",
+        income: partner.grossIncome,
+        age: partner.age,
+        medical: null,
+      },
+    ].map((term) => ({
+      ...term,
+      marginalRate:
+        (sarsAnnualTax(term.income + 1_000, term.age, taxTable, term.medical) -
+          sarsAnnualTax(term.income, term.age, taxTable, term.medical)) /
+        1_000,
+      roomMonthly:
+        term.income > 0
+          ? Math.min(
+              taxTable.raDeduction.rate * term.income,
+              taxTable.raDeduction.cap
+            ) / 12
+          : Infinity,
+    }));
+    const [first, second] =
+      terms[1].marginalRate > terms[0].marginalRate
+        ? [terms[1], terms[0]]
+        : terms;
+    const toFirst = Math.min(raMonthly, first.roomMonthly);
+    return { [first.key]: toFirst, [second.key]: raMonthly - toFirst };
+  };
+
+  const simulateWithContribution = (
+    monthly,
+    returnPaths = {},
+    options = {}
+  ) => {
+    const plan = options.plan || basePlan;
+    const { yearsToRetire, targetNetMonthlyAtRet } = timingFor(plan);
+    const glide = returnPaths.pre ? null : glideFor(plan);
+
+    const accumulationInputs = {
+      currentAge: curAge,
+      retireAge: plan.retireAge,
+      preReturn: plan.preReturn,
+      contributionMonthly: monthly,
+      tfsaMonthly: tfsaM,
+      annualIncrease: inc,
+      initialCapitalTaxable: plan.initialCapital,
+      initialTfsaBalance: initTfsaBal,
+      tfsaContribToDate: tfsaContribToDateNum,
+      grossIncome: grossInc,
+      reinvestRaTaxSaving,
+      inflation: inf,
+      taxRealism,
+      incomeGrowthMode,
+      incomeGrowthRate: incomeGrowthRateDec,
+      returnPath: returnPaths.pre || (glide && glide.returns),
+      twoPot,
+      twoPotSeedCapital,
+      savingsWithdrawalAnnual: options.withoutSavingsWithdrawals
+        ? 0
+        : savingsWithdrawalNum,
+      discYields,
+      fees,
+      returnSpreads,
+      taxTable,
+      medical,
+    };
+    const commutationInputs = {
+      commutationPct,
+      priorLumpSums: priorLumpSumsNum,
+      destination: lumpSumDestination,
+      yearsFromNow: yearsToRetire,
+      inflation: inf,
+      taxRealism,
+      taxTable,
+    };
+    const decumulationInputs = {
+      retireAge: plan.retireAge,
+      lifeExpectancy: lifeExp,
+      postReturn: post,
+      inflation: inf,
+      targetNetMonthlyAtRet,
+      discYields,
+      annuityEscalation,
+      incomeStreams,
+      sassaGrant,
+      depleteOrder: plan.depleteOrder,
+      bracketCeiling: plan.bracketCeiling,
+      taxMode,
+      flatTaxRate: flatRate,
+      yearsFromNowStart: yearsToRetire,
+      taxRealism,
+      returnPath: returnPaths.post,
+      livingAnnuityLimits,
+      laSurplusTarget,
+      fees,
+      returnSpreads,
+      taxTable,
+      medical,
+    };
+
+    if (partner) {
+      return simulateHousehold(monthly, plan, {
+        yearsToRetire,
+        accumulationInputs,
+        commutationInputs,
+        decumulationInputs,
+      });
+    }
+
+    const acc = accumulateToRetirement(accumulationInputs);
+
+    // Under two-pot only the vested component may be commuted; savings and
+    // retirement components roll into the annuity.
+    const lumpSum = commuteAtRetirement({
+      ...commutationInputs,
+      raBalance: twoPot ? acc.vested : acc.ra,
+      tfsaContribTotal: acc.tfsaContribTotal,
+    });
+
+    const annuity = buyAnnuity(
+      acc.ra - lumpSum.gross,
+      plan.retireAge,
+      yearsToRetire
+    );
+
+    const decumulate =
+      decumulationFrequency === "MONTHLY"
+        ? simulateDecumulationMonthly
+        : simulateDecumulation;
+    const dec = decumulate({
+      ...decumulationInputs,
+      annuityIncome: annuity.income,
+      raStart: acc.ra - lumpSum.gross - annuity.price,
+      tfsaStart: acc.tfsa + lumpSum.toTfsa,
+      tfsaContribAtRet: acc.tfsaContribTotal + lumpSum.toTfsa,
+      discStart: acc.disc + lumpSum.toDisc,
+      discBaseCostStart: acc.discBaseCost + lumpSum.toDisc,
+    });
+
+    return {
+      ...dec,
+      ra: acc.ra,
+      vested: acc.vested,
+      savings: acc.savings,
+      retirement: acc.retirement,
+      tfsa: acc.tfsa,
+      disc: acc.disc,
+      discBaseCost: acc.discBaseCost,
+      lumpSum,
+      annuity,
+      preTimeline: acc.timeline,
+      postTimeline: dec.timeline,
+    };
+  };
+
+  // Household plans: each member saves on their own salary, with the
+  // household's RA money shared by raSplitFor, commutes the same share at
+  // retirement, and the couple then draws down together.
+  const simulateHousehold = (monthly, plan, stages) => {
+    const {
+      yearsToRetire,
+      accumulationInputs,
+      commutationInputs,
+      decumulationInputs,
+    } = stages;
+    const raSplit = raSplitFor(
+      Math.max(0, monthly - tfsaM - partner.tfsaMonthly)
+    );
+    const partnerRetireAge = partner.age + yearsToRetire;
+
+    const memberAcc = accumulateToRetirement({
+      ...accumulationInputs,
+      contributionMonthly: tfsaM + raSplit.member,
+    });
+    const partnerAcc = accumulateToRetirement({
+      ...accumulationInputs,
+      currentAge: partner.age,
+      retireAge: partnerRetireAge,
+      contributionMonthly: partner.tfsaMonthly + raSplit.partner,
+      tfsaMonthly: partner.tfsaMonthly,
+      initialCapitalTaxable: partner.initialCapital,
+      initialTfsaBalance: partner.initialTfsaBalance,
+      tfsaContribToDate: partner.tfsaContribToDate,
+      grossIncome: partner.grossIncome,
+      savingsWithdrawalAnnual: 0,
+      medical: null,
+    });
+
+    const commute = (acc, priorLumpSums) =>
+      commuteAtRetirement({
+        ...commutationInputs,
+        priorLumpSums,
+        raBalance: twoPot ? acc.vested : acc.ra,
+        tfsaContribTotal: acc.tfsaContribTotal,
+      });
+    const memberLumpSum = commute(memberAcc, priorLumpSumsNum);
+    const partnerLumpSum = commute(partnerAcc, 0);
+
+    const memberAnnuity = buyAnnuity(
+      memberAcc.ra - memberLumpSum.gross,
+      plan.retireAge,
+      yearsToRetire
+    );
+    const partnerAnnuity = buyAnnuity(
+      partnerAcc.ra - partnerLumpSum.gross,
+      partnerRetireAge,
+      yearsToRetire
+    );
+
+    const startOf = (acc, lumpSum, annuity, retireAge, lifeExpectancy) => ({
+      retireAge,
+      lifeExpectancy,
+      ra: acc.ra - lumpSum.gross - annuity.price,
+      tfsa: acc.tfsa + lumpSum.toTfsa,
+      tfsaContrib: acc.tfsaContribTotal + lumpSum.toTfsa,
+      disc: acc.disc + lumpSum.toDisc,
+      discBaseCost: acc.discBaseCost + lumpSum.toDisc,
+      annuityIncome: annuity.income,
+    });
+    const dec = simulateHouseholdDecumulation({
+      ...decumulationInputs,
+      endAge: planEndAge,
+      survivorShare,
+      members: [
+        startOf(
+          memberAcc,
+          memberLumpSum,
+          memberAnnuity,
+          plan.retireAge,
+          lifeExp
+        ),
+        startOf(
+          partnerAcc,
+          partnerLumpSum,
+          partnerAnnuity,
+          partnerRetireAge,
+          partner.lifeExpectancy
+        ),
+      ],
+    });
+
+    const both = (key) => memberAcc[key] + partnerAcc[key];
+    return {
+      ...dec,
+      ra: both("ra"),
+      vested: both("vested"),
+      savings: both("savings"),
+      retirement: both("retirement"),
+      tfsa: both("tfsa"),
+      disc: both("disc"),
+      discBaseCost: both("discBaseCost"),
+      lumpSum: Object.fromEntries(
+        Object.keys(memberLumpSum).map((key) => [
+          key,
+          memberLumpSum[key] + partnerLumpSum[key],
+        ])
+      ),
+      annuity: {
+        price: memberAnnuity.price + partnerAnnuity.price,
+        income: memberAnnuity.income + partnerAnnuity.income,
+        net: memberAnnuity.net + partnerAnnuity.net,
+      },
+      preTimeline: memberAcc.timeline.map((row, i) =>
+        combineTimelineRows(row, partnerAcc.timeline[i])
+      ),
+      postTimeline: dec.timeline,
+      members: {
+        raSplit,
+        memberCapitalAtRet: memberAcc.ra + memberAcc.tfsa + memberAcc.disc,
+        partnerCapitalAtRet: partnerAcc.ra + partnerAcc.tfsa + partnerAcc.disc,
+      },
+    };
+  };
+
+  // Stochastic mode reuses one set of shocks for every candidate
+  // contribution (common random numbers), so the success rate is monotonic
+  // in the contribution and the bisection below stays well-behaved. The
+  // shocks span the whole lifetime; a plan only decides where retirement
+  // splits them and which mean the pre-retirement years use.
+  const lifetimeShocks = stochastic
+    ? generateReturnShocks(pathCount, Math.max(0, planEndAge - curAge), seed)
+    : [];
+  const pathsByPlan = new Map();
+  const stochasticPathsFor = (plan) => {
+    const key = `${plan.retireAge}|${plan.preReturn}`;
+    if (!pathsByPlan.has(key)) {
+      const { yearsToRetire, yearsInRetirement } = timingFor(plan);
+      const glide = glideFor(plan);
+      pathsByPlan.set(
+        key,
+        lifetimeShocks.map((shocks) => ({
+          pre: returnsFromShocks(
+            shocks,
+            0,
+            yearsToRetire,
+            glide ? glide.returns : plan.preReturn,
+            glide ? glide.volatilities : volatility
+          ),
+          post: returnsFromShocks(
+            shocks,
+            yearsToRetire,
+            yearsInRetirement,
+            post,
+            postVolatility
+          ),
+        }))
+      );
+    }
+    return pathsByPlan.get(key);
+  };
+
+  // A plan succeeds when the capital lasts and the drawdown cap never
+  // leaves income short on the way.
+  const fundsPlan = (res) =>
+    res.exhaustionAge >= planEndAge && res.shortfallAge === null;
+
+  const successRateWithContribution = (monthly, options = {}) => {
+    const pathSet = stochasticPathsFor(options.plan || basePlan);
+    let successes = 0;
+    for (const paths of pathSet) {
+      const res = simulateWithContribution(monthly, paths, options);
+      if (fundsPlan(res)) successes++;
+    }
+    return successes / pathSet.length;
+  };
+
+  // `deterministic` judges a stochastic plan on its expected returns.
+  const meetsTarget = (monthly, options = {}) =>
+    stochastic && !options.deterministic
+      ? successRateWithContribution(monthly, options) >= targetSuccess
+      : fundsPlan(simulateWithContribution(monthly, {}, options));
+
+  const iterations = stochastic ? 20 : 30;
+
+  const solveRequiredContribution = (options = {}) => {
+    let low = 0;
+    let high = 50_000;
+
+    let guard = 0;
+    while (!meetsTarget(high, options) && guard < 10) {
+      high *= 2;
+      guard++;
+    }
+
+    for (let i = 0; i < iterations; i++) {
+      const mid = (low + high) / 2;
+      if (meetsTarget(mid, options)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return high;
+  };
+
+  // Goal-seek: with the contribution fixed, find the value of one input
+  // that just meets the target. Returns { feasible, value }.
+  const fixedContribution = Math.max(0, numberOr(fixedMonthlyContribution, 0));
+
+  // Bracket fill can choose its own ceiling: the 65+ tax threshold and each
+  // bracket limit are tried on the expected returns, at the contribution
+  // the entered ceiling needs (or the fixed one when goal-seeking), and the
+  // ceiling whose money lasts longest for the least lifetime tax is kept.
+  let drawdownPlan = basePlan;
+  if (depleteOrder === "BRACKET_FILL" && optimiseBracketCeiling) {
+    const contribution =
+      solveFor === "CONTRIBUTION"
+        ? solveRequiredContribution({ deterministic: true })
+        : fixedContribution;
+    const candidates = [
+      taxTable.thresholds.age65to74,
+      ...taxTable.brackets
+        .map((bracket) => bracket.limit)
+        .filter((limit) => limit !== Infinity),
+    ].map((ceiling) => {
+      const res = simulateWithContribution(
+        contribution,
+        {},
+        { plan: { ...basePlan, bracketCeiling: ceiling } }
+      );
+      return {
+        ceiling,
+        exhaustionAge: res.exhaustionAge,
+        lifetimeTax: lifetimeTaxOf(res),
+      };
+    });
+    const best = candidates.reduce((a, b) =>
+      b.exhaustionAge > a.exhaustionAge ||
+      (b.exhaustionAge === a.exhaustionAge && b.lifetimeTax < a.lifetimeTax)
+        ? b
+        : a
+    );
+    drawdownPlan = { ...basePlan, bracketCeiling: best.ceiling };
+  }
+
+  const seekGoal = () => {
+    const passesWith = (overrides) =>
+      meetsTarget(fixedContribution, {
+        plan: { ...drawdownPlan, ...overrides },
+      });
+    // Narrows [low, high] onto the point where `passes` becomes true.
+    const bisect = (low, high, passes) => {
+      for (let i = 0; i < iterations; i++) {
+        const mid = (low + high) / 2;
+        if (passes(mid)) {
+          high = mid;
+        } else {
+          low = mid;
+        }
+      }
+      return { low, high };
+    };
+
+    switch (solveFor) {
+      case "RETIRE_AGE": {
+        const passes = (age) => passesWith({ retireAge: age });
+        let low = Math.floor(curAge) + 1;
+        let high = Math.ceil(lifeExp) - 1;
+        if (low > high || !passes(high)) {
+          return { feasible: false, value: null };
+        }
+        if (passes(low)) return { feasible: true, value: low };
+        while (high - low > 1) {
+          const mid = Math.floor((low + high) / 2);
+          if (passes(mid)) {
+            high = mid;
+          } else {
+            low = mid;
+          }
+        }
+        return { feasible: true, value: high };
+      }
+      case "TARGET_INCOME": {
+        const passes = (income) => passesWith({ targetNetToday: income });
+        // Nothing to draw on at all: no income is sustainable.
+        if (!passes(0)) return { feasible: false, value: null };
+        let high = 50_000;
+        let guard = 0;
+        while (passes(high) && guard < 20) {
+          high *= 2;
+          guard++;
+        }
+        const { low } = bisect(0, high, (income) => !passes(income));
+        return { feasible: true, value: low };
+      }
+      case "PRE_RETURN": {
+        const passes = (rate) => passesWith({ preReturn: rate });
+        if (!passes(GOAL_SEEK_MAX_RETURN)) {
+          return { feasible: false, value: null };
+        }
+        if (passes(GOAL_SEEK_MIN_RETURN)) {
+          return { feasible: true, value: GOAL_SEEK_MIN_RETURN };
+        }
+        const { high } = bisect(
+          GOAL_SEEK_MIN_RETURN,
+          GOAL_SEEK_MAX_RETURN,
+          passes
+        );
+        return { feasible: true, value: high };
+      }
+      case "INITIAL_CAPITAL": {
+        const passes = (capital) => passesWith({ initialCapital: capital });
+        if (passes(0)) return { feasible: true, value: 0 };
+        let high = 1_000_000;
+        let guard = 0;
+        while (!passes(high) && guard < 20) {
+          high *= 2;
+          guard++;
+        }
+        if (!passes(high)) return { feasible: false, value: null };
+        return { feasible: true, value: bisect(0, high, passes).high };
+      }
+      default:
+        return null;
+    }
+  };
+
+  // "NONE" solves for nothing: the fixed contribution is projected as is
+  // (the sensitivity analysis uses this to see how long money lasts).
+  const goalResult =
+    solveFor === "CONTRIBUTION" || solveFor === "NONE" ? null : seekGoal();
+  const goalSeek = goalResult
+    ? { solveFor, fixedContribution, ...goalResult }
+    : null;
+  const goalOverrides = {
+    RETIRE_AGE: "retireAge",
+    TARGET_INCOME: "targetNetToday",
+    PRE_RETURN: "preReturn",
+    INITIAL_CAPITAL: "initialCapital",
+  };
+  // Infeasible goal-seeks fall back to the inputs as entered.
+  const solvedPlan =
+    goalSeek && goalSeek.feasible
+      ? { ...drawdownPlan, [goalOverrides[solveFor]]: goalSeek.value }
+      : drawdownPlan;
+  const planOptions = { plan: solvedPlan };
+  const { yearsToRetire, yearsInRetirement, targetNetMonthlyAtRet } =
+    timingFor(solvedPlan);
+
+  const requiredMonthlyContribution =
+    goalSeek || solveFor === "NONE"
+      ? fixedContribution
+      : solveRequiredContribution(planOptions);
+  const solution = simulateWithContribution(
+    requiredMonthlyContribution,
+    {},
+    planOptions
+  );
+
+  // Savings-pot withdrawals leak capital before retirement: compare with
+  // the same plan left untouched to show what they cost.
+  let savingsWithdrawalImpact = null;
+  if (savingsWithdrawalNum > 0) {
+    const noWithdrawals = { ...planOptions, withoutSavingsWithdrawals: true };
+    const untouched = simulateWithContribution(
+      requiredMonthlyContribution,
+      {},
+      noWithdrawals
+    );
+    const requiredWithoutWithdrawals =
+      solveRequiredContribution(noWithdrawals);
+    savingsWithdrawalImpact = {
+      totalWithdrawn: solution.preTimeline.reduce(
+        (sum, row) => sum + row.savingsWithdrawal,
+        0
+      ),
+      totalTax: solution.preTimeline.reduce(
+        (sum, row) => sum + row.savingsWithdrawalTax,
+        0
+      ),
+      capitalReduction:
+        untouched.ra +
+        untouched.tfsa +
+        untouched.disc -
+        (solution.ra + solution.tfsa + solution.disc),
+      requiredContributionWithoutWithdrawals: requiredWithoutWithdrawals,
+      contributionIncrease:
+        requiredMonthlyContribution - requiredWithoutWithdrawals,
+    };
+  }
+
+  let monteCarlo = null;
+  if (stochastic) {
+    const trajectoryLength = yearsToRetire + yearsInRetirement;
+    const totalsByYear = Array.from({ length: trajectoryLength }, () => []);
+    const capitalAtRet = [];
+    let successes = 0;
+
+    const pathSet = stochasticPathsFor(solvedPlan);
+    pathSet.forEach((paths) => {
+      const res = simulateWithContribution(
+        requiredMonthlyContribution,
+        paths,
+        planOptions
+      );
+      if (fundsPlan(res)) successes++;
+      capitalAtRet.push(res.ra + res.tfsa + res.disc);
+      const rows = [...res.preTimeline, ...res.postTimeline];
+      for (let i = 0; i < trajectoryLength; i++) {
+        const row = rows[i];
+        totalsByYear[i].push(row ? row.raEnd + row.tfsaEnd + row.discEnd : 0);
+      }
+    });
+
+    const sortedAtRet = [...capitalAtRet].sort((a, b) => a - b);
+    monteCarlo = {
+      simulations: pathSet.length,
+      targetSuccessRate: targetSuccess,
+      successProbability: successes / pathSet.length,
+      capitalAtRetirement: {
+        p10: percentile(sortedAtRet, 0.1),
+        p50: percentile(sortedAtRet, 0.5),
+        p90: percentile(sortedAtRet, 0.9),
+      },
+      bands: totalsByYear.map((totals, i) => {
+        const sorted = totals.sort((a, b) => a - b);
+        return {
+          age: curAge + i,
+          p10: percentile(sorted, 0.1),
+          p50: percentile(sorted, 0.5),
+          p90: percentile(sorted, 0.9),
+        };
+      }),
+    };
+  }
+
+  // Back-test: the retirement phase replayed over rolling windows of
+  // history, each start year being the first year of retirement. Saving
+  // follows the entered assumptions, so every start year retires with the
+  // same capital. Windows that run past the data carry on at the entered
+  // post-retirement return; they are charted, but only scored when no
+  // window fits the data.
+  let backtest = null;
+  if (historicalBacktest) {
+    const equityShare = Math.min(
+      1,
+      Math.max(0, numberOr(backtestEquityPct, 60) / 100)
+    );
+    const bondShare = Math.min(
+      1 - equityShare,
+      Math.max(0, numberOr(backtestBondPct, 30) / 100)
+    );
+    const weights = {
+      equity: equityShare,
+      bonds: bondShare,
+      cash: 1 - equityShare - bondShare,
+    };
+
+    const runs = HISTORICAL_RETURNS.map((row, i) => {
+      const historicalYears = Math.min(
+        yearsInRetirement,
+        HISTORICAL_RETURNS.length - i
+      );
+      const res = simulateWithContribution(
+        requiredMonthlyContribution,
+        { post: historicalPath(i, historicalYears, weights, inf) },
+        planOptions
+      );
+      const totals = [...res.preTimeline, ...res.postTimeline].map(
+        (timelineRow) =>
+          timelineRow.raEnd + timelineRow.tfsaEnd + timelineRow.discEnd
+      );
+      return {
+        startYear: row.year,
+        success: fundsPlan(res),
+        exhaustionAge: res.exhaustionAge,
+        shortfallAge: res.shortfallAge,
+        capitalAtRetirement: res.ra + res.tfsa + res.disc,
+        endCapital: totals.length > 0 ? totals[totals.length - 1] : 0,
+        // the age endCapital is held at: earlier for a run that runs out
+        endAge: curAge + totals.length,
+        // retirement years replayed from history; the rest are expected
+        historicalYears,
+        partial: historicalYears < yearsInRetirement,
+        totals,
+      };
+    });
+
+    const fullRuns = runs.filter((run) => !run.partial);
+    const scored = fullRuns.length > 0 ? fullRuns : runs;
+    // Ranked by how long the money lasts, then by what is left over.
+    const ranked = [...scored].sort(
+      (a, b) =>
+        a.exhaustionAge - b.exhaustionAge || a.endCapital - b.endCapital
+    );
+    const summary = ({ totals, ...run }) => run;
+    backtest = {
+      weights,
+      // retirement years of history a full window needs
+      yearsNeeded: yearsInRetirement,
+      dataFirstYear: HISTORICAL_RETURNS[0].year,
+      dataLastYear: HISTORICAL_RETURNS[HISTORICAL_RETURNS.length - 1].year,
+      fullWindows: fullRuns.length,
+      partialWindows: runs.length - fullRuns.length,
+      // the start years behind the success rate and the worst, median and
+      // best outcomes
+      windows: scored.length,
+      firstYear: scored[0].startYear,
+      lastYear: scored[scored.length - 1].startYear,
+      successRate: scored.filter((run) => run.success).length / scored.length,
+      worst: summary(ranked[0]),
+      median: summary(ranked[Math.floor((ranked.length - 1) / 2)]),
+      best: summary(ranked[ranked.length - 1]),
+      runs: runs.map(summary),
+      // one point per age with each start year's total capital
+      paths: Array.from(
+        { length: yearsToRetire + yearsInRetirement },
+        (_, i) => {
+          const point = { age: curAge + i };
+          runs.forEach((run) => {
+            if (i < run.totals.length) {
+              point[`y${run.startYear}`] = run.totals[i];
+            }
+          });
+          return point;
+        }
+      ),
+    };
+  }
+
+  const totalCapitalAtRet = solution.ra + solution.tfsa + solution.disc;
+
+  const partnerYearsLeft = partner ? partner.lifeExpectancy - partner.age : 0;
+  const householdSummary = partner
+    ? {
+        partnerAgeAtRet: partner.age + yearsToRetire,
+        memberCapitalAtRet: solution.members.memberCapitalAtRet,
+        partnerCapitalAtRet: solution.members.partnerCapitalAtRet,
+        memberRaMonthly: solution.members.raSplit.member,
+        partnerRaMonthly: solution.members.raSplit.partner,
+        // in the first member's age, as on the timeline
+        firstDeathAge: Math.min(lifeExp, curAge + partnerYearsLeft),
+        survivor: lifeExp - curAge >= partnerYearsLeft ? "MEMBER" : "PARTNER",
+        survivorIncomeShare: survivorShare,
+      }
+    : null;
+  const { lumpSum, annuity } = solution;
+  // Drawdown rate is measured against what is left invested after any
+  // commutation (net cash used to repay debt leaves the plan) and annuity
+  // purchase, on what is drawn from it rather than paid from outside.
+  const capitalAfterCommutation =
+    totalCapitalAtRet - lumpSum.gross + lumpSum.toTfsa + lumpSum.toDisc;
+  const investedAfterRetirement = capitalAfterCommutation - annuity.price;
+  const firstPostRow = solution.postTimeline[0];
+  const year1OutsideIncome = firstPostRow
+    ? firstPostRow.annuityIncome +
+      firstPostRow.otherIncome +
+      firstPostRow.grantIncome
+    : 0;
+  const year1DrawdownPct =
+    investedAfterRetirement > 0
+      ? (solution.year1GrossWithdrawal - year1OutsideIncome) /
+        investedAfterRetirement
+      : 0;
+
+  const discountToToday = Math.pow(1 + inf, yearsToRetire);
+
+  // The income floor is the annuity's first-year income after tax on it
+  // alone. A level annuity's floor loses value to inflation over the plan.
+  const annuitySummary =
+    annuityShare > 0
+      ? {
+          type: annuityType,
+          purchasePrice: annuity.price,
+          firstYearIncome: annuity.income,
+          monthlyNetAtRet: annuity.net / 12,
+          monthlyNetToday: annuity.net / 12 / discountToToday,
+          monthlyNetTodayAtEnd:
+            annuity.net /
+            12 /
+            Math.pow(
+              1 + inf,
+              annuityType === "INFLATION_LINKED"
+                ? yearsToRetire
+                : yearsToRetire + Math.max(0, yearsInRetirement - 1)
+            ),
+          targetShare:
+            targetNetMonthlyAtRet > 0
+              ? annuity.net / 12 / targetNetMonthlyAtRet
+              : 0,
+        }
+      : null;
+  const year1RealGross = solution.year1GrossWithdrawal / discountToToday;
+  const year1RealTax = solution.year1Tax / discountToToday;
+  const year1EffectiveTaxRate =
+    year1RealGross > 0 ? year1RealTax / year1RealGross : 0;
+
+  const presentValueRequiredCapital =
+    totalCapitalAtRet / Math.pow(1 + inf, yearsToRetire);
+
+  const totalContributionsAtRetirement =
+    (solution.preTimeline || []).reduce(
+      (sum, row) => sum + row.totalContribution,
+      0
+    );
+
+  const totalTaxSavingsAtRetirement = (solution.preTimeline || []).reduce(
+    (sum, row) => sum + row.raTaxSaving,
+    0
+  );
+
+  const sumRows = (rows, key) =>
+    (rows || []).reduce((sum, row) => sum + row[key], 0);
+  const totalCgtPaid = sumRows(solution.postTimeline, "cgtPaid");
+  const totalDiscIncomeTax =
+    sumRows(solution.preTimeline, "discIncomeTax") +
+    sumRows(solution.postTimeline, "discIncomeTax");
+  const totalFeesPaid =
+    sumRows(solution.preTimeline, "feesPaid") +
+    sumRows(solution.postTimeline, "feesPaid");
+  const lifetimeTaxPaid = lifetimeTaxOf(solution);
+
+  // Every drawdown order run on the expected returns with the solved
+  // contribution, so the orders can be compared on equal terms.
+  const strategyComparison = DEPLETE_ORDERS.map((order) => {
+    const res = simulateWithContribution(
+      requiredMonthlyContribution,
+      {},
+      { plan: { ...solvedPlan, depleteOrder: order } }
+    );
+    const lastRow = res.postTimeline[res.postTimeline.length - 1];
+    const endCapital = lastRow
+      ? lastRow.raEnd + lastRow.tfsaEnd + lastRow.discEnd
+      : 0;
+    return {
+      depleteOrder: order,
+      bracketCeiling:
+        order === "BRACKET_FILL" ? solvedPlan.bracketCeiling : null,
+      lifetimeTax: lifetimeTaxOf(res),
+      exhaustionAge: res.exhaustionAge,
+      endCapital,
+      // the same in today's money, for toRealTerms
+      lifetimeTaxToday: lifetimeTaxOf({
+        ...realTimelinesOf(res, curAge, inf),
+        lumpSum: { tax: res.lumpSum.tax / discountToToday },
+      }),
+      endCapitalToday: lastRow
+        ? endCapital / deflatorFor(inf, lastRow.age + 1 - curAge)
+        : 0,
+    };
+  });
+
+  const cappedRows = (solution.postTimeline || []).filter(
+    (row) => row.drawdownCapped
+  );
+  const drawdownCapYears = cappedRows.length;
+  const firstDrawdownCapAge =
+    cappedRows.length > 0 ? cappedRows[0].age : null;
+
+  const bandsByAge = new Map(
+    (monteCarlo ? monteCarlo.bands : []).map((band) => [band.age, band])
+  );
+  const withBands = (point) => {
+    const band = bandsByAge.get(point.age);
+    return band
+      ? { ...point, p10: band.p10, p50: band.p50, p90: band.p90 }
+      : point;
+  };
+
+  const capitalTrajectory =
+    solution.preTimeline && solution.postTimeline
+      ? [
+          ...solution.preTimeline.map((row) =>
+            withBands({
+              age: row.age,
+              total: row.raEnd + row.tfsaEnd + row.discEnd,
+              ra: row.raEnd,
+              tfsa: row.tfsaEnd,
+              disc: row.discEnd,
+            })
+          ),
+          ...solution.postTimeline.map((row) =>
+            withBands({
+              age: row.age,
+              total: row.raEnd + row.tfsaEnd + row.discEnd,
+              ra: row.raEnd,
+              tfsa: row.tfsaEnd,
+              disc: row.discEnd,
+            })
+          ),
+        ]
+      : [];
+
+  return {
+    // main outputs
+    requiredMonthlyContribution,
+    taxableCapitalAtRet: solution.ra,
+    vestedCapitalAtRet: solution.vested,
+    savingsCapitalAtRet: solution.savings,
+    retirementCapitalAtRet: solution.retirement,
+    tfsaCapitalAtRet: solution.tfsa,
+    discretionaryCapitalAtRet: solution.disc,
+    discretionaryBaseCostAtRet: solution.discBaseCost,
+    totalCapitalAtRet,
+    lumpSumGross: lumpSum.gross,
+    lumpSumTax: lumpSum.tax,
+    lumpSumNet: lumpSum.net,
+    lumpSumToTfsa: lumpSum.toTfsa,
+    lumpSumToDiscretionary: lumpSum.toDisc,
+    lumpSumToDebt: lumpSum.toDebt,
+    capitalAfterCommutation,
+    targetNetMonthlyAtRet,
+    presentValueRequiredCapital,
+    exhaustionAge: solution.exhaustionAge,
+    // month (1–12) within the exhaustion age; monthly decumulation only
+    exhaustionMonth: solution.exhaustionMonth,
+    // first age the drawdown cap leaves income short (null if never)
+    shortfallAge: solution.shortfallAge,
+    year1GrossWithdrawal: solution.year1GrossWithdrawal,
+    year1NetWithdrawal: solution.year1NetWithdrawal,
+    year1Tax: solution.year1Tax,
+    year1DrawdownPct,
+    year1EffectiveTaxRate,
+    drawdownCapYears,
+    firstDrawdownCapAge,
+    effectiveTaxRateNow,
+    maxRaContrib,
+    taxSaving,
+    totalContributionsAtRetirement,
+    totalTaxSavingsAtRetirement,
+    totalCgtPaid,
+    totalDiscIncomeTax,
+    lifetimeTaxPaid,
+    totalFeesPaid,
+    // ceiling applied by bracket fill (tax-table rands; null otherwise)
+    bracketCeiling:
+      depleteOrder === "BRACKET_FILL" ? solvedPlan.bracketCeiling : null,
+    strategyComparison,
+    capitalTrajectory,
+    preTimeline: solution.preTimeline,
+    postTimeline: solution.postTimeline,
+    // stochastic mode only (null when returns are deterministic)
+    monteCarlo,
+    // historical back-test only (null when switched off)
+    backtest,
+    allocation,
+    // household mode only (null for a single member)
+    household: householdSummary,
+    // guaranteed annuity purchase only (null when none is bought)
+    annuity: annuitySummary,
+    // two-pot savings withdrawals only (null when none are modelled)
+    savingsWithdrawalImpact,
+    // goal-seek only (null when solving for the contribution)
+    goalSeek,
+    // tax table actually applied, for labels and exports
+    taxTableLabel: taxTable.label,
+    // simple numeric meta for the UI
+    retirementAgeNumeric: solvedPlan.retireAge,
+    // the age (of the first member) the plan has to last to
+    lifeExpectancyNumeric: planEndAge,
+    // what toRealTerms deflates from and by
+    currentAgeNumeric: curAge,
+    inflationRate: inf,
+  };
+}
+
+// Amounts that fall at retirement.
+const AT_RETIREMENT_FIELDS = [
+  "taxableCapitalAtRet",
+  "vestedCapitalAtRet",
+  "savingsCapitalAtRet",
+  "retirementCapitalAtRet",
+  "tfsaCapitalAtRet",
+  "discretionaryCapitalAtRet",
+  "discretionaryBaseCostAtRet",
+  "totalCapitalAtRet",
+  "lumpSumGross",
+  "lumpSumTax",
+  "lumpSumNet",
+  "lumpSumToTfsa",
+  "lumpSumToDiscretionary",
+  "lumpSumToDebt",
+  "capitalAfterCommutation",
+  "targetNetMonthlyAtRet",
+  "year1GrossWithdrawal",
+  "year1NetWithdrawal",
+  "year1Tax",
+];
+
+// The outputs of projectRetirement restated in today's money, each amount
+// deflated by the assumed inflation until it falls; totals are re-summed
+// from the deflated years. Amounts already in today's money (the
+// contribution, this year's tax saving, the present value of capital) and
+// rates are unchanged.
+export function toRealTerms(outputs) {
+  const { currentAgeNumeric: curAge, inflationRate: inf } = outputs;
+  const atRet = deflatorFor(inf, outputs.retirementAgeNumeric - curAge);
+  const { preTimeline, postTimeline } = realTimelinesOf(outputs, curAge, inf);
+  const points = (rows) =>
+    rows.map((row) => deflateRow(row, curAge, inf, { closing: true }));
+  const sumRows = (rows, key) =>
+    rows.reduce((sum, row) => sum + row[key], 0);
+  const realRun = (run) => ({
+    ...run,
+    capitalAtRetirement: run.capitalAtRetirement / atRet,
+    endCapital: run.endCapital / deflatorFor(inf, run.endAge - curAge),
+  });
+  const { monteCarlo, backtest, household, annuity } = outputs;
+  const impact = outputs.savingsWithdrawalImpact;
+
+  return {
+    ...outputs,
+    ...Object.fromEntries(
+      AT_RETIREMENT_FIELDS.map((field) => [field, outputs[field] / atRet])
+    ),
+    totalContributionsAtRetirement: sumRows(preTimeline, "totalContribution"),
+    totalTaxSavingsAtRetirement: sumRows(preTimeline, "raTaxSaving"),
+    totalCgtPaid: sumRows(postTimeline, "cgtPaid"),
+    totalDiscIncomeTax:
+      sumRows(preTimeline, "discIncomeTax") +
+      sumRows(postTimeline, "discIncomeTax"),
+    totalFeesPaid:
+      sumRows(preTimeline, "feesPaid") + sumRows(postTimeline, "feesPaid"),
+    lifetimeTaxPaid: lifetimeTaxOf({
+      preTimeline,
+      postTimeline,
+      lumpSum: { tax: outputs.lumpSumTax / atRet },
+    }),
+    strategyComparison: outputs.strategyComparison.map((row) => ({
+      ...row,
+      lifetimeTax: row.lifetimeTaxToday,
+      endCapital: row.endCapitalToday,
+    })),
+    capitalTrajectory: points(outputs.capitalTrajectory),
+    preTimeline,
+    postTimeline,
+    monteCarlo: monteCarlo && {
+      ...monteCarlo,
+      capitalAtRetirement: Object.fromEntries(
+        Object.entries(monteCarlo.capitalAtRetirement).map(([key, value]) => [
+          key,
+          value / atRet,
+        ])
+      ),
+      bands: points(monteCarlo.bands),
+    },
+    backtest: backtest && {
+      ...backtest,
+      worst: realRun(backtest.worst),
+      median: realRun(backtest.median),
+      best: realRun(backtest.best),
+      runs: backtest.runs.map(realRun),
+      paths: points(backtest.paths),
+    },
+    household: household && {
+      ...household,
+      memberCapitalAtRet: household.memberCapitalAtRet / atRet,
+      partnerCapitalAtRet: household.partnerCapitalAtRet / atRet,
+    },
+    annuity: annuity && {
+      ...annuity,
+      purchasePrice: annuity.purchasePrice / atRet,
+      firstYearIncome: annuity.firstYearIncome / atRet,
+      monthlyNetAtRet: annuity.monthlyNetAtRet / atRet,
+    },
+    savingsWithdrawalImpact: impact && {
+      ...impact,
+      totalWithdrawn: sumRows(preTimeline, "savingsWithdrawal"),
+      totalTax: sumRows(preTimeline, "savingsWithdrawalTax"),
+      capitalReduction: impact.capitalReduction / atRet,
+    },
+  };
+}
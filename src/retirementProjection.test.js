@@ -0,0 +1,110 @@
+import { renderHook } from "@testing-library/react";
+import { projectRetirement, toRealTerms } from "./retirementProjection";
+import { useRetirementProjection } from "./useRetirementProjection";
+
+const params = {
+  currentAge: 40,
+  retireAge: 65,
+  lifeExpectancy: 90,
+  initialCapital: 250_000,
+  initialTfsaBalance: 50_000,
+  tfsaContribToDate: 50_000,
+  targetNetToday: 20_000,
+  preReturn: 9,
+  postReturn: 7,
+  inflation: 5,
+  annualIncrease: 5,
+  tfsaMonthly: 1_000,
+  grossIncome: 600_000,
+  incomeGrowthMode: "INFLATION",
+  incomeGrowthRate: 0,
+  depleteOrder: "RA_FIRST",
+  taxMode: "SARS",
+  flatTaxRate: 25,
+  reinvestRaTaxSaving: false,
+  taxRealism: true,
+};
+
+describe("projectRetirement", () => {
+  it("runs without React and matches the hook", () => {
+    const projection = projectRetirement(params);
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    expect(projection.requiredMonthlyContribution).toBeGreaterThan(0);
+    expect(projection.preTimeline.length).toBeGreaterThan(0);
+    expect(result.current).toEqual(projection);
+  });
+
+  it("is deterministic for the same inputs", () => {
+    const seeded = {
+      ...params,
+      returnMode: "STOCHASTIC",
+      mcSimulations: 200,
+      mcSeed: 42,
+    };
+    expect(projectRetirement(seeded)).toEqual(projectRetirement(seeded));
+  });
+
+  it("restates outputs in today's money", () => {
+    const nominal = projectRetirement(params);
+    const real = toRealTerms(nominal);
+    const yearsToRetire = params.retireAge - params.currentAge;
+    const atRet = Math.pow(1 + params.inflation / 100, yearsToRetire);
+
+    expect(real.totalCapitalAtRet).toBeCloseTo(
+      nominal.presentValueRequiredCapital,
+      2
+    );
+    expect(real.requiredMonthlyContribution).toBe(
+      nominal.requiredMonthlyContribution
+    );
+    // the income target is constant in today's money
+    real.postTimeline.forEach((row) =>
+      expect(row.netRequired).toBeCloseTo(params.targetNetToday * 12, 2)
+    );
+    const firstPost = real.postTimeline[0];
+    expect(firstPost.raStart).toBeCloseTo(
+      nominal.postTimeline[0].raStart / atRet,
+      2
+    );
+    expect(firstPost.raEnd).toBeCloseTo(
+      nominal.postTimeline[0].raEnd / (atRet * (1 + params.inflation / 100)),
+      2
+    );
+    const retirementPoint = real.capitalTrajectory[yearsToRetire - 1];
+    expect(retirementPoint.total).toBeCloseTo(real.totalCapitalAtRet, 2);
+    expect(real.lifetimeTaxPaid).toBeGreaterThan(0);
+    expect(real.lifetimeTaxPaid).toBeLessThan(nominal.lifetimeTaxPaid);
+    expect(real.totalContributionsAtRetirement).toBeCloseTo(
+      real.preTimeline.reduce((sum, row) => sum + row.totalContribution, 0),
+      2
+    );
+  });
+
+  it("restates each back-test run's end capital when that run ends", () => {
+    const nominal = projectRetirement({
+      ...params,
+      historicalBacktest: true,
+      solveFor: "NONE",
+      fixedMonthlyContribution: 8_000,
+    });
+    const real = toRealTerms(nominal);
+    const { runs } = nominal.backtest;
+
+    const early = runs.filter(
+      (run) => run.exhaustionAge < params.lifeExpectancy
+    );
+    expect(early.length).toBeGreaterThan(0);
+    early.forEach((run) => expect(run.endAge).toBe(run.exhaustionAge + 1));
+    runs.forEach((run, i) => {
+      const deflator = Math.pow(
+        1 + params.inflation / 100,
+        run.endAge - params.currentAge
+      );
+      expect(real.backtest.runs[i].endCapital).toBeCloseTo(
+        run.endCapital / deflator,
+        2
+      );
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// savedState.js
+// Keeps the form and saved scenarios in local storage so a reload picks up
+// where the user left off. Stored data carries a schema version; older
+// versions are migrated step by step before use, and anything unreadable is
+// ignored rather than breaking the calculator.
+import { defaultFormValues } from "./calculatorForm";
+
+export const STORAGE_KEY = "revo-retirement-calculator";
+export const SCHEMA_VERSION = 2;
+
+// Version 1 predates the fee inputs: their defaults would charge plans
+// saved then fees they were never projected with.
+const withoutFees = (values) => ({
+  ...values,
+  fundTer: "0",
+  adviceFee: "0",
+  platformFeeRate1: "0",
+  platformFeeRate2: "0",
+  platformFeeRate3: "0",
+});
+
+// migrations[n] turns a version-n payload into version n + 1.
+const migrations = {
+  // Version 0 held the form values only, with no scenarios.
+  0: ({ values }) => ({ version: 1, values, scenarios: [] }),
+  1: ({ values, scenarios }) => ({
+    version: 2,
+    values: withoutFees(values),
+    scenarios: Array.isArray(scenarios)
+      ? scenarios.map((scenario) =>
+          isPlainObject(scenario)
+            ? { ...scenario, values: withoutFees(scenario.values) }
+            : scenario
+        )
+      : scenarios,
+  }),
+};
+
+const defaultStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    // Storage can be disabled entirely (privacy settings, sandboxed frames).
+    return null;
+  }
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Keeps known fields of the right type and fills the rest from the defaults,
+// so a payload from an older release still yields a complete form.
+export function sanitizeFormValues(raw) {
+  const values = { ...defaultFormValues };
+  if (!isPlainObject(raw)) return values;
+  Object.keys(defaultFormValues).forEach((field) => {
+    if (typeof raw[field] === typeof defaultFormValues[field]) {
+      values[field] = raw[field];
+    }
+  });
+  return values;
+}
+
+export function migrateSavedState(payload) {
+  if (!isPlainObject(payload)) return null;
+  // A payload without a version is a bare values object (version 0).
+  let current =
+    "version" in payload ? payload : { version: 0, values: payload };
+  while (current.version < SCHEMA_VERSION) {
+    const migrate = migrations[current.version];
+    if (!migrate) return null;
+    current = migrate(current);
+  }
+  if (current.version !== SCHEMA_VERSION) return null;
+
+  const scenarios = (Array.isArray(current.scenarios) ? current.scenarios : [])
+    .filter(
+      (scenario) =>
+        isPlainObject(scenario) &&
+        typeof scenario.id === "string" &&
+        typeof scenario.name === "string"
+    )
+    .map((scenario) => ({
+      id: scenario.id,
+      name: scenario.name,
+      values: sanitizeFormValues(scenario.values),
+    }));
+
+  return { values: sanitizeFormValues(current.values), scenarios };
+}
+
+// Returns { values, scenarios } or null when nothing usable is stored.
+export function loadSavedState(storage = defaultStorage()) {
+  if (!storage) return null;
+  try {
+    const text = storage.getItem(STORAGE_KEY);
+    return text ? migrateSavedState(JSON.parse(text)) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function saveState({ values, scenarios }, storage = defaultStorage()) {
+  if (!storage) return;
+  try {
+    storage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: SCHEMA_VERSION, values, scenarios })
+    );
+  } catch (error) {
+    // Quota exceeded or storage disabled: carry on without persistence.
+  }
+}
+
+export function clearSavedState(storage = defaultStorage()) {
+  if (!storage) return;
+  try {
+    storage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing to clear if storage is unavailable.
+  }
+}
+
+// True when there is nothing worth restoring.
+export function isPristine({ values, scenarios }) {
+  return (
+    scenarios.length === 0 &&
+    Object.keys(defaultFormValues).every(
+      (field) => values[field] === defaultFormValues[field]
+    )
+  );
+}
@@ -0,0 +1,128 @@
+import { defaultFormValues } from "./calculatorForm";
+import {
+  SCHEMA_VERSION,
+  STORAGE_KEY,
+  clearSavedState,
+  isPristine,
+  loadSavedState,
+  saveState,
+} from "./savedState";
+
+const memoryStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete items[key];
+    },
+  };
+};
+
+// What forms saved before the fee inputs existed are restored with.
+const noFees = {
+  fundTer: "0",
+  adviceFee: "0",
+  platformFeeRate1: "0",
+  platformFeeRate2: "0",
+  platformFeeRate3: "0",
+};
+
+describe("saved calculator state", () => {
+  it("round-trips the form and scenarios under the current schema", () => {
+    const storage = memoryStorage();
+    const values = { ...defaultFormValues, retireAge: "60", twoPot: false };
+    const scenarios = [{ id: "s1", name: "Early", values }];
+
+    saveState({ values, scenarios }, storage);
+
+    expect(JSON.parse(storage.getItem(STORAGE_KEY)).version).toBe(
+      SCHEMA_VERSION
+    );
+    expect(loadSavedState(storage)).toEqual({ values, scenarios });
+
+    clearSavedState(storage);
+    expect(loadSavedState(storage)).toBeNull();
+  });
+
+  it("migrates unversioned form values and fills newer fields", () => {
+    const storage = memoryStorage({
+      [STORAGE_KEY]: JSON.stringify({ retireAge: "58", unknownField: "x" }),
+    });
+
+    const restored = loadSavedState(storage);
+
+    expect(restored.scenarios).toEqual([]);
+    expect(restored.values).toEqual({
+      ...defaultFormValues,
+      ...noFees,
+      retireAge: "58",
+    });
+  });
+
+  it("restores forms saved before the fee inputs without fees", () => {
+    const storage = memoryStorage({
+      [STORAGE_KEY]: JSON.stringify({
+        version: 1,
+        values: { retireAge: "60" },
+        scenarios: [{ id: "s1", name: "Early", values: { retireAge: "55" } }],
+      }),
+    });
+
+    const restored = loadSavedState(storage);
+
+    expect(restored.values).toEqual({
+      ...defaultFormValues,
+      ...noFees,
+      retireAge: "60",
+    });
+    expect(restored.scenarios).toEqual([
+      {
+        id: "s1",
+        name: "Early",
+        values: { ...defaultFormValues, ...noFees, retireAge: "55" },
+      },
+    ]);
+  });
+
+  it("ignores corrupt, future or mistyped data", () => {
+    expect(
+      loadSavedState(memoryStorage({ [STORAGE_KEY]: "{not json" }))
+    ).toBeNull();
+    expect(
+      loadSavedState(
+        memoryStorage({
+          [STORAGE_KEY]: JSON.stringify({ version: SCHEMA_VERSION + 1 }),
+        })
+      )
+    ).toBeNull();
+
+    const restored = loadSavedState(
+      memoryStorage({
+        [STORAGE_KEY]: JSON.stringify({
+          version: SCHEMA_VERSION,
+          values: { retireAge: 60, twoPot: "yes" },
+          scenarios: [{ id: 3 }, { id: "s2", name: "Kept" }],
+        }),
+      })
+    );
+    expect(restored.values).toEqual(defaultFormValues);
+    expect(restored.scenarios).toEqual([
+      { id: "s2", name: "Kept", values: defaultFormValues },
+    ]);
+  });
+
+  it("treats default inputs without scenarios as nothing to save", () => {
+    expect(
+      isPristine({ values: { ...defaultFormValues }, scenarios: [] })
+    ).toBe(true);
+    expect(
+      isPristine({
+        values: { ...defaultFormValues, inflation: "6" },
+        scenarios: [],
+      })
+    ).toBe(false);
+  });
+});
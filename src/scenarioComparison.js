@@ -0,0 +1,88 @@
+// scenarioComparison.js
+// Side-by-side comparison of saved scenarios: the key outputs of each
+// projection, their differences from a chosen baseline and the merged
+// capital trajectories for the overlay chart.
+import { formatCurrency } from "./formatters";
+
+export const CURRENT_SCENARIO_ID = "CURRENT";
+
+const formatAge = (value) => `${value}`;
+
+// Signed differences, so "+R 1 000.00" reads as "more than the baseline".
+const formatDelta = (format) => (value) => {
+  if (!isFinite(value)) return "-";
+  if (value === 0) return format(0);
+  return `${value > 0 ? "+" : "−"}${format(Math.abs(value))}`;
+};
+
+export const SCENARIO_METRICS = [
+  {
+    key: "requiredMonthlyContribution",
+    label: "Required monthly contribution",
+    format: formatCurrency,
+  },
+  {
+    key: "totalCapitalAtRet",
+    label: "Capital at retirement",
+    format: formatCurrency,
+  },
+  { key: "exhaustionAge", label: "Capital exhaustion age", format: formatAge },
+  { key: "lifetimeTaxPaid", label: "Lifetime tax", format: formatCurrency },
+];
+
+// Columns shared by the on-screen table and the exports: each metric is
+// followed by its difference from the baseline (blank on the baseline row).
+export const scenarioComparisonColumns = [
+  { key: "name", label: "Scenario" },
+  ...SCENARIO_METRICS.flatMap((metric) => [
+    { key: metric.key, label: metric.label, formatter: metric.format },
+    {
+      key: `${metric.key}Delta`,
+      label: `${metric.label} vs baseline`,
+      formatter: formatDelta(metric.format),
+    },
+  ]),
+];
+
+export function nextScenarioId(scenarios) {
+  const used = scenarios.map((scenario) =>
+    Number(String(scenario.id).replace(/^s/, ""))
+  );
+  return `s${Math.max(0, ...used.filter(Number.isFinite)) + 1}`;
+}
+
+// `entries` are { id, name, outputs } with outputs from the projection hook.
+// Falls back to the first entry when the baseline is no longer present.
+export function compareScenarios(entries, baselineId) {
+  if (entries.length === 0) return [];
+  const baseline =
+    entries.find((entry) => entry.id === baselineId) || entries[0];
+
+  return entries.map((entry) => {
+    const isBaseline = entry === baseline;
+    const row = { id: entry.id, name: entry.name, isBaseline };
+    SCENARIO_METRICS.forEach(({ key }) => {
+      row[key] = entry.outputs[key];
+      row[`${key}Delta`] = isBaseline
+        ? null
+        : entry.outputs[key] - baseline.outputs[key];
+    });
+    return row;
+  });
+}
+
+export const scenarioSeriesKey = (id) => `scenario_${id}`;
+
+// Adds each scenario's total capital to the trajectory points by age. Ages
+// only covered by a scenario (e.g. a longer life expectancy) are appended.
+export function overlayScenarioTrajectories(trajectory, scenarios) {
+  const byAge = new Map(trajectory.map((point) => [point.age, { ...point }]));
+  scenarios.forEach(({ id, outputs }) => {
+    outputs.capitalTrajectory.forEach((point) => {
+      const merged = byAge.get(point.age) || { age: point.age };
+      merged[scenarioSeriesKey(id)] = point.total;
+      byAge.set(point.age, merged);
+    });
+  });
+  return [...byAge.values()].sort((a, b) => a.age - b.age);
+}
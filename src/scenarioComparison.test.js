@@ -0,0 +1,75 @@
+import {
+  compareScenarios,
+  nextScenarioId,
+  overlayScenarioTrajectories,
+  scenarioSeriesKey,
+} from "./scenarioComparison";
+
+const outputs = (overrides) => ({
+  requiredMonthlyContribution: 10_000,
+  totalCapitalAtRet: 5_000_000,
+  exhaustionAge: 90,
+  lifetimeTaxPaid: 1_000_000,
+  capitalTrajectory: [],
+  ...overrides,
+});
+
+describe("scenario comparison", () => {
+  it("reports each scenario's key outputs relative to the baseline", () => {
+    const rows = compareScenarios(
+      [
+        { id: "CURRENT", name: "Current inputs", outputs: outputs() },
+        {
+          id: "s1",
+          name: "Retire later",
+          outputs: outputs({
+            requiredMonthlyContribution: 7_500,
+            exhaustionAge: 95,
+          }),
+        },
+      ],
+      "s1"
+    );
+
+    expect(rows[1].isBaseline).toBe(true);
+    expect(rows[1].requiredMonthlyContributionDelta).toBeNull();
+    expect(rows[0].requiredMonthlyContributionDelta).toBe(2_500);
+    expect(rows[0].exhaustionAgeDelta).toBe(-5);
+    expect(rows[0].lifetimeTaxPaidDelta).toBe(0);
+  });
+
+  it("falls back to the first scenario when the baseline is missing", () => {
+    const rows = compareScenarios(
+      [{ id: "CURRENT", name: "Current inputs", outputs: outputs() }],
+      "s9"
+    );
+    expect(rows[0].isBaseline).toBe(true);
+  });
+
+  it("allocates unused ids and merges trajectories by age", () => {
+    expect(nextScenarioId([])).toBe("s1");
+    expect(nextScenarioId([{ id: "s1" }, { id: "s4" }])).toBe("s5");
+
+    const merged = overlayScenarioTrajectories(
+      [
+        { age: 30, total: 1 },
+        { age: 31, total: 2 },
+      ],
+      [
+        {
+          id: "s1",
+          outputs: outputs({
+            capitalTrajectory: [
+              { age: 31, total: 5 },
+              { age: 32, total: 6 },
+            ],
+          }),
+        },
+      ]
+    );
+    const key = scenarioSeriesKey("s1");
+    expect(merged.map((point) => point.age)).toEqual([30, 31, 32]);
+    expect(merged[1]).toEqual({ age: 31, total: 2, [key]: 5 });
+    expect(merged[2]).toEqual({ age: 32, [key]: 6 });
+  });
+});
@@ -0,0 +1,233 @@
+// sensitivity.js
+// Which assumption matters most: reruns the projection with each key input
+// moved down and up by a step (for the tornado chart) and across a grid of
+// two inputs. Every run solves for the monthly contribution on the expected
+// returns. The exhaustion age comes from a second run at the base case's
+// contribution, so it shows how long the money lasts if nothing is changed.
+import { projectRetirement } from "./retirementProjection";
+
+const shiftBy = (field) => (params, delta) => ({
+  ...params,
+  [field]: params[field] + delta,
+});
+
+export const SENSITIVITY_INPUTS = [
+  {
+    key: "returns",
+    label: "Investment returns",
+    unit: "pp",
+    defaultStep: 1,
+    // With an asset allocation every asset class moves, so each blend does.
+    apply: (params, delta) => ({
+      ...params,
+      preReturn: params.preReturn + delta,
+      postReturn: params.postReturn + delta,
+      assetClassAssumptions: Object.fromEntries(
+        Object.entries(params.assetClassAssumptions || {}).map(
+          ([key, assumption]) => [
+            key,
+            { ...assumption, return: assumption.return + delta },
+          ]
+        )
+      ),
+    }),
+  },
+  {
+    key: "inflation",
+    label: "Inflation",
+    unit: "pp",
+    defaultStep: 1,
+    apply: shiftBy("inflation"),
+  },
+  {
+    key: "retireAge",
+    label: "Retirement age",
+    unit: "years",
+    defaultStep: 2,
+    apply: shiftBy("retireAge"),
+  },
+  {
+    key: "lifeExpectancy",
+    label: "Life expectancy",
+    unit: "years",
+    defaultStep: 5,
+    apply: shiftBy("lifeExpectancy"),
+  },
+  {
+    key: "incomeGrowth",
+    label: "Income growth",
+    unit: "pp",
+    defaultStep: 1,
+    // Moves the salary growth actually applied, whatever its source.
+    apply: (params, delta) => {
+      const growth =
+        params.incomeGrowthMode === "INFLATION"
+          ? params.inflation
+          : params.incomeGrowthMode === "CUSTOM"
+          ? params.incomeGrowthRate
+          : 0;
+      return {
+        ...params,
+        incomeGrowthMode: "CUSTOM",
+        incomeGrowthRate: growth + delta,
+      };
+    },
+  },
+  {
+    key: "annualIncrease",
+    label: "Contribution escalation",
+    unit: "pp",
+    defaultStep: 1,
+    apply: shiftBy("annualIncrease"),
+  },
+];
+
+// The grid runs two steps either side of the entered inputs.
+export const SENSITIVITY_GRID_OFFSETS = [-2, -1, 0, 1, 2];
+
+// Form field names, e.g. returnsSensitivityStep.
+export const sensitivityStepField = (input) => `${input}SensitivityStep`;
+
+export const SENSITIVITY_STEP_FIELDS = SENSITIVITY_INPUTS.map(({ key }) =>
+  sensitivityStepField(key)
+);
+
+export const defaultSensitivityValues = {
+  ...Object.fromEntries(
+    SENSITIVITY_INPUTS.map(({ key, defaultStep }) => [
+      sensitivityStepField(key),
+      String(defaultStep),
+    ])
+  ),
+  sensitivityGridRows: "returns",
+  sensitivityGridColumns: "inflation",
+};
+
+// Steps by input key, from sanitised form numbers.
+export const sensitivityStepsFromNumbers = (numbers) =>
+  Object.fromEntries(
+    SENSITIVITY_INPUTS.map(({ key }) => [
+      key,
+      numbers[sensitivityStepField(key)],
+    ])
+  );
+
+const inputByKey = (key) =>
+  SENSITIVITY_INPUTS.find((input) => input.key === key);
+
+// Stochastic returns and back-tests would multiply the runs for little
+// insight here: every case is projected on the expected returns.
+const EXPECTED_RETURNS = {
+  returnMode: "DETERMINISTIC",
+  historicalBacktest: false,
+};
+
+// The money lasts when it is not exhausted and the drawdown cap never
+// leaves income short.
+const lastsToEnd = (outputs) =>
+  outputs.exhaustionAge >= outputs.lifeExpectancyNumeric &&
+  outputs.shortfallAge === null;
+
+// null when the moved inputs no longer describe a plan (e.g. retiring
+// before today or after life expectancy).
+function runCase(params, baseContribution) {
+  if (
+    params.retireAge <= params.currentAge ||
+    params.lifeExpectancy <= params.retireAge
+  ) {
+    return null;
+  }
+  const solved = projectRetirement({
+    ...params,
+    ...EXPECTED_RETURNS,
+    solveFor: "CONTRIBUTION",
+  });
+  const unchanged = projectRetirement({
+    ...params,
+    ...EXPECTED_RETURNS,
+    solveFor: "NONE",
+    fixedMonthlyContribution: baseContribution,
+  });
+  return {
+    requiredMonthlyContribution: solved.requiredMonthlyContribution,
+    exhaustionAge: unchanged.exhaustionAge,
+    shortfallAge: unchanged.shortfallAge,
+    lastsToEnd: lastsToEnd(unchanged),
+  };
+}
+
+// `params` are projection params; `steps` the step per input key; the grid
+// crosses `gridRows` with `gridColumns` (input keys). Tornado bars are
+// sorted by how far the required contribution swings.
+export function sensitivityAnalysis({ params, steps, gridRows, gridColumns }) {
+  const solvedBase = projectRetirement({
+    ...params,
+    ...EXPECTED_RETURNS,
+    solveFor: "CONTRIBUTION",
+  });
+  const baseContribution = solvedBase.requiredMonthlyContribution;
+  const base = {
+    requiredMonthlyContribution: baseContribution,
+    exhaustionAge: solvedBase.exhaustionAge,
+    shortfallAge: solvedBase.shortfallAge,
+    lastsToEnd: lastsToEnd(solvedBase),
+  };
+  const moved = (input, offset) =>
+    offset === 0
+      ? base
+      : runCase(input.apply(params, offset), baseContribution);
+  const contributionChange = (result) =>
+    result ? result.requiredMonthlyContribution - baseContribution : 0;
+
+  const tornado = SENSITIVITY_INPUTS.map((input) => {
+    const step = steps[input.key] || 0;
+    const low = moved(input, -step);
+    const high = moved(input, step);
+    return {
+      key: input.key,
+      label: input.label,
+      unit: input.unit,
+      step,
+      low,
+      high,
+      lowChange: contributionChange(low),
+      highChange: contributionChange(high),
+    };
+  }).sort(
+    (a, b) =>
+      Math.abs(b.highChange - b.lowChange) -
+      Math.abs(a.highChange - a.lowChange)
+  );
+
+  const rowInput = inputByKey(gridRows);
+  const columnInput = inputByKey(gridColumns);
+  const rowStep = steps[gridRows] || 0;
+  const columnStep = steps[gridColumns] || 0;
+  const grid = {
+    rows: { key: gridRows, label: rowInput.label, unit: rowInput.unit },
+    columns: {
+      key: gridColumns,
+      label: columnInput.label,
+      unit: columnInput.unit,
+    },
+    rowOffsets: SENSITIVITY_GRID_OFFSETS.map((offset) => offset * rowStep),
+    columnOffsets: SENSITIVITY_GRID_OFFSETS.map(
+      (offset) => offset * columnStep
+    ),
+    cells: SENSITIVITY_GRID_OFFSETS.map((rowOffset) =>
+      SENSITIVITY_GRID_OFFSETS.map((columnOffset) =>
+        rowOffset === 0 && columnOffset === 0
+          ? base
+          : runCase(
+              columnInput.apply(
+                rowInput.apply(params, rowOffset * rowStep),
+                columnOffset * columnStep
+              ),
+              baseContribution
+            )
+      )
+    ),
+  };
+
+  return { base, tornado, grid };
+}
@@ -0,0 +1,73 @@
+import { buildFormModel, defaultFormValues } from "./calculatorForm";
+import { projectRetirement } from "./retirementProjection";
+import { sensitivityAnalysis } from "./sensitivity";
+
+describe("sensitivity analysis", () => {
+  let projectionParams;
+  let sensitivityOptions;
+  let analysis;
+  // the analysis reruns the plan dozens of times, so it runs once here
+  beforeAll(() => {
+    ({ projectionParams, sensitivityOptions } =
+      buildFormModel(defaultFormValues));
+    analysis = sensitivityAnalysis({
+      params: projectionParams,
+      ...sensitivityOptions,
+    });
+  });
+  const bar = (key) => analysis.tornado.find((item) => item.key === key);
+
+  it("centres the grid and tornado on the plan as entered", () => {
+    const entered = projectRetirement({
+      ...projectionParams,
+      returnMode: "DETERMINISTIC",
+      historicalBacktest: false,
+    });
+    expect(analysis.base.requiredMonthlyContribution).toBeCloseTo(
+      entered.requiredMonthlyContribution,
+      2
+    );
+    expect(analysis.grid.cells[2][2]).toBe(analysis.base);
+    expect(analysis.grid.rows.key).toBe("returns");
+    expect(analysis.grid.columnOffsets).toEqual([-2, -1, 0, 1, 2]);
+  });
+
+  it("moves the required contribution the expected way", () => {
+    expect(bar("returns").highChange).toBeLessThan(0);
+    expect(bar("returns").lowChange).toBeGreaterThan(0);
+    expect(bar("lifeExpectancy").highChange).toBeGreaterThan(0);
+    // retiring later leaves the money lasting longer at today's contribution
+    expect(bar("retireAge").high.exhaustionAge).toBeGreaterThanOrEqual(
+      bar("retireAge").low.exhaustionAge
+    );
+    const swings = analysis.tornado.map((item) =>
+      Math.abs(item.highChange - item.lowChange)
+    );
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+  });
+
+  it("leaves out cases that are no longer a plan", () => {
+    const late = sensitivityAnalysis({
+      params: {
+        ...projectionParams,
+        retireAge: projectionParams.currentAge + 1,
+      },
+      ...sensitivityOptions,
+      gridRows: "retireAge",
+    });
+    expect(late.grid.cells[0].every((cell) => cell === null)).toBe(true);
+    expect(late.grid.cells[3].every((cell) => cell !== null)).toBe(true);
+  });
+});
+
+describe("solving for nothing", () => {
+  it("projects the contribution as entered", () => {
+    const { projectionParams } = buildFormModel(defaultFormValues);
+    const outputs = projectRetirement({
+      ...projectionParams,
+      solveFor: "NONE",
+      fixedMonthlyContribution: 1234,
+    });
+    expect(outputs.requiredMonthlyContribution).toBe(1234);
+  });
+});
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no Web Workers; projections run on the main thread in tests.
+jest.mock("./projectionWorker", () => ({
+  createProjectionWorker: jest.fn(() => null),
+}));
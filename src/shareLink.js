@@ -0,0 +1,87 @@
+// shareLink.js
+// Encodes the form into a URL hash so a client can be sent the exact inputs
+// behind a projection. Only fields that differ from the defaults are written
+// (booleans as 1/0), under a version tag. A link leaves out every field it
+// did not know about, so when a new field's default would change what older
+// links show, bump the version and record the values that keep those links
+// as they were in LEGACY_VALUES. Decoded values are not checked here: they
+// go through the same validation as typed input once loaded into the form.
+import { defaultFormValues } from "./calculatorForm";
+
+export const SHARE_LINK_VERSION = 2;
+const VERSION_PARAM = "v";
+
+// Values for fields added since each older version, used where today's
+// defaults would change the projection. Version 1 predates the fee inputs.
+const LEGACY_VALUES = {
+  1: {
+    fundTer: "0",
+    adviceFee: "0",
+    platformFeeRate1: "0",
+    platformFeeRate2: "0",
+    platformFeeRate3: "0",
+  },
+};
+
+export function encodeShareHash(values) {
+  const params = new URLSearchParams();
+  params.set(VERSION_PARAM, String(SHARE_LINK_VERSION));
+  Object.keys(defaultFormValues).forEach((field) => {
+    const value = values[field];
+    if (value === undefined || value === defaultFormValues[field]) return;
+    params.set(
+      field,
+      typeof value === "boolean" ? (value ? "1" : "0") : String(value)
+    );
+  });
+  return params.toString();
+}
+
+export function buildShareUrl(values, location = window.location) {
+  return `${location.origin}${location.pathname}${
+    location.search
+  }#${encodeShareHash(values)}`;
+}
+
+// Returns null when the hash is not a share link, otherwise
+// { values, error } where values holds the fields found in the link plus, for
+// an older version, its legacy values (null when the link's version cannot
+// be read at all).
+export function decodeShareHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (!params.has(VERSION_PARAM)) return null;
+
+  const version = Number(params.get(VERSION_PARAM));
+  if (version !== SHARE_LINK_VERSION && !LEGACY_VALUES[version]) {
+    return {
+      values: null,
+      error: `This link uses an unsupported format (v${params.get(
+        VERSION_PARAM
+      )}); your own inputs were kept.`,
+    };
+  }
+
+  const values = { ...LEGACY_VALUES[version] };
+  const unreadable = [];
+  Object.keys(defaultFormValues).forEach((field) => {
+    if (!params.has(field)) return;
+    const raw = params.get(field);
+    if (typeof defaultFormValues[field] !== "boolean") {
+      values[field] = raw;
+    } else if (raw === "1" || raw === "0") {
+      values[field] = raw === "1";
+    } else {
+      unreadable.push(field);
+    }
+  });
+
+  return {
+    values,
+    error:
+      unreadable.length > 0
+        ? `Some settings in the link could not be read (${unreadable.join(
+            ", "
+          )}); defaults were used.`
+        : null,
+  };
+}
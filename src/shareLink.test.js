@@ -0,0 +1,87 @@
+import { buildFormModel, defaultFormValues } from "./calculatorForm";
+import {
+  SHARE_LINK_VERSION,
+  buildShareUrl,
+  decodeShareHash,
+  encodeShareHash,
+} from "./shareLink";
+
+describe("share links", () => {
+  it("writes only changed fields and reads them back", () => {
+    const values = {
+      ...defaultFormValues,
+      retireAge: "60",
+      twoPot: false,
+      customTaxTableJson: '{"rebates":{"primary":18000}}',
+    };
+
+    const hash = encodeShareHash(values);
+    expect(hash).toBe(
+      `v=${SHARE_LINK_VERSION}&retireAge=60&twoPot=0&customTaxTableJson=${encodeURIComponent(
+        values.customTaxTableJson
+      ).replace(/%20/g, "+")}`
+    );
+    expect(decodeShareHash(`#${hash}`)).toEqual({
+      values: {
+        retireAge: "60",
+        twoPot: false,
+        customTaxTableJson: values.customTaxTableJson,
+      },
+      error: null,
+    });
+
+    const url = buildShareUrl(values, {
+      origin: "https://example.com",
+      pathname: "/calc",
+      search: "",
+    });
+    expect(url).toBe(`https://example.com/calc#${hash}`);
+  });
+
+  it("ignores hashes that are not share links", () => {
+    expect(decodeShareHash("")).toBeNull();
+    expect(decodeShareHash("#section-2")).toBeNull();
+  });
+
+  it("reports unsupported versions and unreadable switches", () => {
+    expect(decodeShareHash("#v=99&retireAge=60")).toEqual({
+      values: null,
+      error: expect.stringContaining("v99"),
+    });
+
+    const decoded = decodeShareHash(
+      `#v=${SHARE_LINK_VERSION}&twoPot=maybe&retireAge=60`
+    );
+    expect(decoded.values).toEqual({ retireAge: "60" });
+    expect(decoded.error).toContain("twoPot");
+  });
+
+  it("opens version 1 links without the fees added since", () => {
+    const { values, error } = decodeShareHash("#v=1&retireAge=60");
+    expect(error).toBeNull();
+    expect(values).toMatchObject({
+      retireAge: "60",
+      fundTer: "0",
+      adviceFee: "0",
+      platformFeeRate1: "0",
+    });
+
+    const { projectionParams } = buildFormModel({
+      ...defaultFormValues,
+      ...values,
+    });
+    expect(projectionParams.fundTer).toBe(0);
+    expect(projectionParams.adviceFee).toBe(0);
+    expect(
+      projectionParams.platformFeeTiers.every(({ rate }) => rate === 0)
+    ).toBe(true);
+  });
+
+  it("leaves invalid numbers to the form's own validation", () => {
+    const { values } = decodeShareHash(
+      `#v=${SHARE_LINK_VERSION}&retireAge=20&currentAge=30`
+    );
+    const { errors } = buildFormModel({ ...defaultFormValues, ...values });
+    expect(errors.retireAge).toBeDefined();
+  });
+});
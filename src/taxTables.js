@@ -0,0 +1,174 @@
+// taxTables.js
+// SARS figures by tax year (the year ending in February, so "2026" is
+// 1 March 2025 – 28 February 2026). Bracket `base` is the tax on income up
+// to the previous bracket's limit; the top bracket has no limit. Medical
+// scheme fees credits are per month: `firstTwo` for the main member and the
+// first dependant each, `additional` for every further dependant.
+
+const RA_DEDUCTION = { rate: 0.275, cap: 350_000 };
+const TFSA_LIMITS = { annual: 36_000, lifetime: 500_000 };
+
+const BRACKETS_2024_ONWARDS = [
+  { limit: 237_100, base: 0, rate: 0.18 },
+  { limit: 370_500, base: 42_678, rate: 0.26 },
+  { limit: 512_800, base: 77_362, rate: 0.31 },
+  { limit: 673_000, base: 121_475, rate: 0.36 },
+  { limit: 857_900, base: 179_147, rate: 0.39 },
+  { limit: 1_817_000, base: 251_258, rate: 0.41 },
+  { limit: Infinity, base: 644_489, rate: 0.45 },
+];
+
+const LUMP_SUM_2024_ONWARDS = [
+  { limit: 550_000, base: 0, rate: 0 },
+  { limit: 770_000, base: 0, rate: 0.18 },
+  { limit: 1_155_000, base: 39_600, rate: 0.27 },
+  { limit: Infinity, base: 143_550, rate: 0.36 },
+];
+
+const TABLE_2023 = {
+  label: "2023 (2022/23)",
+  brackets: [
+    { limit: 226_000, base: 0, rate: 0.18 },
+    { limit: 353_100, base: 40_680, rate: 0.26 },
+    { limit: 488_700, base: 73_726, rate: 0.31 },
+    { limit: 641_400, base: 115_762, rate: 0.36 },
+    { limit: 817_600, base: 170_734, rate: 0.39 },
+    { limit: 1_731_600, base: 239_452, rate: 0.41 },
+    { limit: Infinity, base: 614_192, rate: 0.45 },
+  ],
+  rebates: { primary: 16_425, secondary: 9_000, tertiary: 2_997 },
+  thresholds: { under65: 91_250, age65to74: 141_250, age75plus: 157_900 },
+  medicalCredits: { firstTwo: 347, additional: 234 },
+  raDeduction: RA_DEDUCTION,
+  tfsa: TFSA_LIMITS,
+  lumpSum: [
+    { limit: 500_000, base: 0, rate: 0 },
+    { limit: 700_000, base: 0, rate: 0.18 },
+    { limit: 1_050_000, base: 36_000, rate: 0.27 },
+    { limit: Infinity, base: 130_500, rate: 0.36 },
+  ],
+};
+
+// Brackets, rebates and medical credits were left unchanged in the 2024 and
+// 2025 budgets.
+const TABLE_2024 = {
+  label: "2024 (2023/24)",
+  brackets: BRACKETS_2024_ONWARDS,
+  rebates: { primary: 17_235, secondary: 9_444, tertiary: 3_145 },
+  thresholds: { under65: 95_750, age65to74: 148_217, age75plus: 165_689 },
+  medicalCredits: { firstTwo: 364, additional: 246 },
+  raDeduction: RA_DEDUCTION,
+  tfsa: TFSA_LIMITS,
+  lumpSum: LUMP_SUM_2024_ONWARDS,
+};
+
+export const TAX_TABLES = {
+  2023: TABLE_2023,
+  2024: TABLE_2024,
+  2025: { ...TABLE_2024, label: "2025 (2024/25)" },
+  2026: { ...TABLE_2024, label: "2026 (2025/26)" },
+};
+
+export const DEFAULT_TAX_YEAR = "2026";
+export const CUSTOM_TAX_YEAR = "CUSTOM";
+
+export const taxYearOptions = Object.keys(TAX_TABLES)
+  .sort()
+  .map((year) => ({ value: year, label: TAX_TABLES[year].label }));
+
+export function getTaxTable(taxYear) {
+  return TAX_TABLES[taxYear] || TAX_TABLES[DEFAULT_TAX_YEAR];
+}
+
+// --- custom tables (e.g. budget proposals) ---
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// JSON has no Infinity, so the top bracket's limit may be null or omitted.
+function parseBrackets(raw, name) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error(`${name} must be a non-empty array of brackets.`);
+  }
+  return raw.map((bracket, i) => {
+    const isLast = i === raw.length - 1;
+    const limit =
+      isLast && (bracket.limit === null || bracket.limit === undefined)
+        ? Infinity
+        : bracket.limit;
+    if (!isNumber(bracket.base) || !isNumber(bracket.rate)) {
+      throw new Error(`${name}[${i}] needs a numeric base and rate.`);
+    }
+    if (bracket.rate < 0 || bracket.rate >= 1) {
+      throw new Error(`${name}[${i}] rate must be a decimal between 0 and 1.`);
+    }
+    if (limit !== Infinity && !isNumber(limit)) {
+      throw new Error(`${name}[${i}] needs a numeric limit.`);
+    }
+    if (i > 0 && limit <= raw[i - 1].limit) {
+      throw new Error(`${name} limits must increase.`);
+    }
+    if (isLast && limit !== Infinity) {
+      throw new Error(`The last ${name} bracket must have no limit.`);
+    }
+    return { limit, base: bracket.base, rate: bracket.rate };
+  });
+}
+
+function mergeNumbers(base, overrides, name) {
+  if (overrides === undefined) return base;
+  const merged = { ...base };
+  Object.keys(base).forEach((key) => {
+    if (overrides[key] === undefined) return;
+    if (!isNumber(overrides[key]) || overrides[key] < 0) {
+      throw new Error(`${name}.${key} must be a non-negative number.`);
+    }
+    merged[key] = overrides[key];
+  });
+  return merged;
+}
+
+// Parses a custom table from JSON text. Any section that is left out is
+// taken from `baseYear` (default: the latest bundled year), so a budget
+// proposal only needs to list what changes. Returns { table, error }.
+export function parseCustomTaxTable(text) {
+  if (!text || !text.trim()) {
+    return { table: null, error: "Paste a tax table as JSON." };
+  }
+  try {
+    const raw = JSON.parse(text);
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw new Error("The tax table must be a JSON object.");
+    }
+    const baseYear = raw.baseYear ? String(raw.baseYear) : DEFAULT_TAX_YEAR;
+    if (!TAX_TABLES[baseYear]) {
+      throw new Error(`Unknown base year ${baseYear}.`);
+    }
+    const base = TAX_TABLES[baseYear];
+    const table = {
+      label: raw.label ? String(raw.label) : `Custom (based on ${baseYear})`,
+      brackets: raw.brackets
+        ? parseBrackets(raw.brackets, "brackets")
+        : base.brackets,
+      rebates: mergeNumbers(base.rebates, raw.rebates, "rebates"),
+      thresholds: mergeNumbers(base.thresholds, raw.thresholds, "thresholds"),
+      medicalCredits: mergeNumbers(
+        base.medicalCredits,
+        raw.medicalCredits,
+        "medicalCredits"
+      ),
+      raDeduction: mergeNumbers(
+        base.raDeduction,
+        raw.raDeduction,
+        "raDeduction"
+      ),
+      tfsa: mergeNumbers(base.tfsa, raw.tfsa, "tfsa"),
+      lumpSum: raw.lumpSum ? parseBrackets(raw.lumpSum, "lumpSum") : base.lumpSum,
+    };
+    if (table.raDeduction.rate > 1) {
+      throw new Error("raDeduction.rate must be a decimal between 0 and 1.");
+    }
+    return { table, error: null };
+  } catch (error) {
+    return { table: null, error: error.message };
+  }
+}
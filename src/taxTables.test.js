@@ -0,0 +1,51 @@
+import {
+  DEFAULT_TAX_YEAR,
+  TAX_TABLES,
+  getTaxTable,
+  parseCustomTaxTable,
+} from "./taxTables";
+
+describe("tax table registry", () => {
+  it("falls back to the default year for unknown years", () => {
+    expect(getTaxTable("1999")).toBe(TAX_TABLES[DEFAULT_TAX_YEAR]);
+    expect(getTaxTable("2023").rebates.primary).toBe(16_425);
+  });
+
+  it("fills omitted sections of a custom table from its base year", () => {
+    const { table, error } = parseCustomTaxTable(
+      JSON.stringify({
+        baseYear: 2025,
+        rebates: { primary: 18_000 },
+        brackets: [
+          { limit: 250_000, base: 0, rate: 0.18 },
+          { limit: null, base: 45_000, rate: 0.4 },
+        ],
+      })
+    );
+
+    expect(error).toBeNull();
+    expect(table.rebates).toEqual({
+      ...TAX_TABLES["2025"].rebates,
+      primary: 18_000,
+    });
+    expect(table.brackets[1].limit).toBe(Infinity);
+    expect(table.lumpSum).toBe(TAX_TABLES["2025"].lumpSum);
+  });
+
+  it("reports invalid custom tables", () => {
+    expect(parseCustomTaxTable("{").error).toBeTruthy();
+    expect(
+      parseCustomTaxTable(
+        JSON.stringify({
+          brackets: [
+            { limit: 300_000, base: 0, rate: 0.18 },
+            { limit: 200_000, base: 54_000, rate: 0.26 },
+          ],
+        })
+      ).error
+    ).toMatch(/increase/);
+    expect(
+      parseCustomTaxTable(JSON.stringify({ tfsa: { annual: -1 } })).error
+    ).toMatch(/tfsa.annual/);
+  });
+});
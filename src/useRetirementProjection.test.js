@@ -1,17 +1,17 @@
-import { renderHook } from "@testing-library/react";
-import { useRetirementProjection } from "./useRetirementProjection";
+import { act, renderHook } from "@testing-library/react";
+import {
+  PROJECTION_DEBOUNCE_MS,
+  useBackgroundProjection,
+  useRetirementProjection,
+  useScenarioProjections,
+} from "./useRetirementProjection";
+import { createProjectionWorker } from "./projectionWorker";
+import { DEFAULT_TAX_YEAR, TAX_TABLES } from "./taxTables";
+import { HISTORICAL_RETURNS } from "./historicalReturns";
 
-const calculateSarsTax = (income, age) => {
+const calculateSarsTax = (income, age, table = TAX_TABLES[DEFAULT_TAX_YEAR]) => {
   if (income <= 0) return 0;
-  const brackets = [
-    { limit: 237_100, base: 0, rate: 0.18 },
-    { limit: 370_500, base: 42_678, rate: 0.26 },
-    { limit: 512_800, base: 77_362, rate: 0.31 },
-    { limit: 673_000, base: 121_475, rate: 0.36 },
-    { limit: 857_900, base: 179_147, rate: 0.39 },
-    { limit: 1_817_000, base: 251_258, rate: 0.41 },
-    { limit: Infinity, base: 644_489, rate: 0.45 },
-  ];
+  const { brackets, rebates } = table;
 
   let tax = 0;
   for (let i = 0; i < brackets.length; i++) {
@@ -27,9 +27,9 @@ const calculateSarsTax = (income, age) => {
     }
   }
 
-  let rebate = 17_235;
-  if (age >= 65) rebate += 9_444;
-  if (age >= 75) rebate += 3_145;
+  let rebate = rebates.primary;
+  if (age >= 65) rebate += rebates.secondary;
+  if (age >= 75) rebate += rebates.tertiary;
   return Math.max(0, tax - rebate);
 };
 
@@ -97,6 +97,30 @@ describe("useRetirementProjection domain calculations", () => {
     );
   });
 
+  it("applies the brackets, rebates and RA cap of the selected tax year", () => {
+    const grossIncome = 500_000;
+    const params = { ...baseParams, grossIncome, taxYear: "2023" };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const table2023 = TAX_TABLES["2023"];
+    const taxNow = calculateSarsTax(grossIncome, params.currentAge, table2023);
+    expect(result.current.effectiveTaxRateNow).toBeCloseTo(
+      taxNow / grossIncome,
+      6
+    );
+    expect(result.current.taxTableLabel).toBe(table2023.label);
+
+    const customTaxTable = {
+      ...TAX_TABLES[DEFAULT_TAX_YEAR],
+      raDeduction: { rate: 0.3, cap: 400_000 },
+    };
+    const { result: custom } = renderHook(() =>
+      useRetirementProjection({ ...params, customTaxTable })
+    );
+    expect(custom.current.maxRaContrib).toBeCloseTo(150_000, 6);
+  });
+
   it("derives gross withdrawals from net targets using SARS tax", () => {
     const params = {
       ...baseParams,
@@ -147,7 +171,7 @@ describe("useRetirementProjection domain calculations", () => {
     expect(year1.raTaxSaving).toBeCloseTo(year0.raTaxSaving, 6);
   });
 
-  it("caps TFSA contributions and rolls overflow into RA contributions", () => {
+  it("caps TFSA contributions and rolls overflow into the discretionary pot", () => {
     const params = {
       ...baseParams,
       retireAge: 31,
@@ -164,13 +188,89 @@ describe("useRetirementProjection domain calculations", () => {
     const year0 = preTimeline[0];
 
     // With no net target the solver converges on ~0 monthly contribution, so
-    // the only deposits come from TFSA overflow (5k into TFSA before the
-    // lifetime cap is hit, ~4.6k overflow into RA for the remaining months).
+    // the only deposits come from the TFSA (5k before the lifetime cap is
+    // hit, ~4.6k overflow into the discretionary pot for the rest).
     expect(year0.tfsaContribution).toBe(5_000);
-    expect(year0.raContribution).toBe(4_600);
-    expect(year0.totalContribution).toBe(9_600);
+    expect(year0.discContribution).toBeCloseTo(4_600, 6);
+    expect(year0.raContribution).toBeCloseTo(0, 2);
+    expect(year0.totalContribution).toBeCloseTo(9_600, 2);
     expect(year0.tfsaEnd).toBeCloseTo(5_000, 6);
-    expect(year0.raEnd).toBeCloseTo(4_600, 6);
+    expect(year0.discEnd).toBeCloseTo(4_600, 6);
+    expect(result.current.discretionaryBaseCostAtRet).toBeCloseTo(4_600, 6);
+  });
+
+  it("routes RA contributions above the deduction cap to the discretionary pot", () => {
+    const params = {
+      ...baseParams,
+      retireAge: 31,
+      lifeExpectancy: 40,
+      targetNetToday: 20_000,
+      grossIncome: 120_000,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const [year0] = result.current.preTimeline;
+    // 27.5% of R120,000.
+    expect(year0.raContribution).toBeCloseTo(33_000, 2);
+    expect(year0.discContribution).toBeCloseTo(
+      result.current.requiredMonthlyContribution * 12 - 33_000,
+      2
+    );
+    expect(result.current.discretionaryCapitalAtRet).toBeCloseTo(
+      year0.discEnd,
+      6
+    );
+  });
+
+  it("taxes discretionary interest above the exemption and dividends", () => {
+    const params = {
+      ...baseParams,
+      retireAge: 31,
+      lifeExpectancy: 40,
+      grossIncome: 1_200_000,
+      tfsaMonthly: 50_000,
+      tfsaContribToDate: 500_000,
+      discInterestYield: 10,
+      discDividendYield: 2,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const [year0] = result.current.preTimeline;
+    // R600k deposited evenly: average balance R300k earns R30k interest
+    // (R6,200 above the R23,800 exemption, at 41%) and R6k dividends (20%).
+    const expectedTax = 6_200 * 0.41 + 6_000 * 0.2;
+    expect(year0.discIncomeTax).toBeCloseTo(expectedTax, 0);
+    expect(year0.discEnd).toBeCloseTo(600_000 - expectedTax, 0);
+    expect(result.current.discretionaryBaseCostAtRet).toBeCloseTo(
+      600_000 + 36_000 - expectedTax,
+      0
+    );
+  });
+
+  it("applies CGT with the annual exclusion on discretionary withdrawals", () => {
+    const params = {
+      ...baseParams,
+      retireAge: 31,
+      lifeExpectancy: 33,
+      tfsaMonthly: 50_000,
+      tfsaContribToDate: 500_000,
+      targetNetToday: 20_000,
+      postReturn: 100,
+      taxMode: "FLAT",
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const [year0, year1] = result.current.postTimeline;
+    // Year 1 sells at cost; the remaining R360k doubles to R720k, so half of
+    // every rand sold in year 2 is gain. Net 240k = g - (0.5g - 40k) * 40% * 25%.
+    expect(year0.cgtPaid).toBeCloseTo(0, 2);
+    expect(year1.discWithdrawal).toBeCloseTo(236_000 / 0.95, 0);
+    expect(year1.cgtPaid).toBeCloseTo(236_000 / 0.95 - 240_000, 0);
+    expect(year1.netDelivered).toBeCloseTo(240_000, 2);
+    expect(result.current.totalCgtPaid).toBeCloseTo(year1.cgtPaid, 6);
   });
 
   it("shrinks balances when pre-retirement returns are negative", () => {
@@ -252,4 +352,1183 @@ describe("useRetirementProjection domain calculations", () => {
       raFirst.current.year1GrossWithdrawal
     );
   });
+
+  it("matches the deterministic solve when stochastic volatility is zero", () => {
+    const commonParams = {
+      ...baseParams,
+      currentAge: 40,
+      retireAge: 50,
+      lifeExpectancy: 60,
+      targetNetToday: 10_000,
+      preReturn: 8,
+      postReturn: 6,
+      inflation: 4,
+    };
+
+    const { result: deterministic } = renderHook(() =>
+      useRetirementProjection(commonParams)
+    );
+    const { result: stochastic } = renderHook(() =>
+      useRetirementProjection({
+        ...commonParams,
+        returnMode: "STOCHASTIC",
+        returnVolatility: 0,
+        mcSimulations: 5,
+        mcSeed: 7,
+        targetSuccessRate: 100,
+      })
+    );
+
+    expect(deterministic.current.monteCarlo).toBeNull();
+    expect(stochastic.current.monteCarlo.successProbability).toBe(1);
+    expect(stochastic.current.requiredMonthlyContribution).toBeCloseTo(
+      deterministic.current.requiredMonthlyContribution,
+      0
+    );
+  });
+
+  it("solves for a target success probability across seeded return paths", () => {
+    const commonParams = {
+      ...baseParams,
+      currentAge: 45,
+      retireAge: 55,
+      lifeExpectancy: 70,
+      targetNetToday: 8_000,
+      preReturn: 10,
+      postReturn: 8,
+      inflation: 5,
+      returnMode: "STOCHASTIC",
+      returnVolatility: 15,
+      mcSimulations: 40,
+      mcSeed: 11,
+    };
+
+    const { result: median } = renderHook(() =>
+      useRetirementProjection({ ...commonParams, targetSuccessRate: 50 })
+    );
+    const { result: prudent } = renderHook(() =>
+      useRetirementProjection({ ...commonParams, targetSuccessRate: 90 })
+    );
+    const { result: repeat } = renderHook(() =>
+      useRetirementProjection({ ...commonParams, targetSuccessRate: 90 })
+    );
+
+    const mc = prudent.current.monteCarlo;
+    expect(mc.simulations).toBe(40);
+    expect(mc.successProbability).toBeGreaterThanOrEqual(0.9);
+    expect(prudent.current.requiredMonthlyContribution).toBeGreaterThan(
+      median.current.requiredMonthlyContribution
+    );
+    expect(repeat.current.requiredMonthlyContribution).toBe(
+      prudent.current.requiredMonthlyContribution
+    );
+    expect(mc.capitalAtRetirement.p10).toBeLessThanOrEqual(
+      mc.capitalAtRetirement.p50
+    );
+    expect(mc.capitalAtRetirement.p50).toBeLessThanOrEqual(
+      mc.capitalAtRetirement.p90
+    );
+    expect(mc.bands).toHaveLength(25);
+  });
+
+  it("caps living annuity drawdowns at 17.5% and flags the shortfall", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 65,
+      retireAge: 65,
+      lifeExpectancy: 67,
+      initialCapital: 1_000_000,
+      initialTfsaBalance: 500_000,
+      targetNetToday: 25_000,
+      taxMode: "FLAT",
+      flatTaxRate: 0,
+      depleteOrder: "RA_FIRST",
+      livingAnnuityLimits: true,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const [year0] = result.current.postTimeline;
+    expect(year0.raDrawdownRate).toBeCloseTo(0.175, 6);
+    expect(year0.drawdownCapped).toBe(true);
+    expect(year0.capShortfall).toBeCloseTo(125_000, 2);
+    expect(year0.netDelivered).toBeCloseTo(300_000, 2);
+    expect(year0.tfsaEnd).toBeCloseTo(375_000, 2);
+    expect(result.current.drawdownCapYears).toBeGreaterThan(0);
+  });
+
+  it("keeps projecting through consecutive capped years", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 65,
+      retireAge: 65,
+      lifeExpectancy: 70,
+      initialCapital: 1_000_000,
+      targetNetToday: 25_000,
+      taxMode: "FLAT",
+      flatTaxRate: 0,
+      depleteOrder: "RA_FIRST",
+      livingAnnuityLimits: true,
+    };
+
+    ["ANNUAL", "MONTHLY"].forEach((decumulationFrequency) => {
+      const { result } = renderHook(() =>
+        useRetirementProjection({ ...params, decumulationFrequency })
+      );
+
+      const rows = result.current.postTimeline;
+      expect(rows).toHaveLength(5);
+      rows.forEach((row) => {
+        expect(row.drawdownCapped).toBe(true);
+        expect(row.capShortfall).toBeGreaterThan(0);
+        expect(row.netDelivered).toBeLessThan(row.netRequired);
+        expect(row.raEnd).toBeGreaterThan(0);
+      });
+      expect(result.current.drawdownCapYears).toBe(5);
+      expect(result.current.exhaustionAge).toBe(70);
+      expect(result.current.exhaustionMonth).toBeNull();
+      expect(result.current.shortfallAge).toBe(65);
+    });
+  });
+
+  it("reinvests forced minimum drawdowns into the TFSA, then discretionary", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 65,
+      retireAge: 65,
+      lifeExpectancy: 67,
+      initialCapital: 1_000_000,
+      initialTfsaBalance: 200_000,
+      tfsaContribToDate: 495_000,
+      targetNetToday: 1_000,
+      taxMode: "FLAT",
+      flatTaxRate: 0,
+      depleteOrder: "TFSA_FIRST",
+      livingAnnuityLimits: true,
+      laSurplusTarget: "TFSA",
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const [year0] = result.current.postTimeline;
+    expect(year0.raDrawdownRate).toBeCloseTo(0.025, 6);
+    expect(year0.drawdownCapped).toBe(false);
+    expect(year0.surplusReinvested).toBeCloseTo(13_000, 2);
+    expect(year0.tfsaEnd).toBeCloseTo(205_000, 2);
+    expect(year0.discEnd).toBeCloseTo(8_000, 2);
+  });
+
+  it("taxes a one-third commutation on the aggregated lump sum table", () => {
+    const commonParams = {
+      ...baseParams,
+      currentAge: 65,
+      retireAge: 65,
+      lifeExpectancy: 67,
+      initialCapital: 1_200_000,
+      targetNetToday: 5_000,
+      lumpSumPct: 25,
+      priorLumpSums: 400_000,
+    };
+
+    const { result: toDiscretionary } = renderHook(() =>
+      useRetirementProjection({
+        ...commonParams,
+        lumpSumDestination: "DISCRETIONARY",
+      })
+    );
+
+    // R400k prior + R300k now = R700k aggregate: 18% of the R150k above the
+    // R550k tax-free tier, none of which is attributed to the prior sums.
+    expect(toDiscretionary.current.lumpSumGross).toBeCloseTo(300_000, 2);
+    expect(toDiscretionary.current.lumpSumTax).toBeCloseTo(27_000, 2);
+    expect(toDiscretionary.current.lumpSumNet).toBeCloseTo(273_000, 2);
+    const [year0] = toDiscretionary.current.postTimeline;
+    expect(year0.raStart).toBeCloseTo(900_000, 2);
+    expect(year0.discStart).toBeCloseTo(273_000, 2);
+
+    const { result: toTfsa } = renderHook(() =>
+      useRetirementProjection({ ...commonParams, lumpSumDestination: "TFSA" })
+    );
+    expect(toTfsa.current.lumpSumToTfsa).toBeCloseTo(36_000, 2);
+    expect(toTfsa.current.lumpSumToDiscretionary).toBeCloseTo(237_000, 2);
+
+    const { result: toDebt } = renderHook(() =>
+      useRetirementProjection({ ...commonParams, lumpSumDestination: "DEBT" })
+    );
+    expect(toDebt.current.lumpSumToDebt).toBeCloseTo(273_000, 2);
+    expect(toDebt.current.postTimeline[0].discStart).toBe(0);
+  });
+
+  it("splits two-pot contributions one-third savings, two-thirds retirement", () => {
+    const params = {
+      ...baseParams,
+      retireAge: 31,
+      lifeExpectancy: 40,
+      initialCapital: 600_000,
+      targetNetToday: 5_000,
+      twoPot: true,
+      twoPotSeedCapital: true,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const [year0] = result.current.preTimeline;
+    // Seed capital: 10% of the vested balance, capped at R30,000.
+    expect(year0.vestedEnd).toBeCloseTo(570_000, 2);
+    expect(year0.retirementEnd).toBeGreaterThan(0);
+    expect(year0.savingsEnd - 30_000).toBeCloseTo(year0.retirementEnd / 2, 2);
+    expect(year0.raEnd).toBeCloseTo(
+      year0.vestedEnd + year0.savingsEnd + year0.retirementEnd,
+      6
+    );
+  });
+
+  it("taxes savings-pot withdrawals at the marginal rate and shows their cost", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 50,
+      retireAge: 55,
+      lifeExpectancy: 70,
+      initialCapital: 300_000,
+      targetNetToday: 10_000,
+      grossIncome: 1_200_000,
+      preReturn: 8,
+      postReturn: 6,
+      twoPot: true,
+      twoPotSeedCapital: true,
+      savingsWithdrawalAnnual: 5_000,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const [year0] = result.current.preTimeline;
+    expect(year0.savingsWithdrawal).toBe(5_000);
+    expect(year0.savingsWithdrawalTax).toBeCloseTo(5_000 * 0.41, 2);
+
+    const impact = result.current.savingsWithdrawalImpact;
+    expect(impact.totalWithdrawn).toBeCloseTo(25_000, 2);
+    expect(impact.capitalReduction).toBeGreaterThan(25_000);
+    expect(impact.contributionIncrease).toBeGreaterThan(0);
+    expect(result.current.requiredMonthlyContribution).toBeCloseTo(
+      impact.requiredContributionWithoutWithdrawals +
+        impact.contributionIncrease,
+      6
+    );
+  });
+
+  it("goal-seeks other inputs against a fixed contribution", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 40,
+      retireAge: 60,
+      lifeExpectancy: 85,
+      targetNetToday: 20_000,
+      preReturn: 10,
+      postReturn: 7,
+      inflation: 5,
+    };
+    const { result: base } = renderHook(() => useRetirementProjection(params));
+    const required = base.current.requiredMonthlyContribution;
+    expect(base.current.goalSeek).toBeNull();
+
+    const seek = (solveFor, fixedMonthlyContribution) =>
+      renderHook(() =>
+        useRetirementProjection({
+          ...params,
+          solveFor,
+          fixedMonthlyContribution,
+        })
+      ).result.current;
+
+    const income = seek("TARGET_INCOME", required);
+    expect(income.goalSeek.feasible).toBe(true);
+    expect(income.goalSeek.value).toBeCloseTo(20_000, 0);
+
+    const age = seek("RETIRE_AGE", required * 0.8);
+    expect(age.goalSeek.value).toBeGreaterThan(60);
+    expect(age.retirementAgeNumeric).toBe(age.goalSeek.value);
+    expect(age.exhaustionAge).toBeGreaterThanOrEqual(85);
+
+    const capital = seek("INITIAL_CAPITAL", required * 0.5);
+    expect(capital.goalSeek.value).toBeGreaterThan(0);
+    expect(capital.exhaustionAge).toBeGreaterThanOrEqual(85);
+
+    const preReturn = seek("PRE_RETURN", required);
+    expect(preReturn.goalSeek.value).toBeCloseTo(0.1, 4);
+  });
+
+  it("reports infeasible goal-seeks and falls back to the entered inputs", () => {
+    const params = {
+      ...baseParams,
+      targetNetToday: 20_000,
+      solveFor: "RETIRE_AGE",
+      fixedMonthlyContribution: 0,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    expect(result.current.goalSeek).toEqual({
+      solveFor: "RETIRE_AGE",
+      fixedContribution: 0,
+      feasible: false,
+      value: null,
+    });
+    expect(result.current.retirementAgeNumeric).toBe(60);
+    expect(result.current.requiredMonthlyContribution).toBe(0);
+
+    // with no capital and nothing saved, not even a zero income lasts
+    const { result: income } = renderHook(() =>
+      useRetirementProjection({ ...params, solveFor: "TARGET_INCOME" })
+    );
+    expect(income.current.goalSeek).toEqual({
+      solveFor: "TARGET_INCOME",
+      fixedContribution: 0,
+      feasible: false,
+      value: null,
+    });
+    expect(income.current.targetNetMonthlyAtRet).toBeGreaterThan(0);
+  });
+
+  it("deducts TER, advice and tiered platform fees from every pot", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 66,
+      initialCapital: 2_000_000,
+      initialTfsaBalance: 500_000,
+      fundTer: 0.8,
+      adviceFee: 0.4,
+    };
+
+    const { result: flat } = renderHook(() => useRetirementProjection(params));
+
+    const monthlyFee = 0.012 / 12;
+    const keep = Math.pow(1 - monthlyFee, 12);
+    const pre = flat.current.preTimeline[0];
+    expect(pre.raEnd).toBeCloseTo(2_000_000 * keep, 2);
+    expect(pre.tfsaEnd).toBeCloseTo(500_000 * keep, 2);
+    expect(pre.feesPaid).toBeCloseTo(2_500_000 * (1 - keep), 2);
+
+    const tiered = {
+      ...params,
+      fundTer: 0,
+      adviceFee: 0,
+      platformFeeTiers: [
+        { upTo: 1_000_000, rate: 0.5 },
+        { upTo: null, rate: 0.25 },
+      ],
+    };
+    const { result } = renderHook(() => useRetirementProjection(tiered));
+
+    const post = result.current.postTimeline[0];
+    const balance = post.raStart + post.tfsaStart + post.discStart;
+    const expectedFee = 5_000 + (balance - 1_000_000) * 0.0025;
+    expect(post.feesPaid).toBeCloseTo(expectedFee, 2);
+    expect(post.raEnd).toBeCloseTo(
+      post.raStart * (1 - expectedFee / balance),
+      2
+    );
+    expect(result.current.totalFeesPaid).toBeCloseTo(
+      result.current.preTimeline[0].feesPaid + expectedFee,
+      2
+    );
+  });
+
+  it("runs decumulation monthly and reports the month capital runs out", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      initialCapital: 100_000,
+      targetNetToday: 3_000,
+      taxMode: "FLAT",
+      flatTaxRate: 0,
+      // no saving: the capital on hand runs out
+      solveFor: "NONE",
+      fixedMonthlyContribution: 0,
+    };
+
+    const { result: annual } = renderHook(() =>
+      useRetirementProjection(params)
+    );
+    const { result: monthly } = renderHook(() =>
+      useRetirementProjection({ ...params, decumulationFrequency: "MONTHLY" })
+    );
+
+    // R100,000 pays 33 full months of R3,000; the 34th falls short.
+    expect(annual.current.exhaustionAge).toBe(67);
+    expect(annual.current.exhaustionMonth).toBeNull();
+    expect(monthly.current.exhaustionAge).toBe(67);
+    expect(monthly.current.exhaustionMonth).toBe(10);
+    const lastYear = monthly.current.postTimeline[2];
+    expect(lastYear.netDelivered).toBeCloseTo(28_000, 6);
+  });
+
+  it("withholds PAYE monthly and reconciles the year's tax", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 67,
+      initialCapital: 3_000_000,
+      targetNetToday: 20_000,
+      livingAnnuityLimits: false,
+      decumulationFrequency: "MONTHLY",
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const year1 = result.current.postTimeline[0];
+    const expectedTax = calculateSarsTax(year1.grossWithdrawal, 65);
+    expect(year1.netDelivered).toBeCloseTo(240_000, 2);
+    expect(year1.taxPaid).toBeCloseTo(expectedTax, 2);
+    expect(year1.payeWithheld).toBeCloseTo(expectedTax, 2);
+    expect(year1.taxReconciliation).toBeCloseTo(0, 2);
+  });
+
+  it("runs out at the tax year end when the pots cannot pay the CGT", () => {
+    // contributions above the small RA cap build up a discretionary pot
+    // whose gains are taxed when it is sold
+    const params = {
+      ...baseParams,
+      currentAge: 40,
+      retireAge: 60,
+      targetNetToday: 20_000,
+      preReturn: 12,
+      grossIncome: 1_000,
+      taxMode: "FLAT",
+      flatTaxRate: 45,
+      decumulationFrequency: "MONTHLY",
+      solveFor: "NONE",
+      fixedMonthlyContribution: 2_000,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    const { postTimeline } = result.current;
+    const last = postTimeline[postTimeline.length - 1];
+    expect(last.unpaidTax).toBeGreaterThan(0);
+    expect(last.unpaidTax).toBeLessThan(last.taxReconciliation);
+    expect(last.netDelivered).toBeCloseTo(
+      last.netRequired - last.unpaidTax,
+      2
+    );
+    expect(last.raEnd + last.tfsaEnd + last.discEnd).toBeCloseTo(0, 2);
+    expect(result.current.exhaustionAge).toBe(last.age);
+    expect(result.current.exhaustionMonth).toBe(12);
+    postTimeline
+      .slice(0, -1)
+      .forEach((row) => expect(row.unpaidTax).toBe(0));
+  });
+
+  it("back-tests the retirement phase from every start year", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 90,
+      initialCapital: 3_000_000,
+      targetNetToday: 15_000,
+      historicalBacktest: true,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+    const { backtest } = result.current;
+
+    // 25 years of retirement; later start years run past the data
+    const fullWindows = HISTORICAL_RETURNS.length - 25 + 1;
+    expect(backtest.yearsNeeded).toBe(25);
+    expect(backtest.fullWindows).toBe(fullWindows);
+    expect(backtest.partialWindows).toBe(24);
+    expect(backtest.windows).toBe(fullWindows);
+    expect(backtest.runs).toHaveLength(HISTORICAL_RETURNS.length);
+    expect(backtest.firstYear).toBe(HISTORICAL_RETURNS[0].year);
+    expect(backtest.lastYear).toBe(HISTORICAL_RETURNS[fullWindows - 1].year);
+    expect(backtest.runs[fullWindows - 1].partial).toBe(false);
+    expect(backtest.runs[fullWindows].partial).toBe(true);
+    expect(backtest.runs[fullWindows].historicalYears).toBe(24);
+    // saving follows the entered assumptions, so every start year retires
+    // with the same capital
+    backtest.runs.forEach((run) => {
+      expect(run.capitalAtRetirement).toBeCloseTo(
+        result.current.totalCapitalAtRet,
+        2
+      );
+    });
+    expect(backtest.successRate).toBeGreaterThanOrEqual(0);
+    expect(backtest.successRate).toBeLessThanOrEqual(1);
+    expect(backtest.worst.partial).toBe(false);
+    expect(backtest.worst.exhaustionAge).toBeLessThanOrEqual(
+      backtest.best.exhaustionAge
+    );
+    // one point per age from today, one series per start year
+    expect(backtest.paths).toHaveLength(26);
+    expect(backtest.paths[0].age).toBe(64);
+    expect(Object.keys(backtest.paths[0])).toHaveLength(
+      HISTORICAL_RETURNS.length + 1
+    );
+  });
+
+  it("scores partial windows when retirement outlasts the data", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 30,
+      retireAge: 40,
+      lifeExpectancy: 100,
+      historicalBacktest: true,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+    const { backtest } = result.current;
+
+    expect(backtest.yearsNeeded).toBeGreaterThan(HISTORICAL_RETURNS.length);
+    expect(backtest.fullWindows).toBe(0);
+    expect(backtest.windows).toBe(HISTORICAL_RETURNS.length);
+    expect(backtest.runs[0].historicalYears).toBe(HISTORICAL_RETURNS.length);
+    const startYears = backtest.runs.map((run) => run.startYear);
+    expect(startYears).toContain(1973);
+    expect(startYears).toContain(2008);
+    expect(backtest.runs.every((run) => run.partial)).toBe(true);
+  });
+
+  it("skips the back-test unless requested", () => {
+    const { result } = renderHook(() => useRetirementProjection(baseParams));
+    expect(result.current.backtest).toBeNull();
+  });
+
+  it("grows each pot at the return blended from its asset allocation", () => {
+    const assumptions = {
+      localEquity: { return: 13, volatility: 17 },
+      offshoreEquity: { return: 14, volatility: 15 },
+      bonds: { return: 10, volatility: 8 },
+      cash: { return: 7, volatility: 1 },
+      property: { return: 11, volatility: 18 },
+    };
+    const params = {
+      ...baseParams,
+      retireAge: 31,
+      lifeExpectancy: 40,
+      preReturn: 20,
+      initialCapital: 100_000,
+      initialTfsaBalance: 100_000,
+      assetClassAssumptions: assumptions,
+      assetAllocation: {
+        ra: { localEquity: 50, offshoreEquity: 0, bonds: 0, cash: 50, property: 0 },
+        tfsa: { localEquity: 100, offshoreEquity: 0, bonds: 0, cash: 0, property: 0 },
+        disc: { localEquity: 0, offshoreEquity: 0, bonds: 0, cash: 100, property: 0 },
+      },
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+
+    expect(result.current.allocation.ra.return).toBeCloseTo(10, 10);
+    expect(result.current.allocation.ra.volatility).toBeCloseTo(9, 10);
+    expect(result.current.allocation.regulation28Breaches).toEqual([]);
+    const year0 = result.current.preTimeline[0];
+    expect(year0.raEnd).toBeCloseTo(110_000, 0);
+    expect(year0.tfsaEnd).toBeCloseTo(113_000, 6);
+  });
+
+  it("steps the pre-retirement return down along a glide path", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 30,
+      retireAge: 35,
+      preReturn: 10,
+      postReturn: 5,
+      glidePath: "LINEAR",
+      glidePathYears: 2,
+    };
+
+    const { result: linear } = renderHook(() =>
+      useRetirementProjection(params)
+    );
+    const { result: custom } = renderHook(() =>
+      useRetirementProjection({
+        ...params,
+        glidePath: "CUSTOM",
+        glidePathCurve: [20, 60, 100],
+      })
+    );
+    const { result: flat } = renderHook(() =>
+      useRetirementProjection({ ...params, glidePath: "NONE" })
+    );
+
+    const rates = (result) =>
+      result.current.preTimeline.map((row) => row.returnRate);
+    [0.1, 0.1, 0.1, 0.075, 0.05].forEach((rate, i) =>
+      expect(rates(linear)[i]).toBeCloseTo(rate, 10)
+    );
+    [0.1, 0.1, 0.09, 0.07, 0.05].forEach((rate, i) =>
+      expect(rates(custom)[i]).toBeCloseTo(rate, 10)
+    );
+    expect(rates(flat)).toEqual([0.1, 0.1, 0.1, 0.1, 0.1]);
+  });
+
+  it("ignores a glide path under an asset allocation", () => {
+    const mix = { localEquity: 60, offshoreEquity: 0, bonds: 40, cash: 0, property: 0 };
+    const params = {
+      ...baseParams,
+      currentAge: 30,
+      retireAge: 35,
+      returnMode: "STOCHASTIC",
+      mcSimulations: 50,
+      glidePath: "LINEAR",
+      glidePathYears: 2,
+      glideEndVolatility: 2,
+      assetAllocation: { ra: mix, tfsa: mix, disc: mix },
+    };
+
+    const { result: glide } = renderHook(() =>
+      useRetirementProjection(params)
+    );
+    const { result: none } = renderHook(() =>
+      useRetirementProjection({ ...params, glidePath: "NONE" })
+    );
+
+    expect(glide.current.preTimeline).toEqual(none.current.preTimeline);
+    expect(glide.current.monteCarlo).toEqual(none.current.monteCarlo);
+  });
+
+  it("fills the RA to the bracket ceiling and tops up from the TFSA", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 68,
+      initialCapital: 3_000_000,
+      initialTfsaBalance: 60_000,
+      targetNetToday: 20_000,
+      livingAnnuityLimits: false,
+      depleteOrder: "BRACKET_FILL",
+      bracketCeiling: 200_000,
+    };
+
+    const { result: annual } = renderHook(() =>
+      useRetirementProjection(params)
+    );
+    const { result: monthly } = renderHook(() =>
+      useRetirementProjection({ ...params, decumulationFrequency: "MONTHLY" })
+    );
+
+    const raGross = (row) => row.raDrawdownRate * row.raStart;
+    const year1 = annual.current.postTimeline[0];
+    const ceilingNet = 200_000 - calculateSarsTax(200_000, 65);
+    expect(raGross(year1)).toBeCloseTo(200_000, 6);
+    expect(year1.taxPaid).toBeCloseTo(calculateSarsTax(200_000, 65), 6);
+    expect(year1.tfsaEnd).toBeCloseTo(60_000 - (240_000 - ceilingNet), 2);
+    expect(raGross(monthly.current.postTimeline[0])).toBeCloseTo(200_000, 6);
+
+    // once the TFSA is spent the RA pays above the ceiling
+    const year2 = annual.current.postTimeline[1];
+    expect(year2.tfsaEnd).toBe(0);
+    expect(raGross(year2)).toBeGreaterThan(200_000);
+    expect(year2.netDelivered).toBeCloseTo(240_000, 2);
+    expect(annual.current.bracketCeiling).toBe(200_000);
+  });
+
+  it("compares lifetime tax across drawdown orders and can pick the ceiling", () => {
+    const table = TAX_TABLES[DEFAULT_TAX_YEAR];
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 75,
+      initialCapital: 3_000_000,
+      initialTfsaBalance: 500_000,
+      targetNetToday: 25_000,
+      depleteOrder: "BRACKET_FILL",
+      bracketCeiling: 200_000,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+    const { strategyComparison, lifetimeTaxPaid } = result.current;
+    expect(strategyComparison.map((row) => row.depleteOrder)).toEqual([
+      "TFSA_FIRST",
+      "RA_FIRST",
+      "BRACKET_FILL",
+    ]);
+    expect(strategyComparison[2].lifetimeTax).toBeCloseTo(lifetimeTaxPaid, 6);
+    expect(strategyComparison[2].bracketCeiling).toBe(200_000);
+    expect(strategyComparison[0].bracketCeiling).toBeNull();
+
+    const candidates = [
+      table.thresholds.age65to74,
+      ...table.brackets
+        .map((bracket) => bracket.limit)
+        .filter((limit) => limit !== Infinity),
+    ];
+    const lifetimeTaxes = candidates.map(
+      (ceiling) =>
+        renderHook(() =>
+          useRetirementProjection({ ...params, bracketCeiling: ceiling })
+        ).result.current.lifetimeTaxPaid
+    );
+    const { result: optimised } = renderHook(() =>
+      useRetirementProjection({ ...params, optimiseBracketCeiling: true })
+    );
+    expect(candidates).toContain(optimised.current.bracketCeiling);
+    expect(optimised.current.lifetimeTaxPaid).toBeCloseTo(
+      Math.min(...lifetimeTaxes),
+      6
+    );
+  });
+
+  it("buys a guaranteed annuity and draws the rest on top of its income", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 68,
+      initialCapital: 2_000_000,
+      targetNetToday: 20_000,
+      livingAnnuityLimits: false,
+      annuityPurchasePct: 50,
+      annuityType: "LEVEL",
+      annuityRates: [{ age: 65, level: 10, inflationLinked: 6 }],
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+    const { annuity, postTimeline } = result.current;
+    expect(annuity.purchasePrice).toBeCloseTo(1_000_000, 2);
+    expect(annuity.firstYearIncome).toBeCloseTo(100_000, 2);
+    // R100,000 is below the 65+ tax threshold
+    expect(annuity.monthlyNetAtRet).toBeCloseTo(100_000 / 12, 2);
+    expect(annuity.targetShare).toBeCloseTo(100_000 / 240_000, 6);
+
+    const year1 = postTimeline[0];
+    expect(year1.raStart).toBeCloseTo(1_000_000, 2);
+    expect(year1.annuityIncome).toBeCloseTo(100_000, 2);
+    expect(year1.netDelivered).toBeCloseTo(240_000, 2);
+    // the living annuity is taxed on top of the guaranteed income
+    expect(year1.taxPaid).toBeCloseTo(
+      calculateSarsTax(year1.grossWithdrawal, 65),
+      2
+    );
+    expect(postTimeline[2].annuityIncome).toBeCloseTo(100_000, 2);
+
+    const { result: monthly } = renderHook(() =>
+      useRetirementProjection({ ...params, decumulationFrequency: "MONTHLY" })
+    );
+    const monthlyYear1 = monthly.current.postTimeline[0];
+    expect(monthlyYear1.annuityIncome).toBeCloseTo(100_000, 2);
+    expect(monthlyYear1.netDelivered).toBeCloseTo(240_000, 2);
+    expect(monthlyYear1.taxReconciliation).toBeCloseTo(0, 2);
+
+    const { result: linked } = renderHook(() =>
+      useRetirementProjection({
+        ...params,
+        annuityType: "INFLATION_LINKED",
+        inflation: 5,
+      })
+    );
+    const linkedRows = linked.current.postTimeline;
+    expect(linkedRows[0].annuityIncome).toBeCloseTo(
+      linked.current.annuity.purchasePrice * 0.06,
+      2
+    );
+    const growth = linkedRows[1].annuityIncome / linkedRows[0].annuityIncome;
+    expect(growth).toBeCloseTo(1.05, 10);
+  });
+
+  it("pays other income first and means-tests the older persons grant", () => {
+    const params = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 70,
+      initialCapital: 400_000,
+      targetNetToday: 8_000,
+      livingAnnuityLimits: false,
+      incomeStreams: [
+        {
+          key: "dbPension",
+          taxable: true,
+          endsAtDeath: true,
+          monthly: 3_000,
+          startAge: 65,
+          endAge: 120,
+          escalation: 0,
+        },
+        {
+          key: "partTime",
+          taxable: true,
+          endsAtDeath: true,
+          monthly: 2_000,
+          startAge: 65,
+          endAge: 67,
+          escalation: 0,
+        },
+      ],
+      sassaGrant: true,
+    };
+
+    const { result } = renderHook(() => useRetirementProjection(params));
+    const rows = result.current.postTimeline;
+    // 1.5 × the full grant less half of private income, at most the grant
+    const grantFor = (privateIncome) =>
+      Math.min(27_780, Math.max(0, 41_670 - 0.5 * privateIncome));
+
+    expect(rows[0].otherIncome).toBeCloseTo(60_000, 2);
+    expect(rows[2].otherIncome).toBeCloseTo(36_000, 2);
+    // the first year's means test assumes the minimum RA drawdown
+    expect(rows[0].grantIncome).toBeCloseTo(
+      grantFor(60_000 + rows[0].raStart * 0.025),
+      2
+    );
+    expect(rows[0].grantIncome).toBeGreaterThan(0);
+    const raGross0 = rows[0].raDrawdownRate * rows[0].raStart;
+    expect(rows[1].grantIncome).toBeCloseTo(grantFor(60_000 + raGross0), 2);
+    // the grant is tax-free; pension and wages are taxed with the RA income
+    expect(rows[0].taxPaid).toBeCloseTo(
+      calculateSarsTax(rows[0].grossWithdrawal - rows[0].grantIncome, 65),
+      2
+    );
+    rows.forEach((row) => {
+      expect(row.netDelivered).toBeCloseTo(96_000, 2);
+    });
+    expect(raGross0).toBeCloseTo(
+      rows[0].grossWithdrawal - 60_000 - rows[0].grantIncome,
+      2
+    );
+  });
+
+  it("applies medical tax credits before and after retirement", () => {
+    // main member and two dependants: 2 × R364 + R246 a month
+    const feesCredit = 12 * (364 * 2 + 246);
+    const preParams = {
+      ...baseParams,
+      currentAge: 40,
+      grossIncome: 500_000,
+      medicalSchemeMonthly: 4_000,
+      medicalDependants: 2,
+      medicalOutOfPocket: 60_000,
+    };
+    const { result } = renderHook(() => useRetirementProjection(preParams));
+    // under 65 a quarter of costs above 7.5% of taxable income
+    const additionalCredit = (income) =>
+      0.25 * (48_000 - 4 * feesCredit + 60_000 - 0.075 * income);
+    const taxOn = (income) =>
+      calculateSarsTax(income, 40) - feesCredit - additionalCredit(income);
+    expect(result.current.effectiveTaxRateNow).toBeCloseTo(
+      taxOn(500_000) / 500_000,
+      8
+    );
+    expect(result.current.taxSaving).toBeCloseTo(
+      taxOn(500_000) - taxOn(362_500),
+      2
+    );
+    expect(result.current.preTimeline[0].medicalCredit).toBeCloseTo(
+      feesCredit + additionalCredit(500_000),
+      2
+    );
+
+    const postParams = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 67,
+      initialCapital: 3_000_000,
+      targetNetToday: 30_000,
+      livingAnnuityLimits: false,
+      medicalSchemeMonthly: 4_000,
+      medicalDependants: 1,
+      medicalOutOfPocket: 10_000,
+    };
+    const { result: retired } = renderHook(() =>
+      useRetirementProjection(postParams)
+    );
+    // from 65 a third of fees above 3 × the credit plus own costs
+    const credit65 = 12 * 728 + (48_000 - 3 * 12 * 728 + 10_000) / 3;
+    const year1 = retired.current.postTimeline[0];
+    expect(year1.medicalCredit).toBeCloseTo(credit65, 2);
+    expect(year1.netDelivered).toBeCloseTo(360_000, 2);
+    expect(year1.taxPaid).toBeCloseTo(
+      calculateSarsTax(year1.grossWithdrawal, 65) - credit65,
+      2
+    );
+  });
+
+  describe("household mode", () => {
+    const partner = {
+      currentAge: 64,
+      lifeExpectancy: 67,
+      grossIncome: 0,
+      initialCapital: 1_000_000,
+      initialTfsaBalance: 0,
+      tfsaContribToDate: 0,
+      tfsaMonthly: 0,
+    };
+    const householdParams = {
+      ...baseParams,
+      currentAge: 64,
+      retireAge: 65,
+      lifeExpectancy: 70,
+      initialCapital: 1_000_000,
+      targetNetToday: 30_000,
+      livingAnnuityLimits: false,
+      household: partner,
+      survivorIncomePct: 70,
+    };
+
+    it("funds the RA of the member with the higher marginal rate first", () => {
+      const table = TAX_TABLES[DEFAULT_TAX_YEAR];
+      const params = {
+        ...baseParams,
+        currentAge: 40,
+        retireAge: 60,
+        grossIncome: 300_000,
+        household: {
+          ...partner,
+          currentAge: 40,
+          lifeExpectancy: 90,
+          grossIncome: 1_200_000,
+        },
+        solveFor: "TARGET_INCOME",
+        fixedMonthlyContribution: 40_000,
+      };
+      const partnerRoom =
+        Math.min(table.raDeduction.rate * 1_200_000, table.raDeduction.cap) /
+        12;
+
+      const { result: optimised } = renderHook(() =>
+        useRetirementProjection(params)
+      );
+      const { result: memberOnly } = renderHook(() =>
+        useRetirementProjection({ ...params, raFunding: "MEMBER" })
+      );
+
+      expect(optimised.current.household.partnerRaMonthly).toBeCloseTo(
+        partnerRoom,
+        6
+      );
+      expect(optimised.current.household.memberRaMonthly).toBeCloseTo(
+        40_000 - partnerRoom,
+        6
+      );
+      expect(memberOnly.current.household.memberRaMonthly).toBe(40_000);
+      expect(memberOnly.current.household.partnerRaMonthly).toBe(0);
+    });
+
+    it("taxes each member's annuity separately with their own rebates", () => {
+      const { result } = renderHook(() =>
+        useRetirementProjection(householdParams)
+      );
+
+      const year1 = result.current.postTimeline[0];
+      expect(year1.netDelivered).toBeCloseTo(360_000, 2);
+      // equal balances and ages, so each draws half the gross
+      expect(year1.taxPaid).toBeCloseTo(
+        2 * calculateSarsTax(year1.grossWithdrawal / 2, 65),
+        2
+      );
+      expect(year1.taxPaid).toBeLessThan(
+        calculateSarsTax(year1.grossWithdrawal, 65)
+      );
+    });
+
+    it("passes the estate to the survivor and lowers the income target", () => {
+      const { result } = renderHook(() =>
+        useRetirementProjection(householdParams)
+      );
+
+      const { postTimeline, household } = result.current;
+      expect(household.survivor).toBe("MEMBER");
+      expect(household.firstDeathAge).toBe(67);
+      expect(postTimeline.map((row) => row.membersAlive)).toEqual([
+        2, 2, 1, 1, 1,
+      ]);
+      expect(postTimeline[2].netRequired).toBeCloseTo(252_000, 6);
+      // nothing is lost when the partner's RA passes to the survivor
+      expect(postTimeline[2].raStart).toBeCloseTo(postTimeline[1].raEnd, 6);
+      expect(result.current.exhaustionAge).toBe(70);
+    });
+
+    it("lasts until the younger partner's life expectancy", () => {
+      const { result } = renderHook(() =>
+        useRetirementProjection({
+          ...householdParams,
+          lifeExpectancy: 68,
+          household: { ...partner, currentAge: 60, lifeExpectancy: 72 },
+        })
+      );
+
+      // the partner is 61 at retirement and lives 11 more years
+      expect(result.current.lifeExpectancyNumeric).toBe(76);
+      expect(result.current.postTimeline).toHaveLength(11);
+      expect(result.current.household.survivor).toBe("PARTNER");
+      expect(result.current.postTimeline[3].membersAlive).toBe(1);
+    });
+
+    it("applies the bracket-fill ceiling to each member's income", () => {
+      const { result } = renderHook(() =>
+        useRetirementProjection({
+          ...householdParams,
+          household: { ...partner, initialTfsaBalance: 500_000 },
+          depleteOrder: "BRACKET_FILL",
+          bracketCeiling: 100_000,
+        })
+      );
+
+      // both annuities stop at R100,000, below the 65+ tax threshold
+      const year1 = result.current.postTimeline[0];
+      expect(year1.raDrawdownRate * year1.raStart).toBeCloseTo(200_000, 6);
+      expect(year1.taxPaid).toBe(0);
+      expect(year1.tfsaEnd).toBeCloseTo(500_000 - 160_000, 2);
+    });
+  });
+});
+
+describe("useRetirementProjection memoisation", () => {
+  it("reuses the projection for an equal copy of the params", () => {
+    const { result, rerender } = renderHook(
+      ({ inputs }) => useRetirementProjection(inputs),
+      { initialProps: { inputs: baseParams } }
+    );
+    const first = result.current;
+
+    rerender({ inputs: { ...baseParams } });
+    expect(result.current).toBe(first);
+
+    rerender({ inputs: { ...baseParams, targetNetToday: 30_000 } });
+    expect(result.current).not.toBe(first);
+  });
+});
+
+describe("useBackgroundProjection", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  const params = {
+    ...baseParams,
+    grossIncome: 500_000,
+    targetNetToday: 20_000,
+  };
+  const raised = { ...params, targetNetToday: 25_000 };
+  const expected = (inputs) => {
+    const { result } = renderHook(() => useRetirementProjection(inputs));
+    return result.current;
+  };
+
+  const fakeWorker = () => ({
+    postMessage: jest.fn(),
+    terminate: jest.fn(),
+  });
+
+  it("debounces and falls back to the main thread without workers", () => {
+    const { result, rerender } = renderHook(
+      ({ inputs }) => useBackgroundProjection(inputs),
+      { initialProps: { inputs: params } }
+    );
+    expect(result.current.pending).toBe(false);
+    expect(result.current.outputs).toEqual(expected(params));
+
+    rerender({ inputs: raised });
+    expect(result.current.pending).toBe(true);
+    expect(result.current.outputs).toEqual(expected(params));
+
+    act(() => jest.advanceTimersByTime(PROJECTION_DEBOUNCE_MS));
+    expect(result.current.pending).toBe(false);
+    expect(result.current.outputs).toEqual(expected(raised));
+  });
+
+  it("projects each saved scenario like the single-plan hook", () => {
+    const plan = {
+      ...baseParams,
+      targetNetToday: 20_000,
+      lumpSumPct: 20,
+      priorLumpSums: 600_000,
+    };
+    const scenarios = [
+      { id: "1", params: plan },
+      { id: "2", params: { ...plan, retireAge: 65 } },
+    ];
+
+    const single = expected(plan);
+    const { result } = renderHook(() => useScenarioProjections(scenarios));
+    expect(result.current).toEqual({ outputs: null, pending: true });
+
+    act(() => jest.advanceTimersByTime(PROJECTION_DEBOUNCE_MS));
+    expect(result.current.pending).toBe(false);
+    const [first, second] = result.current.outputs;
+    expect(first.id).toBe("1");
+    expect(second.id).toBe("2");
+    expect(first.outputs.requiredMonthlyContribution).toBeCloseTo(
+      single.requiredMonthlyContribution,
+      6
+    );
+    expect(second.outputs.requiredMonthlyContribution).toBeLessThan(
+      first.outputs.requiredMonthlyContribution
+    );
+
+    const drawdownTax = single.postTimeline.reduce(
+      (sum, row) => sum + row.taxPaid,
+      0
+    );
+    expect(single.lumpSumTax).toBeGreaterThan(0);
+    expect(single.lifetimeTaxPaid).toBeCloseTo(
+      drawdownTax + single.lumpSumTax,
+      2
+    );
+  });
+
+  it("projects saved scenarios in the worker", () => {
+    const worker = fakeWorker();
+    createProjectionWorker.mockReturnValueOnce(worker);
+    const scenarios = [{ id: "1", params }];
+    const { result } = renderHook(() => useScenarioProjections(scenarios));
+
+    act(() => jest.advanceTimersByTime(PROJECTION_DEBOUNCE_MS));
+    const [request] = worker.postMessage.mock.calls[0];
+    expect(request.task).toBe("scenarios");
+    expect(request.input).toBe(scenarios);
+    expect(result.current.pending).toBe(true);
+
+    const outputs = [{ id: "1", outputs: expected(params) }];
+    act(() => worker.onmessage({ data: { id: request.id, outputs } }));
+    expect(result.current).toEqual({ outputs, pending: false });
+  });
+
+  it("cancels a worker run when the inputs change", () => {
+    const first = fakeWorker();
+    const second = fakeWorker();
+    createProjectionWorker
+      .mockReturnValueOnce(first)
+      .mockReturnValueOnce(second);
+    const { result, rerender } = renderHook(
+      ({ inputs }) => useBackgroundProjection(inputs),
+      { initialProps: { inputs: params } }
+    );
+
+    rerender({ inputs: { ...params, targetNetToday: 22_000 } });
+    act(() => jest.advanceTimersByTime(PROJECTION_DEBOUNCE_MS));
+    expect(first.postMessage).toHaveBeenCalledTimes(1);
+
+    rerender({ inputs: raised });
+    expect(first.terminate).toHaveBeenCalled();
+    act(() => jest.advanceTimersByTime(PROJECTION_DEBOUNCE_MS));
+    const [request] = second.postMessage.mock.calls[0];
+    expect(request.task).toBe("projection");
+    expect(request.input).toBe(raised);
+
+    const outputs = expected(raised);
+    act(() => second.onmessage({ data: { id: request.id, outputs } }));
+    expect(result.current).toEqual({ outputs, pending: false });
+  });
+
+  it("does not rerun for an equal copy of the inputs", () => {
+    const worker = fakeWorker();
+    createProjectionWorker.mockReturnValueOnce(worker);
+    const { result, rerender } = renderHook(
+      ({ inputs }) => useBackgroundProjection(inputs),
+      { initialProps: { inputs: params } }
+    );
+
+    rerender({ inputs: { ...params } });
+    expect(result.current.pending).toBe(false);
+    act(() => jest.advanceTimersByTime(PROJECTION_DEBOUNCE_MS));
+    expect(createProjectionWorker).not.toHaveBeenCalled();
+    expect(result.current.outputs).toEqual(expected(params));
+  });
 });